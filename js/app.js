@@ -11,21 +11,47 @@ import {
 } from './core/state.js';
 import { mergeDatasets, getSelectedFields, tableToSpatial, createSpatialDataset, analyzeSchema, analyzeTableSchema, splitByGeometryType } from './core/data-model.js';
 import { importFile, importFiles } from './import/importer.js';
-import { getAvailableFormats, exportDataset, exportMultiLayerKMZFile, setExportMapManager } from './export/exporter.js';
+import { getAvailableFormats, hasAttachments, exportDataset, exportMultiLayerKMZFile, exportMultiLayerGPKGFile, setExportMapManager, downloadBlob } from './export/exporter.js';
+import { setGpkgTablePicker } from './import/gpkg-importer.js';
+import { setCrsPicker } from './import/geojson-importer.js';
+import { getCrsOptions, getCrs, formatCoordRange, DEFAULT_CRS } from './core/crs.js';
 import mapManager from './map/map-manager.js';
+import {
+    RENDERER_TYPES, CLASSIFICATION_METHODS, COLOR_RAMPS, CATEGORY_PALETTES,
+    buildUniqueValueRenderer, buildClassBreakRenderer, buildProportionalRenderer
+} from './map/renderers.js';
+import { DEFAULT_LABEL_SETTINGS } from './map/labels.js';
+import { DISPLAY_MODES, displaySettings } from './map/point-display.js';
+import { VIEW_SHAPES, DEFAULT_VIEW_SETTINGS, viewSettings, headingFields, headingFieldFor, buildViewFeatures } from './photo/view-direction.js';
 import { showToast, showErrorToast } from './ui/toast.js';
 import { showModal, confirm, showProgressModal } from './ui/modals.js';
 import * as transforms from './dataprep/transforms.js';
 import { applyTemplate, previewTemplate, getTemplateFields } from './dataprep/template-builder.js';
-import { saveSnapshot, undo as undoHistory, redo as redoHistory, getHistoryState } from './dataprep/transform-history.js';
+import { validateExpression, previewExpression, FUNCTIONS as EXPRESSION_FUNCTIONS, GEOMETRY_VARIABLES } from './dataprep/expressions.js';
+import {
+    recordEdit, undo as undoHistory, redo as redoHistory, getHistoryState, exportHistory, importHistory,
+    getMemoryUsage as getHistoryMemoryUsage
+} from './core/history.js';
+import * as recipes from './dataprep/recipes.js';
+import * as formSchema from './dataprep/form-schema.js';
+import { ATTACHMENTS_FIELD, MAX_ATTACHMENT_BYTES, attachmentList, attachmentLabel, attachmentUrl, isAttachmentValue, isImageAttachment, readAttachmentFile, loadAttachments, storeAttachments, pruneAttachments } from './core/attachments.js';
 import { photoMapper } from './photo/photo-mapper.js';
+import * as geotag from './photo/geotag.js';
 import { arcgisImporter } from './arcgis/rest-importer.js';
 import ARCGIS_ENDPOINTS from './arcgis/endpoints.js';
 import { checkAGOLCompatibility, applyAGOLFixes } from './agol/compatibility.js';
 import * as gisTools from './tools/gis-tools.js';
+import * as lrs from './tools/lrs.js';
+import * as featureEdit from './tools/feature-edit.js';
 
 import drawManager from './map/draw-manager.js';
+import geometryEditor from './map/geometry-editor.js';
+import gpsTracker, { DEFAULT_TRACK_OPTIONS } from './map/gps-tracker.js';
+import photoPlacer from './map/photo-placer.js';
+import { SNAP_TYPES, getSnapSettings, setSnapSettings } from './map/snapping.js';
 import sessionStore from './core/session-store.js';
+import { exportProjectFile, importProjectFile, PROJECT_FILE_EXTENSION } from './core/project-file.js';
+import tabSync from './core/tab-sync.js';
 import { SpatialAnalyzerWidget } from './widgets/spatial-analyzer.js';
 import { BulkUpdateWidget } from './widgets/bulk-update.js';
 import { ProximityJoinWidget } from './widgets/proximity-join.js';
@@ -61,10 +87,38 @@ function boot() {
         openFeatureEditor(hit.layerId, hit.featureIndex);
     };
 
+    // Add photos or files to the feature from popup
+    window._mapPopupAttach = () => {
+        const hit = mapManager._popupHits?.[mapManager._popupIndex];
+        if (!hit) return;
+        mapManager.map.closePopup();
+        openAttachments(hit.layerId, hit.featureIndex);
+    };
+
+    // Edit feature geometry from popup
+    window._mapPopupEditGeometry = () => {
+        const hit = mapManager._popupHits?.[mapManager._popupIndex];
+        if (!hit) return;
+        mapManager.map.closePopup();
+        editFeatureGeometry(hit.layerId, hit.featureIndex);
+    };
+
     logger.info('App', 'App ready');
 
     // Auto-save status indicator
-    sessionStore.onSaveStatus((status) => {
+    let quotaWarned = false;
+    let quotaFailed = false;    // the storage-full error shows once until a save succeeds
+    sessionStore.onSaveStatus((status, detail) => {
+        if (status === 'saved') quotaFailed = false;
+        const storageLink = '<a href="#" onclick="window.app.openStorage(); return false;">Manage storage</a>';
+        if (status === 'warning' && !quotaWarned) {
+            quotaWarned = true;
+            const pct = Math.round((detail.usage / detail.quota) * 100);
+            showToast(`Browser storage is ${pct}% full — auto-save may soon fail. ${storageLink}`, 'warning', { duration: 10000 });
+        } else if (status === 'error' && detail?.quotaExceeded && !quotaFailed) {
+            quotaFailed = true;
+            showToast(`Auto-save failed: browser storage is full. Turn off auto-save for large layers or free space. ${storageLink}`, 'error', { duration: 0 });
+        }
         const el = document.getElementById('save-indicator');
         if (!el) return;
         if (status === 'saving') {
@@ -81,8 +135,20 @@ function boot() {
         }
     });
 
-    // Check for a saved session and offer to restore
-    restoreSessionIfAvailable();
+    // Styles, field settings, history and view go into the saved session too
+    sessionStore.setStateProvider({ layer: sessionLayerState, session: sessionViewState });
+
+    // Claim this tab's workspace (tabs never overwrite each other's auto-save), then offer to restore it
+    tabSync.initTabSync({ describe: describeTab })
+        .catch(err => logger.warn('TabSync', 'Tab coordination unavailable', { error: err.message }))
+        .then(() => {
+            if (!tabSync.isPrimaryTab()) {
+                showToast('The toolbox is open in another tab — this tab keeps its own workspace.', 'info', { duration: 5000 });
+            }
+            return restoreSessionIfAvailable();
+        })
+        .then(() => pruneAttachments())
+        .catch(err => logger.warn('Session', 'Could not clean up attachment files', { error: err.message }));
 
     // Show tool guide splash on every app open
     setTimeout(() => showToolInfo(), 300);
@@ -97,6 +163,151 @@ if (document.readyState === 'loading') {
 // ============================
 // Session Restore
 // ============================
+
+// Project the workspace was opened from or last saved as — { id, name } or null
+let currentProject = null;
+
+// App state saved with each layer record (see sessionStore.setStateProvider)
+function sessionLayerState(layer) {
+    return {
+        fields: (layer.schema?.fields || []).map(f => ({
+            name: f.name, selected: f.selected, outputName: f.outputName, order: f.order
+        })),
+        style: mapManager.getLayerStyle(layer.id),
+        renderer: mapManager.getLayerRenderer(layer.id),
+        activeFilter: layer._activeFilter || null,
+        preFilterSnapshot: layer._preFilterSnapshot || null,
+        history: exportHistory(layer.id),
+        recipeSteps: recipes.exportRecording(layer.id),
+        form: layer.form || null
+    };
+}
+
+// App state saved with the session meta record
+function sessionViewState() {
+    const state = getState();
+    return {
+        activeLayerId: state.activeLayerId,
+        view: mapManager.map ? mapManager.getViewState() : null,
+        ui: { exportCrs: state.ui.exportCrs, bundleAttachments: state.ui.bundleAttachments, kmlHeadings: state.ui.kmlHeadings, agolCompatMode: state.agolCompatMode, snap: getSnapSettings(), userName: state.ui.userName },
+        project: currentProject
+    };
+}
+
+/**
+ * Put a restored layer's saved app state back before it is drawn.
+ * Records from older formats simply lack these keys and keep the defaults.
+ */
+function restoreLayerState(dataset, saved) {
+    if (Array.isArray(saved.fields)) {
+        const byName = new Map(saved.fields.map(f => [f.name, f]));
+        for (const field of dataset.schema?.fields || []) {
+            const s = byName.get(field.name);
+            if (!s) continue;
+            field.selected = s.selected !== false;
+            field.outputName = s.outputName || field.name;
+            if (s.order != null) field.order = s.order;
+        }
+    }
+    if (saved.style) mapManager.setLayerStyle(dataset.id, saved.style);
+    if (saved.renderer) mapManager.setLayerRenderer(dataset.id, saved.renderer);
+    if (saved.activeFilter) dataset._activeFilter = saved.activeFilter;
+    if (saved.preFilterSnapshot) dataset._preFilterSnapshot = saved.preFilterSnapshot;
+    if (saved.autoSave === false) dataset.autoSave = false;
+    if (saved.form) dataset.form = formSchema.normalizeForm(saved.form);
+    // Photo blobs (projects only) — used by KMZ export
+    if (saved.photos?.length) dataset._photoExportData = saved.photos.filter(p => p.blob);
+}
+
+/**
+ * Add one layer from a session-format record, with its saved app state
+ * @returns {Object|null} the dataset, or null if the record has no data
+ */
+function restoreLayer(saved) {
+    let dataset = null;
+    if (saved.type === 'spatial' && saved.geojson) {
+        dataset = {
+            id: saved.id,
+            name: saved.name,
+            type: 'spatial',
+            geojson: saved.geojson,
+            schema: analyzeSchema(saved.geojson),
+            source: saved.source || { file: saved.name, format: 'session' },
+            visible: saved.visible !== false,
+            active: false,
+            created: saved.created || new Date().toISOString()
+        };
+    } else if (saved.type === 'table' && saved.rows) {
+        const fields = saved.rows.length > 0 ? Object.keys(saved.rows[0]) : [];
+        dataset = {
+            id: saved.id,
+            name: saved.name,
+            type: 'table',
+            rows: saved.rows,
+            schema: analyzeTableSchema(saved.rows, fields),
+            source: saved.source || { file: saved.name, format: 'session' },
+            visible: saved.visible !== false,
+            active: false,
+            created: saved.created || new Date().toISOString()
+        };
+    }
+    if (!dataset) return null;
+
+    restoreLayerState(dataset, saved);
+    addLayer(dataset);
+    if (dataset.type === 'spatial') {
+        mapManager.addLayer(dataset, getLayers().indexOf(dataset), { fit: false });
+    }
+    importHistory(dataset.id, saved.history);
+    recipes.importRecording(dataset.id, saved.recipeSteps);
+    // Attachment files are stored apart — read them in for popups and the editors
+    loadAttachments(dataset.geojson?.features || dataset.rows)
+        .catch(err => logger.warn('Session', `Could not read attachments of "${dataset.name}"`, { error: err.message }));
+    return dataset;
+}
+
+/**
+ * Rebuild layers and view from a saved snapshot (auto-saved session or project).
+ * Adds to the current layers — clear the workspace first to replace it.
+ * @returns {number} layers restored
+ */
+function restoreWorkspace(session) {
+    let restored = 0;
+    for (const saved of session.layers) {
+        try {
+            if (restoreLayer(saved)) restored++;
+        } catch (err) {
+            logger.warn('Session', `Failed to restore layer "${saved.name}"`, { error: err.message });
+        }
+    }
+
+    const meta = session.meta || {};
+    currentProject = meta.project || null;
+
+    // Set active layer from saved meta
+    if (meta.activeLayerId && getLayers().some(l => l.id === meta.activeLayerId)) {
+        setActiveLayer(meta.activeLayerId);
+    }
+
+    if (meta.ui?.exportCrs) setUIState('exportCrs', meta.ui.exportCrs);
+    if (typeof meta.ui?.bundleAttachments === 'boolean') setUIState('bundleAttachments', meta.ui.bundleAttachments);
+    if (typeof meta.ui?.kmlHeadings === 'boolean') setUIState('kmlHeadings', meta.ui.kmlHeadings);
+    if (meta.ui && !!meta.ui.agolCompatMode !== getState().agolCompatMode) toggleAGOLCompat();
+    if (meta.ui?.snap) setSnapSettings(meta.ui.snap);
+    if (meta.ui?.userName) setUIState('userName', meta.ui.userName);
+
+    // Return to the saved basemap and extent; older sessions fit to the restored layers
+    if (meta.view) {
+        mapManager.applyViewState(meta.view);
+        const basemapSelect = document.getElementById('basemap-select');
+        if (basemapSelect && meta.view.basemap) basemapSelect.value = meta.view.basemap;
+    } else if (restored > 0) {
+        mapManager.fitToAll();
+    }
+    refreshUI();
+    return restored;
+}
+
 async function restoreSessionIfAvailable() {
     try {
         const info = await sessionStore.hasSession();
@@ -112,58 +323,11 @@ async function restoreSessionIfAvailable() {
             const session = await sessionStore.loadSession();
             if (!session) { showToast('Could not read saved session.', 'warning'); return; }
 
-            let restored = 0;
-            for (const saved of session.layers) {
-                try {
-                    if (saved.type === 'spatial' && saved.geojson) {
-                        const schema = analyzeSchema(saved.geojson);
-                        const dataset = {
-                            id: saved.id,
-                            name: saved.name,
-                            type: 'spatial',
-                            geojson: saved.geojson,
-                            schema,
-                            source: saved.source || { file: saved.name, format: 'session' },
-                            visible: saved.visible !== false,
-                            active: false,
-                            created: saved.created || new Date().toISOString()
-                        };
-                        addLayer(dataset);
-                        mapManager.addLayer(dataset, getLayers().indexOf(dataset), { fit: false });
-                        restored++;
-                    } else if (saved.type === 'table' && saved.rows) {
-                        const fields = saved.rows.length > 0 ? Object.keys(saved.rows[0]) : [];
-                        const schema = analyzeTableSchema(saved.rows, fields);
-                        addLayer({
-                            id: saved.id,
-                            name: saved.name,
-                            type: 'table',
-                            rows: saved.rows,
-                            schema,
-                            source: saved.source || { file: saved.name, format: 'session' },
-                            visible: saved.visible !== false,
-                            active: false,
-                            created: saved.created || new Date().toISOString()
-                        });
-                        restored++;
-                    }
-                } catch (err) {
-                    logger.warn('Session', `Failed to restore layer "${saved.name}"`, { error: err.message });
-                }
-            }
-
-            // Set active layer from saved meta
-            if (session.meta?.activeLayerId) {
-                setActiveLayer(session.meta.activeLayerId);
-            }
-
-            // Fit map to all restored spatial layers
-            if (restored > 0) {
-                mapManager.fitToAll();
-            }
+            const restored = restoreWorkspace(session);
 
             showToast(`Restored ${restored} layer${restored !== 1 ? 's' : ''} from previous session`, 'success');
             logger.info('Session', `Restored ${restored} layers`);
+            _checkInterruptedGpsTracks();
         } else {
             await sessionStore.clearSession();
             logger.info('Session', 'User discarded saved session');
@@ -184,6 +348,317 @@ function _timeAgo(ts) {
     return `${days} day${days > 1 ? 's' : ''} ago`;
 }
 
+// ============================
+// Projects — named saves of the whole workspace (sessionStore) and portable project files
+// ============================
+async function openProjects() {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    let projects = [];
+    try {
+        projects = await sessionStore.listProjects();
+    } catch (e) {
+        showErrorToast(handleError(e, 'Projects', 'Load projects'));
+    }
+    const hasLayers = getLayers().length > 0;
+
+    const html = `
+        <div class="form-group"><label>Save current workspace</label>
+            <div class="input-with-btn">
+                <input type="text" id="prj-name" placeholder="Project name" value="${esc(currentProject?.name || '')}" ${hasLayers ? '' : 'disabled'}>
+                ${currentProject ? `<button class="btn btn-sm btn-primary" id="prj-save" ${hasLayers ? '' : 'disabled'}>Save</button>` : ''}
+                <button class="btn btn-sm ${currentProject ? 'btn-secondary' : 'btn-primary'}" id="prj-save-new" ${hasLayers ? '' : 'disabled'}>Save as new</button>
+            </div>
+            <div class="text-xs text-muted" style="margin-top:4px;">${currentProject
+                ? `Open project: <strong>${esc(currentProject.name)}</strong>`
+                : 'Layers, styles, field settings, undo history, recorded steps, photos and the map view are saved.'}</div></div>
+        <div class="divider"></div>
+        <div class="form-group"><label>Projects</label>
+            <div id="prj-list">${projects.length ? projects.map(p => `
+                <div class="recipe-row" data-id="${esc(p.id)}">
+                    <div style="flex:1;min-width:0;"><strong>${esc(p.name)}</strong>${p.id === currentProject?.id ? ' <span class="badge badge-info">open</span>' : ''}
+                        <div class="text-xs text-muted">${p.layerCount} layer${p.layerCount === 1 ? '' : 's'} — saved ${_timeAgo(p.updated)}</div></div>
+                    <button class="btn btn-sm btn-primary" data-act="open">Open</button>
+                    <button class="btn btn-sm btn-secondary" data-act="duplicate" title="Duplicate">⧉</button>
+                    <button class="btn btn-sm btn-secondary" data-act="export" title="Download project file">⬇</button>
+                    <button class="btn btn-sm btn-danger" data-act="delete" title="Delete">✕</button>
+                </div>`).join('') : '<div class="text-sm text-muted">No saved projects.</div>'}</div></div>`;
+
+    showModal('Projects', html, {
+        width: '600px',
+        footer: `<label class="btn btn-secondary" style="margin-right:auto;">Import project file…<input type="file" id="prj-import" accept=".zip,application/zip" class="hidden"></label>
+                 <button class="btn btn-secondary cancel-btn">Close</button>`,
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+
+            const save = async (asNew) => {
+                const name = overlay.querySelector('#prj-name').value.trim();
+                if (!name) return showToast('Enter a project name', 'warning');
+                if (await saveCurrentProject(name, { asNew })) { close(); openProjects(); }
+            };
+            overlay.querySelector('#prj-save')?.addEventListener('click', () => save(false));
+            overlay.querySelector('#prj-save-new').onclick = () => save(true);
+
+            overlay.querySelector('#prj-import').onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                close();
+                await importProject(file);
+                openProjects();
+            };
+
+            overlay.querySelectorAll('.recipe-row [data-act]').forEach(btn => {
+                btn.onclick = async () => {
+                    const project = projects.find(p => p.id === btn.closest('.recipe-row').dataset.id);
+                    if (!project) return;
+                    try {
+                        switch (btn.dataset.act) {
+                            case 'open':
+                                if (await openProject(project)) close();
+                                break;
+                            case 'duplicate':
+                                await sessionStore.duplicateProject(project.id);
+                                close();
+                                openProjects();
+                                break;
+                            case 'export':
+                                await exportProject(project);
+                                break;
+                            case 'delete': {
+                                const ok = await confirm('Delete Project', `Delete project "${esc(project.name)}"? This cannot be undone.`);
+                                if (!ok) return;
+                                await sessionStore.deleteProject(project.id);
+                                if (currentProject?.id === project.id) currentProject = null;
+                                close();
+                                openProjects();
+                                break;
+                            }
+                        }
+                    } catch (e) {
+                        showErrorToast(handleError(e, 'Projects', `Project ${btn.dataset.act}`));
+                    }
+                };
+            });
+        }
+    });
+}
+
+/**
+ * Save the workspace as a project — over the open project unless asNew
+ * @returns {Promise<boolean>} whether it was saved
+ */
+async function saveCurrentProject(name, { asNew = false } = {}) {
+    if (!getLayers().length) { showToast('Nothing to save — add a layer first', 'warning'); return false; }
+    try {
+        const saved = await sessionStore.saveProject(name, getLayers(), { id: asNew ? null : currentProject?.id });
+        currentProject = { id: saved.id, name: saved.name };
+        sessionStore.scheduleMetaSave(getLayers());
+        showToast(`Saved project "${saved.name}"`, 'success');
+        return true;
+    } catch (e) {
+        showErrorToast(handleError(e, 'Projects', 'Save project'));
+        return false;
+    }
+}
+
+// Replace the current layers with a saved project
+async function openProject(project) {
+    if (getLayers().length) {
+        const ok = await confirm('Open Project',
+            `Open "${project.name}"? The current layers will be closed — save them as a project first to keep them.`);
+        if (!ok) return false;
+    }
+    const loaded = await sessionStore.loadProject(project.id);
+    if (!loaded) { showToast('Could not read project.', 'warning'); return false; }
+
+    clearWorkspace();
+    const restored = restoreWorkspace(loaded);
+    currentProject = { id: loaded.project.id, name: loaded.project.name };
+    sessionStore.scheduleSave(getLayers());
+    showToast(`Opened "${loaded.project.name}" (${restored} layer${restored !== 1 ? 's' : ''})`, 'success');
+    logger.info('Projects', 'Opened project', { name: loaded.project.name, layers: restored });
+    return true;
+}
+
+function clearWorkspace() {
+    for (const layer of [...getLayers()]) {
+        mapManager.removeLayer(layer.id);
+        removeLayer(layer.id);
+    }
+    currentProject = null;
+}
+
+async function exportProject(project) {
+    const progress = showProgressModal('Exporting Project');
+    const task = { updateProgress(p, s) { progress.update(p, s); } };
+    try {
+        const loaded = await sessionStore.loadProject(project.id);
+        if (!loaded) throw new Error('Project not found');
+        const savedRecipes = await sessionStore.listRecipes().catch(() => []);
+        const blob = await exportProjectFile({ name: project.name, created: project.created, ...loaded }, savedRecipes, task);
+        progress.close();
+        const safe = project.name.replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'project';
+        downloadBlob(blob, `${safe}${PROJECT_FILE_EXTENSION}`);
+    } catch (e) {
+        progress.close();
+        showErrorToast(handleError(e, 'Projects', 'Export project'));
+    }
+}
+
+// Read a project file into a new saved project; bundled recipes are added to the library
+async function importProject(file) {
+    const progress = showProgressModal('Importing Project');
+    const task = { updateProgress(p, s) { progress.update(p, s); } };
+    try {
+        const data = await importProjectFile(file, task);
+        await storeAttachments(data.attachments);
+        const saved = await sessionStore.addProject(data.name, data);
+        const known = new Set((await sessionStore.listRecipes()).map(r => r.id));
+        const newRecipes = data.recipes.filter(r => r?.id && !known.has(r.id));
+        for (const recipe of newRecipes) await sessionStore.saveRecipe(recipe);
+        progress.close();
+        showToast(`Imported project "${saved.name}"${newRecipes.length ? ` and ${newRecipes.length} recipe(s)` : ''}`, 'success');
+    } catch (e) {
+        progress.close();
+        showErrorToast(handleError(e, 'Projects', 'Import project'));
+    }
+}
+
+// ============================
+// Storage — browser quota, per-layer size and auto-save exclusion (sessionStore)
+// ============================
+async function openStorage() {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const fmt = (bytes) => {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+        if (bytes < 1073741824) return (bytes / 1048576).toFixed(1) + ' MB';
+        return (bytes / 1073741824).toFixed(2) + ' GB';
+    };
+    const estimate = await sessionStore.getStorageEstimate();
+    const historyMem = getHistoryMemoryUsage();
+    const layers = getLayers();
+    const sizes = new Map(layers.map(l => [l.id, sessionStore.estimateLayerBytes(l)]));
+
+    const pct = estimate?.quota ? Math.min(100, (estimate.usage / estimate.quota) * 100) : 0;
+    const usageHtml = estimate
+        ? `<div class="progress-bar-container"><div class="progress-bar-fill" style="width:${pct.toFixed(1)}%;${pct >= 90 ? 'background:var(--error, #dc2626);' : ''}"></div>
+               <div class="progress-bar-text">${pct.toFixed(1)}%</div></div>
+           <div class="text-xs text-muted" style="margin-top:4px;">${fmt(estimate.usage)} used of ${fmt(estimate.quota)} available to this site
+               — ${estimate.persisted ? 'persistent (the browser will not clear it on its own)' : 'may be cleared by the browser when the disk runs low'}</div>`
+        : '<div class="text-sm text-muted">This browser does not report storage use.</div>';
+
+    const html = `
+        <div class="form-group"><label>Browser storage</label>${usageHtml}</div>
+        <div class="form-group"><label>Layers</label>
+            ${layers.length ? `<table class="data-table" style="width:100%;">
+                <thead><tr><th>Layer</th><th style="text-align:right;">Records</th><th style="text-align:right;">≈ Size</th><th style="text-align:center;">Auto-save</th></tr></thead>
+                <tbody>${layers.map(l => `
+                    <tr><td>${esc(l.name)}</td>
+                        <td style="text-align:right;">${(l.type === 'table' ? l.rows?.length : l.geojson?.features?.length) || 0}</td>
+                        <td style="text-align:right;">${fmt(sizes.get(l.id))}</td>
+                        <td style="text-align:center;"><input type="checkbox" data-layer="${esc(l.id)}" ${l.autoSave !== false ? 'checked' : ''}></td></tr>`).join('')}
+                </tbody></table>
+                <div class="text-xs text-muted" style="margin-top:4px;">Layers with auto-save off are not kept if the tab is closed — save them in a project or export them.</div>`
+            : '<div class="text-sm text-muted">No layers.</div>'}</div>
+        <div class="text-xs text-muted">Undo history in memory: ${fmt(historyMem.bytes)} of ${fmt(historyMem.limit)} (${historyMem.entries} step${historyMem.entries === 1 ? '' : 's'}).</div>`;
+
+    showModal('Storage', html, {
+        width: '560px',
+        footer: `${estimate && !estimate.persisted ? '<button class="btn btn-secondary" id="stg-persist" style="margin-right:auto;">Make storage persistent</button>' : ''}
+                 <button class="btn btn-secondary cancel-btn">Close</button>`,
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelectorAll('input[data-layer]').forEach(cb => {
+                cb.onchange = () => {
+                    const layer = getLayers().find(l => l.id === cb.dataset.layer);
+                    if (!layer) return;
+                    layer.autoSave = cb.checked;
+                    sessionStore.scheduleSave(getLayers());
+                    renderLayerList();
+                };
+            });
+            overlay.querySelector('#stg-persist')?.addEventListener('click', async () => {
+                const ok = await sessionStore.requestPersistentStorage();
+                showToast(ok ? 'Storage is now persistent' : 'The browser declined persistent storage', ok ? 'success' : 'warning');
+                close();
+                openStorage();
+            });
+        }
+    });
+}
+
+// ============================
+// Other tabs — send layers between open tabs (core/tab-sync.js)
+// ============================
+
+// What other tabs show for this one in their "send to" picker
+function describeTab() {
+    return {
+        title: currentProject?.name || '',
+        layers: getLayers().map(l => ({ id: l.id, name: l.name }))
+    };
+}
+
+function tabLabel(peer) {
+    const names = (peer.layers || []).map(l => l.name);
+    if (peer.title) return peer.title;
+    if (!names.length) return 'Empty tab';
+    return names.slice(0, 3).join(', ') + (names.length > 3 ? ` +${names.length - 3} more` : '');
+}
+
+async function sendLayerToTab(layerId) {
+    const layer = getLayers().find(l => l.id === layerId);
+    if (!layer) return;
+    const peers = tabSync.getPeers();
+    if (!peers.length) return showToast('No other toolbox tabs are open', 'warning');
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const send = async (peer) => {
+        const ok = await tabSync.sendLayer(peer.tabId, sessionStore.serializeLayer(layer));
+        if (ok) showToast(`Sent "${layer.name}" to ${tabLabel(peer)}`, 'success');
+        else showToast('The other tab did not respond — it may have been closed', 'warning');
+    };
+
+    const html = `
+        <p class="text-sm text-muted" style="margin-bottom:8px;">Copy <strong>${esc(layer.name)}</strong> (with its style and history) into another open tab.</p>
+        ${peers.map(p => `
+            <div class="recipe-row" data-tab="${esc(p.tabId)}">
+                <div style="flex:1;min-width:0;"><strong>${esc(tabLabel(p))}</strong>
+                    <div class="text-xs text-muted">${(p.layers || []).length} layer${(p.layers || []).length === 1 ? '' : 's'}</div></div>
+                <button class="btn btn-sm btn-primary">Send</button>
+            </div>`).join('')}`;
+    showModal('Send Layer to Tab', html, {
+        width: '460px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelectorAll('.recipe-row button').forEach(btn => {
+                btn.onclick = () => {
+                    const peer = peers.find(p => p.tabId === btn.closest('.recipe-row').dataset.tab);
+                    close();
+                    if (peer) send(peer);
+                };
+            });
+        }
+    });
+}
+
+// A layer sent from another tab — added as a new layer, renamed if its id is taken here
+function receiveLayer({ from, record }) {
+    if (!record) return;
+    const saved = { ...record };
+    if (getLayers().some(l => l.id === saved.id)) saved.id = `${saved.id}_${Date.now().toString(36)}`;
+    try {
+        const dataset = restoreLayer(saved);
+        if (!dataset) return;
+        setActiveLayer(dataset.id);
+        refreshUI();
+        showToast(`Received "${dataset.name}" from ${from ? tabLabel(from) : 'another tab'}`, 'success');
+    } catch (e) {
+        showErrorToast(handleError(e, 'TabSync', 'Receive layer'));
+    }
+}
+
 function initMap() {
     try {
         mapManager.init('map-container');
@@ -217,13 +692,17 @@ function setupDragDrop() {
 
     // Prevent default browser behavior for all drag events on the document
     document.addEventListener('dragover', e => { e.preventDefault(); });
+    // Only file drags show the overlay — photos dragged onto the map (photo-placer.js) must reach it
+    const isFileDrag = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
     document.addEventListener('dragenter', e => {
         e.preventDefault();
+        if (!isFileDrag(e)) return;
         dragCounter++;
         overlay.classList.add('visible');
     });
     document.addEventListener('dragleave', e => {
         e.preventDefault();
+        if (!isFileDrag(e)) return;
         dragCounter--;
         if (dragCounter <= 0) {
             dragCounter = 0;
@@ -259,7 +738,7 @@ function setupDragDrop() {
                 showToast(`Mapped ${result.withGPS} photo(s) with GPS`, 'success');
             }
             if (result?.withoutGPS > 0) {
-                showToast(`${result.withoutGPS} photo(s) have no GPS data`, 'warning');
+                showToast(`${result.withoutGPS} photo(s) have no GPS data. <a href="#" onclick="window.app.openPhotoMapper(); return false;">Locate them</a>`, 'warning');
             }
         }
     });
@@ -330,15 +809,77 @@ async function handleFileImport(files, fenceBbox = null) {
     }
 }
 
+/**
+ * GeoPackage table picker — shown by the .gpkg importer when a file has 2+ tables.
+ * Returns the selected table names, or null when cancelled.
+ */
+function _pickGpkgTables(tables, fileName) {
+    const rows = tables.map(t => {
+        const safeName = t.identifier.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+        const kind = t.dataType === 'features' ? (t.geometryType || 'features') : 'table';
+        return `<label class="merge-layer-item">
+            <input type="checkbox" value="${t.name.replace(/"/g, '&quot;')}" checked>
+            <span>${safeName} <small style="color:var(--text-muted)">${kind}</small></span>
+            <span class="merge-feat-count">${t.count} rows</span>
+        </label>`;
+    }).join('');
+
+    const safeFile = String(fileName).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+    const html = `<p style="margin-bottom:8px;">Choose the tables to load from <strong>${safeFile}</strong>.</p>
+        <div class="merge-layer-list" id="gpkg-table-list">${rows}</div>`;
+
+    return showModal('GeoPackage Tables', html, {
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button> <button class="btn btn-primary confirm-btn">Load Selected</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close(null);
+            overlay.querySelector('.confirm-btn').onclick = () => {
+                const checked = [...overlay.querySelectorAll('#gpkg-table-list input:checked')].map(cb => cb.value);
+                if (checked.length === 0) { showToast('Select at least 1 table', 'warning'); return; }
+                close(checked);
+            };
+        }
+    });
+}
+
+/**
+ * CRS picker — shown by the GeoJSON importer when the coordinates aren't lon/lat and
+ * their CRS can't be identified. Returns the chosen CRS code, or null to keep the
+ * coordinates as they are.
+ */
+async function _pickImportCrs(range, fileName) {
+    const safeFile = String(fileName).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+    const options = getCrsOptions().filter(c => c.code !== DEFAULT_CRS)
+        .map(c => `<option value="${c.code}">${c.code} — ${c.name}</option>`).join('');
+    const html = `<div class="warning-box">The coordinates in <strong>${safeFile}</strong> are not longitude/latitude
+            (${formatCoordRange(range)}) and the file does not say which coordinate system they are in.</div>
+        <div class="form-group"><label>Coordinate system</label>
+            <select id="import-crs" style="width:100%;">${options}</select></div>
+        <div class="text-xs text-muted">Kept as they are, the features will not line up with the basemap.</div>`;
+
+    const code = await showModal('Coordinate System', html, {
+        width: '460px',
+        footer: '<button class="btn btn-secondary keep-btn">Keep as they are</button> <button class="btn btn-primary confirm-btn">Reproject</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.keep-btn').onclick = () => close(null);
+            overlay.querySelector('.confirm-btn').onclick = () => close(overlay.querySelector('#import-crs').value);
+        }
+    });
+    if (!code) showToast(`${safeFile} was loaded without a coordinate system — it will not line up with the map`, 'warning');
+    return code;
+}
+
 // ============================
 // Setup all event listeners
 // ============================
 function setupEventListeners() {
+    setGpkgTablePicker(_pickGpkgTables);
+    setCrsPicker(_pickImportCrs);
+
     // Import button — use a persistent hidden input (iOS-safe)
     const importInput = document.createElement('input');
     importInput.type = 'file';
     importInput.multiple = true;
-    importInput.accept = '.geojson,.json,.csv,.tsv,.txt,.xlsx,.xls,.kml,.kmz,.zip,.xml';
+    importInput.accept = '.geojson,.json,.csv,.tsv,.txt,.xlsx,.xls,.kml,.kmz,.gpx,.gpkg,.zip,.xml';
     importInput.style.cssText = 'opacity:0;position:absolute;width:0;height:0;overflow:hidden;pointer-events:none;';
     document.body.appendChild(importInput);
     importInput.addEventListener('change', () => {
@@ -361,6 +902,9 @@ function setupEventListeners() {
     document.getElementById('btn-photo-mapper')?.addEventListener('click', openPhotoMapper);
     document.getElementById('btn-photo-mapper-mobile')?.addEventListener('click', openPhotoMapper);
 
+    // Projects
+    document.getElementById('btn-projects')?.addEventListener('click', openProjects);
+
     // Import Fence
     document.getElementById('btn-fence')?.addEventListener('click', startImportFence);
 
@@ -375,18 +919,59 @@ function setupEventListeners() {
     bus.on('draw:featureCreated', ({ layerId, feature }) => {
         const layer = getLayers().find(l => l.id === layerId);
         if (!layer || layer.type !== 'spatial') return;
-        saveSnapshot(layer.id, 'Draw feature', layer.geojson);
-        layer.geojson.features.push(feature);
-        import('./core/data-model.js').then(dm => {
-            layer.schema = dm.analyzeSchema(layer.geojson);
-            bus.emit('layer:updated', layer);
-            bus.emit('layers:changed', getLayers());
-            mapManager.addLayer(layer, getLayers().indexOf(layer));
-            refreshUI();
+        _collectNewFeature(layer, feature, () => {
+            recordEdit(layer, 'Draw feature', () => layer.geojson.features.push(feature));
+            import('./core/data-model.js').then(dm => {
+                layer.schema = dm.analyzeSchema(layer.geojson);
+                bus.emit('layer:updated', layer);
+                bus.emit('layers:changed', getLayers());
+                mapManager.addLayer(layer, getLayers().indexOf(layer));
+                refreshUI();
+            });
+            showToast(`Added ${feature.geometry.type} to ${layer.name}`, 'success');
         });
-        showToast(`Added ${feature.geometry.type} to ${layer.name}`, 'success');
     });
 
+    // Save reshaped geometry as one undoable edit; per-vertex times and measures follow the vertices
+    bus.on('geometry:edited', ({ layerId, featureIndex, geometry, vertexSources }) => {
+        const layer = getLayers().find(l => l.id === layerId);
+        const feature = layer?.geojson?.features?.[featureIndex];
+        if (!feature) return;
+        recordEdit(layer, 'Edit geometry', () => {
+            feature.properties = featureEdit.reshapeVertexValues(feature, geometry, vertexSources);
+            feature.geometry = geometry;
+        }, { indices: [featureIndex] });
+        layer.schema = analyzeSchema(layer.geojson);
+        mapManager.map?.closePopup();
+        bus.emit('layer:updated', layer);
+        bus.emit('layers:changed', getLayers());
+        mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+        refreshUI();
+        showToast(`Updated ${geometry.type} in ${layer.name}`, 'success');
+    });
+
+    bus.on('snap:settingsRequested', openSnapSettings);
+
+    // GPS tracking
+    bus.on('gps:point', _onGpsPoint);
+    bus.on('gps:state', ({ state }) => { if (state === 'idle') _onGpsStopped(); });
+    // Lost signal and timeouts show in the tracking panel; only report what ends tracking
+    bus.on('gps:error', ({ code, message }) => { if (code === 0 || code === 1) showToast(message, 'error'); });
+    document.getElementById('btn-gps-track')?.addEventListener('click', startGpsTracking);
+
+    // Photos placed by hand (photo-placer.js)
+    bus.on('photo:placed', ({ index, lat, lng }) => {
+        const round = (v) => Math.round(v * 1e7) / 1e7;
+        const feature = photoMapper.locatePhoto(index, round(lat), round(lng), { source: 'manual' });
+        if (feature) _addLocatedPhotos([feature]);
+    });
+    bus.on('photo:placerClosed', ({ remaining }) => {
+        if (remaining) showToast(`${remaining} photo(s) still have no position. <a href="#" onclick="window.app.openPhotoMapper(); return false;">Locate them</a>`, 'info');
+    });
+
+    // Storage
+    document.getElementById('btn-storage')?.addEventListener('click', openStorage);
+
     // Logs
     document.getElementById('btn-logs')?.addEventListener('click', toggleLogs);
 
@@ -427,6 +1012,8 @@ function setupEventListeners() {
             closeMobileMenu();
             switch (action) {
                 case 'import': document.getElementById('btn-import')?.click(); break;
+                case 'projects': openProjects(); break;
+                case 'storage': openStorage(); break;
                 case 'photos': openPhotoMapper(); break;
                 case 'arcgis': openArcGISImporter(); break;
 
@@ -489,7 +1076,18 @@ function setupEventListeners() {
 
     // Listen for layer changes to update UI
     bus.on('layers:changed', refreshUI);
+    bus.on('layers:changed', () => tabSync.announce());
+    bus.on('tabs:changed', () => renderLayerList());
+    bus.on('tabs:layerReceived', receiveLayer);
+    bus.on('history:changed', updateToolbarState);
+    bus.on('history:limit', ({ name }) => showToast(`"${name}" is too large to keep in undo history`, 'warning'));
     bus.on('layers:changed', () => sessionStore.scheduleSave(getLayers()));
+    for (const evt of ['history:changed', 'layer:styled', 'layer:visibility']) {
+        bus.on(evt, () => sessionStore.scheduleSave(getLayers()));
+    }
+    for (const evt of ['map:viewChanged', 'map:basemap', 'map:legend', 'layer:active', 'ui:changed', 'agol:toggled', 'snap:changed']) {
+        bus.on(evt, () => sessionStore.scheduleMetaSave(getLayers()));
+    }
     bus.on('layer:active', () => { refreshUI(); updateSelectionUI(); });
     bus.on('task:error', (data) => {
         showErrorToast(data.error);
@@ -530,11 +1128,18 @@ function updateToolbarState() {
     const hasLayers = layers.length > 0;
     document.getElementById('btn-merge')?.classList.toggle('hidden', layers.length < 2);
 
-    const hs = getHistoryState();
+    // History is per layer — the buttons act on the active layer
+    const hs = getHistoryState(getActiveLayer()?.id);
     const undoBtn = document.getElementById('btn-undo');
     const redoBtn = document.getElementById('btn-redo');
-    if (undoBtn) undoBtn.disabled = !hs.canUndo;
-    if (redoBtn) redoBtn.disabled = !hs.canRedo;
+    if (undoBtn) {
+        undoBtn.disabled = !hs.canUndo;
+        undoBtn.title = hs.canUndo ? `Undo: ${hs.undoName}` : 'Undo';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = !hs.canRedo;
+        redoBtn.title = hs.canRedo ? `Redo: ${hs.redoName}` : 'Redo';
+    }
 }
 
 // ============================
@@ -545,6 +1150,7 @@ function renderLayerList() {
     if (!container) return;
     const layers = getLayers();
     const active = getActiveLayer();
+    const hasPeers = tabSync.getPeers().length > 0;
 
     if (layers.length === 0) {
         container.innerHTML = `
@@ -583,7 +1189,7 @@ function renderLayerList() {
                     </div>
                 </div>
                 <div class="layer-bottom-row">
-                    <div class="layer-meta">${count} · ${layer.schema?.fields?.length || 0} fields ${geomBadge}</div>
+                    <div class="layer-meta">${count} · ${layer.schema?.fields?.length || 0} fields ${geomBadge}${layer.autoSave === false ? ' <span class="badge badge-warning" title="Left out of auto-save — see Storage">not saved</span>' : ''}</div>
                     <div class="layer-actions">
                         <button class="btn-icon" title="Rename" onclick="event.stopPropagation(); window.app.renameLayer('${layer.id}')">✏️</button>
                         <button class="btn-icon" title="Toggle visibility" onclick="event.stopPropagation(); window.app.toggleVisibility('${layer.id}')">
@@ -591,6 +1197,7 @@ function renderLayerList() {
                         </button>
                         </button>
                         <button class="btn-icon" title="Zoom to layer" onclick="event.stopPropagation(); window.app.zoomToLayer('${layer.id}')">🔍</button>
+                        ${hasPeers ? `<button class="btn-icon" title="Send to another tab" onclick="event.stopPropagation(); window.app.sendLayerToTab('${layer.id}')">📤</button>` : ''}
                         <button class="btn-icon" title="Remove" onclick="event.stopPropagation(); window.app.removeLayer('${layer.id}')">🗑️</button>
                     </div>
                 </div>
@@ -629,6 +1236,7 @@ function renderFieldList() {
         <button class="btn btn-sm btn-secondary" onclick="window.app.selectAllFields(true)">All</button>
         <button class="btn btn-sm btn-secondary" onclick="window.app.selectAllFields(false)">None</button>
         <button class="btn btn-sm btn-primary" onclick="window.app.addField()" title="Add new field">+ Field</button>
+        ${layer.type === 'spatial' ? `<button class="btn btn-sm ${layer.form ? 'btn-primary' : 'btn-secondary'}" onclick="window.app.openFormDesigner()" title="Data collection form — field types, choices, required and automatic fields">📝 Form</button>` : ''}
     </div>`;
 
     const fieldRows = fields.map(f => `
@@ -658,6 +1266,10 @@ function renderOutputPanel() {
 
     const selected = getSelectedFields(layer.schema);
     const formatsList = getAvailableFormats(layer);
+    const exportCrs = getState().ui.exportCrs;
+    const crsFormats = formatsList.filter(f => f.crs).map(f => f.label).join(', ');
+    const sourceCrs = layer.source?.crs && layer.source.crs !== 'EPSG:4326'
+        ? (getCrs(layer.source.crs)?.name || layer.source.crs) : null;
 
     // AGOL compat check
     const agolMode = getState().agolCompatMode;
@@ -696,6 +1308,21 @@ function renderOutputPanel() {
                     <span class="toggle-track"></span>
                     <span>AGOL Compatible</span>
                 </label>
+                ${layer.type === 'spatial' ? `<div class="form-group mb-8">
+                    <label class="text-xs text-muted">Output CRS <span title="Applies to ${crsFormats}. KML, KMZ and GPX are always WGS84.">ⓘ</span></label>
+                    <select id="export-crs" style="width:100%;">
+                        ${getCrsOptions().map(c => `<option value="${c.code}" ${c.code === exportCrs ? 'selected' : ''}>${c.code} — ${c.name}</option>`).join('')}
+                    </select>
+                    ${sourceCrs ? `<div class="text-xs text-muted mt-8">Imported from ${sourceCrs}</div>` : ''}
+                </div>` : ''}
+                ${hasAttachments(layer) ? `<label class="checkbox-row text-xs mb-8" title="KML and KMZ always include the attachments">
+                    <input type="checkbox" id="export-bundle-attachments" ${getState().ui.bundleAttachments ? 'checked' : ''}>
+                    Bundle attachments in a ZIP
+                </label>` : ''}
+                ${layer.type === 'spatial' && headingFields(layer.geojson?.features).length ? `<label class="checkbox-row text-xs mb-8" title="Opening a placemark in Google Earth looks the way the photo was taken">
+                    <input type="checkbox" id="export-kml-headings" ${getState().ui.kmlHeadings ? 'checked' : ''}>
+                    KML/KMZ: camera view along each heading
+                </label>` : ''}
                 <div style="display:flex; flex-wrap:wrap; gap:6px;">
                     ${formatsList.map(fmt =>
                         `<button class="btn btn-sm btn-primary" onclick="window.app.doExport('${fmt.key}')">${fmt.label}</button>`
@@ -721,6 +1348,18 @@ function renderOutputPanel() {
         renderOutputPanel();
     });
 
+    document.getElementById('export-crs')?.addEventListener('change', (e) => {
+        setUIState('exportCrs', e.target.value);
+    });
+
+    document.getElementById('export-bundle-attachments')?.addEventListener('change', (e) => {
+        setUIState('bundleAttachments', e.target.checked);
+    });
+
+    document.getElementById('export-kml-headings')?.addEventListener('change', (e) => {
+        setUIState('kmlHeadings', e.target.checked);
+    });
+
     // Bind style panel controls
     if (layer.type === 'spatial') {
         bindStylePanel(layer);
@@ -822,12 +1461,217 @@ function buildStylePanel(layer) {
                 Layer Style <span class="arrow">▼</span>
             </div>
             <div class="panel-section-body">
+                ${buildRendererSection(layer)}
                 ${body}
+                ${hasPoints ? buildPointDisplaySection(layer, sty) : ''}
+                ${hasPoints ? buildViewDirectionSection(layer, sty) : ''}
+                ${buildLabelSection(layer, sty.labels)}
                 <button class="btn btn-sm btn-primary w-full mt-8" id="sty-apply">Apply Style</button>
             </div>
         </div>`;
 }
 
+// Thematic symbology controls (categorized / graduated / proportional)
+function buildRendererSection(layer) {
+    const r = mapManager.getLayerRenderer(layer.id) || { type: 'single' };
+    const fields = (layer.schema?.fields || []).filter(f => !f.name.startsWith('_'));
+    const fieldOpts = (list) => list.map(f => `<option value="${f.name}" ${f.name === r.field ? 'selected' : ''}>${f.name}</option>`).join('');
+    const opts = (obj, cur) => Object.entries(obj).map(([k, v]) => `<option value="${k}" ${k === cur ? 'selected' : ''}>${typeof v === 'string' ? v : k}</option>`).join('');
+    const hide = (types) => types.includes(r.type) ? '' : ' hidden';
+
+    return `
+        <div class="style-type-section" id="sty-renderer">
+            <div class="style-row"><label>Symbology</label>
+                <select id="sty-r-type" style="flex:1;min-width:0;">${opts(RENDERER_TYPES, r.type)}</select></div>
+            <div class="style-row${hide(['unique'])}" data-r-for="unique"><label>Field</label>
+                <select id="sty-r-field-any" style="flex:1;min-width:0;">${fieldOpts(fields)}</select></div>
+            <div class="style-row${hide(['classBreaks', 'proportional'])}" data-r-for="classBreaks proportional"><label>Numeric field</label>
+                <select id="sty-r-field-num" style="flex:1;min-width:0;">${fieldOpts(fields.filter(f => f.type === 'number'))}</select></div>
+            <div class="style-row${hide(['unique'])}" data-r-for="unique"><label>Palette</label>
+                <select id="sty-r-palette" style="flex:1;min-width:0;">${opts(CATEGORY_PALETTES, r.palette)}</select></div>
+            <div class="style-row${hide(['classBreaks'])}" data-r-for="classBreaks"><label>Color ramp</label>
+                <select id="sty-r-ramp" style="flex:1;min-width:0;">${opts(COLOR_RAMPS, r.ramp)}</select></div>
+            <div class="style-row${hide(['classBreaks'])}" data-r-for="classBreaks"><label>Method</label>
+                <select id="sty-r-method" style="flex:1;min-width:0;">${opts(CLASSIFICATION_METHODS, r.method)}</select>
+                <input type="number" id="sty-r-count" min="2" max="10" value="${r.classCount || 5}" style="width:52px;" title="Number of classes"></div>
+            <div class="style-row${r.type === 'classBreaks' && r.method === 'manual' ? '' : ' hidden'}" id="sty-r-manual-row"><label>Breaks</label>
+                <input type="text" id="sty-r-manual" placeholder="e.g. 10, 50, 100" value="${r.method === 'manual' ? r.classes.map(c => c.max).join(', ') : ''}" style="flex:1;min-width:0;"></div>
+            <div class="style-row${hide(['proportional'])}" data-r-for="proportional"><label>Size range</label>
+                <input type="number" id="sty-r-min" min="1" max="60" value="${r.minSize ?? 4}" style="width:52px;">
+                <span class="text-xs text-muted">to</span>
+                <input type="number" id="sty-r-max" min="1" max="80" value="${r.maxSize ?? 24}" style="width:52px;"></div>
+            <div id="sty-r-classes"></div>
+        </div>`;
+}
+
+// Point display mode controls (normal / cluster / heatmap) — stored as style.display
+function buildPointDisplaySection(layer, sty) {
+    const d = displaySettings(sty);
+    const numFields = (layer.schema?.fields || []).filter(f => !f.name.startsWith('_') && f.type === 'number');
+    const hide = (mode) => d.mode === mode ? '' : ' hidden';
+    return `
+        <div class="style-type-section" id="sty-display">
+            <h4 class="style-type-header">⬤ Point Display</h4>
+            <div class="style-row"><label>Mode</label>
+                <select id="sty-d-mode" style="flex:1;min-width:0;">${Object.entries(DISPLAY_MODES).map(([k, v]) =>
+                    `<option value="${k}" ${k === d.mode ? 'selected' : ''}>${v}</option>`).join('')}</select></div>
+            <div class="style-row${hide('cluster')}" data-d-for="cluster"><label>Cluster radius</label>
+                <input type="range" id="sty-d-cluster-radius" min="20" max="120" step="5" value="${d.clusterRadius}" class="style-range"><span class="style-value" id="sty-d-cluster-radius-val">${d.clusterRadius}</span></div>
+            <div class="style-row${hide('heatmap')}" data-d-for="heatmap"><label>Weight field</label>
+                <select id="sty-d-weight" style="flex:1;min-width:0;">
+                    <option value="">— none (count) —</option>
+                    ${numFields.map(f => `<option value="${f.name}" ${f.name === d.weightField ? 'selected' : ''}>${f.name}</option>`).join('')}
+                </select></div>
+            <div class="style-row${hide('heatmap')}" data-d-for="heatmap"><label>Radius</label>
+                <input type="range" id="sty-d-heat-radius" min="5" max="60" step="1" value="${d.heatRadius}" class="style-range"><span class="style-value" id="sty-d-heat-radius-val">${d.heatRadius}</span></div>
+            <div class="style-row${hide('heatmap')}" data-d-for="heatmap"><label>Intensity</label>
+                <input type="range" id="sty-d-intensity" min="0.2" max="3" step="0.1" value="${d.intensity}" class="style-range"><span class="style-value" id="sty-d-intensity-val">${d.intensity}</span></div>
+        </div>`;
+}
+
+// Photo view direction controls (cone / arrow from a heading field) — stored as style.viewCones
+function buildViewDirectionSection(layer, sty) {
+    const v = viewSettings(sty);
+    const features = layer.geojson?.features || [];
+    const field = headingFieldFor(features, v) || v.field;
+    const numeric = (layer.schema?.fields || []).filter(f => !f.name.startsWith('_') && f.type === 'number').map(f => f.name);
+    const fields = [...new Set([...headingFields(features), ...numeric])];
+    const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    return `
+        <div class="style-type-section" id="sty-view">
+            <h4 class="style-type-header">📐 View Direction</h4>
+            <div class="style-row"><label>Show</label>
+                <input type="checkbox" id="sty-v-enabled" ${v.enabled ? 'checked' : ''}>
+                <select id="sty-v-shape" style="flex:1;min-width:0;">${Object.entries(VIEW_SHAPES).map(([k, label]) =>
+                    `<option value="${k}" ${k === v.shape ? 'selected' : ''}>${label}</option>`).join('')}</select></div>
+            <div class="style-row"><label>Heading field</label>
+                <select id="sty-v-field" style="flex:1;min-width:0;">
+                    <option value="">— auto —</option>
+                    ${fields.map(f => `<option value="${esc(f)}" ${f === field ? 'selected' : ''}>${esc(f)}</option>`).join('')}
+                </select></div>
+            <div class="style-row"><label>Angle (°)</label>
+                <input type="range" id="sty-v-angle" min="5" max="180" step="5" value="${v.angle}" class="style-range"><span class="style-value" id="sty-v-angle-val">${v.angle}</span></div>
+            <div class="style-row"><label>Length (m)</label>
+                <input type="number" id="sty-v-length" min="1" max="10000" step="1" value="${v.length}" style="width:72px;"></div>
+            <button class="btn btn-sm btn-secondary w-full" id="sty-v-create" title="New polygon layer with one cone per point that has a heading">Create cone polygons</button>
+            <div class="text-xs text-muted">Degrees clockwise from north, as in photo GPSImgDirection.</div>
+        </div>`;
+}
+
+// Feature label controls — stored on the layer style as style.labels
+function buildLabelSection(layer, current) {
+    const l = { ...DEFAULT_LABEL_SETTINGS, ...(current || {}) };
+    const fields = (layer.schema?.fields || []).filter(f => !f.name.startsWith('_'));
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    return `
+        <div class="style-type-section" id="sty-labels">
+            <h4 class="style-type-header">🏷 Labels</h4>
+            <div class="style-row"><label>Show labels</label>
+                <input type="checkbox" id="sty-lbl-enabled" ${l.enabled ? 'checked' : ''}></div>
+            <div class="style-row"><label>Field</label>
+                <select id="sty-lbl-field" style="flex:1;min-width:0;">
+                    <option value="">— none —</option>
+                    ${fields.map(f => `<option value="${esc(f.name)}" ${f.name === l.field ? 'selected' : ''}>${esc(f.name)}</option>`).join('')}
+                </select></div>
+            <div class="style-row"><label>Template</label>
+                <input type="text" id="sty-lbl-template" value="${esc(l.template)}" placeholder="e.g. {Name} ({Status})" style="flex:1;min-width:0;"></div>
+            <div class="style-row"><label>Min zoom</label>
+                <input type="range" id="sty-lbl-minzoom" min="0" max="20" step="1" value="${l.minZoom}" class="style-range"><span class="style-value" id="sty-lbl-minzoom-val">${l.minZoom}</span></div>
+            <div class="style-row"><label>Font size</label>
+                <input type="range" id="sty-lbl-size" min="8" max="24" step="1" value="${l.fontSize}" class="style-range"><span class="style-value" id="sty-lbl-size-val">${l.fontSize}</span></div>
+            <div class="style-row"><label>Text / halo</label>
+                <input type="color" id="sty-lbl-color" value="${l.color}" class="style-color-input">
+                <input type="color" id="sty-lbl-halo" value="${l.halo}" class="style-color-input"></div>
+            <div class="text-xs text-muted">Template overrides the field. Overlapping labels are hidden.</div>
+        </div>`;
+}
+
+/**
+ * Wire the symbology section. Returns a getter for the pending renderer
+ * (null = single symbol) so Apply can hand it to the map.
+ */
+function bindRendererSection(layer, root) {
+    const byId = (id) => root.getElementById ? root.getElementById(id) : root.querySelector(`#${id}`);
+    const typeSel = byId('sty-r-type');
+    if (!typeSel) return () => null;
+    const features = layer.geojson?.features || [];
+    // Work on a copy so class color edits don't touch the map until Apply
+    const current = mapManager.getLayerRenderer(layer.id);
+    let pending = current ? JSON.parse(JSON.stringify(current)) : null;
+
+    const renderClasses = () => {
+        const el = byId('sty-r-classes');
+        if (!el) return;
+        if (!pending || !pending.classes) {
+            el.innerHTML = pending?.type === 'proportional'
+                ? `<div class="text-xs text-muted">${pending.minValue} → ${pending.maxValue} mapped to size ${pending.minSize}–${pending.maxSize}</div>`
+                : '';
+            return;
+        }
+        el.innerHTML = `<div style="max-height:180px;overflow-y:auto;">${pending.classes.map((c, i) => {
+            const safeLabel = String(c.label).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+            return `
+            <div class="style-row" style="margin-bottom:4px;">
+                <input type="color" class="style-color-input sty-r-class-color" data-idx="${i}" value="${c.color}">
+                <span class="text-xs" style="flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${safeLabel}">${safeLabel}</span>
+                <span class="style-value">${c.count}</span>
+            </div>`;
+        }).join('')}</div>
+            ${pending.truncated ? '<div class="text-xs text-muted">Only the 50 most common values get their own color.</div>' : ''}`;
+        el.querySelectorAll('.sty-r-class-color').forEach(input => {
+            input.addEventListener('input', () => { pending.classes[parseInt(input.dataset.idx)].color = input.value; });
+        });
+    };
+
+    const rebuild = () => {
+        const type = typeSel.value;
+        root.querySelectorAll('#sty-renderer [data-r-for]').forEach(row => {
+            row.classList.toggle('hidden', !row.dataset.rFor.split(' ').includes(type));
+        });
+        const method = byId('sty-r-method').value;
+        byId('sty-r-manual-row').classList.toggle('hidden', !(type === 'classBreaks' && method === 'manual'));
+        try {
+            if (type === 'unique') {
+                const field = byId('sty-r-field-any').value;
+                pending = field ? buildUniqueValueRenderer(features, field, byId('sty-r-palette').value) : null;
+            } else if (type === 'classBreaks') {
+                const field = byId('sty-r-field-num').value;
+                const manualBreaks = byId('sty-r-manual').value.split(',').map(v => parseFloat(v)).filter(v => !isNaN(v));
+                if (method === 'manual' && manualBreaks.length === 0) { pending = null; renderClasses(); return; }
+                pending = field ? buildClassBreakRenderer(features, field, {
+                    method,
+                    classCount: parseInt(byId('sty-r-count').value) || 5,
+                    ramp: byId('sty-r-ramp').value,
+                    manualBreaks
+                }) : null;
+            } else if (type === 'proportional') {
+                const field = byId('sty-r-field-num').value;
+                pending = field ? buildProportionalRenderer(features, field, {
+                    minSize: parseFloat(byId('sty-r-min').value) || 4,
+                    maxSize: parseFloat(byId('sty-r-max').value) || 24
+                }) : null;
+            } else {
+                pending = null;
+            }
+        } catch (e) {
+            pending = null;
+            showToast(e.message, 'warning');
+        }
+        renderClasses();
+    };
+
+    typeSel.addEventListener('change', rebuild);
+    for (const id of ['sty-r-field-any', 'sty-r-field-num', 'sty-r-palette', 'sty-r-ramp', 'sty-r-method', 'sty-r-count', 'sty-r-manual', 'sty-r-min', 'sty-r-max']) {
+        byId(id)?.addEventListener('change', rebuild);
+    }
+    renderClasses();
+
+    return () => {
+        if (typeSel.value !== 'single' && !pending) showToast('Pick a field for the thematic style — using a single symbol', 'warning');
+        return typeSel.value === 'single' ? null : pending;
+    };
+}
+
 function bindStylePanel(layer, root = document) {
     const $ = (sel) => root.querySelector(sel);
     const $$ = (sel) => root.querySelectorAll(sel);
@@ -838,6 +1682,7 @@ function bindStylePanel(layer, root = document) {
 
     const geomTypes = _detectGeomTypes(layer);
     const isMixed = geomTypes.size > 1;
+    const getRenderer = bindRendererSection(layer, root);
 
     // Wire live value previews for all range sliders in the style panel
     const wireRange = (inputId, valId, fmt) => {
@@ -851,6 +1696,48 @@ function bindStylePanel(layer, root = document) {
     const pctFmt = v => Math.round(v * 100) + '%';
     const idFmt = v => v;
 
+    wireRange('sty-d-cluster-radius', 'sty-d-cluster-radius-val', idFmt);
+    wireRange('sty-d-heat-radius', 'sty-d-heat-radius-val', idFmt);
+    wireRange('sty-d-intensity', 'sty-d-intensity-val', idFmt);
+    const modeSel = byId('sty-d-mode');
+    modeSel?.addEventListener('change', () => {
+        $$('#sty-display [data-d-for]').forEach(row => row.classList.toggle('hidden', row.dataset.dFor !== modeSel.value));
+    });
+    const readDisplay = () => modeSel ? {
+        mode: modeSel.value,
+        clusterRadius: parseInt(byId('sty-d-cluster-radius').value),
+        weightField: byId('sty-d-weight').value,
+        heatRadius: parseInt(byId('sty-d-heat-radius').value),
+        intensity: parseFloat(byId('sty-d-intensity').value)
+    } : mapManager.getLayerStyle(layer.id)?.display;
+
+    wireRange('sty-v-angle', 'sty-v-angle-val', idFmt);
+    const readViewCones = () => byId('sty-view') ? {
+        enabled: !!byId('sty-v-enabled').checked,
+        field: byId('sty-v-field').value,
+        angle: parseInt(byId('sty-v-angle').value),
+        length: Math.max(1, parseFloat(byId('sty-v-length').value) || DEFAULT_VIEW_SETTINGS.length),
+        shape: byId('sty-v-shape').value
+    } : mapManager.getLayerStyle(layer.id)?.viewCones;
+    byId('sty-v-create')?.addEventListener('click', () => {
+        const features = buildViewFeatures(layer.geojson?.features || [], { ...readViewCones(), shape: 'cone' });
+        if (!features.length) return showToast('No points with a heading — pick the heading field', 'warning');
+        addResultLayer(createSpatialDataset(`${layer.name}_view_cones`, { type: 'FeatureCollection', features }, { format: 'derived' }));
+        showToast(`Created ${features.length} view cone${features.length === 1 ? '' : 's'}`, 'success');
+    });
+
+    wireRange('sty-lbl-minzoom', 'sty-lbl-minzoom-val', idFmt);
+    wireRange('sty-lbl-size', 'sty-lbl-size-val', idFmt);
+    const readLabels = () => ({
+        enabled: !!byId('sty-lbl-enabled')?.checked,
+        field: byId('sty-lbl-field')?.value || '',
+        template: (byId('sty-lbl-template')?.value || '').trim(),
+        minZoom: parseInt(byId('sty-lbl-minzoom')?.value ?? DEFAULT_LABEL_SETTINGS.minZoom),
+        fontSize: parseInt(byId('sty-lbl-size')?.value ?? DEFAULT_LABEL_SETTINGS.fontSize),
+        color: byId('sty-lbl-color')?.value || DEFAULT_LABEL_SETTINGS.color,
+        halo: byId('sty-lbl-halo')?.value || DEFAULT_LABEL_SETTINGS.halo
+    });
+
     if (isMixed) {
         // Per-type range sliders
         for (const prefix of ['sty-pt', 'sty-ln', 'sty-pg']) {
@@ -909,7 +1796,16 @@ function bindStylePanel(layer, root = document) {
         } else {
             style = readSection('sty');
         }
-        mapManager.restyleLayer(layer.id, layer, style);
+        style.labels = readLabels();
+        style.display = readDisplay();
+        style.viewCones = readViewCones();
+        if (style.viewCones?.enabled && !headingFieldFor(layer.geojson?.features || [], style.viewCones)) {
+            showToast('No points have a heading in that field — view cones stay hidden', 'warning');
+        }
+        if (style.labels.enabled && !style.labels.field && !style.labels.template) {
+            showToast('Pick a label field or template — labels stay hidden until one is set', 'warning');
+        }
+        mapManager.restyleLayer(layer.id, layer, style, getRenderer());
         showToast('Style applied', 'success');
     });
 }
@@ -932,11 +1828,13 @@ function renderDataPrepTools() {
                     <button class="btn btn-sm btn-secondary" onclick="window.app.openTemplateBuilder()">Template</button>
                     <button class="btn btn-sm btn-secondary" onclick="window.app.openReplaceClean()">Replace/Clean</button>
                     <button class="btn btn-sm btn-secondary" onclick="window.app.openTypeConvert()">Type Convert</button>
+                    <button class="btn btn-sm btn-secondary" onclick="window.app.openCalculateField()">Calculate</button>
                     <button class="btn btn-sm ${hasFilter ? 'btn-primary' : 'btn-secondary'}" onclick="window.app.openFilterBuilder()">${hasFilter ? '⚙ Filter ✓' : 'Filter'}</button>
                     <button class="btn btn-sm btn-secondary" onclick="window.app.openDeduplicate()">Dedup</button>
                     <button class="btn btn-sm btn-secondary" onclick="window.app.openJoinTool()">Join</button>
                     <button class="btn btn-sm btn-secondary" onclick="window.app.openValidation()">Validate</button>
                     <button class="btn btn-sm btn-secondary" onclick="window.app.addUID()">Add UID</button>
+                    <button class="btn btn-sm btn-secondary" onclick="window.app.openRecipes()">Recipes</button>
                 </div>
             </div>
         </div>
@@ -950,7 +1848,7 @@ function renderDataPrepTools() {
                 <div style="display:flex; flex-wrap:wrap; gap:4px;">
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openSpatialAnalyzer()">🔎 Find Features in Area</button><span class="geo-tip">Search for features from one layer that fall inside a drawn area or polygon layer.</span></span>
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openBulkUpdate()">✏️ Bulk Update</button><span class="geo-tip">Select multiple features and update their attribute fields in bulk.</span></span>
-                    <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openProximityJoin()">↔️ Proximity Join</button><span class="geo-tip">Copy attributes from the nearest feature in a target layer to each source feature.</span></span>
+                    <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openProximityJoin()">↔️ Proximity Join</button><span class="geo-tip">Copy attributes from the nearest feature in a target layer to each source feature. With a route layer as target it can also write the route ID, milepost measure, offset and side.</span></span>
                 </div>
             </div>
         </div>
@@ -988,11 +1886,18 @@ function renderDataPrepTools() {
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openSector()">🥧 Sector</button><span class="geo-tip">Create a pie-slice shaped area from a center point — useful for coverage areas or viewsheds.</span></span>
                 </div>
 
+                <div style="font-size:10px;font-weight:700;color:var(--text-muted);text-transform:uppercase;margin-bottom:4px;">Editing</div>
+                <div style="display:flex; flex-wrap:wrap; gap:4px; margin-bottom:8px;">
+                    <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openSplitTool()">✂ Split / Cut</button><span class="geo-tip">Draw a line across features to split lines where it crosses them or cut polygons in two. Works on the selection, or every feature the line crosses.</span></span>
+                    <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openMergeFeatures()">⊕ Merge</button><span class="geo-tip">Join two or more selected features into one — like combining adjacent parcels. Pick whose attributes win or how to total them.</span></span>
+                </div>
+
                 <div style="font-size:10px;font-weight:700;color:var(--text-muted);text-transform:uppercase;margin-bottom:4px;">Line Operations</div>
                 <div style="display:flex; flex-wrap:wrap; gap:4px; margin-bottom:8px;">
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openLineSliceAlong()">✂ Slice Along</button><span class="geo-tip">Cut out a section of a line using start and end distances — like "give me the road from mile 2 to mile 5."</span></span>
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openLineSlice()">✂ Slice Pts</button><span class="geo-tip">Click two points on the map to cut out the section of line between them.</span></span>
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openLineIntersect()">✖ Intersect</button><span class="geo-tip">Find all points where two sets of lines cross each other.</span></span>
+                    <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openLocateEvents()">🛣 Route Events</button><span class="geo-tip">Place points or segments on routes from route ID + milepost rows — like mapping crash reports from a spreadsheet.</span></span>
                     <span class="geo-tool-btn"><button class="btn btn-sm btn-secondary" onclick="window.app.openKinks()">⚠ Kinks</button><span class="geo-tip">Find self-intersections — spots where a line or polygon edge crosses over itself (geometry errors).</span></span>
                 </div>
 
@@ -1086,6 +1991,7 @@ function setupMobileFlyoutMenus() {
             case 'draw': createDrawLayer(); break;
             case 'fence': startImportFence(); break;
             case 'location': mobileAddCurrentLocation(); break;
+            case 'track': startGpsTracking(); break;
         }
     });
 }
@@ -1164,10 +2070,13 @@ function mobileShowToolsModal() {
         { label: '〰️ Simplify', action: 'openSimplify' },
         { label: '🌊 Spline', action: 'openBezierSpline' },
         { label: '🔵 Smooth', action: 'openPolygonSmooth' },
+        { label: '✂ Split / Cut', action: 'openSplitTool' },
+        { label: '⊕ Merge', action: 'openMergeFeatures' },
         { label: '🔶 Union', action: 'openUnion' },
         { label: '🫧 Dissolve', action: 'openDissolve' },
         { label: '🔗 Combine', action: 'openCombine' },
         { label: '⚠ Kinks', action: 'openKinks' },
+        { label: '🛣 Route Events', action: 'openLocateEvents' },
         { label: '📊 NN Analysis', action: 'openNearestNeighborAnalysis' },
     ];
     const html = `
@@ -1338,6 +2247,7 @@ function mobileShowFieldsModal() {
             <button class="btn btn-sm btn-secondary" id="mob-fields-all">Select All</button>
             <button class="btn btn-sm btn-secondary" id="mob-fields-none">Select None</button>
             <button class="btn btn-sm btn-primary" id="mob-fields-add">+ Add Field</button>
+            ${layer.type === 'spatial' ? '<button class="btn btn-sm btn-secondary" id="mob-fields-form">📝 Form</button>' : ''}
         </div>
         <div style="max-height:55vh;overflow-y:auto;border:1px solid var(--border);border-radius:var(--radius-sm);">
             ${fieldRows || '<div style="padding:12px;color:var(--text-muted);font-size:13px;">No fields in this layer.</div>'}
@@ -1367,6 +2277,10 @@ function mobileShowFieldsModal() {
                 close();
                 addField();
             });
+            overlay.querySelector('#mob-fields-form')?.addEventListener('click', () => {
+                close();
+                openFormDesigner();
+            });
         }
     });
 }
@@ -1401,11 +2315,13 @@ function mobileShowDataToolsModal() {
         { label: 'Template', action: 'openTemplateBuilder' },
         { label: 'Replace/Clean', action: 'openReplaceClean' },
         { label: 'Type Convert', action: 'openTypeConvert' },
+        { label: 'Calculate', action: 'openCalculateField' },
         { label: 'Filter', action: 'openFilterBuilder' },
         { label: 'Dedup', action: 'openDeduplicate' },
         { label: 'Join', action: 'openJoinTool' },
         { label: 'Validate', action: 'openValidation' },
         { label: 'Add UID', action: 'addUID' },
+        { label: 'Recipes', action: 'openRecipes' },
     ];
     const html = `<div style="display:flex;flex-wrap:wrap;gap:8px;">
         ${items.map(i => `<button class="btn btn-secondary" style="flex:1 1 calc(50% - 4px);min-height:48px;" data-action="${i.action}">${i.label}</button>`).join('')}
@@ -1554,19 +2470,20 @@ function _addSearchPointToLayer(layer, info) {
         }
     };
 
-    saveSnapshot(layer.id, 'Add search point', layer.geojson);
-    layer.geojson.features.push(feature);
+    _collectNewFeature(layer, feature, () => {
+        recordEdit(layer, 'Add search point', () => layer.geojson.features.push(feature));
 
-    import('./core/data-model.js').then(dm => {
-        layer.schema = dm.analyzeSchema(layer.geojson);
-        bus.emit('layer:updated', layer);
-        bus.emit('layers:changed', getLayers());
-        mapManager.addLayer(layer, getLayers().indexOf(layer));
-        refreshUI();
-    });
+        import('./core/data-model.js').then(dm => {
+            layer.schema = dm.analyzeSchema(layer.geojson);
+            bus.emit('layer:updated', layer);
+            bus.emit('layers:changed', getLayers());
+            mapManager.addLayer(layer, getLayers().indexOf(layer));
+            refreshUI();
+        });
 
-    mapManager._clearSearchMarker();
-    showToast(`Point added to "${layer.name}"`, 'success');
+        mapManager._clearSearchMarker();
+        showToast(`Point added to "${layer.name}"`, 'success');
+    });
 }
 
 function _coordSearchClear() {
@@ -1634,34 +2551,260 @@ function mobileAddCurrentLocation() {
                 }
             };
 
-            saveSnapshot(layer.id, 'Add current location', layer.geojson);
-            layer.geojson.features.push(feature);
+            // Pan map to location
+            mapManager.map?.setView([lat, lng], Math.max(mapManager.map.getZoom(), 15));
+
+            _collectNewFeature(layer, feature, () => {
+                recordEdit(layer, 'Add current location', () => layer.geojson.features.push(feature));
+
+                import('./core/data-model.js').then(dm => {
+                    layer.schema = dm.analyzeSchema(layer.geojson);
+                    bus.emit('layer:updated', layer);
+                    bus.emit('layers:changed', getLayers());
+                    mapManager.addLayer(layer, getLayers().indexOf(layer));
+                    refreshUI();
+                });
+
+                showToast(`📍 Location added (±${Math.round(accuracy)}m)`, 'success');
+            }, { accuracy });
+        },
+        (error) => {
+            let msg = 'Could not get location';
+            if (error.code === 1) msg = 'Location permission denied';
+            else if (error.code === 2) msg = 'Location unavailable';
+            else if (error.code === 3) msg = 'Location request timed out';
+            showToast(msg, 'error');
+        },
+        {
+            enableHighAccuracy: true,
+            timeout: 15000,
+            maximumAge: 0
+        }
+    );
+}
+
+// ============================
+// GPS tracking — record a walked or driven path (map/gps-tracker.js)
+// ============================
+// The track is one line feature, inserted as a single undo step once it has two
+// points and then grown in place; each point is auto-saved so a crash keeps the
+// track. gps_status stays 'recording' until Stop, which is how an interrupted
+// track is found again on restore.
+
+// How often a track layer that can't be redrawn in place is rebuilt while recording
+const GPS_REDRAW_MS = 10000;
+let _gpsTrack = null;          // { layerId, feature, segments: [[[lng, lat]…]…] } while tracking
+let _gpsTrackOptions = { ...DEFAULT_TRACK_OPTIONS };
+
+function startGpsTracking() {
+    if (gpsTracker.isActive) return showToast('GPS tracking is already running', 'info');
+    if (!navigator.geolocation) return showToast('Geolocation not supported on this device', 'error');
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const lineLayers = getLayers().filter(l => {
+        if (l.type !== 'spatial') return false;
+        const types = _detectGeomTypes(l);
+        return types.size === 0 || (types.size === 1 && types.has('line'));
+    });
+    const active = getActiveLayer();
+    const o = _gpsTrackOptions;
+
+    const html = `
+        <div class="form-group"><label>Record into</label>
+            <select id="gps-layer">
+                <option value="">New track layer</option>
+                ${lineLayers.map(l => `<option value="${esc(l.id)}" ${l.id === active?.id ? 'selected' : ''}>${esc(l.name)}</option>`).join('')}
+            </select></div>
+        <div class="form-group"><label>Track name</label>
+            <input type="text" id="gps-name" value="Track ${esc(new Date().toLocaleString())}"></div>
+        <div class="form-group"><label>Record a point every</label>
+            <div style="display:flex;gap:6px;">
+                <input type="number" id="gps-interval" min="1" step="1" value="${o.interval}" style="width:90px;">
+                <select id="gps-interval-mode">
+                    <option value="distance" ${o.intervalMode === 'distance' ? 'selected' : ''}>metres moved</option>
+                    <option value="time" ${o.intervalMode === 'time' ? 'selected' : ''}>seconds</option>
+                </select>
+            </div></div>
+        <div class="form-group"><label>Skip positions less accurate than (m)</label>
+            <input type="number" id="gps-accuracy" min="1" step="1" value="${o.maxAccuracy}" style="width:90px;"></div>
+        <label class="checkbox-row"><input type="checkbox" id="gps-follow" ${o.follow ? 'checked' : ''}> Keep the map centred on my position</label>
+        <div class="text-xs text-muted" style="margin-top:8px;">Keep this page open while tracking — browsers stop reporting the position to pages in the background. The track is saved as it grows.</div>`;
+
+    showModal('GPS Track', html, {
+        width: '400px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">▶ Start</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const num = (id, fallback) => {
+                    const v = parseFloat(overlay.querySelector(id).value);
+                    return Number.isFinite(v) && v > 0 ? v : fallback;
+                };
+                _gpsTrackOptions = {
+                    intervalMode: overlay.querySelector('#gps-interval-mode').value,
+                    interval: num('#gps-interval', DEFAULT_TRACK_OPTIONS.interval),
+                    maxAccuracy: num('#gps-accuracy', DEFAULT_TRACK_OPTIONS.maxAccuracy),
+                    follow: overlay.querySelector('#gps-follow').checked
+                };
+                const layerId = overlay.querySelector('#gps-layer').value;
+                const name = overlay.querySelector('#gps-name').value.trim() || 'GPS track';
+                close();
+
+                let layer = layerId ? getLayers().find(l => l.id === layerId) : null;
+                if (!layer) {
+                    layer = createSpatialDataset('GPS Tracks', { type: 'FeatureCollection', features: [] }, { format: 'draw' });
+                    layer._isDrawLayer = true;
+                    addLayer(layer);
+                    mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+                }
+                setActiveLayer(layer.id);
+                refreshUI();
+                _gpsTrack = { layerId: layer.id, feature: null, name, segments: [], times: [] };
+                _startGpsTracker(layer);
+            };
+        }
+    });
+}
+
+/** Continue a track left 'recording' by an interrupted session */
+function resumeGpsTrack(layerId) {
+    if (gpsTracker.isActive) return showToast('GPS tracking is already running', 'info');
+    const layer = getLayers().find(l => l.id === layerId);
+    const feature = layer?.geojson?.features?.find(f => f?.properties?.gps_status === 'recording');
+    if (!feature) return showToast('That track is no longer in the layer', 'warning');
+    const g = feature.geometry;
+    const segments = g?.type === 'LineString' ? [g.coordinates.slice()]
+        : g?.type === 'MultiLineString' ? g.coordinates.map(c => c.slice()) : [];
+    // _coordTimes is flat for a LineString, nested for a MultiLineString
+    const saved = feature.properties._coordTimes;
+    const nested = g?.type === 'LineString' ? [saved] : (saved || []);
+    const times = segments.map((s, i) => s.map((_, j) => (Array.isArray(nested[i]) ? nested[i][j] ?? null : null)));
+    _gpsTrack = { layerId, feature, name: feature.properties.name, segments, times };
+    setActiveLayer(layerId);
+    refreshUI();
+    _startGpsTracker(layer, {
+        newSegment: true,
+        stats: { points: feature.properties.point_count || 0, length: feature.properties.length_m || 0 }
+    });
+}
+
+/** Mark an interrupted track as finished without continuing it */
+function finishGpsTrack(layerId) {
+    const layer = getLayers().find(l => l.id === layerId);
+    const feature = layer?.geojson?.features?.find(f => f?.properties?.gps_status === 'recording');
+    if (!feature) return;
+    const i = layer.geojson.features.indexOf(feature);
+    recordEdit(layer, 'Finish GPS track', () => { feature.properties.gps_status = 'complete'; }, { indices: [i] });
+    bus.emit('layer:updated', layer);
+    bus.emit('layers:changed', getLayers());
+    showToast(`Track saved in ${layer.name.replace(/&/g, '&amp;').replace(/</g, '&lt;')}`, 'success');
+}
 
-            import('./core/data-model.js').then(dm => {
-                layer.schema = dm.analyzeSchema(layer.geojson);
-                bus.emit('layer:updated', layer);
-                bus.emit('layers:changed', getLayers());
-                mapManager.addLayer(layer, getLayers().indexOf(layer));
-                refreshUI();
-            });
+function _startGpsTracker(layer, extra = {}) {
+    const safeName = layer.name.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    if (!gpsTracker.start({ ..._gpsTrackOptions, ...extra, title: `Track: <strong>${safeName}</strong>` })) _gpsTrack = null;
+}
 
-            // Pan map to location
-            mapManager.map?.setView([lat, lng], Math.max(mapManager.map.getZoom(), 15));
-            showToast(`📍 Location added (±${Math.round(accuracy)}m)`, 'success');
-        },
-        (error) => {
-            let msg = 'Could not get location';
-            if (error.code === 1) msg = 'Location permission denied';
-            else if (error.code === 2) msg = 'Location unavailable';
-            else if (error.code === 3) msg = 'Location request timed out';
-            showToast(msg, 'error');
-        },
-        {
-            enableHighAccuracy: true,
-            timeout: 15000,
-            maximumAge: 0
+// Line geometry from the segments with at least two points, or null
+function _gpsTrackGeometry(segments) {
+    const lines = segments.filter(s => s.length >= 2);
+    if (!lines.length) return null;
+    return lines.length === 1
+        ? { type: 'LineString', coordinates: lines[0].slice() }
+        : { type: 'MultiLineString', coordinates: lines.map(s => s.slice()) };
+}
+
+// Per-vertex timestamps matching _gpsTrackGeometry, nested like the GPX importer's _coordTimes
+function _gpsTrackTimes(segments, times) {
+    const kept = times.filter((_, i) => segments[i].length >= 2);
+    return kept.length === 1 ? kept[0].slice() : kept.map(t => t.slice());
+}
+
+function _onGpsPoint({ coord, time, newSegment, stats }) {
+    const t = _gpsTrack;
+    if (!t) return;
+    const layer = getLayers().find(l => l.id === t.layerId);
+    if (!layer) {
+        gpsTracker.stop();
+        return showToast('The track layer was removed — GPS tracking stopped', 'warning');
+    }
+    if (t.feature && !layer.geojson.features.includes(t.feature)) {
+        gpsTracker.stop();
+        return showToast('The track was removed from the layer — GPS tracking stopped', 'warning');
+    }
+
+    const stamp = new Date(time).toISOString();
+    if (newSegment || !t.segments.length) {
+        t.segments.push([]);
+        t.times.push([]);
+    }
+    t.segments[t.segments.length - 1].push(coord);
+    t.times[t.times.length - 1].push(stamp);
+    const geometry = _gpsTrackGeometry(t.segments);
+    if (!geometry) return;
+
+    if (!t.startTime) t.startTime = stamp;
+    const properties = {
+        point_count: t.segments.reduce((n, s) => n + s.length, 0),
+        length_m: Math.round(stats.length * 10) / 10,
+        end_time: stamp,
+        _coordTimes: _gpsTrackTimes(t.segments, t.times)
+    };
+    if (!t.feature) {
+        // First line of the track: one undo step; later points grow it in place
+        t.feature = {
+            type: 'Feature',
+            properties: { name: t.name, gps_status: 'recording', start_time: t.startTime, ...properties },
+            geometry
+        };
+        recordEdit(layer, 'Record GPS track', () => layer.geojson.features.push(t.feature));
+        layer.schema = analyzeSchema(layer.geojson);
+        bus.emit('layer:updated', layer);
+        bus.emit('layers:changed', getLayers());
+        mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+        refreshUI();
+    } else {
+        // New geometry object each time — the session store spots changed geometries by identity
+        t.feature.geometry = geometry;
+        Object.assign(t.feature.properties, properties);
+        sessionStore.scheduleSave(getLayers());
+        // Only the track's line is redrawn; the whole layer re-renders when tracking stops.
+        // Canvas-drawn layers have no line to update, so they are rebuilt now and then instead.
+        if (!mapManager.updateLineGeometry(layer.id, t.feature) && Date.now() - (t.redrawn || 0) > GPS_REDRAW_MS) {
+            t.redrawn = Date.now();
+            mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
         }
-    );
+    }
+}
+
+function _onGpsStopped() {
+    const t = _gpsTrack;
+    _gpsTrack = null;
+    if (!t) return;
+    const layer = getLayers().find(l => l.id === t.layerId);
+    if (!t.feature || !layer?.geojson?.features?.includes(t.feature)) {
+        if (!t.feature) showToast('GPS tracking stopped — too few points were recorded for a line', 'warning');
+        return;
+    }
+    t.feature.properties.gps_status = 'complete';
+    layer.schema = analyzeSchema(layer.geojson);
+    bus.emit('layer:updated', layer);
+    bus.emit('layers:changed', getLayers());
+    mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+    refreshUI();
+    const len = t.feature.properties.length_m;
+    showToast(`Track saved — ${len >= 1000 ? `${(len / 1000).toFixed(2)} km` : `${Math.round(len)} m`}, ${t.feature.properties.point_count} points`, 'success');
+}
+
+// After a restore: offer to continue tracks that were still recording
+function _checkInterruptedGpsTracks() {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const layer = getLayers().find(l => l.type === 'spatial' &&
+        l.geojson?.features?.some(f => f?.properties?.gps_status === 'recording'));
+    if (!layer) return;
+    const id = esc(JSON.stringify(layer.id));
+    showToast(`A GPS track in <strong>${esc(layer.name)}</strong> was still recording when the app closed.
+        <a href="#" onclick="window.app.resumeGpsTrack(${id});return false;">Continue it</a> ·
+        <a href="#" onclick="window.app.finishGpsTrack(${id});return false;">Keep as is</a>`, 'info', { duration: 15000 });
 }
 
 // ============================
@@ -1694,6 +2837,7 @@ function renderMobileDataPanel() {
     const el = document.getElementById('mobile-data');
     if (!el) return;
     const layers = getLayers();
+    const hasPeers = tabSync.getPeers().length > 0;
     const layer = getActiveLayer();
 
     let html = `<h3>Layers</h3>`;
@@ -1725,13 +2869,14 @@ function renderMobileDataPanel() {
                         </div>
                     </div>
                     <div class="layer-bottom-row">
-                        <div class="layer-meta">${count} · ${l.schema?.fields?.length || 0} fields ${geomBadge}</div>
+                        <div class="layer-meta">${count} · ${l.schema?.fields?.length || 0} fields ${geomBadge}${l.autoSave === false ? ' <span class="badge badge-warning" title="Left out of auto-save — see Storage">not saved</span>' : ''}</div>
                         <div class="layer-actions">
                             <button class="btn-icon" title="Rename" onclick="event.stopPropagation(); window.app.renameLayer('${l.id}')">✏️</button>
                             <button class="btn-icon" title="Toggle visibility" onclick="event.stopPropagation(); window.app.toggleVisibility('${l.id}')">
                                 ${l.visible !== false ? '👁️' : '👁️‍🗨️'}
                             </button>
                             <button class="btn-icon" title="Zoom to layer" onclick="event.stopPropagation(); window.app.zoomToLayer('${l.id}')">🔍</button>
+                            ${hasPeers ? `<button class="btn-icon" title="Send to another tab" onclick="event.stopPropagation(); window.app.sendLayerToTab('${l.id}')">📤</button>` : ''}
                             <button class="btn-icon" title="Remove" onclick="event.stopPropagation(); window.app.removeLayer('${l.id}')">🗑️</button>
                         </div>
                     </div>
@@ -1775,11 +2920,13 @@ function renderMobilePrepPanel() {
             <button class="btn btn-secondary btn-sm" onclick="window.app.openTemplateBuilder()">Template</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openReplaceClean()">Replace/Clean</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openTypeConvert()">Type Convert</button>
+            <button class="btn btn-secondary btn-sm" onclick="window.app.openCalculateField()">Calculate</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openFilterBuilder()">Filter</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openDeduplicate()">Dedup</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openJoinTool()">Join</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openValidation()">Validate</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.addUID()">Add UID</button>
+            <button class="btn btn-secondary btn-sm" onclick="window.app.openRecipes()">Recipes</button>
         </div>`;
 }
 
@@ -1814,10 +2961,13 @@ function renderMobileToolsPanel() {
             <button class="btn btn-secondary btn-sm" onclick="window.app.openSimplify()">〰️ Simplify</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openBezierSpline()">🌊 Spline</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openPolygonSmooth()">🔵 Smooth</button>
+            <button class="btn btn-secondary btn-sm" onclick="window.app.openSplitTool()">✂ Split / Cut</button>
+            <button class="btn btn-secondary btn-sm" onclick="window.app.openMergeFeatures()">⊕ Merge</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openUnion()">🔶 Union</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openDissolve()">🫧 Dissolve</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openCombine()">🔗 Combine</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openKinks()">⚠ Kinks</button>
+            <button class="btn btn-secondary btn-sm" onclick="window.app.openLocateEvents()">🛣 Route Events</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openNearestNeighborAnalysis()">📊 NN Analysis</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openPhotoMapper()">📷 Photo Map</button>
             <button class="btn btn-secondary btn-sm" onclick="window.app.openArcGISImporter()">🌐 ArcGIS REST</button>
@@ -1901,13 +3051,18 @@ function getFieldNames() {
     return (layer?.schema?.fields || []).map(f => f.name);
 }
 
-function applyTransform(name, newFeatures) {
+/**
+ * Replace the active layer's data with a transform result (undoable).
+ * @param {Object|Object[]} [steps] - recipe step(s) { op, params, replacePrevious? } to record for this operation
+ */
+function applyTransform(name, newFeatures, steps) {
     const layer = getActiveLayer();
     if (!layer) return;
-    // Save snapshot before transform
+    let entry = null;
     if (layer.type === 'spatial') {
-        saveSnapshot(layer.id, name, layer.geojson);
-        layer.geojson = { type: 'FeatureCollection', features: newFeatures };
+        entry = recordEdit(layer, name, () => {
+            layer.geojson = { type: 'FeatureCollection', features: newFeatures };
+        });
         import('./core/data-model.js').then(dm => {
             layer.schema = dm.analyzeSchema(layer.geojson);
             bus.emit('layer:updated', layer);
@@ -1916,8 +3071,10 @@ function applyTransform(name, newFeatures) {
             refreshUI();
         });
     } else if (layer.type === 'table') {
-        saveSnapshot(layer.id, name, layer.rows);
-        layer.rows = newFeatures.map(f => f.properties ? { ...f.properties } : f);
+        // Rows pass through untouched transforms as the same objects, so history can match them
+        entry = recordEdit(layer, name, () => {
+            layer.rows = newFeatures.map(f => f.properties || f);
+        });
         import('./core/data-model.js').then(dm => {
             layer.schema = dm.analyzeTableSchema(layer.rows, Object.keys(layer.rows[0] || {}));
             bus.emit('layer:updated', layer);
@@ -1925,6 +3082,9 @@ function applyTransform(name, newFeatures) {
             refreshUI();
         });
     }
+    for (const step of [].concat(steps || [])) {
+        recipes.recordStep(layer.id, step.op, step.params, { replacePrevious: step.replacePrevious, historyId: entry?.id });
+    }
     showToast(`Applied: ${name}`, 'success');
 }
 
@@ -1955,12 +3115,14 @@ async function openSplitColumn() {
                 let delim = overlay.querySelector('#sc-delim').value;
                 if (delim === 'custom') delim = overlay.querySelector('#sc-custom').value || ',';
                 const field = overlay.querySelector('#sc-field').value;
-                const result = transforms.splitColumn(getFeatures(), field, {
+                const params = {
+                    field,
                     delimiter: delim,
                     trim: overlay.querySelector('#sc-trim').checked,
                     maxParts: parseInt(overlay.querySelector('#sc-max').value) || 0
-                });
-                applyTransform(`Split: ${field}`, result);
+                };
+                const result = transforms.splitColumn(getFeatures(), field, params);
+                applyTransform(`Split: ${field}`, result, { op: 'split', params });
                 close();
             };
         }
@@ -1990,12 +3152,13 @@ async function openCombineColumns() {
             overlay.querySelector('.apply-btn').onclick = () => {
                 const selected = Array.from(overlay.querySelectorAll('#cc-fields-list input[type=checkbox]:checked')).map(el => el.value).filter(Boolean);
                 if (selected.length === 0) return showToast('Select at least one field', 'warning');
-                const result = transforms.combineColumns(getFeatures(), selected, {
+                const opts = {
                     delimiter: overlay.querySelector('#cc-delim').value,
                     outputField: overlay.querySelector('#cc-output').value || 'combined',
                     skipBlanks: overlay.querySelector('#cc-skip').checked
-                });
-                applyTransform('Combine columns', result);
+                };
+                const result = transforms.combineColumns(getFeatures(), selected, opts);
+                applyTransform('Combine columns', result, { op: 'combine', params: { fields: selected, ...opts } });
                 close();
             };
         }
@@ -2074,7 +3237,7 @@ async function openTemplateBuilder() {
                     collapseSeparators: overlay.querySelector('#tb-collsep').checked
                 };
                 const result = applyTemplate(features, template, outputField, opts);
-                applyTransform(`Template: ${outputField}`, result);
+                applyTransform(`Template: ${outputField}`, result, { op: 'template', params: { template, outputField, options: opts } });
                 close();
             };
 
@@ -2105,14 +3268,16 @@ async function openReplaceClean() {
         onMount: (overlay, close) => {
             overlay.querySelector('.cancel-btn').onclick = () => close();
             overlay.querySelector('.apply-btn').onclick = () => {
-                const result = transforms.replaceText(getFeatures(), overlay.querySelector('#rc-field').value, {
+                const field = overlay.querySelector('#rc-field').value;
+                const opts = {
                     find: overlay.querySelector('#rc-find').value,
                     replace: overlay.querySelector('#rc-replace').value,
                     trimWhitespace: overlay.querySelector('#rc-trim').checked,
                     collapseSpaces: overlay.querySelector('#rc-collapse').checked,
                     caseTransform: overlay.querySelector('#rc-case').value || null
-                });
-                applyTransform('Replace/Clean', result);
+                };
+                const result = transforms.replaceText(getFeatures(), field, opts);
+                applyTransform('Replace/Clean', result, { op: 'replace', params: { field, ...opts } });
                 close();
             };
         }
@@ -2133,12 +3298,10 @@ async function openTypeConvert() {
         onMount: (overlay, close) => {
             overlay.querySelector('.cancel-btn').onclick = () => close();
             overlay.querySelector('.apply-btn').onclick = () => {
-                const { features: result, failures } = transforms.typeConvert(
-                    getFeatures(),
-                    overlay.querySelector('#tc-field').value,
-                    overlay.querySelector('#tc-type').value
-                );
-                applyTransform('Type Convert', result);
+                const field = overlay.querySelector('#tc-field').value;
+                const type = overlay.querySelector('#tc-type').value;
+                const { features: result, failures } = transforms.typeConvert(getFeatures(), field, type);
+                applyTransform('Type Convert', result, { op: 'typeConvert', params: { field, type } });
                 if (failures > 0) showToast(`${failures} values could not be converted`, 'warning');
                 close();
             };
@@ -2146,6 +3309,106 @@ async function openTypeConvert() {
     });
 }
 
+// Calculate Field (expression language in dataprep/expressions.js)
+async function openCalculateField() {
+    const layer = getActiveLayer();
+    if (!layer) return showToast('No active layer', 'warning');
+    const fields = getFieldNames();
+    const features = getFeatures();
+    const isSpatial = layer.type === 'spatial';
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const geomVars = Object.entries(GEOMETRY_VARIABLES).filter(([k]) => isSpatial || k === '$rownum');
+
+    const html = `
+        <div class="form-group"><label>Output field (new or existing)</label>
+            <input type="text" id="cf-output" list="cf-output-list" value="calc_result">
+            <datalist id="cf-output-list">${fields.map(f => `<option value="${esc(f)}">`).join('')}</datalist></div>
+        <div class="form-group"><label>Output type</label>
+            <select id="cf-type"><option value="auto">Automatic</option><option value="number">Number</option><option value="string">Text</option><option value="boolean">Boolean</option><option value="date">Date (ISO)</option></select></div>
+        <div class="form-group"><label>Expression</label>
+            <textarea id="cf-expr" rows="3" class="text-mono" placeholder="e.g. IF([Status] = 'Open', ROUND($area / 4046.86, 2), NULL)"></textarea></div>
+        <div class="form-group"><label>Insert</label>
+            <div class="input-with-btn">
+                <select id="cf-insert-select">
+                    <optgroup label="Fields">${fields.map(f => `<option value="[${esc(f)}]">${esc(f)}</option>`).join('')}</optgroup>
+                    <optgroup label="Geometry">${geomVars.map(([k, d]) => `<option value="${k}" title="${esc(d)}">${k} — ${esc(d)}</option>`).join('')}</optgroup>
+                    <optgroup label="Functions">${Object.entries(EXPRESSION_FUNCTIONS).map(([k, def]) => `<option value="${k}()" title="${esc(def[3])}">${k} — ${esc(def[3])}</option>`).join('')}</optgroup>
+                </select>
+                <button class="btn btn-sm btn-secondary" id="cf-insert">Insert</button>
+            </div></div>
+        <div class="text-xs text-muted">Fields: Name or [Field Name]. Text in 'quotes'. Operators: + - * / % ^, = != &lt; &gt;, AND OR NOT, || joins text. CASE WHEN … THEN … ELSE … END. $area in m², $length in m.</div>
+        <div id="cf-errors" class="text-sm" style="color:var(--error);margin-top:6px;"></div>
+        <div class="divider"></div>
+        <div><strong>Live Preview:</strong></div>
+        <div id="cf-preview" class="text-sm text-mono" style="background:var(--bg); padding:8px; border-radius:4px; max-height:120px; overflow-y:auto; margin-top:6px;"></div>`;
+
+    showModal('Calculate Field', html, {
+        width: '650px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Apply</button>',
+        onMount: (overlay, close) => {
+            const textarea = overlay.querySelector('#cf-expr');
+            const errorsEl = overlay.querySelector('#cf-errors');
+            const previewEl = overlay.querySelector('#cf-preview');
+            const typeSel = overlay.querySelector('#cf-type');
+
+            const check = () => validateExpression(textarea.value, layer.schema?.fields || [], { hasGeometry: isSpatial });
+
+            const updatePreview = () => {
+                if (!textarea.value.trim()) {
+                    errorsEl.textContent = '';
+                    previewEl.textContent = '(enter an expression above)';
+                    return;
+                }
+                const result = check();
+                errorsEl.innerHTML = result.errors.map(e => `<div>⚠ ${esc(e)}</div>`).join('');
+                if (!result.valid) { previewEl.textContent = ''; return; }
+                const rows = previewExpression(features, textarea.value, { outputType: typeSel.value });
+                previewEl.innerHTML = rows.map((r, i) => `<div>${i + 1}: ${r.error
+                    ? `<span style="color:var(--error);">${esc(r.error)}</span>`
+                    : r.value == null || r.value === '' ? '<em>null</em>' : esc(r.value)}</div>`).join('');
+            };
+
+            textarea.addEventListener('input', updatePreview);
+            typeSel.addEventListener('change', updatePreview);
+
+            overlay.querySelector('#cf-insert').onclick = () => {
+                const token = overlay.querySelector('#cf-insert-select').value;
+                const pos = textarea.selectionStart;
+                textarea.value = textarea.value.slice(0, pos) + token + textarea.value.slice(pos);
+                // Leave the cursor inside the parentheses of an inserted function
+                const caret = pos + token.length - (token.endsWith('()') ? 1 : 0);
+                textarea.focus();
+                textarea.setSelectionRange(caret, caret);
+                updatePreview();
+            };
+
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const expression = textarea.value;
+                const outputField = overlay.querySelector('#cf-output').value.trim();
+                if (!expression.trim()) return showToast('Enter an expression', 'warning');
+                if (!outputField) return showToast('Enter an output field name', 'warning');
+                const result = check();
+                if (!result.valid) return showToast(result.errors[0], 'error');
+                try {
+                    const { features: out, failures } = transforms.calculateField(features, expression, outputField, {
+                        outputType: typeSel.value
+                    });
+                    applyTransform(`Calculate: ${outputField}`, out, {
+                        op: 'calculate', params: { expression, outputField, outputType: typeSel.value }
+                    });
+                    if (failures > 0) showToast(`${failures} row(s) could not be calculated and were set to null`, 'warning');
+                    close();
+                } catch (e) {
+                    showErrorToast(handleError(e, 'DataPrep', 'Calculate field'));
+                }
+            };
+
+            updatePreview();
+        }
+    });
+}
+
 // Filter Builder
 async function openFilterBuilder(targetLayerId) {
     // If called with a specific layer, switch to it first
@@ -2202,10 +3465,12 @@ async function openFilterBuilder(targetLayerId) {
             if (removeFilterBtn) {
                 removeFilterBtn.onclick = () => {
                     if (layer._preFilterSnapshot) {
-                        saveSnapshot(layer.id, 'Remove Filter', layer.geojson);
-                        layer.geojson = JSON.parse(JSON.stringify(layer._preFilterSnapshot));
+                        recordEdit(layer, 'Remove Filter', () => {
+                            layer.geojson = JSON.parse(JSON.stringify(layer._preFilterSnapshot));
+                        });
                         delete layer._activeFilter;
                         delete layer._preFilterSnapshot;
+                        recipes.forgetStep(layer.id, 'filter');
                         import('./core/data-model.js').then(dm => {
                             layer.schema = dm.analyzeSchema(layer.geojson);
                             bus.emit('layer:updated', layer);
@@ -2235,13 +3500,16 @@ async function openFilterBuilder(targetLayerId) {
                     : getFeatures();
 
                 // Store pre-filter snapshot only on first filter
-                if (!layer._preFilterSnapshot) {
+                const refilter = !!layer._preFilterSnapshot;
+                if (!refilter) {
                     layer._preFilterSnapshot = JSON.parse(JSON.stringify(layer.geojson));
                 }
 
                 const result = transforms.applyFilters(sourceFeatures, rules, logic);
                 layer._activeFilter = { rules, logic };
-                applyTransform(`Filter (${result.length} results)`, result);
+                applyTransform(`Filter (${result.length} results)`, result, {
+                    op: 'filter', params: { rules, logic }, replacePrevious: refilter
+                });
                 close();
             };
         }
@@ -2266,10 +3534,9 @@ async function openDeduplicate() {
             overlay.querySelector('.apply-btn').onclick = () => {
                 const keyFields = Array.from(overlay.querySelectorAll('input[type=checkbox]:checked')).map(el => el.value);
                 if (keyFields.length === 0) return showToast('Select at least one key field', 'warning');
-                const { features: result, removed } = transforms.deduplicate(
-                    getFeatures(), keyFields, overlay.querySelector('#dd-keep').value
-                );
-                applyTransform(`Deduplicate (${removed} removed)`, result);
+                const keep = overlay.querySelector('#dd-keep').value;
+                const { features: result, removed } = transforms.deduplicate(getFeatures(), keyFields, keep);
+                applyTransform(`Deduplicate (${removed} removed)`, result, { op: 'dedupe', params: { keyFields, keep } });
                 close();
             };
         }
@@ -2398,7 +3665,258 @@ function addUID() {
     const layer = getActiveLayer();
     if (!layer) return showToast('No active layer', 'warning');
     const result = transforms.addUniqueId(getFeatures(), 'uid', 'uuid');
-    applyTransform('Add UID', result);
+    applyTransform('Add UID', result, { op: 'addUid', params: { field: 'uid', method: 'uuid' } });
+}
+
+// Recipes — recorded Data Prep steps, saved and replayed (dataprep/recipes.js)
+async function openRecipes() {
+    const layer = getActiveLayer();
+    if (!layer) return showToast('No active layer', 'warning');
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const recorded = recipes.getRecordedSteps(layer.id);
+    let saved = [];
+    try {
+        saved = await sessionStore.listRecipes();
+    } catch (e) {
+        showErrorToast(handleError(e, 'Recipes', 'Load recipes'));
+    }
+
+    const stepList = (steps) => steps.map((s, i) =>
+        `<div class="recipe-step"><span class="text-muted">${i + 1}.</span> <div><strong>${esc(recipes.stepLabel(s))}</strong>
+            <div class="text-xs text-muted">${esc(recipes.describeStep(s))}</div></div></div>`).join('');
+
+    const html = `
+        <div class="form-group"><label>Recorded on ${esc(layer.name)}</label>
+            <div class="recipe-steps">${recorded.length
+                ? stepList(recorded)
+                : '<div class="text-sm text-muted">No steps yet — Data Prep tools you apply to this layer are recorded here (Join and Validate are not).</div>'}</div>
+            <div class="input-with-btn" style="margin-top:6px;">
+                <input type="text" id="rcp-name" placeholder="Recipe name" ${recorded.length ? '' : 'disabled'}>
+                <button class="btn btn-sm btn-primary" id="rcp-save-recorded" ${recorded.length ? '' : 'disabled'}>Save as recipe</button>
+            </div></div>
+        <div class="divider"></div>
+        <div class="form-group"><label>Saved recipes</label>
+            <div id="rcp-list">${saved.length ? saved.map(r => `
+                <div class="recipe-row" data-id="${esc(r.id)}">
+                    <div style="flex:1;min-width:0;"><strong>${esc(r.name)}</strong>
+                        <div class="text-xs text-muted">${r.steps.length} step${r.steps.length === 1 ? '' : 's'}${r.description ? ' — ' + esc(r.description) : ''}</div></div>
+                    <button class="btn btn-sm btn-primary" data-act="run">Run</button>
+                    <button class="btn btn-sm btn-secondary" data-act="edit">Edit</button>
+                    <button class="btn btn-sm btn-secondary" data-act="download" title="Download as JSON">⬇</button>
+                    <button class="btn btn-sm btn-danger" data-act="delete" title="Delete">✕</button>
+                </div>`).join('') : '<div class="text-sm text-muted">No saved recipes.</div>'}</div></div>
+        <div class="form-group"><label>Run against layer</label>
+            <select id="rcp-target">${getLayers().map(l => `<option value="${esc(l.id)}" ${l.id === layer.id ? 'selected' : ''}>${esc(l.name)}</option>`).join('')}</select></div>`;
+
+    showModal('Recipes', html, {
+        width: '620px',
+        footer: `<label class="btn btn-secondary" style="margin-right:auto;">Import JSON…<input type="file" id="rcp-import" accept=".json,application/json" class="hidden"></label>
+                 <button class="btn btn-secondary cancel-btn">Close</button>`,
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+
+            overlay.querySelector('#rcp-save-recorded').onclick = async () => {
+                const name = overlay.querySelector('#rcp-name').value.trim();
+                if (!name) return showToast('Enter a recipe name', 'warning');
+                try {
+                    await sessionStore.saveRecipe(recipes.createRecipe(name, recorded));
+                    showToast(`Saved recipe "${name}"`, 'success');
+                    close();
+                    openRecipes();
+                } catch (e) {
+                    showErrorToast(handleError(e, 'Recipes', 'Save recipe'));
+                }
+            };
+
+            overlay.querySelector('#rcp-import').onchange = async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    const recipe = recipes.recipeFromJSON(await file.text());
+                    close();
+                    openRecipeEditor(recipe);
+                } catch (err) {
+                    showErrorToast(handleError(err, 'Recipes', 'Import recipe'));
+                }
+            };
+
+            overlay.querySelectorAll('.recipe-row [data-act]').forEach(btn => {
+                btn.onclick = async () => {
+                    const recipe = saved.find(r => r.id === btn.closest('.recipe-row').dataset.id);
+                    if (!recipe) return;
+                    switch (btn.dataset.act) {
+                        case 'run':
+                            close();
+                            runRecipeOnLayer(recipe, overlay.querySelector('#rcp-target').value);
+                            break;
+                        case 'edit':
+                            close();
+                            openRecipeEditor(recipe);
+                            break;
+                        case 'download':
+                            downloadRecipe(recipe);
+                            break;
+                        case 'delete': {
+                            const ok = await confirm('Delete Recipe', `Delete recipe "${esc(recipe.name)}"?`);
+                            if (!ok) return;
+                            try {
+                                await sessionStore.deleteRecipe(recipe.id);
+                                close();
+                                openRecipes();
+                            } catch (e) {
+                                showErrorToast(handleError(e, 'Recipes', 'Delete recipe'));
+                            }
+                            break;
+                        }
+                    }
+                };
+            });
+        }
+    });
+}
+
+function downloadRecipe(recipe) {
+    const blob = new Blob([recipes.recipeToJSON(recipe)], { type: 'application/json' });
+    const safe = recipe.name.replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'recipe';
+    downloadBlob(blob, `${safe}.recipe.json`);
+}
+
+// Edit name, step order, enabled flags and step parameters (as JSON)
+function openRecipeEditor(recipe) {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const steps = recipe.steps.map(s => ({ ...s, params: JSON.parse(JSON.stringify(s.params)) }));
+    let editing = -1;
+
+    const html = `
+        <div class="form-group"><label>Name</label>
+            <input type="text" id="rcp-ed-name" value="${esc(recipe.name)}"></div>
+        <div class="form-group"><label>Description</label>
+            <input type="text" id="rcp-ed-desc" value="${esc(recipe.description || '')}"></div>
+        <div class="form-group"><label>Steps (run top to bottom)</label>
+            <div id="rcp-ed-steps" class="recipe-steps"></div></div>`;
+
+    showModal('Edit Recipe', html, {
+        width: '650px',
+        footer: `<button class="btn btn-secondary" id="rcp-ed-download" style="margin-right:auto;">Download JSON</button>
+                 <button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Save</button>`,
+        onMount: (overlay, close) => {
+            const listEl = overlay.querySelector('#rcp-ed-steps');
+            const current = () => ({
+                ...recipe,
+                name: overlay.querySelector('#rcp-ed-name').value.trim(),
+                description: overlay.querySelector('#rcp-ed-desc').value.trim(),
+                steps
+            });
+
+            const render = () => {
+                listEl.innerHTML = steps.length ? steps.map((s, i) => {
+                    const needs = recipes.requiredFields(s);
+                    return `<div class="recipe-step ${s.enabled === false ? 'disabled' : ''}" data-i="${i}">
+                        <input type="checkbox" data-act="toggle" ${s.enabled === false ? '' : 'checked'} title="Include this step">
+                        <div style="flex:1;min-width:0;"><strong>${i + 1}. ${esc(recipes.stepLabel(s))}</strong>
+                            <div class="text-xs text-muted">${esc(recipes.describeStep(s))}</div>
+                            ${needs.length ? `<div class="text-xs text-muted">Needs: ${needs.map(esc).join(', ')}</div>` : ''}</div>
+                        <button class="btn btn-sm btn-secondary" data-act="up" ${i === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                        <button class="btn btn-sm btn-secondary" data-act="down" ${i === steps.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                        <button class="btn btn-sm btn-secondary" data-act="params" title="Edit parameters">✎</button>
+                        <button class="btn btn-sm btn-danger" data-act="remove" title="Remove step">✕</button>
+                    </div>
+                    ${editing === i ? `<textarea class="recipe-params text-mono" data-i="${i}" rows="6">${esc(JSON.stringify(s.params, null, 2))}</textarea>` : ''}`;
+                }).join('') : '<div class="text-sm text-muted">No steps.</div>';
+            };
+
+            listEl.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-act]');
+                if (!btn) return;
+                const i = parseInt(btn.closest('[data-i]').dataset.i);
+                switch (btn.dataset.act) {
+                    case 'toggle': steps[i].enabled = btn.checked; break;
+                    case 'up': [steps[i - 1], steps[i]] = [steps[i], steps[i - 1]]; editing = -1; break;
+                    case 'down': [steps[i + 1], steps[i]] = [steps[i], steps[i + 1]]; editing = -1; break;
+                    case 'params': editing = editing === i ? -1 : i; break;
+                    case 'remove': steps.splice(i, 1); editing = -1; break;
+                }
+                render();
+            });
+
+            listEl.addEventListener('change', (e) => {
+                if (!e.target.classList.contains('recipe-params')) return;
+                const i = parseInt(e.target.dataset.i);
+                try {
+                    const params = JSON.parse(e.target.value);
+                    if (!params || typeof params !== 'object' || Array.isArray(params)) throw new Error('Parameters must be an object');
+                    steps[i].params = params;
+                    render();
+                } catch (err) {
+                    showToast(`Step ${i + 1}: ${err.message}`, 'error');
+                }
+            });
+
+            overlay.querySelector('#rcp-ed-download').onclick = () => downloadRecipe(current());
+            overlay.querySelector('.cancel-btn').onclick = () => { close(); openRecipes(); };
+            overlay.querySelector('.apply-btn').onclick = async () => {
+                const updated = current();
+                if (!updated.name) return showToast('Enter a recipe name', 'warning');
+                try {
+                    await sessionStore.saveRecipe(updated);
+                    showToast(`Saved recipe "${updated.name}"`, 'success');
+                    close();
+                    openRecipes();
+                } catch (e) {
+                    showErrorToast(handleError(e, 'Recipes', 'Save recipe'));
+                }
+            };
+
+            render();
+        }
+    });
+}
+
+// Replay a recipe on a layer as one undoable transform, then report what ran
+function runRecipeOnLayer(recipe, layerId) {
+    const layer = getLayers().find(l => l.id === layerId);
+    if (!layer) return showToast('Layer not found', 'warning');
+    if (getActiveLayer()?.id !== layer.id) {
+        setActiveLayer(layer.id);
+        refreshUI();
+    }
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    let result;
+    try {
+        result = recipes.runRecipe(getFeatures(), recipe);
+    } catch (e) {
+        return showErrorToast(handleError(e, 'Recipes', 'Run recipe'));
+    }
+    const { features, report, applied } = result;
+    if (applied > 0) {
+        applyTransform(`Recipe: ${recipe.name}`, features, report.filter(r => r.status === 'ok').map(r => r.step));
+    }
+
+    const failed = report.filter(r => r.status === 'failed');
+    const missing = [...new Set(failed.flatMap(r => r.missing || []))];
+    const icon = { ok: '✓', failed: '✗', skipped: '–' };
+    const html = `
+        <p>${applied} of ${report.length} step${report.length === 1 ? '' : 's'} applied to <strong>${esc(layer.name)}</strong>${failed.length ? `; ${failed.length} failed` : ''}.</p>
+        ${missing.length ? `<p class="text-sm" style="color:var(--warning);">Missing in this layer: ${missing.map(esc).join(', ')}</p>` : ''}
+        <div class="data-table-wrap" style="max-height:320px;">
+            <table class="data-table">
+                <thead><tr><th>#</th><th>Step</th><th></th><th>Result</th></tr></thead>
+                <tbody>${report.map((r, i) => `<tr>
+                    <td>${i + 1}</td>
+                    <td>${esc(recipes.stepLabel(r.step))}<div class="text-xs text-muted">${esc(recipes.describeStep(r.step))}</div></td>
+                    <td class="recipe-status-${r.status}">${icon[r.status]}</td>
+                    <td>${esc(r.message)}</td></tr>`).join('')}</tbody>
+            </table>
+        </div>`;
+
+    showModal(`Recipe Report — ${esc(recipe.name)}`, html, {
+        width: '650px',
+        footer: '<button class="btn btn-primary cancel-btn">Done</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+        }
+    });
 }
 
 // ============================
@@ -2601,8 +4119,9 @@ async function deleteSelectedFeatures() {
 
     const selectedSet = new Set(indices);
     const remaining = layer.geojson.features.filter((_, i) => !selectedSet.has(i));
-    saveSnapshot(layer.id, `Delete ${indices.length} feature(s)`, layer.geojson);
-    layer.geojson = { type: 'FeatureCollection', features: remaining };
+    recordEdit(layer, `Delete ${indices.length} feature(s)`, () => {
+        layer.geojson = { type: 'FeatureCollection', features: remaining };
+    });
 
     import('./core/data-model.js').then(dm => {
         layer.schema = dm.analyzeSchema(layer.geojson);
@@ -2638,6 +4157,8 @@ function updateSelectionUI() {
             <span class="sel-count">${count}</span> of ${total} features selected
             <button class="sel-btn" onclick="window.app.selectAllFeatures()">All</button>
             <button class="sel-btn" onclick="window.app.invertSelection()">Invert</button>
+            <button class="sel-btn" onclick="window.app.openSplitTool()" title="Split selected lines or cut selected polygons with a drawn line">✂ Split</button>
+            ${count >= 2 ? '<button class="sel-btn" onclick="window.app.openMergeFeatures()" title="Merge selected features into one">⊕ Merge</button>' : ''}
             <button class="sel-btn" onclick="window.app.deleteSelectedFeatures()" title="Delete selected features" style="color:var(--error);">🗑 Delete</button>
             <button class="sel-btn sel-clear" onclick="window.app.clearSelection()">✕ Clear</button>
         `;
@@ -3438,9 +4959,152 @@ async function openPointsWithinPolygon() {
     });
 }
 
+// --- Locate Route Events (linear referencing) ---
+async function openLocateEvents() {
+    if (typeof turf === 'undefined') return showToast('Turf.js not loaded yet', 'warning');
+    const routeLayers = layerOptions(['LineString', 'MultiLineString']);
+    if (!routeLayers) return showToast('Need a route (line) layer', 'warning');
+    const eventLayers = getLayers().map(l =>
+        `<option value="${l.id}">${l.name} (${l.type === 'spatial' ? l.geojson.features.length : l.rows.length})</option>`
+    ).join('');
+
+    const html = `
+        <p>Place points or line segments on routes from rows of route ID + measure (milepost).</p>
+        <div class="form-group"><label>Route layer</label>
+            <select id="lrs-route">${routeLayers}</select></div>
+        <div class="form-group"><label>Route ID field</label>
+            <select id="lrs-route-id"></select></div>
+        <div class="form-group"><label>Route measures from</label>
+            <select id="lrs-msource">
+                <option value="vertex">Vertex M values</option>
+                <option value="fields">From/to measure fields</option>
+                <option value="length">Length along route</option>
+            </select></div>
+        <div id="lrs-mfields" class="hidden" style="display:flex;gap:8px;">
+            <div class="form-group" style="flex:1;"><label>Route from measure</label><select id="lrs-rfrom"></select></div>
+            <div class="form-group" style="flex:1;"><label>Route to measure</label><select id="lrs-rto"></select></div>
+        </div>
+        <div id="lrs-mlength" class="form-group hidden"><label>Measure units</label>
+            <select id="lrs-munits"><option value="miles" selected>Miles</option><option value="kilometers">Kilometers</option><option value="feet">Feet</option><option value="meters">Meters</option></select></div>
+        <hr>
+        <div class="form-group"><label>Event table / layer</label>
+            <select id="lrs-events">${eventLayers}</select></div>
+        <div class="form-group"><label>Event route ID field</label>
+            <select id="lrs-ev-id"></select></div>
+        <div class="form-group"><label>Event type</label>
+            <select id="lrs-ev-type"><option value="point">Point (single measure)</option><option value="line">Line (from/to measures)</option></select></div>
+        <div id="lrs-ev-point" class="form-group"><label>Measure field</label>
+            <select id="lrs-ev-m"></select></div>
+        <div id="lrs-ev-line" class="hidden" style="display:flex;gap:8px;">
+            <div class="form-group" style="flex:1;"><label>From measure</label><select id="lrs-ev-from"></select></div>
+            <div class="form-group" style="flex:1;"><label>To measure</label><select id="lrs-ev-to"></select></div>
+        </div>
+        <div style="display:flex;gap:8px;">
+            <div class="form-group" style="flex:1;"><label>Offset field (+ right, − left)</label><select id="lrs-ev-off"></select></div>
+            <div class="form-group" style="flex:1;"><label>Max offset</label><input type="number" id="lrs-max-off" min="0" step="1" placeholder="No limit"></div>
+            <div class="form-group" style="flex:1;"><label>Offset units</label><select id="lrs-off-units">${UNIT_OPTIONS_HTML}</select></div>
+        </div>`;
+
+    showModal('Locate Route Events', html, {
+        width: '560px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Locate</button>',
+        onMount: (overlay, close) => {
+            const $ = (sel) => overlay.querySelector(sel);
+            const fieldsOf = (id) => (getLayers().find(l => l.id === id)?.schema?.fields || []).map(f => f.name);
+            const fill = (sel, fields, guess, allowNone = false) => {
+                const pick = fields.find(f => guess.test(f));
+                $(sel).innerHTML = (allowNone ? '<option value="">(none)</option>' : '') +
+                    fields.map(f => `<option value="${f}" ${f === pick ? 'selected' : ''}>${f}</option>`).join('');
+            };
+
+            const onRouteChange = () => {
+                const layer = getLayers().find(l => l.id === $('#lrs-route').value);
+                const fields = fieldsOf($('#lrs-route').value);
+                fill('#lrs-route-id', fields, /route|rt_?id|lrs/i);
+                fill('#lrs-rfrom', fields, /^(from|beg|start)_?(m|meas|mp)/i);
+                fill('#lrs-rto', fields, /^(to|end)_?(m|meas|mp)/i);
+                const hasM = layer?.geojson.features.some(f => f.properties?._coordMeasures);
+                $('#lrs-msource').value = hasM ? 'vertex' : 'length';
+                onSourceChange();
+            };
+            const onSourceChange = () => {
+                $('#lrs-mfields').classList.toggle('hidden', $('#lrs-msource').value !== 'fields');
+                $('#lrs-mlength').classList.toggle('hidden', $('#lrs-msource').value !== 'length');
+            };
+            const onEventsChange = () => {
+                const fields = fieldsOf($('#lrs-events').value);
+                fill('#lrs-ev-id', fields, /route|rt_?id|lrs/i);
+                fill('#lrs-ev-m', fields, /^(m|meas|measure|milepost|mp)$/i);
+                fill('#lrs-ev-from', fields, /^(from|beg|start)_?(m|meas|mp)/i);
+                fill('#lrs-ev-to', fields, /^(to|end)_?(m|meas|mp)/i);
+                fill('#lrs-ev-off', fields, /offset/i, true);
+            };
+            const onTypeChange = () => {
+                const line = $('#lrs-ev-type').value === 'line';
+                $('#lrs-ev-point').classList.toggle('hidden', line);
+                $('#lrs-ev-line').classList.toggle('hidden', !line);
+            };
+
+            $('#lrs-route').onchange = onRouteChange;
+            $('#lrs-msource').onchange = onSourceChange;
+            $('#lrs-events').onchange = onEventsChange;
+            $('#lrs-ev-type').onchange = onTypeChange;
+            onRouteChange();
+            onEventsChange();
+
+            $('.cancel-btn').onclick = () => close();
+            $('.apply-btn').onclick = async () => {
+                const routeLayer = getLayers().find(l => l.id === $('#lrs-route').value);
+                const eventLayer = getLayers().find(l => l.id === $('#lrs-events').value);
+                const maxOffset = parseFloat($('#lrs-max-off').value);
+                const options = {
+                    routeIdField: $('#lrs-route-id').value,
+                    measureSource: $('#lrs-msource').value,
+                    routeFromField: $('#lrs-rfrom').value,
+                    routeToField: $('#lrs-rto').value,
+                    measureUnits: $('#lrs-munits').value,
+                    eventRouteIdField: $('#lrs-ev-id').value,
+                    eventType: $('#lrs-ev-type').value,
+                    measureField: $('#lrs-ev-m').value,
+                    fromMeasureField: $('#lrs-ev-from').value,
+                    toMeasureField: $('#lrs-ev-to').value,
+                    offsetField: $('#lrs-ev-off').value || null,
+                    offsetUnits: $('#lrs-off-units').value,
+                    maxOffset: isNaN(maxOffset) ? null : maxOffset
+                };
+                close();
+                if (!routeLayer || !eventLayer) return;
+                const rows = eventLayer.type === 'spatial'
+                    ? eventLayer.geojson.features.map(f => f.properties || {})
+                    : eventLayer.rows;
+                try {
+                    const { dataset, stats } = await lrs.locateEvents(routeLayer, rows, {
+                        ...options, name: `${eventLayer.name}_located`
+                    });
+                    if (stats.located > 0) addResultLayer(dataset);
+                    const extra = [
+                        stats.partial ? `${stats.partial} partial` : '',
+                        stats.clamped ? `${stats.clamped} offsets clamped` : ''
+                    ].filter(Boolean).join(', ');
+                    showToast(`Located ${stats.located} of ${stats.total} events${extra ? ` (${extra})` : ''}`,
+                        stats.located > 0 ? 'success' : 'warning');
+                    if (stats.errors.length > 0) {
+                        const sample = stats.errors.slice(0, 3).map(e => `row ${e.row}: ${e.reason}`).join('; ');
+                        showToast(`${stats.errors.length} events not located — ${sample}${stats.errors.length > 3 ? '…' : ''}`, 'warning', { duration: 10000 });
+                    }
+                } catch (e) {
+                    showErrorToast(handleError(e, 'LRS', 'LocateEvents'));
+                }
+            };
+        }
+    });
+}
+
 // ============================
 // Photo Mapper modal
 // ============================
+let _geotagOptions = { ...geotag.DEFAULT_GEOTAG_OPTIONS };
+
 async function openPhotoMapper() {
     const html = `
         <div class="drop-zone" id="photo-drop" style="margin-bottom:16px;">
@@ -3451,11 +5115,12 @@ async function openPhotoMapper() {
             <button class="btn btn-primary mt-8" id="photo-btn">Select Photos</button>
         </div>
         <div class="info-box text-xs mb-8" style="color:var(--text-muted);">
-            📍 Photos must contain embedded GPS/geolocation metadata (EXIF) to be placed on the map. Most smartphone cameras save location automatically when location services are enabled. Photos without GPS data will still be listed but won't appear on the map.
+            📍 Photos with embedded GPS/geolocation metadata (EXIF) are placed on the map automatically. Most smartphone cameras save location when location services are enabled. Photos without GPS data can be matched to a GPS track by the time they were taken, or dragged onto the map.
         </div>
         <div id="photo-results" class="hidden">
             <div id="photo-stats" class="flex gap-8 mb-8"></div>
             <div id="photo-grid" class="photo-grid"></div>
+            <div id="photo-geotag" class="photo-geotag hidden"></div>
             <div class="form-group mt-8">
                 <label class="checkbox-row"><input type="radio" name="photo-size" value="thumbnail" checked> Thumbnails (smaller, faster)</label>
                 <label class="checkbox-row"><input type="radio" name="photo-size" value="full"> Full-size originals (larger file)</label>
@@ -3489,16 +5154,19 @@ async function openPhotoMapper() {
             dropZone.addEventListener('drop', e => {
                 e.preventDefault();
                 dropZone.classList.remove('dragover');
-                processPhotoFiles(Array.from(e.dataTransfer.files), overlay);
+                processPhotoFiles(Array.from(e.dataTransfer.files), overlay, close);
             });
 
             fileInput.addEventListener('change', () => {
                 if (fileInput.files.length > 0) {
                     const files = Array.from(fileInput.files);
-                    processPhotoFiles(files, overlay);
+                    processPhotoFiles(files, overlay, close);
                 }
             });
 
+            // Results of the last batch (e.g. dropped on the page) — their unplaced photos can be located here
+            if (photoMapper.getPhotos().length) _renderPhotoResults(overlay, close);
+
             // OK button — store size preference and close
             overlay.querySelector('#photo-ok-btn')?.addEventListener('click', () => {
                 const useFullSize = overlay.querySelector('input[name="photo-size"][value="full"]')?.checked;
@@ -3511,7 +5179,7 @@ async function openPhotoMapper() {
     });
 }
 
-async function processPhotoFiles(files, modalOverlay) {
+async function processPhotoFiles(files, modalOverlay, closeModal) {
     // Broad filter — iOS may report no type for some images
     const imageFiles = files.filter(f =>
         f.type.startsWith('image/') ||
@@ -3531,30 +5199,15 @@ async function processPhotoFiles(files, modalOverlay) {
 
     const progress = showProgressModal('Processing Photos');
     const taskRunner = { throwIfCancelled() {}, updateProgress(p, s) { progress.update(p, s); } };
+    // Indices of the previous batch mean nothing once it is replaced
+    photoPlacer.stop();
 
     try {
         const result = await photoMapper._process(imageFiles, taskRunner);
         progress.close();
 
         // Show results
-        const resultsEl = modalOverlay.querySelector('#photo-results');
-        const statsEl = modalOverlay.querySelector('#photo-stats');
-        const gridEl = modalOverlay.querySelector('#photo-grid');
-
-        if (resultsEl) resultsEl.classList.remove('hidden');
-
-        statsEl.innerHTML = `
-            <span class="badge badge-success">✅ ${result.withGPS} with GPS</span>
-            <span class="badge badge-warning">⚠️ ${result.withoutGPS} without GPS</span>
-            <span class="badge badge-info">${result.photos.length} total</span>`;
-
-        gridEl.innerHTML = result.photos.map(p => `
-            <div class="photo-card ${p.hasGPS ? '' : 'no-gps'}" style="position:relative">
-                ${p.thumbnailUrl ? `<img src="${p.thumbnailUrl}" alt="${p.filename}">` : '<div style="height:100px;background:#eee;"></div>'}
-                <div class="photo-info">${p.filename}</div>
-                ${!p.hasGPS ? '<div style="position:absolute;top:4px;right:4px;background:#d97706;color:white;font-size:9px;padding:1px 4px;border-radius:3px;">No GPS</div>' : ''}
-            </div>
-        `).join('');
+        _renderPhotoResults(modalOverlay, closeModal);
 
         // Add photos as a layer on the map
         if (result.dataset) {
@@ -3564,7 +5217,7 @@ async function processPhotoFiles(files, modalOverlay) {
         }
 
         if (result.withoutGPS > 0) {
-            showToast(`${result.withoutGPS} photo(s) have no GPS data. They won't appear on the map.`, 'warning');
+            showToast(`${result.withoutGPS} photo(s) have no GPS data. Match them to a GPS track or place them on the map below.`, 'warning');
         }
 
     } catch (e) {
@@ -3573,6 +5226,127 @@ async function processPhotoFiles(files, modalOverlay) {
     }
 }
 
+// Stats, thumbnail grid and — while some photos have no position — the locate tools
+function _renderPhotoResults(overlay, closeModal) {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const photos = photoMapper.getPhotos();
+    const located = photos.filter(p => p.hasGPS).length;
+    const unlocated = photos.length - located;
+    const badges = { track: 'From track', manual: 'Placed' };
+
+    overlay.querySelector('#photo-results')?.classList.remove('hidden');
+    overlay.querySelector('#photo-stats').innerHTML = `
+        <span class="badge badge-success">✅ ${located} on the map</span>
+        <span class="badge badge-warning">⚠️ ${unlocated} without GPS</span>
+        <span class="badge badge-info">${photos.length} total</span>`;
+
+    overlay.querySelector('#photo-grid').innerHTML = photos.map(p => `
+        <div class="photo-card ${p.hasGPS ? '' : 'no-gps'}" style="position:relative">
+            ${p.thumbnailUrl ? `<img src="${p.thumbnailUrl}" alt="${esc(p.filename)}">` : '<div style="height:100px;background:#eee;"></div>'}
+            <div class="photo-info">${esc(p.filename)}</div>
+            ${!p.hasGPS ? '<div style="position:absolute;top:4px;right:4px;background:#d97706;color:white;font-size:9px;padding:1px 4px;border-radius:3px;">No GPS</div>' : ''}
+            ${badges[p.locationSource] ? `<div style="position:absolute;top:4px;right:4px;background:#2563eb;color:white;font-size:9px;padding:1px 4px;border-radius:3px;">${badges[p.locationSource]}</div>` : ''}
+        </div>
+    `).join('');
+
+    const geotagEl = overlay.querySelector('#photo-geotag');
+    if (!geotagEl) return;
+    geotagEl.classList.toggle('hidden', unlocated === 0);
+    if (unlocated === 0) return;
+
+    // Line layers with per-vertex times (GPX tracks, recorded GPS tracks)
+    const tracks = getLayers()
+        .filter(l => l.type === 'spatial')
+        .map(l => ({ layer: l, timeline: geotag.trackTimeline(l.geojson?.features) }))
+        .filter(t => t.timeline.length >= 2);
+    const opts = _geotagOptions;
+    const fmtTime = (ms) => new Date(ms).toLocaleString();
+    const photoTimes = photos.filter(p => !p.hasGPS && p.timestamp).map(p => Date.parse(p.timestamp)).filter(Number.isFinite);
+
+    geotagEl.innerHTML = `
+        <div class="panel-section-header" style="padding:0 0 6px;">Locate photos without GPS</div>
+        ${tracks.length ? `
+        <div class="form-group"><label>GPS track</label>
+            <select id="geotag-track">${tracks.map((t, i) => `<option value="${i}">${esc(t.layer.name)}</option>`).join('')}</select></div>
+        <div class="photo-geotag-times text-xs text-muted"></div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;">
+            <div class="form-group" style="flex:1 1 160px;"><label title="How far the camera clock was ahead of the GPS (negative if behind), as seconds or h:mm:ss. Include any time zone difference.">Camera clock ahead by ⓘ</label>
+                <input type="text" id="geotag-offset" value="${geotag.formatClockOffset(opts.offsetSeconds)}" placeholder="+0:00:00"></div>
+            <div class="form-group" style="flex:1 1 160px;"><label title="Photos further than this from a track point stay unplaced">Max time gap (s) ⓘ</label>
+                <input type="number" id="geotag-gap" min="1" step="1" value="${opts.maxGapSeconds}"></div>
+        </div>` : `<div class="text-xs text-muted mb-8">No GPS track with times is loaded. Import a GPX track or record one with 🛰 Track to match photos by the time they were taken.</div>`}
+        <div style="display:flex;gap:6px;flex-wrap:wrap;">
+            ${tracks.length ? '<button class="btn btn-sm btn-primary" id="geotag-run">Match to track</button>' : ''}
+            <button class="btn btn-sm btn-secondary" id="geotag-place">📍 Place on map</button>
+        </div>
+        <div id="geotag-result" class="text-xs mt-8"></div>`;
+
+    const showTimes = () => {
+        const el = geotagEl.querySelector('.photo-geotag-times');
+        const t = tracks[Number(geotagEl.querySelector('#geotag-track')?.value)];
+        if (!el || !t) return;
+        const photoRange = photoTimes.length
+            ? `${fmtTime(Math.min(...photoTimes))} – ${fmtTime(Math.max(...photoTimes))}` : 'no capture times';
+        el.innerHTML = `Track: ${fmtTime(t.timeline[0].time)} – ${fmtTime(t.timeline[t.timeline.length - 1].time)}<br>
+            Photos: ${photoRange}`;
+    };
+    showTimes();
+    geotagEl.querySelector('#geotag-track')?.addEventListener('change', showTimes);
+
+    geotagEl.querySelector('#geotag-run')?.addEventListener('click', () => {
+        const offsetSeconds = geotag.parseClockOffset(geotagEl.querySelector('#geotag-offset').value);
+        if (offsetSeconds === null) return showToast('Clock offset should be seconds or h:mm:ss, e.g. -0:02:30', 'warning');
+        const gap = parseFloat(geotagEl.querySelector('#geotag-gap').value);
+        _geotagOptions = { offsetSeconds, maxGapSeconds: Number.isFinite(gap) && gap > 0 ? gap : geotag.DEFAULT_GEOTAG_OPTIONS.maxGapSeconds };
+        const t = tracks[Number(geotagEl.querySelector('#geotag-track').value)];
+        const { matches, noTime, outOfRange } = geotag.geotagPhotos(photos, t.timeline, _geotagOptions);
+        const round = (v) => Math.round(v * 1e7) / 1e7;
+        const features = matches.map(m => photoMapper.locatePhoto(m.index, round(m.coord[1]), round(m.coord[0]), {
+            source: 'track', altitude: m.coord[2] ?? null
+        })).filter(Boolean);
+        _addLocatedPhotos(features);
+        _renderPhotoResults(overlay, closeModal);
+
+        const notes = [];
+        if (outOfRange) notes.push(`${outOfRange} outside the track's time range — check the clock offset`);
+        if (noTime) notes.push(`${noTime} without a capture time`);
+        const interpolated = matches.filter(m => m.method === 'interpolated').length;
+        const msg = `Located ${matches.length} photo(s)${matches.length ? ` (${interpolated} between track points, ${matches.length - interpolated} at the nearest point)` : ''}.${notes.length ? ` ${notes.join('; ')}.` : ''}`;
+        const resultEl = overlay.querySelector('#geotag-result');
+        if (resultEl) resultEl.textContent = msg;
+        else showToast(esc(msg), matches.length ? 'success' : 'warning');
+    });
+
+    geotagEl.querySelector('#geotag-place').addEventListener('click', () => {
+        photoMapper._useFullSize = !!overlay.querySelector('input[name="photo-size"][value="full"]')?.checked;
+        closeModal?.();
+        photoPlacer.start(photoMapper.getUnlocated().map(({ photo, index }) => ({
+            index, filename: photo.filename, thumbnailUrl: photo.thumbnailUrl
+        })));
+    });
+}
+
+// Photos located after processing (matched to a track or placed by hand) join the photo layer
+function _addLocatedPhotos(features) {
+    if (!features.length) return;
+    let layer = photoMapper.getDataset();
+    if (layer && getLayers().includes(layer)) {
+        recordEdit(layer, features.length === 1 ? 'Place photo' : 'Geotag photos', () => layer.geojson.features.push(...features));
+        // Export data for every located photo — buildPhotoKMZ finds each feature's by its _photoId
+        layer._photoExportData = photoMapper.getPhotosForExport();
+        layer.schema = analyzeSchema(layer.geojson);
+        bus.emit('layer:updated', layer);
+        bus.emit('layers:changed', getLayers());
+        mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+    } else {
+        layer = photoMapper.buildDataset();
+        photoMapper.dataset = layer;
+        addLayer(layer);
+        mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: true });
+    }
+    refreshUI();
+}
+
 // ============================
 // GIS Widgets
 // ============================
@@ -3882,10 +5656,27 @@ async function doExport(format) {
                     style: mapManager.getLayerStyle(ds.id) || {}
                 }));
                 const fname = choice.length === allLayers.length ? 'All_Layers' : choice.map(l => l.name).join('_').slice(0, 60);
-                await exportMultiLayerKMZFile(layerData, { filename: fname });
+                await exportMultiLayerKMZFile(layerData, { filename: fname, headings: getState().ui.kmlHeadings });
                 showToast(`Exported ${choice.length} layers as KMZ`, 'success');
             } catch (e) {
-                showErrorToast(handleError(e, 'Export', 'multi-kmz'));
+                showErrorToast(handleError(e, 'Export', 'multi-kmz'));
+            }
+            return;
+        }
+    }
+
+    // GeoPackage with 2+ layers: offer one file with a table per layer
+    if (format === 'gpkg' && getLayers().length >= 2) {
+        const gpkgLayers = getLayers();
+        const choice = await _showKmzExportPicker(gpkgLayers, layer, format);
+        if (choice === null) return;
+        if (Array.isArray(choice)) {
+            try {
+                const fname = choice.length === gpkgLayers.length ? 'All_Layers' : choice.map(l => l.name).join('_').slice(0, 60);
+                await exportMultiLayerGPKGFile(choice.map(ds => ({ dataset: ds })), { filename: fname });
+                showToast(`Exported ${choice.length} layers as GeoPackage`, 'success');
+            } catch (e) {
+                showErrorToast(handleError(e, 'Export', 'multi-gpkg'));
             }
             return;
         }
@@ -3900,20 +5691,23 @@ async function doExport(format) {
     }
 
     try {
-        await exportDataset(ds, format);
+        await exportDataset(ds, format, { crs: state.ui.exportCrs, bundleAttachments: state.ui.bundleAttachments, headings: state.ui.kmlHeadings });
     } catch (e) {
         showErrorToast(handleError(e, 'Export', format));
     }
 }
 
 /**
- * Show KMZ/KML export picker: active layer only, or select multiple layers for folders.
+ * Show multi-layer export picker: active layer only, or select multiple layers
+ * (KML/KMZ folders or GeoPackage tables).
  * Returns 'active', array of selected datasets, or null (cancelled).
  */
 async function _showKmzExportPicker(allLayers, activeLayer, format) {
-    const fmtLabel = format.toUpperCase();
+    const isGpkg = format === 'gpkg';
+    const fmtLabel = isGpkg ? 'GeoPackage' : format.toUpperCase();
+    const groupLabel = isGpkg ? 'a table' : 'a folder';
     const checkboxes = allLayers.map((l, i) => {
-        const featCount = l.geojson?.features?.length || 0;
+        const featCount = l.type === 'spatial' ? (l.geojson?.features?.length || 0) : (l.rows?.length || 0);
         const safeName = l.name.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
         const isActive = l.id === activeLayer.id;
         return `<label class="merge-layer-item">
@@ -3924,13 +5718,13 @@ async function _showKmzExportPicker(allLayers, activeLayer, format) {
     }).join('');
 
     const html = `
-        <p style="margin-bottom:12px;">Export <strong>${activeLayer.name}</strong> only, or select layers to combine into a single ${fmtLabel} with a folder per layer.</p>
+        <p style="margin-bottom:12px;">Export <strong>${activeLayer.name}</strong> only, or select layers to combine into a single ${fmtLabel} with ${groupLabel} per layer.</p>
         <div class="merge-layer-list" id="kmz-layer-list">${checkboxes}</div>`;
 
     return showModal(`Export ${fmtLabel}`, html, {
         footer: `<button class="btn btn-secondary cancel-btn">Cancel</button>
                  <button class="btn btn-secondary active-only-btn">Active Layer Only</button>
-                 <button class="btn btn-primary multi-btn">Export Selected as Folders</button>`,
+                 <button class="btn btn-primary multi-btn">Export Selected as ${isGpkg ? 'Tables' : 'Folders'}</button>`,
         onMount: (overlay, close) => {
             overlay.querySelector('.cancel-btn').onclick = () => close(null);
             overlay.querySelector('.active-only-btn').onclick = () => close('active');
@@ -4010,6 +5804,204 @@ function openDrawTools(layerId) {
     drawManager.showToolbar(layerId, layer.name);
 }
 
+function openSnapSettings() {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const snap = getSnapSettings();
+    const chosen = new Set(snap.layerIds || []);
+    const layers = getLayers().filter(l => l.type === 'spatial');
+
+    const html = `
+        <label class="checkbox-row"><input type="checkbox" id="snap-enabled" ${snap.enabled ? 'checked' : ''}> Snap while drawing and editing</label>
+        <div class="form-group" style="margin-top:10px;"><label>Tolerance (pixels)</label>
+            <input type="number" id="snap-tolerance" min="1" max="50" value="${snap.tolerance}" style="width:90px;"></div>
+        <div class="form-group"><label>Snap to</label>
+            ${Object.entries(SNAP_TYPES).map(([key, label]) => `
+                <label class="checkbox-row"><input type="checkbox" data-snap-type="${key}" ${snap[key] ? 'checked' : ''}> ${label}</label>`).join('')}</div>
+        <div class="form-group"><label>Layers</label>
+            <label class="checkbox-row"><input type="radio" name="snap-layers" value="all" ${snap.layerIds ? '' : 'checked'}> All visible layers</label>
+            <label class="checkbox-row"><input type="radio" name="snap-layers" value="some" ${snap.layerIds ? 'checked' : ''}> Only these:</label>
+            <div id="snap-layer-list" style="margin-left:20px;">
+                ${layers.length ? layers.map(l => `
+                    <label class="checkbox-row"><input type="checkbox" data-snap-layer="${esc(l.id)}" ${chosen.has(l.id) ? 'checked' : ''}>
+                        ${esc(l.name)}${l.visible === false ? ' <span class="text-muted">(hidden)</span>' : ''}</label>`).join('')
+                : '<div class="text-sm text-muted">No spatial layers.</div>'}</div>
+        </div>
+        <div class="text-xs text-muted">Hold Alt while drawing or dragging to place a vertex without snapping. Hidden layers are never snapped to.</div>`;
+
+    showModal('Snapping', html, {
+        width: '420px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Apply</button>',
+        onMount: (overlay, close) => {
+            const list = overlay.querySelector('#snap-layer-list');
+            const syncList = () => {
+                const some = overlay.querySelector('input[name="snap-layers"]:checked')?.value === 'some';
+                list.style.opacity = some ? '' : '0.5';
+                list.querySelectorAll('input').forEach(cb => { cb.disabled = !some; });
+            };
+            overlay.querySelectorAll('input[name="snap-layers"]').forEach(r => { r.onchange = syncList; });
+            syncList();
+
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const next = {
+                    enabled: overlay.querySelector('#snap-enabled').checked,
+                    tolerance: parseInt(overlay.querySelector('#snap-tolerance').value, 10),
+                    layerIds: overlay.querySelector('input[name="snap-layers"]:checked')?.value === 'some'
+                        ? [...list.querySelectorAll('input[data-snap-layer]:checked')].map(cb => cb.dataset.snapLayer)
+                        : null
+                };
+                overlay.querySelectorAll('input[data-snap-type]').forEach(cb => { next[cb.dataset.snapType] = cb.checked; });
+                setSnapSettings(next);
+                close();
+            };
+        }
+    });
+}
+
+function editFeatureGeometry(layerId, featureIndex) {
+    const layer = getLayers().find(l => l.id === layerId);
+    const feature = layer?.geojson?.features?.[featureIndex];
+    if (!feature?.geometry) return showToast('This feature has no geometry to edit', 'warning');
+    if (feature.geometry.type === 'GeometryCollection') return showToast('Geometry collections cannot be edited', 'warning');
+    drawManager.hideToolbar();
+    mapManager.map?.closePopup();
+    const safeName = layer.name.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+    geometryEditor.start(layerId, featureIndex, feature, safeName);
+}
+
+// ============================
+// Split, cut and merge features (tools/feature-edit.js)
+// ============================
+
+// Replace a layer's features as one undo step and redraw it
+function commitFeatureEdit(layer, name, features) {
+    recordEdit(layer, name, () => {
+        layer.geojson = { ...layer.geojson, features };
+    });
+    layer.schema = analyzeSchema(layer.geojson);
+    mapManager.clearSelection(layer.id);
+    bus.emit('layer:updated', layer);
+    bus.emit('layers:changed', getLayers());
+    mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+    refreshUI();
+    updateSelectionUI();
+}
+
+function openSplitTool() {
+    const layer = requireSpatialLayer(['LineString', 'MultiLineString', 'Polygon', 'MultiPolygon']);
+    if (!layer) return;
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const selected = new Set(mapManager.getSelectedIndices(layer.id));
+    geometryEditor.cancel();
+    drawManager.startSketch('line', {
+        title: `✂ Split / cut: <strong>${esc(layer.name)}</strong>${selected.size ? ` (${selected.size} selected)` : ''}`,
+        onFinish: (cutter) => splitWithLine(layer, cutter, selected)
+    });
+    showToast('Draw a line across the lines to split or the polygons to cut', 'info');
+}
+
+function splitWithLine(layer, cutter, selected) {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const targets = new Map();   // feature index → part geometries
+    let failed = 0;
+    layer.geojson.features.forEach((f, i) => {
+        if (!f.geometry || (selected.size && !selected.has(i))) return;
+        try {
+            const parts = featureEdit.splitFeature(f, cutter);
+            if (parts) targets.set(i, parts);
+        } catch (e) {
+            failed++;
+            logger.warn('FeatureEdit', 'Split failed for feature', { index: i, error: e.message });
+        }
+    });
+    if (!targets.size) {
+        return showToast(failed ? 'The features could not be split with that line' : 'The line does not cross any line or polygon in this layer', 'warning');
+    }
+
+    const partCount = [...targets.values()].reduce((n, parts) => n + parts.length, 0);
+    const numeric = featureEdit.numericFields([...targets.keys()].map(i => layer.geojson.features[i]));
+    const ruleOptions = Object.entries(featureEdit.SPLIT_RULES).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+    const html = `
+        <p>Split <strong>${targets.size}</strong> feature${targets.size === 1 ? '' : 's'} into <strong>${partCount}</strong> parts.</p>
+        ${failed ? `<div class="warning-box">${failed} feature(s) could not be split and are left as they are.</div>` : ''}
+        ${numeric.length ? `<div class="form-group"><label>Numeric fields</label>
+            <table class="data-table" style="width:100%;"><tbody>${numeric.map(f => `
+                <tr><td>${esc(f)}</td><td><select data-split-field="${esc(f)}">${ruleOptions}</select></td></tr>`).join('')}
+            </tbody></table></div>` : ''}
+        <div class="text-xs text-muted">Other attributes are copied to every part. Dividing shares a value by each part's length (lines) or area (polygons).</div>`;
+
+    showModal('Split / Cut', html, {
+        width: '460px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Split</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const rules = {};
+                overlay.querySelectorAll('select[data-split-field]').forEach(sel => { rules[sel.dataset.splitField] = sel.value; });
+                close();
+                try {
+                    const out = layer.geojson.features.flatMap((f, i) =>
+                        targets.has(i) ? featureEdit.applySplitRules(f, targets.get(i), rules) : [f]);
+                    commitFeatureEdit(layer, `Split ${targets.size} feature(s)`, out);
+                    showToast(`Split ${targets.size} feature(s) into ${partCount} parts`, 'success');
+                } catch (e) {
+                    showErrorToast(handleError(e, 'FeatureEdit', 'Split'));
+                }
+            };
+        }
+    });
+}
+
+function openMergeFeatures() {
+    const layer = requireSpatialLayer();
+    if (!layer) return;
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const indices = mapManager.getSelectedIndices(layer.id).slice().sort((a, b) => a - b);
+    if (indices.length < 2) return showToast('Select two or more features to merge (✦ Select, then Shift+click)', 'warning');
+    const features = indices.map(i => layer.geojson.features[i]);
+
+    const fields = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))];
+    const numeric = new Set(featureEdit.numericFields(features));
+    const labelOf = (f) => Object.values(f.properties || {}).find(v => typeof v === 'string' && v.trim()) || '';
+    const html = `
+        <p>Merge <strong>${indices.length}</strong> selected features into one. Polygons are dissolved together; lines are joined where their ends meet.</p>
+        <div class="form-group"><label>Keep attributes of</label>
+            <select id="mrg-winner">${indices.map((idx, n) => `<option value="${n}">Feature #${idx + 1}${labelOf(features[n]) ? ` — ${esc(String(labelOf(features[n])).slice(0, 40))}` : ''}</option>`).join('')}</select></div>
+        ${fields.length ? `<div class="form-group"><label>Per field</label>
+            <div style="max-height:240px;overflow-y:auto;"><table class="data-table" style="width:100%;"><tbody>${fields.map(f => `
+                <tr><td>${esc(f)}</td><td><select data-merge-field="${esc(f)}">${Object.entries(featureEdit.MERGE_RULES)
+                    .filter(([k]) => numeric.has(f) || k === 'keep' || k === 'concat')
+                    .map(([k, label]) => `<option value="${k}">${label}</option>`).join('')}</select></td></tr>`).join('')}
+            </tbody></table></div></div>` : ''}`;
+
+    showModal('Merge Features', html, {
+        width: '460px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Merge</button>',
+        onMount: (overlay, close) => {
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const rules = {};
+                overlay.querySelectorAll('select[data-merge-field]').forEach(sel => { rules[sel.dataset.mergeField] = sel.value; });
+                const winner = parseInt(overlay.querySelector('#mrg-winner').value, 10) || 0;
+                close();
+                try {
+                    const merged = featureEdit.mergeFeatures(features, { winner, rules });
+                    const drop = new Set(indices);
+                    const out = [];
+                    layer.geojson.features.forEach((f, i) => {
+                        if (i === indices[0]) out.push(merged);
+                        else if (!drop.has(i)) out.push(f);
+                    });
+                    commitFeatureEdit(layer, `Merge ${indices.length} features`, out);
+                    showToast(`Merged ${indices.length} features into one ${merged.geometry.type}`, 'success');
+                } catch (e) {
+                    showErrorToast(handleError(e, 'FeatureEdit', 'Merge'));
+                }
+            };
+        }
+    });
+}
+
 async function handleMergeLayers() {
     const layers = getLayers();
     if (layers.length < 2) return showToast('Need at least 2 layers to merge', 'warning');
@@ -4053,49 +6045,140 @@ async function handleMergeLayers() {
 }
 
 function handleUndo() {
-    const entry = undoHistory();
-    if (entry) {
-        const layer = getLayers().find(l => l.id === entry.layerId);
-        if (layer && layer.type === 'spatial') {
-            layer.geojson = JSON.parse(JSON.stringify(entry.snapshot));
-            import('./core/data-model.js').then(dm => {
-                layer.schema = dm.analyzeSchema(layer.geojson);
-                mapManager.addLayer(layer, getLayers().indexOf(layer));
-                refreshUI();
-                showToast('Undo', 'info', { duration: 1500 });
-            });
-        } else if (layer && layer.type === 'table') {
-            layer.rows = JSON.parse(JSON.stringify(entry.snapshot));
-            import('./core/data-model.js').then(dm => {
-                layer.schema = dm.analyzeTableSchema(layer.rows, Object.keys(layer.rows[0] || {}));
-                refreshUI();
-                showToast('Undo', 'info', { duration: 1500 });
-            });
-        }
-    }
+    const layer = getActiveLayer();
+    if (!layer) return;
+    const entry = undoHistory(layer);
+    if (entry) refreshAfterHistory(layer, `Undo: ${entry.name}`);
 }
 
 function handleRedo() {
-    const entry = redoHistory();
-    if (entry) {
-        const layer = getLayers().find(l => l.id === entry.layerId);
-        if (layer && layer.type === 'spatial') {
-            layer.geojson = JSON.parse(JSON.stringify(entry.snapshot));
-            import('./core/data-model.js').then(dm => {
-                layer.schema = dm.analyzeSchema(layer.geojson);
-                mapManager.addLayer(layer, getLayers().indexOf(layer));
-                refreshUI();
-                showToast('Redo', 'info', { duration: 1500 });
+    const layer = getActiveLayer();
+    if (!layer) return;
+    const entry = redoHistory(layer);
+    if (entry) refreshAfterHistory(layer, `Redo: ${entry.name}`);
+}
+
+function refreshAfterHistory(layer, message) {
+    import('./core/data-model.js').then(dm => {
+        if (layer.type === 'spatial') {
+            layer.schema = dm.analyzeSchema(layer.geojson);
+            mapManager.addLayer(layer, getLayers().indexOf(layer));
+        } else {
+            layer.schema = dm.analyzeTableSchema(layer.rows, Object.keys(layer.rows[0] || {}));
+        }
+        bus.emit('layer:updated', layer);
+        bus.emit('layers:changed', getLayers());
+        refreshUI();
+        showToast(message, 'info', { duration: 1500 });
+    });
+}
+
+// ============================
+// Attachments — photos and files on a feature (core/attachments.js)
+// ============================
+
+// Thumbnails / file chips with remove buttons, plus Take photo (camera on phones) and Add files
+function _attachmentStripHtml() {
+    return `<div class="att-strip">
+        <div class="att-list"></div>
+        <div class="att-actions">
+            <label class="att-add-btn">📷 Take photo<input type="file" class="att-camera-input" accept="image/*" capture="environment" hidden></label>
+            <label class="att-add-btn">📎 Add files<input type="file" class="att-file-input" multiple hidden></label>
+            <span class="text-xs text-muted">Max ${MAX_ATTACHMENT_BYTES / 1048576} MB each</span>
+        </div>
+    </div>`;
+}
+
+/**
+ * Wire up a strip from _attachmentStripHtml().
+ * @param {HTMLElement} container - element holding the strip
+ * @param {Array} initial - the feature's current attachments (not modified)
+ * @returns {{ list: Array }} the edited attachments
+ */
+function _bindAttachmentStrip(container, initial) {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const fmtSize = (bytes) => (!bytes ? '' : bytes < 1024 ? bytes + ' B' : bytes < 1048576 ? (bytes / 1024).toFixed(1) + ' KB' : (bytes / 1048576).toFixed(1) + ' MB');
+    const strip = { list: [...initial] };
+    const listEl = container.querySelector('.att-list');
+
+    const render = () => {
+        listEl.innerHTML = strip.list.length ? strip.list.map((a, i) => `<div class="att-item" title="${esc(a.name || 'attachment')}">
+            ${isImageAttachment(a) ? `<img src="${attachmentUrl(a)}" alt="">` : '<span class="att-item-icon">📎</span>'}
+            <span class="att-item-name">${esc(a.name || 'attachment')}</span>
+            <span class="att-item-size">${fmtSize(a.size)}</span>
+            <button class="att-item-remove" data-index="${i}" title="Remove">✕</button>
+        </div>`).join('') : '<div class="text-xs text-muted">No attachments</div>';
+        listEl.querySelectorAll('.att-item-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                strip.list.splice(Number(btn.dataset.index), 1);
+                render();
             });
-        } else if (layer && layer.type === 'table') {
-            layer.rows = JSON.parse(JSON.stringify(entry.snapshot));
-            import('./core/data-model.js').then(dm => {
-                layer.schema = dm.analyzeTableSchema(layer.rows, Object.keys(layer.rows[0] || {}));
+        });
+    };
+
+    const add = async (input) => {
+        const files = [...input.files];
+        input.value = '';
+        for (const file of files) {
+            try {
+                strip.list.push(await readAttachmentFile(file));
+            } catch (e) {
+                showToast(esc(e.message), 'warning');
+            }
+        }
+        render();
+    };
+    container.querySelector('.att-camera-input').addEventListener('change', (e) => add(e.target));
+    container.querySelector('.att-file-input').addEventListener('change', (e) => add(e.target));
+    render();
+    return strip;
+}
+
+// Attachments property after editing — the field is dropped when the last one is removed
+function _setAttachments(props, list) {
+    if (list.length) props[ATTACHMENTS_FIELD] = list;
+    else delete props[ATTACHMENTS_FIELD];
+}
+
+/**
+ * Add or remove a feature's attachments (popup 📎 Attach, data table).
+ * @param {string} layerId
+ * @param {number} featureIndex
+ * @param {Object} [opts]
+ * @param {Function} [opts.onSaved] - called with the saved attachment list
+ */
+function openAttachments(layerId, featureIndex, { onSaved = null } = {}) {
+    const layer = getLayers().find(l => l.id === layerId);
+    const feature = layer?.geojson?.features?.[featureIndex];
+    if (!feature) return showToast('Feature not found', 'warning');
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const header = `<div class="text-xs text-muted mb-8" style="border-bottom:1px solid var(--border);padding-bottom:4px;margin-bottom:8px;">
+        <strong>${esc(layer.name)}</strong> · Feature #${featureIndex + 1}
+    </div>`;
+    showModal('Attachments', header + _attachmentStripHtml(), {
+        width: '420px',
+        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Save</button>',
+        onMount: (overlay, close) => {
+            const strip = _bindAttachmentStrip(overlay, attachmentList(feature.properties?.[ATTACHMENTS_FIELD]));
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                close();
+                recordEdit(layer, 'Edit Attachments', () => {
+                    feature.properties = { ...(feature.properties || {}) };
+                    _setAttachments(feature.properties, strip.list);
+                }, { indices: [featureIndex] });
+                layer.schema = analyzeSchema(layer.geojson);
+                bus.emit('layer:updated', layer);
+                bus.emit('layers:changed', getLayers());
+                mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
                 refreshUI();
-                showToast('Redo', 'info', { duration: 1500 });
-            });
+                onSaved?.(strip.list);
+                showToast(`${strip.list.length} attachment${strip.list.length === 1 ? '' : 's'} saved`, 'success');
+            };
         }
-    }
+    });
 }
 
 // ============================
@@ -4108,9 +6191,10 @@ function openFeatureEditor(layerId, featureIndex) {
 
     const feature = layer.geojson.features[featureIndex];
     if (!feature) return showToast('Feature not found', 'warning');
+    if (layer.form) return openFeatureForm(layer, feature, { featureIndex });
 
     const props = feature.properties || {};
-    const fields = Object.keys(props).filter(k => !k.startsWith('_'));
+    const fields = Object.keys(props).filter(k => !k.startsWith('_') && k !== ATTACHMENTS_FIELD);
     const schemaFields = layer.schema?.fields || [];
     const getFieldType = (name) => schemaFields.find(f => f.name === name)?.type || 'string';
 
@@ -4128,10 +6212,9 @@ function openFeatureEditor(layerId, featureIndex) {
 
         if (isAtt) {
             const att = (val && val._att) ? val : null;
-            const isImage = att?.type?.startsWith('image/');
             const previewHtml = att ? `
                 <div class="att-preview-row" data-field="${f}" style="display:flex;align-items:center;gap:8px;padding:4px 0;">
-                    ${isImage && att.dataUrl ? `<img src="${att.dataUrl}" style="max-width:60px;max-height:60px;border-radius:4px;border:1px solid var(--border);">` : '<span style="font-size:20px;">📎</span>'}
+                    ${isImageAttachment(att) ? `<img src="${attachmentUrl(att)}" style="max-width:60px;max-height:60px;border-radius:4px;border:1px solid var(--border);">` : '<span style="font-size:20px;">📎</span>'}
                     <span style="font-size:12px;flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${att.name}">${att.name}</span>
                     <span style="font-size:10px;color:var(--text-muted);">${_formatFileSize(att.size)}</span>
                     <button class="att-remove-btn btn btn-sm" data-field="${f}" style="font-size:10px;padding:2px 6px;color:var(--error);" title="Remove">✕</button>
@@ -4143,7 +6226,7 @@ function openFeatureEditor(layerId, featureIndex) {
                     📷 ${att ? 'Replace Photo' : 'Choose Photo'}
                     <input type="file" class="feat-edit-file" data-field="${f}" accept="image/*" style="display:none;">
                 </label>
-                <span class="att-size-note" style="font-size:10px;color:var(--text-muted);margin-left:6px;">Max 10 MB · KML/KMZ only</span>
+                <span class="att-size-note" style="font-size:10px;color:var(--text-muted);margin-left:6px;">Max 10 MB</span>
             </div>`;
         }
 
@@ -4159,21 +6242,29 @@ function openFeatureEditor(layerId, featureIndex) {
         <strong>${layer.name}</strong> · Feature #${featureIndex + 1} · ${geomType}
     </div>`;
 
-    const html = header + `<div style="max-height:400px;overflow-y:auto;">${rowsHtml}</div>`;
+    const attachmentsHtml = `<div class="text-xs text-muted" style="margin:10px 0 4px;border-top:1px solid var(--border);padding-top:6px;">Attachments</div>
+        ${_attachmentStripHtml()}`;
+    const html = header + `<div style="max-height:400px;overflow-y:auto;">${rowsHtml}${attachmentsHtml}</div>`;
 
     showModal('Edit Feature', html, {
         width: '420px',
-        footer: '<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Save</button>',
+        footer: `${feature.geometry && geomType !== 'GeometryCollection' ? '<button class="btn btn-secondary shape-btn" style="margin-right:auto;">⬚ Edit shape</button>' : ''}<button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Save</button>`,
         onMount: (overlay, close) => {
+            overlay.querySelector('.shape-btn')?.addEventListener('click', () => {
+                close();
+                editFeatureGeometry(layerId, featureIndex);
+            });
+
             // Focus first input
             setTimeout(() => overlay.querySelector('.feat-edit-input')?.focus(), 50);
+            const strip = _bindAttachmentStrip(overlay, attachmentList(props[ATTACHMENTS_FIELD]));
 
             // Track attachment changes during editing
             const attachmentUpdates = new Map();
 
             // Handle file inputs for photo attachment fields
             overlay.querySelectorAll('.feat-edit-file').forEach(input => {
-                input.addEventListener('change', (e) => {
+                input.addEventListener('change', async (e) => {
                     const file = e.target.files[0];
                     if (!file) return;
                     if (!file.type.startsWith('image/')) {
@@ -4181,41 +6272,38 @@ function openFeatureEditor(layerId, featureIndex) {
                         input.value = '';
                         return;
                     }
-                    if (file.size > 10 * 1024 * 1024) {
-                        showToast('Photo too large — max 10 MB', 'warning');
+                    let attObj;
+                    try {
+                        attObj = await readAttachmentFile(file);
+                    } catch (err) {
+                        showToast(err.message, 'warning');
                         input.value = '';
                         return;
                     }
-                    const reader = new FileReader();
-                    reader.onload = () => {
-                        const field = input.dataset.field;
-                        const attObj = { _att: true, name: file.name, dataUrl: reader.result, type: file.type, size: file.size };
-                        attachmentUpdates.set(field, attObj);
-                        // Update preview in-place
-                        const isImage = file.type.startsWith('image/');
-                        let previewRow = overlay.querySelector(`.att-preview-row[data-field="${field}"]`);
-                        const formGroup = input.closest('.form-group');
-                        if (!previewRow) {
-                            previewRow = document.createElement('div');
-                            previewRow.className = 'att-preview-row';
-                            previewRow.dataset.field = field;
-                            previewRow.style.cssText = 'display:flex;align-items:center;gap:8px;padding:4px 0;';
-                            formGroup.insertBefore(previewRow, formGroup.querySelector('label:last-of-type'));
-                        }
-                        const fmtSize = file.size < 1024 ? file.size + ' B' : file.size < 1048576 ? (file.size / 1024).toFixed(1) + ' KB' : (file.size / 1048576).toFixed(1) + ' MB';
-                        previewRow.innerHTML = `
-                            ${isImage ? `<img src="${reader.result}" style="max-width:60px;max-height:60px;border-radius:4px;border:1px solid var(--border);">` : '<span style="font-size:20px;">📎</span>'}
-                            <span style="font-size:12px;flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${file.name}">${file.name}</span>
-                            <span style="font-size:10px;color:var(--text-muted);">${fmtSize}</span>
-                            <button class="att-remove-btn btn btn-sm" data-field="${field}" style="font-size:10px;padding:2px 6px;color:var(--error);" title="Remove">✕</button>`;
-                        // Bind remove on the new button
-                        previewRow.querySelector('.att-remove-btn').addEventListener('click', (ev) => {
-                            ev.preventDefault();
-                            attachmentUpdates.set(field, null);
-                            previewRow.remove();
-                        });
-                    };
-                    reader.readAsDataURL(file);
+                    const field = input.dataset.field;
+                    attachmentUpdates.set(field, attObj);
+                    // Update preview in-place
+                    let previewRow = overlay.querySelector(`.att-preview-row[data-field="${field}"]`);
+                    const formGroup = input.closest('.form-group');
+                    if (!previewRow) {
+                        previewRow = document.createElement('div');
+                        previewRow.className = 'att-preview-row';
+                        previewRow.dataset.field = field;
+                        previewRow.style.cssText = 'display:flex;align-items:center;gap:8px;padding:4px 0;';
+                        formGroup.insertBefore(previewRow, formGroup.querySelector('label:last-of-type'));
+                    }
+                    const fmtSize = file.size < 1024 ? file.size + ' B' : file.size < 1048576 ? (file.size / 1024).toFixed(1) + ' KB' : (file.size / 1048576).toFixed(1) + ' MB';
+                    previewRow.innerHTML = `
+                        <img src="${attachmentUrl(attObj)}" style="max-width:60px;max-height:60px;border-radius:4px;border:1px solid var(--border);">
+                        <span style="font-size:12px;flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${file.name}">${file.name}</span>
+                        <span style="font-size:10px;color:var(--text-muted);">${fmtSize}</span>
+                        <button class="att-remove-btn btn btn-sm" data-field="${field}" style="font-size:10px;padding:2px 6px;color:var(--error);" title="Remove">✕</button>`;
+                    // Bind remove on the new button
+                    previewRow.querySelector('.att-remove-btn').addEventListener('click', (ev) => {
+                        ev.preventDefault();
+                        attachmentUpdates.set(field, null);
+                        previewRow.remove();
+                    });
                 });
             });
 
@@ -4232,31 +6320,31 @@ function openFeatureEditor(layerId, featureIndex) {
 
             overlay.querySelector('.cancel-btn').onclick = () => close();
             overlay.querySelector('.apply-btn').onclick = () => {
-                // Save snapshot before editing
-                saveSnapshot(layer.id, 'Edit Feature', layer.geojson);
+                recordEdit(layer, 'Edit Feature', () => {
+                    // Read all text inputs and update properties
+                    overlay.querySelectorAll('.feat-edit-input').forEach(input => {
+                        const field = input.dataset.field;
+                        const newVal = input.value;
+                        const oldVal = props[field];
+
+                        // Coerce to original type
+                        if (oldVal === null || oldVal === undefined) {
+                            props[field] = newVal === '' ? null : newVal;
+                        } else if (typeof oldVal === 'number') {
+                            props[field] = newVal === '' ? null : (isNaN(Number(newVal)) ? newVal : Number(newVal));
+                        } else if (typeof oldVal === 'boolean') {
+                            props[field] = newVal === 'true' || newVal === '1';
+                        } else {
+                            props[field] = newVal;
+                        }
+                    });
 
-                // Read all text inputs and update properties
-                overlay.querySelectorAll('.feat-edit-input').forEach(input => {
-                    const field = input.dataset.field;
-                    const newVal = input.value;
-                    const oldVal = props[field];
-
-                    // Coerce to original type
-                    if (oldVal === null || oldVal === undefined) {
-                        props[field] = newVal === '' ? null : newVal;
-                    } else if (typeof oldVal === 'number') {
-                        props[field] = newVal === '' ? null : (isNaN(Number(newVal)) ? newVal : Number(newVal));
-                    } else if (typeof oldVal === 'boolean') {
-                        props[field] = newVal === 'true' || newVal === '1';
-                    } else {
-                        props[field] = newVal;
+                    // Apply attachment updates
+                    for (const [field, data] of attachmentUpdates) {
+                        props[field] = data; // null removes, object sets
                     }
-                });
-
-                // Apply attachment updates
-                for (const [field, data] of attachmentUpdates) {
-                    props[field] = data; // null removes, object sets
-                }
+                    _setAttachments(props, strip.list);
+                }, { indices: [featureIndex] });
 
                 // Refresh map and UI
                 import('./core/data-model.js').then(dm => {
@@ -4273,6 +6361,304 @@ function openFeatureEditor(layerId, featureIndex) {
     });
 }
 
+// ============================
+// Feature forms — per-layer field types, domains, required and automatic values (dataprep/form-schema.js)
+// ============================
+
+/**
+ * Fill in a feature's attributes with the layer's form.
+ * @param {Object} layer
+ * @param {Object} feature
+ * @param {Object} opts
+ * @param {number} [opts.featureIndex] - editing an existing feature (saved as an undo step)
+ * @param {Function} [opts.onSave] - new feature: called with the attributes once they pass the form
+ * @param {number} [opts.accuracy] - GPS accuracy of a new feature's position, in metres
+ */
+function openFeatureForm(layer, feature, { featureIndex = null, onSave = null, accuracy = null } = {}) {
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const isNew = featureIndex === null;
+    const form = layer.form;
+    const userName = getState().ui.userName;
+    const props = formSchema.applyFormValues(form, feature.properties || {}, { isNew, geometry: feature.geometry, accuracy, userName });
+    const formNames = new Set(form.fields.map(f => f.name));
+
+    const inputHtml = (f) => {
+        const v = props[f.name];
+        const attrs = `class="feat-form-input" data-field="${esc(f.name)}" id="ff-${esc(f.name)}"`;
+        if (f.auto) {
+            return `<input type="text" ${attrs} value="${esc(formSchema.displayFormValue(f, v))}" placeholder="${esc(formSchema.AUTO_VALUES[f.auto])}" disabled>`;
+        }
+        switch (f.type) {
+            case 'choice':
+                return `<select ${attrs}><option value=""></option>${(f.domain || []).map(d =>
+                    `<option value="${esc(d.code)}" ${String(v ?? '') === d.code ? 'selected' : ''}>${esc(d.label || d.code)}</option>`).join('')}</select>`;
+            case 'boolean':
+                return `<select ${attrs}><option value=""></option>
+                    <option value="true" ${v === true ? 'selected' : ''}>Yes</option><option value="false" ${v === false ? 'selected' : ''}>No</option></select>`;
+            case 'number':
+            case 'integer':
+                return `<input type="number" ${attrs} step="${f.type === 'integer' ? 1 : 'any'}" ${f.min != null ? `min="${f.min}"` : ''} ${f.max != null ? `max="${f.max}"` : ''} value="${esc(v ?? '')}">`;
+            case 'date':
+                return `<input type="date" ${attrs} value="${esc(/^\d{4}-\d{2}-\d{2}/.test(String(v ?? '')) ? String(v).slice(0, 10) : '')}">`;
+            default:
+                return `<input type="text" ${attrs} value="${esc(v ?? '')}">`;
+        }
+    };
+    const rowsHtml = form.fields.filter(f => !f.hidden).map(f => {
+        const hint = f.type === 'choice' || f.auto ? ''
+            : f.min != null || f.max != null ? ` <span style="opacity:0.6;font-size:9px;">(${f.min ?? '…'} – ${f.max ?? '…'})</span>` : '';
+        return `<div class="form-group" style="margin-bottom:6px;">
+            <label for="ff-${esc(f.name)}" style="font-size:11px;color:var(--text-muted);">${esc(f.label || f.name)}${f.required && !f.auto ? ' <span class="form-required">*</span>' : ''}${hint}</label>
+            ${inputHtml(f)}
+            <div class="form-field-error" data-error-for="${esc(f.name)}"></div>
+        </div>`;
+    }).join('');
+
+    // Attributes the form doesn't cover stay editable as text; photo fields are listed only
+    const others = Object.keys(props).filter(k => !k.startsWith('_') && !formNames.has(k) && k !== ATTACHMENTS_FIELD);
+    const othersHtml = others.length ? `
+        <div class="text-xs text-muted" style="margin:10px 0 4px;border-top:1px solid var(--border);padding-top:6px;">Other attributes</div>
+        ${others.map(k => {
+            const v = props[k];
+            if (v && typeof v === 'object' && v._att) {
+                return `<div class="text-xs" style="margin-bottom:6px;"><span class="text-muted">${esc(k)}:</span> 📎 ${esc(v.name || 'attachment')}</div>`;
+            }
+            const shown = v != null && typeof v === 'object' ? JSON.stringify(v) : v;
+            return `<div class="form-group" style="margin-bottom:6px;">
+                <label style="font-size:11px;color:var(--text-muted);">${esc(k)}</label>
+                <input type="text" class="feat-other-input" data-field="${esc(k)}" value="${esc(shown ?? '')}">
+            </div>`;
+        }).join('')}` : '';
+    const attachmentsHtml = `<div class="text-xs text-muted" style="margin:10px 0 4px;border-top:1px solid var(--border);padding-top:6px;">Attachments</div>
+        ${_attachmentStripHtml()}`;
+
+    const geomType = feature.geometry?.type || 'Unknown';
+    const header = `<div class="text-xs text-muted mb-8" style="border-bottom:1px solid var(--border);padding-bottom:4px;margin-bottom:8px;">
+        <strong>${esc(layer.name)}</strong> · ${isNew ? 'New feature' : `Feature #${featureIndex + 1}`} · ${geomType}
+    </div>`;
+    const canShape = !isNew && feature.geometry && geomType !== 'GeometryCollection';
+
+    showModal(isNew ? 'New Feature' : 'Edit Feature', header + `<div style="max-height:400px;overflow-y:auto;">${rowsHtml}${othersHtml}${attachmentsHtml}</div>`, {
+        width: '420px',
+        footer: `${canShape ? '<button class="btn btn-secondary shape-btn" style="margin-right:auto;">⬚ Edit shape</button>' : ''}<button class="btn btn-secondary cancel-btn">${isNew ? 'Discard' : 'Cancel'}</button><button class="btn btn-primary apply-btn">Save</button>`,
+        onMount: (overlay, close) => {
+            overlay.querySelector('.shape-btn')?.addEventListener('click', () => {
+                close();
+                editFeatureGeometry(layer.id, featureIndex);
+            });
+            setTimeout(() => overlay.querySelector('.feat-form-input:not([disabled])')?.focus(), 50);
+            const strip = _bindAttachmentStrip(overlay, attachmentList(props[ATTACHMENTS_FIELD]));
+
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const values = { ...props };
+                overlay.querySelectorAll('.feat-form-input:not([disabled])').forEach(input => {
+                    const field = form.fields.find(f => f.name === input.dataset.field);
+                    values[field.name] = formSchema.coerceFormValue(field, input.value);
+                });
+                overlay.querySelectorAll('.feat-other-input').forEach(input => {
+                    const old = props[input.dataset.field];
+                    const v = input.value;
+                    values[input.dataset.field] = v === '' ? (old === '' ? '' : null)
+                        : typeof old === 'number' && !isNaN(Number(v)) ? Number(v)
+                        : typeof old === 'boolean' ? v === 'true' || v === '1'
+                        : v;
+                });
+                _setAttachments(values, strip.list);
+                // Edit-time values (last edited, editor) are refreshed on save
+                const final = formSchema.applyFormValues(form, values, { isNew, geometry: feature.geometry, accuracy, userName });
+
+                overlay.querySelectorAll('.form-field-error').forEach(el => { el.textContent = ''; });
+                const errors = formSchema.validateProperties(form, final);
+                if (errors.length) {
+                    for (const e of errors) {
+                        const el = overlay.querySelector(`.form-field-error[data-error-for="${CSS.escape(e.field)}"]`);
+                        if (el && !el.textContent) el.textContent = e.message;
+                    }
+                    const hidden = errors.filter(e => form.fields.find(f => f.name === e.field)?.hidden);
+                    if (hidden.length) showToast(hidden.map(e => esc(e.message)).join('<br>'), 'warning');
+                    overlay.querySelector('.form-field-error:not(:empty)')?.scrollIntoView({ block: 'nearest' });
+                    return;
+                }
+
+                close();
+                if (isNew) {
+                    onSave?.(final);
+                    return;
+                }
+                recordEdit(layer, 'Edit Feature', () => { feature.properties = final; }, { indices: [featureIndex] });
+                layer.schema = analyzeSchema(layer.geojson);
+                bus.emit('layer:updated', layer);
+                bus.emit('layers:changed', getLayers());
+                mapManager.addLayer(layer, getLayers().indexOf(layer), { fit: false });
+                refreshUI();
+                showToast('Feature updated', 'success');
+            };
+        }
+    });
+}
+
+// Layers with a form collect a new feature's attributes before it is added; Discard drops it
+function _collectNewFeature(layer, feature, add, { accuracy = null } = {}) {
+    if (!layer.form) { add(); return; }
+    openFeatureForm(layer, feature, {
+        accuracy,
+        onSave: (properties) => {
+            feature.properties = properties;
+            add();
+        }
+    });
+}
+
+function openFormDesigner() {
+    const layer = requireSpatialLayer();
+    if (!layer) return;
+    const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const hadForm = !!layer.form;
+    // Working copy — every change to the cards is written here
+    const draft = (layer.form || formSchema.createForm(layer.schema?.fields)).fields.map(f => ({ ...f, domain: f.domain?.map(d => ({ ...d })) }));
+
+    const cardHtml = (f, i) => {
+        const isNum = f.type === 'number' || f.type === 'integer';
+        const defaultValue = f.default === null || f.default === undefined ? '' : String(f.default);
+        return `<div class="form-design-card" data-i="${i}">
+            <div class="form-design-head">
+                <strong title="${esc(f.name)}">${esc(f.name)}</strong>
+                <select data-k="type">${Object.entries(formSchema.FORM_FIELD_TYPES).map(([k, label]) =>
+                    `<option value="${k}" ${f.type === k ? 'selected' : ''}>${label}</option>`).join('')}</select>
+                <button class="btn btn-sm btn-secondary" data-act="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-sm btn-secondary" data-act="down" title="Move down" ${i === draft.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-sm btn-danger" data-act="remove" title="Leave this field off the form">✕</button>
+            </div>
+            <div class="form-design-body">
+                <label>Label<input type="text" data-k="label" value="${esc(f.label || '')}" placeholder="${esc(f.name)}"></label>
+                <label>Fill automatically<select data-k="auto"><option value="">No — typed in</option>${Object.entries(formSchema.AUTO_VALUES).map(([k, label]) =>
+                    `<option value="${k}" ${f.auto === k ? 'selected' : ''}>${label}</option>`).join('')}</select></label>
+                ${f.auto ? '' : `<label>Default<input type="text" data-k="default" value="${esc(defaultValue)}"></label>`}
+                ${isNum && !f.auto ? `<label>Min<input type="number" data-k="min" step="any" value="${f.min ?? ''}"></label>
+                    <label>Max<input type="number" data-k="max" step="any" value="${f.max ?? ''}"></label>` : ''}
+                ${f.type === 'choice' && !f.auto ? `<label class="form-design-domain">Choices — one per line, <code>code = Label</code>
+                    <textarea data-k="domain" rows="3">${esc(formSchema.formatDomain(f.domain || []))}</textarea></label>` : ''}
+                <div class="form-design-flags">
+                    <label class="checkbox-row"><input type="checkbox" data-k="required" ${f.required ? 'checked' : ''} ${f.auto ? 'disabled' : ''}> Required</label>
+                    <label class="checkbox-row"><input type="checkbox" data-k="hidden" ${f.hidden ? 'checked' : ''}> Hidden</label>
+                </div>
+            </div>
+        </div>`;
+    };
+
+    const html = `
+        <div class="text-xs text-muted" style="margin-bottom:8px;">The form is used when features are added to <strong>${esc(layer.name)}</strong> (drawing, search points, current location) and when they are edited.</div>
+        <div id="fd-cards"></div>
+        <div class="input-with-btn" style="margin-top:8px;">
+            <input type="text" id="fd-new" list="fd-new-list" placeholder="Add a field — pick one or type a new name">
+            <datalist id="fd-new-list"></datalist>
+            <button class="btn btn-sm btn-primary" id="fd-add">+ Add</button>
+        </div>
+        <div class="form-group" style="margin-top:10px;"><label>Your name <span class="text-muted text-xs">(for "added by" / "last edited by" fields)</span></label>
+            <input type="text" id="fd-user" value="${esc(getState().ui.userName || '')}"></div>
+        <div id="fd-check" class="text-xs"></div>`;
+
+    showModal(`Form — ${esc(layer.name)}`, html, {
+        width: '560px',
+        footer: `${hadForm ? '<button class="btn btn-danger remove-btn" style="margin-right:auto;">Remove form</button>' : ''}
+                 <button class="btn btn-secondary check-btn" ${hadForm ? '' : 'style="margin-right:auto;"'}>Check features</button>
+                 <button class="btn btn-secondary cancel-btn">Cancel</button><button class="btn btn-primary apply-btn">Save form</button>`,
+        onMount: (overlay, close) => {
+            const cards = overlay.querySelector('#fd-cards');
+            const render = () => {
+                cards.innerHTML = draft.length ? draft.map(cardHtml).join('')
+                    : '<div class="text-sm text-muted">No fields on the form yet.</div>';
+                const used = new Set(draft.map(f => f.name));
+                overlay.querySelector('#fd-new-list').innerHTML = (layer.schema?.fields || [])
+                    .filter(f => !used.has(f.name) && !f.name.startsWith('_') && f.type !== 'attachment')
+                    .map(f => `<option value="${esc(f.name)}">`).join('');
+            };
+            render();
+
+            cards.addEventListener('change', (e) => {
+                const card = e.target.closest('.form-design-card');
+                const key = e.target.dataset.k;
+                if (!card || !key) return;
+                const f = draft[+card.dataset.i];
+                const el = e.target;
+                if (el.type === 'checkbox') f[key] = el.checked;
+                else if (key === 'domain') f.domain = formSchema.parseDomain(el.value);
+                else if (key === 'min' || key === 'max') f[key] = el.value === '' ? null : Number(el.value);
+                else f[key] = el.value === '' ? null : el.value;
+                // These change which settings the card shows
+                if (key === 'type' || key === 'auto') render();
+            });
+            cards.addEventListener('click', (e) => {
+                const btn = e.target.closest('button[data-act]');
+                if (!btn) return;
+                const i = +btn.closest('.form-design-card').dataset.i;
+                if (btn.dataset.act === 'remove') draft.splice(i, 1);
+                else {
+                    const j = btn.dataset.act === 'up' ? i - 1 : i + 1;
+                    [draft[i], draft[j]] = [draft[j], draft[i]];
+                }
+                render();
+            });
+            overlay.querySelector('#fd-add').onclick = () => {
+                const input = overlay.querySelector('#fd-new');
+                const name = input.value.trim();
+                if (!name) return;
+                if (draft.some(f => f.name === name)) return showToast(`"${esc(name)}" is already on the form`, 'warning');
+                if (/[.\[\]]/.test(name) || name.startsWith('_')) return showToast('Field names cannot contain . [ or ] or start with _', 'warning');
+                const existing = layer.schema?.fields?.find(f => f.name === name);
+                draft.push(formSchema.createForm(existing ? [existing] : [{ name, type: 'string' }]).fields[0]);
+                input.value = '';
+                render();
+            };
+
+            overlay.querySelector('.check-btn').onclick = () => {
+                const out = overlay.querySelector('#fd-check');
+                const form = formSchema.normalizeForm({ fields: draft });
+                if (!form) { out.textContent = 'Add fields to the form first.'; return; }
+                const features = layer.geojson.features;
+                const { errors, invalidFeatures } = formSchema.checkLayer(form, features);
+                if (!errors.length) {
+                    out.innerHTML = `<span style="color:var(--success);">All ${features.length} features pass the form.</span>`;
+                    return;
+                }
+                const indices = [...new Set(errors.map(e => e.featureIndex))];
+                out.innerHTML = `<div style="color:var(--warning);margin:6px 0 4px;">${invalidFeatures} of ${features.length} features don't pass the form.
+                        <a href="#" id="fd-select">Select them</a></div>
+                    ${errors.slice(0, 10).map(e => `<div>#${e.featureIndex + 1}: ${esc(e.message)}</div>`).join('')}
+                    ${errors.length > 10 ? `<div class="text-muted">…and ${errors.length - 10} more</div>` : ''}`;
+                out.querySelector('#fd-select').onclick = (ev) => {
+                    ev.preventDefault();
+                    mapManager.selectFeatures(layer.id, indices);
+                    updateSelectionUI();
+                    showToast(`Selected ${indices.length} feature${indices.length === 1 ? '' : 's'} that fail the form`, 'info');
+                };
+            };
+
+            overlay.querySelector('.remove-btn')?.addEventListener('click', () => {
+                delete layer.form;
+                close();
+                bus.emit('layer:updated', layer);
+                bus.emit('layers:changed', getLayers());
+                showToast(`Form removed from ${esc(layer.name)}`, 'info');
+            });
+            overlay.querySelector('.cancel-btn').onclick = () => close();
+            overlay.querySelector('.apply-btn').onclick = () => {
+                const form = formSchema.normalizeForm({ fields: draft });
+                if (!form) return showToast('Add at least one field to the form', 'warning');
+                const badDomain = form.fields.find(f => f.type === 'choice' && !f.domain.length);
+                if (badDomain) return showToast(`Give "${esc(badDomain.name)}" at least one choice`, 'warning');
+                layer.form = form;
+                setUIState('userName', overlay.querySelector('#fd-user').value.trim());
+                close();
+                bus.emit('layer:updated', layer);
+                bus.emit('layers:changed', getLayers());
+                showToast(`Form saved for ${esc(layer.name)} — ${form.fields.length} field${form.fields.length === 1 ? '' : 's'}`, 'success');
+            };
+        }
+    });
+}
+
 function showDataTable() {
     const layer = getActiveLayer();
     if (!layer) return;
@@ -4286,17 +6672,21 @@ function showDataTable() {
 
     if (displayRows.length === 0) return showToast('No data to show', 'warning');
 
-    const firstProps = isSpatial ? (displayRows[0]?.properties || {}) : (displayRows[0] || {});
-    const fields = Object.keys(firstProps).filter(k => !k.startsWith('_'));
+    // Fields of every shown row — attachments are often on a few features only
+    const fields = [...new Set(displayRows.flatMap(item => Object.keys((isSpatial ? item.properties : item) || {})))]
+        .filter(k => !k.startsWith('_'));
     const headerHtml = `<th style="width:30px;">#</th>` + fields.map(f => `<th>${f}</th>`).join('');
     const bodyHtml = displayRows.map((item, i) => {
         const props = isSpatial ? (item.properties || {}) : item;
         const cells = fields.map(f => {
             let val = props[f];
-            // Attachment cells: show filename, non-editable
-            if (val && typeof val === 'object' && val._att) {
-                const icon = val.type?.startsWith('image/') ? '🖼️' : '📎';
-                return `<td data-row="${i}" data-field="${f}" class="att-cell" style="cursor:default;color:var(--text-muted);font-style:italic;" title="${val.name || 'attachment'}">${icon} ${val.name || 'attachment'}</td>`;
+            // Attachment cells: show filename or count, non-editable (the attachments list opens its editor)
+            const opens = isSpatial && f === ATTACHMENTS_FIELD;
+            if (opens || isAttachmentValue(val)) {
+                const list = attachmentList(val);
+                const icon = list.length === 1 && list[0].type?.startsWith('image/') ? '🖼️' : '📎';
+                const names = list.map(a => a.name || 'attachment').join(', ').replace(/"/g, '&quot;');
+                return `<td data-row="${i}" data-field="${f}" class="att-cell${opens ? ' att-cell-open' : ''}" style="cursor:${opens ? 'pointer' : 'default'};color:var(--text-muted);font-style:italic;" title="${opens ? 'Click to add or remove attachments' : names}">${list.length ? `${icon} ${attachmentLabel(list)}` : ''}</td>`;
             }
             if (val != null && typeof val === 'object') val = JSON.stringify(val);
             return `<td contenteditable="true" data-row="${i}" data-field="${f}">${val ?? ''}</td>`;
@@ -4317,6 +6707,11 @@ function showDataTable() {
         width: '90vw',
         onMount: (overlay) => {
             let dirty = false;
+            overlay.querySelectorAll('.att-cell-open').forEach(td => {
+                td.addEventListener('click', () => openAttachments(layer.id, Number(td.dataset.row), {
+                    onSaved: (list) => { td.textContent = list.length ? `📎 ${attachmentLabel(list)}` : ''; }
+                }));
+            });
             overlay.querySelectorAll('td[contenteditable]').forEach(td => {
                 td.addEventListener('focus', () => {
                     td.style.outline = '2px solid var(--primary)';
@@ -4331,17 +6726,23 @@ function showDataTable() {
                     const target = isSpatial ? features[row]?.properties : (layer.rows || [])[row];
                     if (!target) return;
                     const oldVal = target[field];
-                    const coerced = (oldVal === null || oldVal === undefined) ? newVal
+                    const formField = isSpatial ? layer.form?.fields.find(f => f.name === field) : null;
+                    const coerced = formField ? formSchema.coerceFormValue(formField, newVal)
+                        : (oldVal === null || oldVal === undefined) ? newVal
                         : typeof oldVal === 'number' ? (isNaN(Number(newVal)) ? newVal : Number(newVal))
                         : typeof oldVal === 'boolean' ? (newVal === 'true')
                         : newVal;
-                    if (String(oldVal) !== String(coerced)) {
-                        if (!dirty) {
-                            // Save snapshot on first edit
-                            if (isSpatial) saveSnapshot(layer.id, 'Edit field data', layer.geojson);
-                            dirty = true;
+                    if (formField) {
+                        const problem = formSchema.validateProperties(layer.form, { ...target, [field]: coerced }).find(e => e.field === field);
+                        if (problem) {
+                            td.textContent = oldVal ?? '';
+                            showToast(problem.message.replace(/&/g, '&amp;').replace(/</g, '&lt;'), 'warning');
+                            return;
                         }
-                        target[field] = coerced;
+                    }
+                    if (String(oldVal) !== String(coerced)) {
+                        recordEdit(layer, 'Edit field data', () => { target[field] = coerced; }, { indices: [row] });
+                        dirty = true;
                     }
                 });
                 td.addEventListener('keydown', (e) => {
@@ -4385,6 +6786,7 @@ function toggleField(fieldName, selected) {
     if (field) {
         field.selected = selected;
         renderOutputPanel();
+        sessionStore.scheduleSave(getLayers());
     }
 }
 
@@ -4394,6 +6796,7 @@ function selectAllFields(selected) {
     for (const f of (layer.schema?.fields || [])) f.selected = selected;
     renderFieldList();
     renderOutputPanel();
+    sessionStore.scheduleSave(getLayers());
 }
 
 function filterFields(query) {
@@ -4433,6 +6836,7 @@ function renameLayer(layerId, el) {
                 layer.name = newName;
                 renderLayerList();
                 renderOutputPanel();
+                sessionStore.scheduleSave(getLayers());
                 showToast(`Layer renamed to "${newName}"`, 'success', { duration: 2000 });
             }
         });
@@ -4445,6 +6849,7 @@ function renameLayer(layerId, el) {
         layer.name = newName.trim();
         renderLayerList();
         renderOutputPanel();
+        sessionStore.scheduleSave(getLayers());
         showToast(`Layer renamed to "${layer.name}"`, 'success', { duration: 2000 });
     }
 }
@@ -4467,6 +6872,7 @@ function renameField(fieldName, el) {
                 field.outputName = newName;
                 renderFieldList();
                 renderOutputPanel();
+                sessionStore.scheduleSave(getLayers());
                 showToast(`Field renamed to "${newName}"`, 'success', { duration: 2000 });
             }
         });
@@ -4478,6 +6884,7 @@ function renameField(fieldName, el) {
         field.outputName = newName.trim();
         renderFieldList();
         renderOutputPanel();
+        sessionStore.scheduleSave(getLayers());
         showToast(`Field renamed to "${field.outputName}"`, 'success', { duration: 2000 });
     }
 }
@@ -4654,9 +7061,13 @@ function showToolInfo() {
         {
             title: 'Import & Sources',
             tools: [
-                ['📂 Import', 'Drag-and-drop or browse to load GeoJSON, CSV, Excel, KML, KMZ, Shapefile (ZIP), or JSON files.'],
-                ['📷 Photos', 'Import geotagged photos. Extracts GPS coordinates and EXIF data, maps them as points.'],
-                ['🌐 ArcGIS REST', 'Import features directly from an ArcGIS REST service URL (Feature/Map Server).']
+                ['📂 Import', 'Drag-and-drop or browse to load GeoJSON, CSV, Excel, KML, KMZ, GPX, GeoPackage, Shapefile (ZIP), or JSON files.'],
+                ['📷 Photos', 'Import geotagged photos. Extracts GPS coordinates and EXIF data, maps them as points. Photos without GPS can be matched to a GPX or recorded track by the time they were taken (set the camera clock offset if it was wrong), or dragged onto the map with 📍 Place on map. Photos with a compass heading show a view cone; change its angle and length, or make a cone polygon layer, under Layer Style → View Direction.'],
+                ['🗄️ Storage', 'See how much browser storage the app uses and roughly how big each layer is, turn auto-save off for layers too large to keep, and ask the browser to keep the data persistent. You are warned when storage is nearly full.'],
+                ['📤 Tabs', 'Each open tab keeps its own auto-saved workspace, so two tabs never overwrite each other. With more than one tab open, use 📤 on a layer to copy it into another tab.'],
+                ['💾 Projects', 'Save the workspace under a name and reopen, duplicate or delete it later. Download a project as a single .gtproj.zip file (layers, styles, recipes, photos and map view) to share it; import one to open exactly what a colleague saved.'],
+                ['🌐 ArcGIS REST', 'Import features directly from an ArcGIS REST service URL (Feature/Map Server).'],
+                ['🛰 GPS Track', 'Record the path you walk or drive as a line. Choose a new track layer or an existing line layer, record a point every so many metres or seconds, and skip positions worse than an accuracy limit. The map follows your position until you pan it; Pause and Resume start a new segment. The track is saved as it grows, and after a crash you can continue it.']
             ]
         },
         {
@@ -4664,9 +7075,14 @@ function showToolInfo() {
             tools: [
                 ['Layers Panel', 'View, select, toggle visibility, zoom to, rename, or remove imported layers.'],
                 ['Fields Panel', 'View, search, select/deselect, rename, or add new fields on the active layer.'],
+                ['📝 Forms', 'Give a layer a data collection form from 📝 Form in the Fields panel: field types, choice lists (code = Label), number ranges, defaults, required and hidden fields, and values filled in automatically — date added or edited, your name, GPS accuracy, latitude and longitude. New points and shapes open the form before they are added, edits are checked against it, and Check features lists the ones that fail.'],
+                ['📎 Attachments', 'Attach photos and files to any feature from the feature editor or 📎 Attach in its popup — on a phone, Take photo opens the camera. They show in the popup and the data table (click a cell to change them) and are saved with the session. KMZ exports embed them; for other formats, tick Bundle attachments in a ZIP in the Export panel to get the files alongside the data.'],
                 ['Field Types', 'Text, Number, Boolean, Date, and Attach Photo. Photo fields let you attach images to individual features with inline previews. Photos are embedded when exported as KML/KMZ only.'],
                 ['Feature Selection', 'Click the ✦ Select button to enter selection mode. Click features to select them (cyan highlight). Shift+click to add/remove. Ctrl+drag to box-select. Tools operate on selected features when a selection exists, or all features when nothing is selected.'],
                 ['Merge Layers', 'Select which layers to combine into a single layer. A source_file field is added so you can tell which features came from which original layer. Useful for exporting multiple layers into one KMZ with folders.'],
+                ['Edit Shape', 'Reshape one feature: use ⬚ Shape in its popup, Edit shape in its right-click menu, or the button in the feature editor. Drag vertices, drag or click a midpoint to add one, and right-click or press Del to remove one. Move, Rotate and Scale work on the whole feature. Saving is a single undo step.'],
+                ['📐 COGO', 'In the draw toolbar, COGO builds a line or parcel from a legal description. Click or type the point of beginning, then enter one leg per line: quadrant bearings (N45°30\'E 150.25) or azimuths, distances in feet, US survey feet or meters, and curves as C R=500 L=120.5 CB=N60°10\'E right. The misclosure and precision are reported as you type; tick Close into a polygon to add a parcel with its area.'],
+                ['🧲 Snapping', 'While drawing or editing a shape, the cursor snaps to endpoints, vertices and edges of visible layers within a pixel tolerance, so new lines meet existing roads and boundaries without gaps. Toggle it with 🧲 Snap on the toolbar; ⚙ picks the tolerance, what to snap to and which layers. Hold Alt to place a vertex freely.'],
                 ['Data Table', 'View the raw attribute table for the active layer.']
             ]
         },
@@ -4678,11 +7094,13 @@ function showToolInfo() {
                 ['Template', 'Build a new field from a text template using values from existing fields.'],
                 ['Replace/Clean', 'Find and replace text, trim whitespace, or clean values in a field.'],
                 ['Type Convert', 'Change a field\'s data type (text → number, number → text, etc.).'],
+                ['Calculate', 'Compute a field from an expression: arithmetic, text functions, IF / CASE, date math and geometry values like $area, $length, $x and $y. Validated against the layer\'s fields with a live preview; undo restores the previous values.'],
                 ['Filter', 'Keep or remove rows based on conditions (equals, contains, greater than, etc.).'],
                 ['Dedup', 'Remove duplicate rows based on one or more key fields.'],
                 ['Join', 'Join two layers together on a matching key field.'],
                 ['Validate', 'Run validation rules on fields (required, min/max, regex pattern, etc.).'],
-                ['Add UID', 'Add a unique sequential ID field to every row.']
+                ['Add UID', 'Add a unique sequential ID field to every row.'],
+                ['Recipes', 'Data Prep tools you apply are recorded as steps with their settings. Save them as a named recipe, reorder or edit the steps, download or import recipes as JSON, and replay one on a freshly imported layer — steps whose fields are missing are skipped and listed in a report. Replaying is a single undo step.']
             ]
         },
         {
@@ -4715,6 +7133,13 @@ function showToolInfo() {
                 ['Sector', 'Create a pie-slice shaped area from a center point, radius, and compass bearings.']
             ]
         },
+        {
+            title: 'GIS Tools — Editing',
+            tools: [
+                ['Split / Cut', 'Draw a line across the active layer. Lines it crosses are split at the crossings; polygons it crosses are cut into pieces. Limited to the selection when there is one. Numeric fields can be copied to every part, divided by each part\'s length or area, or left empty.'],
+                ['Merge', 'Join two or more selected features into one: polygons are dissolved, lines joined end to end, points collected. Choose which feature\'s attributes to keep, and sum, average, min/max or join values field by field.']
+            ]
+        },
         {
             title: 'GIS Tools — Lines & Analysis',
             tools: [
@@ -4722,6 +7147,7 @@ function showToolInfo() {
                 ['Line Slice (Points)', 'Click two points on the map to cut out the section of line between them.'],
                 ['Line Intersect', 'Find all points where two sets of lines cross each other.'],
                 ['Kinks', 'Find self-intersections where a line or polygon edge crosses itself.'],
+                ['Route Events', 'Place points or from/to segments on a route layer from route ID + measure rows, using vertex M values, route from/to measure fields, or length along the route. Optional side-of-road offset with a maximum.'],
                 ['Combine', 'Merge all features of the same type into one multi-feature.'],
                 ['Union', 'Merge all polygons into a single unified shape.'],
                 ['Dissolve', 'Merge polygons that share the same attribute value.'],
@@ -4837,6 +7263,11 @@ function showMapContextMenu({ latlng, originalEvent, layerId, featureIndex, feat
         items.push({ icon: '✏️', label: 'Edit feature', action: () => {
             openFeatureEditor(layerId, featureIndex);
         }});
+        if (layer.type === 'spatial' && feature.geometry) {
+            items.push({ icon: '⬚', label: 'Edit shape', action: () => {
+                editFeatureGeometry(layerId, featureIndex);
+            }});
+        }
     }
 
     // Coordinates
@@ -4972,6 +7403,11 @@ window.app = {
     openTemplateBuilder,
     openReplaceClean,
     openTypeConvert,
+    openCalculateField,
+    openRecipes,
+    openProjects,
+    openStorage,
+    sendLayerToTab,
     openFilterBuilder,
     openDeduplicate,
     openJoinTool,
@@ -5002,6 +7438,7 @@ window.app = {
     openNearestPointToLine,
     openNearestNeighborAnalysis,
     openPointsWithinPolygon,
+    openLocateEvents,
     openPhotoMapper: openPhotoMapper,
     openArcGISImporter: openArcGISImporter,
     startImportFence,
@@ -5018,6 +7455,15 @@ window.app = {
     deleteSelectedFeatures,
     openFeatureEditor,
     openDrawTools,
+    editGeometry: editFeatureGeometry,
+    openSnapSettings,
+    startGpsTracking,
+    openFormDesigner,
+    openAttachments,
+    resumeGpsTrack,
+    finishGpsTrack,
+    openSplitTool,
+    openMergeFeatures,
     createDrawLayer,
     _coordSearchAddNew,
     _coordSearchAddToExisting,
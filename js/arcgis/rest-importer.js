@@ -61,6 +61,7 @@ export class ArcGISRestImporter {
             this.metadata = {
                 name: data.name || 'ArcGIS Layer',
                 geometryType: this.mapGeometryType(data.geometryType),
+                hasM: !!data.hasM,
                 fields: (data.fields || []).map(f => ({
                     name: f.name,
                     alias: f.alias || f.name,
@@ -136,6 +137,8 @@ export class ArcGISRestImporter {
         let page = 0;
         let done = false;
         const totalExpected = this.metadata.totalCount;
+        // Route layers carry mileposts as M values — keep them for linear referencing
+        const returnM = returnGeometry && this.metadata.hasM && this.metadata.geometryType === 'LineString';
 
         logger.info('ArcGIS', 'Starting download', { where, outFields, maxRec, totalExpected });
 
@@ -153,6 +156,7 @@ export class ArcGISRestImporter {
                     resultRecordCount: String(maxRec),
                     outSR: '4326'
                 });
+                if (returnM) params.set('returnM', 'true');
 
                 if (spatialFilter) {
                     params.set('geometry', JSON.stringify(spatialFilter));
@@ -223,11 +227,20 @@ export class ArcGISRestImporter {
             runner.updateProgress(95, 'Normalizing features...');
 
             // Convert ESRI JSON to GeoJSON
-            const geojsonFeatures = allFeatures.map(f => ({
-                type: 'Feature',
-                geometry: this.convertGeometry(f.geometry),
-                properties: f.attributes || {}
-            }));
+            const geojsonFeatures = allFeatures.map(f => {
+                const properties = f.attributes || {};
+                if (returnM && f.geometry?.paths) {
+                    // Esri returns [x, y, m] — move M off the coordinates so it isn't read as elevation
+                    const measures = f.geometry.paths.map(path => path.map(c => c[2] ?? null));
+                    properties._coordMeasures = measures.length === 1 ? measures[0] : measures;
+                    f.geometry = { paths: f.geometry.paths.map(path => path.map(c => [c[0], c[1]])) };
+                }
+                return {
+                    type: 'Feature',
+                    geometry: this.convertGeometry(f.geometry),
+                    properties
+                };
+            });
 
             const fc = { type: 'FeatureCollection', features: geojsonFeatures };
             const hasGeometry = geojsonFeatures.some(f => f.geometry != null);
@@ -0,0 +1,202 @@
+/**
+ * Attachments — photos and files stored on features.
+ * An attachment is { _att: true, id, name, type, size, added } in a feature
+ * property. A property holds one attachment (photo fields, Photo Mapper) or an
+ * array of them — ATTACHMENTS_FIELD is the list the feature editor and popup add to.
+ *
+ * The file itself is kept in IndexedDB under the attachment id (session-store.js),
+ * so auto-saves don't rewrite it with the layer. Files are read into memory with
+ * loadAttachments(); attachmentUrl() and attachmentBlob() then serve them.
+ * Attachments saved before files moved out still carry a `dataUrl`, which is used as is.
+ */
+import { AppError, ErrorCategory } from './error-handler.js';
+import sessionStore from './session-store.js';
+
+export const ATTACHMENTS_FIELD = 'attachments';
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+// id → Blob for the files loaded so far, and the object URLs made for them
+const _blobs = new Map();
+const _urls = new Map();
+
+export function isAttachment(v) {
+    return !!v && typeof v === 'object' && v._att === true;
+}
+
+/** Whether a property value is an attachment or a list of them */
+export function isAttachmentValue(v) {
+    return isAttachment(v) || (Array.isArray(v) && v.length > 0 && v.every(isAttachment));
+}
+
+/** The attachments in a property value, as an array (empty for anything else) */
+export function attachmentList(v) {
+    if (isAttachment(v)) return [v];
+    return Array.isArray(v) ? v.filter(isAttachment) : [];
+}
+
+/** Short text for a value: the file name, or "3 files" */
+export function attachmentLabel(v) {
+    const list = attachmentList(v);
+    if (list.length === 1) return list[0].name || 'attachment';
+    return `${list.length} files`;
+}
+
+export function isImageAttachment(att) {
+    return !!att?.type?.startsWith('image/') && !!attachmentUrl(att);
+}
+
+/**
+ * Store a File as an attachment.
+ * Throws AppError(VALIDATION_ERROR) when it is larger than MAX_ATTACHMENT_BYTES.
+ * @param {File} file
+ * @returns {Promise<Object>} the attachment to put in a property
+ */
+export async function readAttachmentFile(file) {
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+        throw new AppError(`${file.name} is too large — attachments can be up to ${MAX_ATTACHMENT_BYTES / 1048576} MB`,
+            ErrorCategory.VALIDATION_ERROR, { name: file.name, size: file.size });
+    }
+    const id = `att_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+    try {
+        await sessionStore.putAttachments([{ id, blob: file }]);
+    } catch (e) {
+        throw new AppError(`Could not store ${file.name}: ${e.message}`,
+            e?.name === 'QuotaExceededError' ? ErrorCategory.OUT_OF_MEMORY : ErrorCategory.UNKNOWN, { name: file.name });
+    }
+    _blobs.set(id, file);
+    return {
+        _att: true,
+        id,
+        name: file.name || `photo_${Date.now()}.jpg`,
+        type: file.type || 'application/octet-stream',
+        size: file.size,
+        added: new Date().toISOString()
+    };
+}
+
+/**
+ * Ids of the attachments anywhere in a value — features, rows, layer records, history.
+ * Coordinate arrays are skipped.
+ * @returns {Set<string>}
+ */
+export function attachmentIds(value, out = new Set()) {
+    if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) return out;
+    if (Array.isArray(value)) {
+        if (typeof value[0] !== 'number') for (const v of value) attachmentIds(v, out);
+    } else if (value._att === true) {
+        if (value.id) out.add(value.id);
+    } else if (!(typeof Blob !== 'undefined' && value instanceof Blob)) {
+        for (const v of Object.values(value)) attachmentIds(v, out);
+    }
+    return out;
+}
+
+/**
+ * Read the files of the attachments in a value (see attachmentIds) into memory,
+ * so attachmentUrl() and attachmentBlob() can serve them. Files already loaded are skipped.
+ */
+export async function loadAttachments(value) {
+    const missing = [...attachmentIds(value)].filter(id => !_blobs.has(id));
+    if (!missing.length) return;
+    for (const { id, blob } of await sessionStore.getAttachments(missing)) _blobs.set(id, blob);
+}
+
+/**
+ * Add files that came with imported data (project files) to storage
+ * @param {Array<{ id: string, blob: Blob }>} files
+ */
+export async function storeAttachments(files) {
+    if (!files?.length) return;
+    await sessionStore.putAttachments(files);
+    for (const { id, blob } of files) _blobs.set(id, blob);
+}
+
+/** Delete stored files that nothing saved refers to any more */
+export function pruneAttachments() {
+    return sessionStore.pruneAttachments(rec => attachmentIds(rec));
+}
+
+/** The attachment's file, or null if it isn't loaded */
+export function attachmentBlob(att) {
+    if (att?.id && _blobs.has(att.id)) return _blobs.get(att.id);
+    return att?.dataUrl ? dataUrlToBlob(att.dataUrl) : null;
+}
+
+/** URL to show or download the attachment (an object URL), or null if it isn't loaded */
+export function attachmentUrl(att) {
+    if (att?.id && _blobs.has(att.id)) {
+        if (!_urls.has(att.id)) _urls.set(att.id, URL.createObjectURL(_blobs.get(att.id)));
+        return _urls.get(att.id);
+    }
+    return att?.dataUrl || null;
+}
+
+/**
+ * Data URLs for the attachments on some features, for files that must be self-contained (KML)
+ * @returns {Promise<Map<Object, string>>} attachment object → data URL
+ */
+export async function attachmentDataUrls(features) {
+    await loadAttachments(features);
+    const out = new Map();
+    for (const f of features || []) {
+        for (const v of Object.values(f?.properties || {})) {
+            for (const att of attachmentList(v)) {
+                if (att.dataUrl) { out.set(att, att.dataUrl); continue; }
+                const blob = attachmentBlob(att);
+                if (blob) out.set(att, await _readDataUrl(blob));
+            }
+        }
+    }
+    return out;
+}
+
+function _readDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new AppError('Could not read an attachment', ErrorCategory.PARSE_FAILED));
+        reader.readAsDataURL(blob);
+    });
+}
+
+/** Convert a data URL to a Blob for ZIP embedding (null if it isn't one) */
+export function dataUrlToBlob(dataUrl) {
+    try {
+        const [header, b64] = dataUrl.split(',');
+        const mime = header.match(/:(.*?);/)?.[1] || 'application/octet-stream';
+        const binary = atob(b64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return new Blob([bytes], { type: mime });
+    } catch { return null; }
+}
+
+/**
+ * Every attachment on the features, with a unique file name for archives.
+ * @param {Array} features
+ * @returns {Array<{ featureIndex: number, field: string, att: Object, zipName: string }>}
+ */
+export function collectAttachments(features) {
+    const out = [];
+    const used = new Set();
+    features.forEach((f, featureIndex) => {
+        for (const [field, v] of Object.entries(f?.properties || {})) {
+            for (const att of attachmentList(v)) {
+                if (!att.id && !att.dataUrl) continue;
+                const safe = (att.name || 'file').replace(/[^a-zA-Z0-9._-]/g, '_');
+                let zipName = `${featureIndex + 1}_${safe}`;
+                for (let n = 2; used.has(zipName); n++) zipName = `${featureIndex + 1}_${n}_${safe}`;
+                used.add(zipName);
+                out.push({ featureIndex, field, att, zipName });
+            }
+        }
+    });
+    return out;
+}
+
+export default {
+    ATTACHMENTS_FIELD, MAX_ATTACHMENT_BYTES,
+    isAttachment, isAttachmentValue, attachmentList, attachmentLabel, isImageAttachment,
+    readAttachmentFile, attachmentIds, loadAttachments, storeAttachments, pruneAttachments,
+    attachmentBlob, attachmentUrl, attachmentDataUrls, dataUrlToBlob, collectAttachments
+};
@@ -0,0 +1,423 @@
+/**
+ * Coordinate reference systems — detection, reprojection and .prj output
+ * The map always works in WGS84 (EPSG:4326); other CRSs only exist at import/export.
+ * Uses proj4js (loaded via CDN).
+ */
+import { AppError, ErrorCategory } from './error-handler.js';
+import logger from './logger.js';
+
+export const DEFAULT_CRS = 'EPSG:4326';
+
+// ESRI-flavoured GEOGCS blocks used to assemble .prj files
+const GEOGCS = {
+    WGS84: 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+    NAD83: 'GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]',
+    NAD83_2011: 'GEOGCS["GCS_NAD_1983_2011",DATUM["D_NAD_1983_2011",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]'
+};
+
+const PROJ4_DATUM = {
+    WGS84: '+datum=WGS84',
+    NAD83: '+datum=NAD83',
+    NAD83_2011: '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0'
+};
+
+const US_FOOT = 0.3048006096012192;
+
+// Utah State Plane zones (NAD83 Lambert Conformal Conic)
+const UTAH_SPCS = {
+    North: { fips: 4301, lat1: 41.78333333333333, lat2: 40.71666666666667, lat0: 40.33333333333334, y0: 1000000 },
+    Central: { fips: 4302, lat1: 40.65, lat2: 39.01666666666667, lat0: 38.33333333333334, y0: 2000000 },
+    South: { fips: 4303, lat1: 38.35, lat2: 37.21666666666667, lat0: 36.66666666666666, y0: 3000000 }
+};
+
+/**
+ * Built-in CRS table. Each entry is described by parameters so the proj4
+ * string and the ESRI .prj WKT are generated from the same numbers.
+ */
+const BUILTIN = [
+    { code: 'EPSG:4326', name: 'WGS 84 (lon/lat)', datum: 'WGS84', kind: 'geographic' },
+    { code: 'EPSG:4269', name: 'NAD83 (lon/lat)', datum: 'NAD83', kind: 'geographic', esriName: 'GCS_North_American_1983' },
+    { code: 'EPSG:3857', name: 'Web Mercator', datum: 'WGS84', kind: 'webmercator', esriName: 'WGS_1984_Web_Mercator_Auxiliary_Sphere' },
+    { code: 'EPSG:26911', name: 'NAD83 / UTM zone 11N', datum: 'NAD83', kind: 'utm', zone: 11, esriName: 'NAD_1983_UTM_Zone_11N' },
+    { code: 'EPSG:26912', name: 'NAD83 / UTM zone 12N', datum: 'NAD83', kind: 'utm', zone: 12, esriName: 'NAD_1983_UTM_Zone_12N' },
+    { code: 'EPSG:26913', name: 'NAD83 / UTM zone 13N', datum: 'NAD83', kind: 'utm', zone: 13, esriName: 'NAD_1983_UTM_Zone_13N' },
+    { code: 'EPSG:6341', name: 'NAD83(2011) / UTM zone 12N', datum: 'NAD83_2011', kind: 'utm', zone: 12, esriName: 'NAD_1983_2011_UTM_Zone_12N' },
+    { code: 'EPSG:32612', name: 'WGS 84 / UTM zone 12N', datum: 'WGS84', kind: 'utm', zone: 12, esriName: 'WGS_1984_UTM_Zone_12N' },
+    ...Object.entries(UTAH_SPCS).flatMap(([zone, z]) => [
+        {
+            code: `EPSG:${{ North: 32142, Central: 32143, South: 32144 }[zone]}`,
+            name: `NAD83 / Utah ${zone} (m)`, datum: 'NAD83', kind: 'lcc', zone: z, unit: 'm',
+            esriName: `NAD_1983_StatePlane_Utah_${zone}_FIPS_${z.fips}`
+        },
+        {
+            code: `EPSG:${{ North: 3560, Central: 3566, South: 3567 }[zone]}`,
+            name: `NAD83 / Utah ${zone} (ftUS)`, datum: 'NAD83', kind: 'lcc', zone: z, unit: 'us-ft',
+            esriName: `NAD_1983_StatePlane_Utah_${zone}_FIPS_${z.fips}_Feet`
+        }
+    ])
+];
+
+// code → { code, name, proj4, prj, geographic }
+const _registry = new Map();
+
+for (const def of BUILTIN) {
+    _registry.set(def.code, {
+        code: def.code,
+        name: def.name,
+        proj4: _buildProj4(def),
+        prj: _buildPrj(def),
+        geographic: def.kind === 'geographic',
+        esriName: def.esriName || null
+    });
+}
+
+function _buildProj4(def) {
+    const datum = PROJ4_DATUM[def.datum];
+    switch (def.kind) {
+        case 'geographic':
+            return `+proj=longlat ${datum} +no_defs`;
+        case 'webmercator':
+            return '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs';
+        case 'utm':
+            return `+proj=utm +zone=${def.zone} ${datum} +units=m +no_defs`;
+        case 'lcc': {
+            const z = def.zone;
+            // proj4 false easting/northing are always metres, whatever +units says
+            return `+proj=lcc +lat_1=${z.lat1} +lat_2=${z.lat2} +lat_0=${z.lat0} +lon_0=-111.5 ` +
+                `+x_0=500000 +y_0=${z.y0} ${datum} +units=${def.unit} +no_defs`;
+        }
+    }
+    return null;
+}
+
+function _buildPrj(def) {
+    const geog = GEOGCS[def.datum];
+    switch (def.kind) {
+        case 'geographic':
+            return geog;
+        case 'webmercator':
+            return `PROJCS["${def.esriName}",${geog},PROJECTION["Mercator_Auxiliary_Sphere"],` +
+                'PARAMETER["False_Easting",0.0],PARAMETER["False_Northing",0.0],PARAMETER["Central_Meridian",0.0],' +
+                'PARAMETER["Standard_Parallel_1",0.0],PARAMETER["Auxiliary_Sphere_Type",0.0],UNIT["Meter",1.0]]';
+        case 'utm':
+            return `PROJCS["${def.esriName}",${geog},PROJECTION["Transverse_Mercator"],` +
+                `PARAMETER["False_Easting",500000.0],PARAMETER["False_Northing",0.0],` +
+                `PARAMETER["Central_Meridian",${-183 + def.zone * 6}.0],PARAMETER["Scale_Factor",0.9996],` +
+                'PARAMETER["Latitude_Of_Origin",0.0],UNIT["Meter",1.0]]';
+        case 'lcc': {
+            const z = def.zone;
+            const feet = def.unit === 'us-ft';
+            const fe = feet ? 500000 / US_FOOT : 500000;
+            const fn = feet ? z.y0 / US_FOOT : z.y0;
+            return `PROJCS["${def.esriName}",${geog},PROJECTION["Lambert_Conformal_Conic"],` +
+                `PARAMETER["False_Easting",${fe}],PARAMETER["False_Northing",${fn}],` +
+                `PARAMETER["Central_Meridian",-111.5],PARAMETER["Standard_Parallel_1",${z.lat1}],` +
+                `PARAMETER["Standard_Parallel_2",${z.lat2}],PARAMETER["Latitude_Of_Origin",${z.lat0}],` +
+                (feet ? `UNIT["Foot_US",${US_FOOT}]]` : 'UNIT["Meter",1.0]]');
+        }
+    }
+    return null;
+}
+
+// ============================
+// Registry
+// ============================
+
+/**
+ * CRS choices for export pickers.
+ * @returns {Array<{code, name}>}
+ */
+export function getCrsOptions() {
+    return [..._registry.values()].filter(c => !c.custom).map(c => ({ code: c.code, name: c.name }));
+}
+
+export function getCrs(code) {
+    return _registry.get(normalizeCrsCode(code)) || null;
+}
+
+export function isGeographic(code) {
+    return getCrs(code)?.geographic ?? true;
+}
+
+/** ESRI .prj text for a CRS code (falls back to WGS84). */
+export function getPrjWkt(code) {
+    return getCrs(code)?.prj || _registry.get(DEFAULT_CRS).prj;
+}
+
+/**
+ * Register a CRS found in a file (e.g. an unknown .prj) so it can be reprojected.
+ * Returns the registry code. Throws AppError(UNSUPPORTED_FORMAT) when proj4 can't
+ * use the definition (WKT2 parses but has no projection proj4 can run).
+ */
+export function registerCrs(code, definition, name = code, prj = null) {
+    _requireProj4();
+    try {
+        proj4.defs(code, definition);
+    } catch (e) {
+        throw new AppError(`Unreadable CRS definition: ${name}`, ErrorCategory.UNSUPPORTED_FORMAT, { detail: e.message });
+    }
+    const def = proj4.defs(code);
+    if (!def?.projName) {
+        throw new AppError(`Unreadable CRS definition: ${name}`, ErrorCategory.UNSUPPORTED_FORMAT, { detail: 'no usable projection' });
+    }
+    _registry.set(code, {
+        code, name, proj4: definition, prj: prj || (typeof definition === 'string' && definition.startsWith('PROJCS') ? definition : null),
+        geographic: def?.projName === 'longlat', esriName: null, custom: true
+    });
+    return code;
+}
+
+/**
+ * Normalise 'epsg:26912', 'EPSG::26912', 'urn:ogc:def:crs:EPSG::26912', 'CRS84' → 'EPSG:xxxx'.
+ */
+export function normalizeCrsCode(code) {
+    if (code == null) return null;
+    const s = String(code).trim();
+    if (/CRS:?84$/i.test(s)) return DEFAULT_CRS;
+    const m = s.match(/EPSG[:\/]{1,2}(?:[\d.]*:)?(\d+)$/i) || s.match(/^(\d{4,6})$/);
+    if (m) return `EPSG:${m[1]}`;
+    return s;
+}
+
+// ============================
+// Detection
+// ============================
+
+/**
+ * Identify the CRS described by a .prj / WKT string.
+ * Known systems map to their EPSG code; anything else is registered as a custom CRS.
+ * Returns null when the definition can't be used, so the coordinates decide.
+ */
+export function detectCrsFromPrj(wkt) {
+    if (!wkt || !wkt.trim()) return null;
+    const text = wkt.trim();
+
+    // OGC WKT often carries the EPSG authority on the outermost object
+    const auth = text.match(/AUTHORITY\["EPSG",\s*"(\d+)"\]\]\s*$/i) || text.match(/ID\["EPSG",\s*(\d+)\]\]\s*$/i);
+    if (auth && _registry.has(`EPSG:${auth[1]}`)) return `EPSG:${auth[1]}`;
+
+    const nameMatch = text.match(/^(?:PROJCS|GEOGCS|PROJCRS|GEOGCRS)\["([^"]+)"/i);
+    const name = nameMatch ? nameMatch[1] : null;
+    if (name) {
+        const key = _nameKey(name);
+        for (const c of _registry.values()) {
+            if ((c.esriName && _nameKey(c.esriName) === key) || _nameKey(c.name) === key) return c.code;
+        }
+        if (key === _nameKey('GCS_WGS_1984') || key === _nameKey('WGS 84')) return DEFAULT_CRS;
+    }
+
+    try {
+        return registerCrs(`PRJ:${name || 'custom'}`, text, name || 'Custom (.prj)', text);
+    } catch (e) {
+        logger.warn('CRS', 'Could not use the .prj coordinate system — going by the coordinates', { name, error: e.message });
+        return null;
+    }
+}
+
+/**
+ * Read the legacy GeoJSON `crs` member. Returns a code or null when absent.
+ */
+export function detectCrsFromGeoJSON(geojson) {
+    const crs = geojson?.crs;
+    if (!crs) return null;
+    if (crs.type === 'name' && crs.properties?.name) return normalizeCrsCode(crs.properties.name);
+    if (crs.type === 'EPSG' && crs.properties?.code) return `EPSG:${crs.properties.code}`;
+    return null;
+}
+
+/**
+ * Guess a CRS from sample x/y values. Only covers lon/lat and the
+ * Utah projected systems we use day to day; returns null when unsure.
+ */
+export function guessCrsFromCoords(samples) {
+    const pts = samples.filter(([x, y]) => isFinite(x) && isFinite(y));
+    if (pts.length === 0) return null;
+    const all = (fn) => pts.every(fn);
+
+    if (all(([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90)) return DEFAULT_CRS;
+    // UTM 12N metres in Utah
+    if (all(([x, y]) => x > 150000 && x < 850000 && y > 4000000 && y < 4700000)) return 'EPSG:26912';
+    // Utah State Plane ftUS — zones separated by false northing
+    if (all(([x, y]) => x > 1000000 && x < 2400000)) {
+        if (all(([, y]) => y > 3000000 && y < 4000000)) return 'EPSG:3560';
+        if (all(([, y]) => y > 6000000 && y < 7500000)) return 'EPSG:3566';
+        if (all(([, y]) => y > 9500000 && y < 10500000)) return 'EPSG:3567';
+    }
+    // Utah State Plane metres
+    if (all(([x, y]) => x > 300000 && x < 750000)) {
+        if (all(([, y]) => y > 900000 && y < 1250000)) return 'EPSG:32142';
+        if (all(([, y]) => y > 1900000 && y < 2350000)) return 'EPSG:32143';
+        if (all(([, y]) => y > 2900000 && y < 3200000)) return 'EPSG:32144';
+    }
+    return null;
+}
+
+/**
+ * Sample up to n coordinates from a FeatureCollection.
+ */
+export function sampleCoords(geojson, n = 50) {
+    const out = [];
+    const walk = (c) => {
+        if (out.length >= n || !Array.isArray(c)) return;
+        if (typeof c[0] === 'number') out.push(c);
+        else c.forEach(walk);
+    };
+    for (const f of geojson?.features || []) {
+        if (out.length >= n) break;
+        const g = f.geometry;
+        if (!g) continue;
+        if (g.type === 'GeometryCollection') g.geometries.forEach(gg => walk(gg.coordinates));
+        else walk(g.coordinates);
+    }
+    return out;
+}
+
+// ============================
+// Reprojection
+// ============================
+
+/**
+ * Reproject a FeatureCollection in place-safe fashion (returns a new object).
+ * Z values are carried through untouched.
+ */
+export function reprojectGeoJSON(geojson, fromCode, toCode = DEFAULT_CRS) {
+    const from = normalizeCrsCode(fromCode);
+    const to = normalizeCrsCode(toCode);
+    const { crs, ...rest } = geojson;
+    if (!from || from === to) return { ...rest, features: geojson.features };
+
+    const transform = _transformer(from, to);
+    const mapCoords = (c) => {
+        if (typeof c[0] === 'number') {
+            const [x, y] = transform([c[0], c[1]]);
+            return c.length > 2 ? [x, y, ...c.slice(2)] : [x, y];
+        }
+        return c.map(mapCoords);
+    };
+    const mapGeom = (g) => {
+        if (!g) return g;
+        if (g.type === 'GeometryCollection') return { ...g, geometries: g.geometries.map(mapGeom) };
+        return { ...g, coordinates: mapCoords(g.coordinates) };
+    };
+
+    return {
+        ...rest,
+        features: geojson.features.map(f => ({ ...f, geometry: mapGeom(f.geometry) }))
+    };
+}
+
+/**
+ * Bring imported data into the map CRS.
+ * Uses the declared CRS when there is one, otherwise guesses from the coordinates.
+ * Data that already looks like lon/lat is left alone even when a projected CRS is
+ * declared (some readers such as shpjs reproject on their own), and when the declared
+ * CRS isn't one we know (e.g. EPSG:4283) — a warning is logged and it's read as WGS84.
+ * Projected coordinates in a CRS that can't be identified are kept as they are, with a
+ * warning; `unknownRange` then holds their extent so the importer can ask for the CRS.
+ * @returns {{ geojson, sourceCrs, unknownRange? }} unknownRange is [minX, minY, maxX, maxY]
+ */
+export function normalizeToMapCrs(geojson, declaredCrs = null) {
+    const sample = sampleCoords(geojson);
+    const guessed = guessCrsFromCoords(sample);
+    const looksGeographic = sample.length === 0 || guessed === DEFAULT_CRS;
+    let source = normalizeCrsCode(declaredCrs) || (looksGeographic ? DEFAULT_CRS : guessed);
+
+    if (source && looksGeographic && !getCrs(source)) {
+        logger.warn('CRS', `Unknown coordinate system ${source} — coordinates look like longitude/latitude, reading them as WGS84`);
+        source = DEFAULT_CRS;
+    }
+
+    if (!source || !getCrs(source)) {
+        const unknownRange = coordRange(geojson);
+        const range = formatCoordRange(unknownRange);
+        logger.warn('CRS', `${source ? `Unsupported coordinate system ${source}` : 'Coordinate system not detected'} — coordinates (${range}) are not longitude/latitude and were loaded as they are`);
+        const { crs, ...rest } = geojson;
+        return { geojson: rest, sourceCrs: null, unknownRange };
+    }
+
+    if (source === DEFAULT_CRS || (looksGeographic && !isGeographic(source))) {
+        const { crs, ...rest } = geojson;
+        return { geojson: rest, sourceCrs: source };
+    }
+    return { geojson: reprojectGeoJSON(geojson, source, DEFAULT_CRS), sourceCrs: source };
+}
+
+/** "x 421000 to 455000, y 4480000 to 4520000" — for messages about unidentified coordinates */
+export function formatCoordRange([minX, minY, maxX, maxY]) {
+    const n = (v) => Math.round(v).toLocaleString('en-US', { useGrouping: false });
+    return `x ${n(minX)} to ${n(maxX)}, y ${n(minY)} to ${n(maxY)}`;
+}
+
+/**
+ * Extent of every coordinate in a FeatureCollection.
+ * @returns {number[]} [minX, minY, maxX, maxY]; Infinity / -Infinity when there are none
+ */
+export function coordRange(geojson) {
+    const r = [Infinity, Infinity, -Infinity, -Infinity];
+    const walk = (c) => {
+        if (!Array.isArray(c)) return;
+        if (typeof c[0] === 'number') {
+            if (c[0] < r[0]) r[0] = c[0];
+            if (c[1] < r[1]) r[1] = c[1];
+            if (c[0] > r[2]) r[2] = c[0];
+            if (c[1] > r[3]) r[3] = c[1];
+        } else c.forEach(walk);
+    };
+    for (const f of geojson?.features || []) {
+        const g = f.geometry;
+        if (!g) continue;
+        if (g.type === 'GeometryCollection') g.geometries.forEach(gg => walk(gg.coordinates));
+        else walk(g.coordinates);
+    }
+    return r;
+}
+
+/**
+ * Reproject a single [x, y] pair.
+ */
+export function reprojectPoint(xy, fromCode, toCode = DEFAULT_CRS) {
+    const from = normalizeCrsCode(fromCode);
+    const to = normalizeCrsCode(toCode);
+    if (from === to) return xy;
+    return _transformer(from, to)(xy);
+}
+
+/**
+ * Legacy named `crs` member for GeoJSON written in a non-WGS84 CRS.
+ */
+export function geojsonCrsMember(code) {
+    const c = normalizeCrsCode(code);
+    if (!c || c === DEFAULT_CRS || !c.startsWith('EPSG:')) return null;
+    return { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${c.slice(5)}` } };
+}
+
+function _transformer(from, to) {
+    _requireProj4();
+    const defOf = (code) => {
+        const c = _registry.get(code);
+        if (!c) {
+            throw new AppError(`Unsupported coordinate system: ${code}`, ErrorCategory.UNSUPPORTED_FORMAT, {
+                hint: 'Reproject the data to WGS84 (EPSG:4326) or one of the supported Utah systems first'
+            });
+        }
+        return c.proj4;
+    };
+    const converter = proj4(defOf(from), defOf(to));
+    return (xy) => converter.forward(xy);
+}
+
+function _requireProj4() {
+    if (typeof proj4 === 'undefined') {
+        throw new AppError('proj4 library not loaded', ErrorCategory.PARSE_FAILED);
+    }
+}
+
+function _nameKey(s) {
+    return String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export default {
+    DEFAULT_CRS, getCrsOptions, getCrs, isGeographic, getPrjWkt, registerCrs, normalizeCrsCode,
+    detectCrsFromPrj, detectCrsFromGeoJSON, guessCrsFromCoords, sampleCoords,
+    normalizeToMapCrs, coordRange, formatCoordRange, reprojectGeoJSON, reprojectPoint, geojsonCrsMember
+};
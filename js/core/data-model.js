@@ -2,6 +2,8 @@
  * Canonical data model + schema metadata
  * All importers normalize into these forms
  */
+import { DEFAULT_CRS, detectCrsFromGeoJSON } from './crs.js';
+import { isAttachmentValue } from './attachments.js';
 
 /**
  * @typedef {Object} FieldMeta
@@ -22,7 +24,7 @@
  * @property {FieldMeta[]} fields
  * @property {string|null} geometryType - 'Point' | 'LineString' | 'Polygon' | 'MultiPoint' | 'MultiLineString' | 'MultiPolygon' | 'GeometryCollection' | null
  * @property {number} featureCount
- * @property {string} crs - default 'EPSG:4326'
+ * @property {string} crs - CRS of the stored coordinates; importers reproject to 'EPSG:4326'
  */
 
 /**
@@ -142,7 +144,7 @@ export function analyzeSchema(geojson) {
         fields,
         geometryType,
         featureCount: features.length,
-        crs: 'EPSG:4326'
+        crs: detectCrsFromGeoJSON(geojson) || DEFAULT_CRS
     };
 }
 
@@ -174,8 +176,8 @@ export function analyzeTableSchema(rows, fieldNames) {
 
 function inferType(values) {
     if (values.length === 0) return 'string';
-    // Check for attachment objects
-    if (values.some(v => v && typeof v === 'object' && v._att)) return 'attachment';
+    // Check for attachment objects (one per value, or a list)
+    if (values.some(isAttachmentValue)) return 'attachment';
     let numCount = 0, boolCount = 0, dateCount = 0;
     const sample = values.slice(0, 100);
     for (const v of sample) {
@@ -0,0 +1,259 @@
+/**
+ * GeoPackage helpers shared by the .gpkg importer and exporter
+ * SQLite via sql.js (CDN) + GeoPackage binary geometry (header + WKB) codec
+ */
+import { AppError, ErrorCategory } from './error-handler.js';
+
+const SQL_JS_DIST = 'https://unpkg.com/sql.js@1.10.3/dist/';
+
+// 'GPKG' as a 32-bit int — required PRAGMA application_id for GeoPackage 1.2+
+export const GPKG_APPLICATION_ID = 0x47504B47;
+export const GPKG_USER_VERSION = 10200;
+
+let _sqlPromise = null;
+
+/**
+ * Initialise sql.js once; the WASM binary is fetched from the same CDN folder.
+ */
+export function loadSqlJs() {
+    if (typeof initSqlJs === 'undefined') {
+        return Promise.reject(new AppError('SQLite (sql.js) library not loaded', ErrorCategory.PARSE_FAILED));
+    }
+    if (!_sqlPromise) {
+        _sqlPromise = initSqlJs({ locateFile: f => SQL_JS_DIST + f }).catch(e => {
+            _sqlPromise = null;
+            throw new AppError('Failed to initialise SQLite: ' + e.message, ErrorCategory.PARSE_FAILED);
+        });
+    }
+    return _sqlPromise;
+}
+
+/**
+ * Run a query and return rows as plain objects.
+ */
+export function queryAll(db, sql, params = []) {
+    const stmt = db.prepare(sql);
+    const rows = [];
+    try {
+        stmt.bind(params);
+        while (stmt.step()) rows.push(stmt.getAsObject());
+    } finally {
+        stmt.free();
+    }
+    return rows;
+}
+
+// ============================
+// Geometry decode
+// ============================
+
+const WKB_TYPES = {
+    1: 'Point', 2: 'LineString', 3: 'Polygon',
+    4: 'MultiPoint', 5: 'MultiLineString', 6: 'MultiPolygon', 7: 'GeometryCollection'
+};
+
+// Envelope byte sizes by the 3-bit envelope indicator in the header flags
+const ENVELOPE_BYTES = [0, 32, 48, 48, 64];
+
+/**
+ * Decode a GeoPackage geometry BLOB to a GeoJSON geometry.
+ * Returns { geometry, srsId } — geometry is null for empty or unreadable blobs.
+ */
+export function decodeGpkgGeometry(bytes) {
+    if (!bytes || bytes.length < 8) return { geometry: null, srsId: null };
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // Magic 'GP'
+    if (bytes[0] !== 0x47 || bytes[1] !== 0x50) {
+        // Some writers store bare WKB — try that before giving up
+        try { return { geometry: new WkbReader(view, 0).read(), srsId: null }; } catch (_) { return { geometry: null, srsId: null }; }
+    }
+
+    const flags = bytes[3];
+    const littleEndian = (flags & 0x01) === 1;
+    const envelope = (flags >> 1) & 0x07;
+    const isEmpty = (flags & 0x10) !== 0;
+    const srsId = view.getInt32(4, littleEndian);
+    if (isEmpty) return { geometry: null, srsId };
+
+    const offset = 8 + (ENVELOPE_BYTES[envelope] || 0);
+    try {
+        return { geometry: new WkbReader(view, offset).read(), srsId };
+    } catch (_) {
+        return { geometry: null, srsId };
+    }
+}
+
+class WkbReader {
+    constructor(view, offset) {
+        this.view = view;
+        this.pos = offset;
+    }
+
+    read() {
+        const le = this.view.getUint8(this.pos) === 1;
+        this.pos += 1;
+        let code = this.view.getUint32(this.pos, le);
+        this.pos += 4;
+
+        // EWKB-style Z/M/SRID flags or ISO 1000/2000/3000 offsets
+        let hasZ = (code & 0x80000000) !== 0;
+        let hasM = (code & 0x40000000) !== 0;
+        if (code & 0x20000000) this.pos += 4; // embedded SRID
+        code &= 0x0FFFFFFF;
+        if (code > 1000) {
+            const dim = Math.floor(code / 1000);
+            code %= 1000;
+            if (dim === 1 || dim === 3) hasZ = true;
+            if (dim === 2 || dim === 3) hasM = true;
+        }
+
+        const type = WKB_TYPES[code];
+        if (!type) throw new Error('Unsupported WKB type ' + code);
+        const dims = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+        const coord = () => this._coord(le, hasZ, dims);
+        const count = () => { const n = this.view.getUint32(this.pos, le); this.pos += 4; return n; };
+        const line = () => Array.from({ length: count() }, coord);
+
+        switch (type) {
+            case 'Point': {
+                const c = coord();
+                // ISO empty point is NaN, NaN
+                return isNaN(c[0]) ? null : { type, coordinates: c };
+            }
+            case 'LineString':
+                return { type, coordinates: line() };
+            case 'Polygon':
+                return { type, coordinates: Array.from({ length: count() }, line) };
+            case 'GeometryCollection':
+                return { type, geometries: Array.from({ length: count() }, () => this.read()).filter(Boolean) };
+            default: {
+                // Multi* — each member is a full WKB geometry
+                const parts = Array.from({ length: count() }, () => this.read()).filter(Boolean);
+                return { type, coordinates: parts.map(p => p.coordinates) };
+            }
+        }
+    }
+
+    _coord(le, hasZ, dims) {
+        const c = [];
+        for (let i = 0; i < dims; i++) {
+            c.push(this.view.getFloat64(this.pos, le));
+            this.pos += 8;
+        }
+        // Keep XY(Z), drop M
+        return hasZ ? c.slice(0, 3) : c.slice(0, 2);
+    }
+}
+
+// ============================
+// Geometry encode
+// ============================
+
+/**
+ * Encode a GeoJSON geometry as a little-endian GeoPackage BLOB with an XY envelope.
+ */
+export function encodeGpkgGeometry(geometry, srsId = 4326) {
+    if (!geometry) return null;
+    const hasZ = _hasZ(geometry);
+    const parts = [];
+    _writeWkb(geometry, hasZ, parts);
+    const wkbLen = parts.reduce((s, p) => s + p.byteLength, 0);
+
+    const bbox = _bbox(geometry);
+    const headerLen = 8 + (bbox ? 32 : 0);
+    const out = new Uint8Array(headerLen + wkbLen);
+    const view = new DataView(out.buffer);
+
+    out[0] = 0x47; out[1] = 0x50; // 'GP'
+    out[2] = 0; // version 1
+    out[3] = 0x01 | (bbox ? 0x02 : 0x10); // little endian; envelope [minx,maxx,miny,maxy] or empty
+    view.setInt32(4, srsId, true);
+    if (bbox) {
+        view.setFloat64(8, bbox[0], true);
+        view.setFloat64(16, bbox[2], true);
+        view.setFloat64(24, bbox[1], true);
+        view.setFloat64(32, bbox[3], true);
+    }
+
+    let pos = headerLen;
+    for (const p of parts) {
+        out.set(new Uint8Array(p), pos);
+        pos += p.byteLength;
+    }
+    return out;
+}
+
+function _writeWkb(geom, hasZ, parts) {
+    const code = Object.keys(WKB_TYPES).find(k => WKB_TYPES[k] === geom.type);
+    if (!code) throw new Error('Unsupported geometry type ' + geom.type);
+    const head = new DataView(new ArrayBuffer(5));
+    head.setUint8(0, 1);
+    head.setUint32(1, Number(code) + (hasZ ? 1000 : 0), true);
+    parts.push(head.buffer);
+
+    const dims = hasZ ? 3 : 2;
+    const writeCount = (n) => { const b = new DataView(new ArrayBuffer(4)); b.setUint32(0, n, true); parts.push(b.buffer); };
+    const writeCoords = (coords) => {
+        const b = new DataView(new ArrayBuffer(coords.length * dims * 8));
+        coords.forEach((c, i) => {
+            for (let d = 0; d < dims; d++) b.setFloat64((i * dims + d) * 8, c[d] ?? 0, true);
+        });
+        parts.push(b.buffer);
+    };
+
+    switch (geom.type) {
+        case 'Point':
+            writeCoords([geom.coordinates]);
+            break;
+        case 'LineString':
+            writeCount(geom.coordinates.length);
+            writeCoords(geom.coordinates);
+            break;
+        case 'Polygon':
+            writeCount(geom.coordinates.length);
+            geom.coordinates.forEach(ring => { writeCount(ring.length); writeCoords(ring); });
+            break;
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon': {
+            const memberType = geom.type.replace('Multi', '');
+            writeCount(geom.coordinates.length);
+            geom.coordinates.forEach(c => _writeWkb({ type: memberType, coordinates: c }, hasZ, parts));
+            break;
+        }
+        case 'GeometryCollection':
+            writeCount(geom.geometries.length);
+            geom.geometries.forEach(g => _writeWkb(g, hasZ, parts));
+            break;
+    }
+}
+
+function _eachCoord(geom, fn) {
+    if (!geom) return;
+    if (geom.type === 'GeometryCollection') { geom.geometries.forEach(g => _eachCoord(g, fn)); return; }
+    const walk = (c) => { if (typeof c[0] === 'number') fn(c); else c.forEach(walk); };
+    walk(geom.coordinates);
+}
+
+function _hasZ(geom) {
+    let z = false;
+    _eachCoord(geom, c => { if (c.length > 2 && c[2] != null) z = true; });
+    return z;
+}
+
+function _bbox(geom) {
+    let b = null;
+    _eachCoord(geom, c => {
+        if (!b) b = [c[0], c[1], c[0], c[1]];
+        else {
+            if (c[0] < b[0]) b[0] = c[0];
+            if (c[1] < b[1]) b[1] = c[1];
+            if (c[0] > b[2]) b[2] = c[0];
+            if (c[1] > b[3]) b[3] = c[1];
+        }
+    });
+    return b;
+}
+
+export default { loadSqlJs, queryAll, decodeGpkgGeometry, encodeGpkgGeometry };
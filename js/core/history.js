@@ -0,0 +1,446 @@
+/**
+ * Edit history — one undo/redo stack per layer, storing diffs rather than copies.
+ *
+ * recordEdit() wraps a change to a layer's features (or table rows) and keeps only
+ * what changed: how items moved, which properties/geometries differ, and references
+ * to removed and inserted items. Undo in one layer never touches another.
+ * Total retained size is estimated and capped; the oldest steps are dropped first.
+ */
+import bus from './event-bus.js';
+import logger from './logger.js';
+
+const MAX_HISTORY_BYTES = 64 * 1024 * 1024;  // estimated, across all layers
+const MAX_ENTRIES_PER_LAYER = 50;
+
+// layerId → { entries: [], index, exported } — entries[index] is the last applied step;
+// `exported` caches the last exportHistory() result
+const stacks = new Map();
+let totalBytes = 0;
+let _nextId = 1;
+
+// ——————— Recording ———————
+
+/**
+ * Run `mutate` and record what it changed in the layer as one undo step.
+ * `mutate` may edit items in place or replace the feature array / rows entirely.
+ * @param {Object} layer - spatial or table layer
+ * @param {string} name - label shown for the step
+ * @param {Function} mutate - synchronous change to the layer data
+ * @param {Object} [options]
+ * @param {number[]} [options.indices] - items that are edited in place; their prior
+ *   content is captured before mutate runs. Items replaced by new objects, added or
+ *   removed don't need to be listed.
+ * @returns {Object|null} the history entry, or null if nothing changed (or it was too large to keep)
+ */
+export function recordEdit(layer, name, mutate, options = {}) {
+    const before = _items(layer).slice();
+    const captured = new Map();
+    for (const i of options.indices || []) {
+        if (before[i] && !captured.has(i)) captured.set(i, JSON.stringify(before[i]));
+    }
+
+    mutate();
+
+    const entry = _diff(before, _items(layer), captured, layer.type === 'spatial');
+    if (!entry) return null;
+    Object.assign(entry, { id: _nextId++, layerId: layer.id, name, timestamp: new Date().toISOString() });
+    entry.bytes = _entryBytes(entry);
+
+    const stack = _stack(layer.id);
+    // Drop redo steps
+    for (const e of stack.entries.splice(stack.index + 1)) totalBytes -= e.bytes;
+
+    if (entry.bytes > MAX_HISTORY_BYTES) {
+        // Older steps can't be reached once this one is missing
+        clearHistory(layer.id);
+        logger.warn('History', `Too large to undo: ${name}`, { layerId: layer.id, bytes: entry.bytes });
+        bus.emit('history:limit', { layerId: layer.id, name });
+        return null;
+    }
+
+    stack.entries.push(entry);
+    stack.index = stack.entries.length - 1;
+    totalBytes += entry.bytes;
+    if (stack.entries.length > MAX_ENTRIES_PER_LAYER) _dropOldest(layer.id);
+    _enforceCap(entry);
+
+    logger.info('History', `Recorded: ${name}`, { layerId: layer.id, bytes: entry.bytes, totalBytes });
+    _emit(layer.id);
+    return entry;
+}
+
+// ——————— Undo / Redo ———————
+
+/**
+ * Undo the layer's last step. Returns the entry undone, or null.
+ * The caller refreshes schema, map and UI.
+ */
+export function undo(layer) {
+    const stack = stacks.get(layer.id);
+    if (!stack || stack.index < 0) return null;
+    const entry = stack.entries[stack.index];
+    const after = _items(layer);
+    if (after.length !== entry.newLength) return _outOfSync(layer, entry);
+
+    const isSpatial = layer.type === 'spatial';
+    const restored = new Array(entry.oldLength);
+    for (let j = 0; j < entry.newLength; j++) {
+        const o = entry.order ? entry.order[j] : j;
+        if (o >= 0) restored[o] = after[j];
+    }
+    for (const c of entry.changes) _applyChange(after[c.j], c, 0, isSpatial);
+    for (const ins of entry.inserted) ins[1] = after[ins[0]];
+    for (const [i, item] of entry.removed) restored[i] = item;
+
+    _setItems(layer, restored);
+    stack.index--;
+    logger.info('History', `Undo: ${entry.name}`, { layerId: layer.id });
+    _emit(layer.id);
+    return entry;
+}
+
+/**
+ * Redo the layer's next step. Returns the entry redone, or null.
+ */
+export function redo(layer) {
+    const stack = stacks.get(layer.id);
+    if (!stack || stack.index >= stack.entries.length - 1) return null;
+    const entry = stack.entries[stack.index + 1];
+    const before = _items(layer);
+    if (before.length !== entry.oldLength) return _outOfSync(layer, entry);
+
+    const isSpatial = layer.type === 'spatial';
+    const next = new Array(entry.newLength);
+    for (let j = 0; j < entry.newLength; j++) {
+        const o = entry.order ? entry.order[j] : j;
+        if (o >= 0) next[j] = before[o];
+    }
+    for (const rem of entry.removed) rem[1] = before[rem[0]];
+    for (const [j, item] of entry.inserted) next[j] = item;
+    for (const c of entry.changes) _applyChange(next[c.j], c, 1, isSpatial);
+
+    _setItems(layer, next);
+    stack.index++;
+    logger.info('History', `Redo: ${entry.name}`, { layerId: layer.id });
+    _emit(layer.id);
+    return entry;
+}
+
+// ——————— State ———————
+
+export function getHistoryState(layerId) {
+    const stack = stacks.get(layerId) || { entries: [], index: -1 };
+    return {
+        layerId,
+        entries: stack.entries.map((e, i) => ({ id: e.id, name: e.name, timestamp: e.timestamp, isCurrent: i === stack.index })),
+        canUndo: stack.index >= 0,
+        canRedo: stack.index < stack.entries.length - 1,
+        undoName: stack.entries[stack.index]?.name || null,
+        redoName: stack.entries[stack.index + 1]?.name || null,
+        currentIndex: stack.index,
+        total: stack.entries.length
+    };
+}
+
+/** Whether a recorded entry is still applied (not undone, not discarded) */
+export function isApplied(layerId, entryId) {
+    const stack = stacks.get(layerId);
+    if (!stack) return false;
+    for (let i = 0; i <= stack.index; i++) {
+        if (stack.entries[i].id === entryId) return true;
+    }
+    return false;
+}
+
+export function getMemoryUsage() {
+    let entries = 0;
+    for (const s of stacks.values()) entries += s.entries.length;
+    return { bytes: totalBytes, limit: MAX_HISTORY_BYTES, entries };
+}
+
+/** Clear one layer's history, or every layer's when no id is given */
+export function clearHistory(layerId) {
+    const ids = layerId ? [layerId] : [...stacks.keys()];
+    for (const id of ids) {
+        const stack = stacks.get(id);
+        if (!stack) continue;
+        for (const e of stack.entries) totalBytes -= e.bytes;
+        stacks.delete(id);
+        _emit(id);
+    }
+}
+
+/**
+ * A layer's stack for saving with the session. Entries hold plain data
+ * (typed arrays, `undefined` markers) that IndexedDB's structured clone keeps as is.
+ * Items still in the layer are left out — undo/redo pick them up from the layer.
+ * Returns the same object until the stack changes, so savers can skip rewriting it.
+ */
+export function exportHistory(layerId) {
+    const stack = stacks.get(layerId);
+    if (!stack || !stack.entries.length) return null;
+    const key = `${stack.index}:${stack.entries.map(e => e.id).join(',')}`;
+    if (stack.exported?.key === key) return stack.exported.value;
+    const entries = stack.entries.map((e, i) => i <= stack.index
+        ? { ...e, inserted: e.inserted.map(([j]) => [j, null]) }
+        : { ...e, removed: e.removed.map(([k]) => [k, null]) });
+    stack.exported = { key, value: { entries, index: stack.index } };
+    return stack.exported.value;
+}
+
+/** Restore a stack saved by exportHistory — the layer data must be the state it was saved with */
+export function importHistory(layerId, saved) {
+    clearHistory(layerId);
+    if (!saved?.entries?.length) return;
+    const stack = _stack(layerId);
+    stack.entries = saved.entries.map(e => ({ ...e, layerId }));
+    stack.index = Math.min(saved.index ?? -1, stack.entries.length - 1);
+    for (const e of stack.entries) {
+        totalBytes += e.bytes || 0;
+        if (e.id >= _nextId) _nextId = e.id + 1;
+    }
+    _enforceCap(null);
+    _emit(layerId);
+}
+
+/**
+ * JSON-safe copy of a stack from exportHistory, for files written with JSON.stringify
+ * (project files). `order` becomes a plain array, and each property change gets a
+ * fourth element flagging absent keys (1 = absent before, 2 = absent after), since
+ * JSON would turn the `undefined` markers into null.
+ */
+export function historyToJSON(saved) {
+    if (!saved?.entries) return null;
+    return {
+        index: saved.index,
+        entries: saved.entries.map(e => ({
+            ...e,
+            order: e.order ? Array.from(e.order) : null,
+            changes: e.changes.map(c => ({
+                ...c,
+                props: c.props.map(([k, a, b]) => [k, a ?? null, b ?? null, (a === undefined ? 1 : 0) | (b === undefined ? 2 : 0)])
+            }))
+        }))
+    };
+}
+
+/** Reverse of historyToJSON — the stack in the form importHistory takes */
+export function historyFromJSON(json) {
+    if (!Array.isArray(json?.entries)) return null;
+    return {
+        index: json.index,
+        entries: json.entries.map(e => ({
+            ...e,
+            order: Array.isArray(e.order) ? Int32Array.from(e.order) : null,
+            changes: (e.changes || []).map(c => ({
+                ...c,
+                props: c.props.map(([k, a, b, absent = 0]) => [k, absent & 1 ? undefined : a, absent & 2 ? undefined : b])
+            }))
+        }))
+    };
+}
+
+bus.on('layer:removed', ({ id }) => clearHistory(id));
+
+// ——————— Diffing ———————
+
+/*
+ * Entry shape:
+ *   oldLength, newLength
+ *   order     Int32Array: new position → old position (-1 = inserted); null when unchanged
+ *   changes   [{ j, props: [[key, oldVal, newVal]], geom: [oldGeom, newGeom] | null, keyOrder? }] by new position
+ *   removed   [[oldIndex, item]]   inserted [[newIndex, item]]
+ * `undefined` in props means the key is absent on that side.
+ */
+function _diff(before, after, captured, isSpatial) {
+    const claimed = new Uint8Array(before.length);
+    const order = new Int32Array(after.length).fill(-1);
+
+    // Match by object identity, then by shared geometry (transforms copy the
+    // feature but keep its geometry object), then by position when the count is unchanged
+    const byObj = new Map();
+    const byGeom = new Map();
+    before.forEach((item, i) => {
+        byObj.set(item, i);
+        if (isSpatial && item?.geometry && !byGeom.has(item.geometry)) byGeom.set(item.geometry, i);
+    });
+    const claim = (j, i) => {
+        if (i === undefined || claimed[i]) return false;
+        claimed[i] = 1;
+        order[j] = i;
+        return true;
+    };
+    after.forEach((item, j) => {
+        if (!claim(j, byObj.get(item)) && isSpatial && item?.geometry) claim(j, byGeom.get(item.geometry));
+    });
+    if (before.length === after.length) {
+        for (let j = 0; j < after.length; j++) {
+            if (order[j] < 0) claim(j, j);
+        }
+    }
+
+    const changes = [];
+    const inserted = [];
+    let identity = before.length === after.length;
+    for (let j = 0; j < after.length; j++) {
+        const o = order[j];
+        if (o !== j) identity = false;
+        if (o < 0) { inserted.push([j, after[j]]); continue; }
+        const cur = after[j];
+        let prev = before[o];
+        if (captured.has(o)) prev = JSON.parse(captured.get(o));
+        else if (prev === cur) continue;
+        const change = _compare(prev, cur, isSpatial);
+        if (change) changes.push({ j, ...change });
+    }
+
+    const removed = [];
+    for (let i = 0; i < before.length; i++) {
+        if (!claimed[i]) removed.push([i, before[i]]);
+    }
+
+    if (identity && !changes.length) return null;
+    return {
+        oldLength: before.length,
+        newLength: after.length,
+        order: identity ? null : order,
+        changes, removed, inserted
+    };
+}
+
+function _compare(prev, cur, isSpatial) {
+    const a = (isSpatial ? prev?.properties : prev) || {};
+    const b = (isSpatial ? cur?.properties : cur) || {};
+    const props = [];
+    for (const k in a) {
+        if (!_same(a[k], b[k])) props.push([k, a[k], b[k]]);
+    }
+    for (const k in b) {
+        if (!(k in a) && b[k] !== undefined) props.push([k, undefined, b[k]]);
+    }
+    let geom = null;
+    if (isSpatial && prev?.geometry !== cur?.geometry && !_same(prev?.geometry, cur?.geometry)) {
+        geom = [prev?.geometry ?? null, cur?.geometry ?? null];
+    }
+    if (!props.length && !geom) return null;
+    const change = { props, geom };
+    // Keys removed by the edit would come back last on undo; keep the original order
+    if (props.some(p => p[2] === undefined)) change.keyOrder = Object.keys(a);
+    return change;
+}
+
+function _same(a, b) {
+    if (a === b) return true;
+    if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object') return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// side: 0 = restore old values (undo), 1 = apply new values (redo)
+function _applyChange(item, change, side, isSpatial) {
+    if (!item) return;
+    let props = isSpatial ? item.properties : item;
+    if (isSpatial && !props) props = item.properties = {};
+    for (const p of change.props) {
+        const v = p[1 + side];
+        if (v === undefined) delete props[p[0]];
+        else props[p[0]] = v;
+    }
+    if (side === 0 && change.keyOrder) {
+        const values = { ...props };
+        for (const k of Object.keys(props)) delete props[k];
+        for (const k of change.keyOrder) props[k] = values[k];
+    }
+    if (change.geom) item.geometry = change.geom[side];
+}
+
+// ——————— Memory cap ———————
+
+function _entryBytes(entry) {
+    let bytes = 64 + (entry.order ? entry.order.length * 4 : 0);
+    for (const c of entry.changes) bytes += 16 + _approxBytes(c.props) + (c.geom ? _approxBytes(c.geom) : 0);
+    for (const r of entry.removed) bytes += 8 + _approxBytes(r[1]);
+    for (const ins of entry.inserted) bytes += 8 + _approxBytes(ins[1]);
+    return bytes;
+}
+
+// Rough in-memory size — good enough to keep the total bounded
+function _approxBytes(v) {
+    if (v == null) return 8;
+    switch (typeof v) {
+        case 'number': return 8;
+        case 'boolean': return 4;
+        case 'string': return 16 + v.length * 2;
+        case 'object': {
+            let n = 16;
+            if (Array.isArray(v)) {
+                for (const x of v) n += typeof x === 'number' ? 8 : _approxBytes(x);
+            } else {
+                for (const k in v) n += k.length * 2 + _approxBytes(v[k]);
+            }
+            return n;
+        }
+        default: return 8;
+    }
+}
+
+// Drop the oldest steps across all layers until under the cap, never `keep`
+function _enforceCap(keep) {
+    while (totalBytes > MAX_HISTORY_BYTES) {
+        let oldestId = null;
+        let oldest = null;
+        for (const [id, s] of stacks) {
+            const e = s.entries[0];
+            if (e && e !== keep && (!oldest || e.id < oldest.id)) { oldest = e; oldestId = id; }
+        }
+        if (!oldest) break;
+        _dropOldest(oldestId);
+        logger.info('History', 'Dropped oldest step to stay under the memory cap', { layerId: oldestId, name: oldest.name });
+        _emit(oldestId);
+    }
+}
+
+function _dropOldest(layerId) {
+    const stack = stacks.get(layerId);
+    if (stack.index < 0) {
+        // Everything left is redo — it can't be reached without the dropped step
+        for (const e of stack.entries) totalBytes -= e.bytes;
+        stack.entries.length = 0;
+        return;
+    }
+    totalBytes -= stack.entries.shift().bytes;
+    stack.index--;
+}
+
+// ——————— Helpers ———————
+
+function _stack(layerId) {
+    if (!stacks.has(layerId)) stacks.set(layerId, { entries: [], index: -1 });
+    return stacks.get(layerId);
+}
+
+function _items(layer) {
+    if (layer.type === 'spatial') return layer.geojson?.features || [];
+    return layer.rows || [];
+}
+
+function _setItems(layer, items) {
+    if (layer.type === 'spatial') {
+        if (layer.geojson) layer.geojson.features = items;
+        else layer.geojson = { type: 'FeatureCollection', features: items };
+    } else {
+        layer.rows = items;
+    }
+}
+
+// The layer was changed without going through recordEdit — the diffs no longer line up
+function _outOfSync(layer, entry) {
+    logger.warn('History', 'Layer changed outside history; clearing its undo steps', { layerId: layer.id, step: entry.name });
+    clearHistory(layer.id);
+    return null;
+}
+
+function _emit(layerId) {
+    bus.emit('history:changed', getHistoryState(layerId));
+}
+
+export default { recordEdit, undo, redo, getHistoryState, isApplied, getMemoryUsage, clearHistory, exportHistory, importHistory, historyToJSON, historyFromJSON };
@@ -0,0 +1,203 @@
+/**
+ * Project files — a whole project as one portable zip, so it can be handed to
+ * someone else and opened exactly as it was saved.
+ *
+ *   project.json          name, map view and layer records (styles, fields, history…)
+ *   layers/<n>.geojson    spatial layer data
+ *   layers/<n>.json       table rows
+ *   photos/<n>/<file>     photo files of photo layers
+ *   attachments/<id>      attachment files, named by the id feature properties refer to
+ *   recipes.json          saved Data Prep recipes
+ *
+ * Layer records are the session-store format (see session-store.js), with the
+ * bulky data moved out to their own entries and undo history made JSON-safe
+ * (historyToJSON in history.js).
+ * Uses JSZip (loaded via CDN).
+ */
+import logger from './logger.js';
+import { AppError, ErrorCategory } from './error-handler.js';
+import { historyToJSON, historyFromJSON } from './history.js';
+import { attachmentIds, loadAttachments, attachmentBlob } from './attachments.js';
+
+export const PROJECT_FILE_TYPE = 'gis-toolbox-project';
+export const PROJECT_FILE_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.gtproj.zip';
+
+/**
+ * Build the project zip
+ * @param {{ name: string, created?: number, layers: Array, meta: Object }} project - records in session format
+ * @param {Array} [recipes] - saved recipes to bundle
+ * @returns {Promise<Blob>}
+ */
+export async function exportProjectFile(project, recipes = [], task) {
+    if (typeof JSZip === 'undefined') throw new Error('JSZip library not loaded');
+    const zip = new JSZip();
+
+    const layers = project.layers.map((rec, n) => {
+        task?.updateProgress(Math.round((n / project.layers.length) * 60), `Packing ${rec.name}...`);
+        const { geojson, rows, photos, ...out } = rec;
+        if (out.history) out.history = historyToJSON(out.history);
+        if (geojson) {
+            out.data = `layers/${n}.geojson`;
+            zip.file(out.data, JSON.stringify(geojson));
+        } else if (rows) {
+            out.data = `layers/${n}.json`;
+            zip.file(out.data, JSON.stringify(rows));
+        }
+        if (photos?.length) {
+            const used = new Set();
+            out.photos = photos.map(p => {
+                const path = `photos/${n}/${_uniqueName(p.filename || 'photo.jpg', used)}`;
+                if (p.blob) zip.file(path, p.blob);
+                return { id: p.id, filename: p.filename, path: p.blob ? path : null, thumbnailDataUrl: p.thumbnailDataUrl || '' };
+            });
+        }
+        return out;
+    });
+
+    // Attachment files of the layers and their undo history, each stored once
+    task?.updateProgress(60, 'Packing attachments...');
+    await loadAttachments(project.layers);
+    const attachments = [];
+    for (const id of attachmentIds(project.layers)) {
+        const blob = attachmentBlob({ id });
+        if (!blob) {
+            logger.warn('ProjectFile', 'Attachment file missing from storage', { id });
+            continue;
+        }
+        const path = `attachments/${id}`;
+        zip.file(path, blob);
+        attachments.push({ id, path, type: blob.type });
+    }
+
+    zip.file('project.json', JSON.stringify({
+        type: PROJECT_FILE_TYPE,
+        version: PROJECT_FILE_VERSION,
+        name: project.name,
+        created: project.created || Date.now(),
+        exported: Date.now(),
+        meta: project.meta,
+        layers,
+        attachments
+    }));
+    if (recipes.length) zip.file('recipes.json', JSON.stringify(recipes));
+
+    task?.updateProgress(70, 'Compressing...');
+    const blob = await zip.generateAsync({
+        type: 'blob',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+    });
+    logger.info('ProjectFile', 'Exported project', { name: project.name, layers: layers.length, bytes: blob.size });
+    task?.updateProgress(100, 'Done');
+    return blob;
+}
+
+/**
+ * Read a project zip back into session-format records.
+ * Throws AppError(VALIDATION_ERROR) if the file is not a project.
+ * @returns {Promise<{ name: string, layers: Array, meta: Object, recipes: Array, attachments: Array }>}
+ *   attachments are { id, blob } files for attachments.storeAttachments()
+ */
+export async function importProjectFile(file, task) {
+    if (typeof JSZip === 'undefined') throw new Error('JSZip library not loaded');
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new AppError(`Project file is not a valid zip: ${e.message}`, ErrorCategory.VALIDATION_ERROR);
+    }
+    const manifestEntry = zip.file('project.json');
+    if (!manifestEntry) throw new AppError('Not a project file (project.json missing)', ErrorCategory.VALIDATION_ERROR);
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestEntry.async('string'));
+    } catch (e) {
+        throw new AppError(`project.json is not valid JSON: ${e.message}`, ErrorCategory.VALIDATION_ERROR);
+    }
+    if (manifest?.type !== PROJECT_FILE_TYPE || !Array.isArray(manifest.layers)) {
+        throw new AppError('Not a GIS Toolbox project file', ErrorCategory.VALIDATION_ERROR);
+    }
+    if (manifest.version > PROJECT_FILE_VERSION) {
+        throw new AppError(`Project file version ${manifest.version} is newer than this app supports`, ErrorCategory.VALIDATION_ERROR);
+    }
+
+    const layers = [];
+    for (let n = 0; n < manifest.layers.length; n++) {
+        const { data, photos, ...rec } = manifest.layers[n];
+        if (rec.history) rec.history = historyFromJSON(rec.history);
+        task?.updateProgress(Math.round((n / manifest.layers.length) * 90), `Reading ${rec.name}...`);
+        const entry = data ? zip.file(data) : null;
+        if (!entry) {
+            logger.warn('ProjectFile', 'Layer data missing from project file', { layer: rec.name, path: data });
+            continue;
+        }
+        const parsed = JSON.parse(await entry.async('string'));
+        if (rec.type === 'table') rec.rows = parsed;
+        else rec.geojson = parsed;
+
+        if (Array.isArray(photos) && photos.length) {
+            rec.photos = [];
+            for (const p of photos) {
+                const photoEntry = p.path ? zip.file(p.path) : null;
+                rec.photos.push({
+                    id: p.id,
+                    filename: p.filename,
+                    blob: photoEntry ? await photoEntry.async('blob') : null,
+                    thumbnailDataUrl: p.thumbnailDataUrl || ''
+                });
+            }
+        }
+        layers.push(rec);
+    }
+
+    const attachments = [];
+    for (const a of Array.isArray(manifest.attachments) ? manifest.attachments : []) {
+        const entry = a?.id && a.path ? zip.file(a.path) : null;
+        if (!entry) {
+            logger.warn('ProjectFile', 'Attachment file missing from project file', { id: a?.id, path: a?.path });
+            continue;
+        }
+        const data = await entry.async('arraybuffer');
+        attachments.push({ id: a.id, blob: new Blob([data], { type: a.type || '' }) });
+    }
+
+    let recipes = [];
+    const recipesEntry = zip.file('recipes.json');
+    if (recipesEntry) {
+        try {
+            recipes = JSON.parse(await recipesEntry.async('string'));
+        } catch (e) {
+            logger.warn('ProjectFile', 'Could not read bundled recipes', { error: e.message });
+        }
+    }
+
+    logger.info('ProjectFile', 'Imported project', { name: manifest.name, layers: layers.length });
+    task?.updateProgress(100, 'Done');
+    return {
+        name: String(manifest.name || 'Imported project'),
+        layers,
+        meta: manifest.meta || {},
+        recipes: Array.isArray(recipes) ? recipes : [],
+        attachments
+    };
+}
+
+// Keep photo file names unique within a layer folder
+function _uniqueName(name, used) {
+    const safe = name.replace(/[\\/:*?"<>|]+/g, '_');
+    let candidate = safe;
+    const dot = safe.lastIndexOf('.');
+    const base = dot > 0 ? safe.slice(0, dot) : safe;
+    const ext = dot > 0 ? safe.slice(dot) : '';
+    for (let i = 1; used.has(candidate.toLowerCase()); i++) candidate = `${base}_${i}${ext}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+export default {
+    PROJECT_FILE_TYPE, PROJECT_FILE_VERSION, PROJECT_FILE_EXTENSION,
+    exportProjectFile, importProjectFile
+};
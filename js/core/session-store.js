@@ -1,18 +1,70 @@
 /**
  * Session Store — Auto-save & restore via IndexedDB
  * Persists layers across browser crashes, tab closes, and refreshes
+ *
+ * Besides the data itself, each layer record carries whatever the app's state
+ * provider returns (styles, field settings, undo history…), and the meta record
+ * carries view state (basemap, extent, active layer…). See setStateProvider().
+ *
+ * Named projects are snapshots in the same format, stored under an id and name
+ * alongside the auto-saved session; they also keep photo blobs.
+ *
+ * Attachment files are stored once in their own store, keyed by the attachment id
+ * that feature properties hold (see attachments.js), and shared by the session,
+ * projects and other tabs. pruneAttachments() drops the ones nothing refers to.
+ *
+ * Each open tab auto-saves into its own workspace (see tab-sync.js), so two tabs
+ * never overwrite each other's layers. The first tab uses the default workspace.
+ *
+ * Large layers keep their geometries in fixed-size chunks in a separate store.
+ * A save only rewrites chunks whose geometry objects changed, so editing one
+ * attribute of a huge layer doesn't rewrite all of its coordinates. Bulky layer
+ * state (the pre-filter copy of the data, undo history) is likewise kept in its
+ * own records, rewritten only when it changes. Layers can be left out of
+ * auto-save (layer.autoSave === false), and saves report storage use against
+ * navigator.storage.estimate().
  */
 
 const DB_NAME = 'gis-toolbox-sessions';
-const DB_VERSION = 1;
-const STORE_LAYERS = 'layers';
+const DB_VERSION = 8;
+const STORE_LAYERS = 'layers';              // v1–v4 — keyed by layer id alone; moved to STORE_WS_LAYERS in v5
+const STORE_WS_LAYERS = 'workspaceLayers';  // v5 — layer records keyed by [workspace, layer id]
+const STORE_CHUNKS = 'geometryChunks';     // v6 — { workspace, layerId, n, geometries } for large layers
+const STORE_LAYER_STATE = 'layerState';    // v7 — { workspace, layerId, key, value } for the fields in SEPARATE_FIELDS
 const STORE_META = 'meta';
+const STORE_RECIPES = 'recipes';   // v2 — saved Data Prep recipes, kept across sessions
+const STORE_PROJECTS = 'projects';          // v4 — project summaries { id, name, created, updated, layerCount }
+const STORE_PROJECT_DATA = 'projectData';   // v4 — project contents { id, layers, meta }, apart so listing stays cheap
+const STORE_ATTACHMENTS = 'attachments';    // v8 — attachment files { id, blob, added }
 const DEBOUNCE_MS = 2000; // auto-save 2s after last change
+const MAX_SAVE_WAIT_MS = 10000; // ...but no later than this after the first unsaved change (e.g. a GPS track growing every second)
+const DEFAULT_WORKSPACE = 'default';
+const CHUNK_FEATURES = 5000;        // geometries per chunk; layers with more features than this are chunked
+const QUOTA_WARN_RATIO = 0.9;       // report 'warning' once storage use passes this share of the quota
+const ATTACHMENT_PRUNE_AGE_MS = 24 * 60 * 60 * 1000;   // newer files may belong to a layer not saved yet
+// Layer record fields kept in STORE_LAYER_STATE — large, and unchanged by most saves
+const SEPARATE_FIELDS = ['preFilterSnapshot', 'history'];
+
+// Format of the layer and meta records. Bump it together with a step in
+// _migrateLayer/_migrateMeta (and DB_VERSION, so stored records are upgraded on open).
+//   1 — data, name, visibility and filters only
+//   2 — adds record format, layer order and app state (styles, fields, history, view)
+//   3 — large spatial layers keep geometries in STORE_CHUNKS (record.chunks = { size, count })
+//   4 — SEPARATE_FIELDS are kept in STORE_LAYER_STATE
+const SESSION_FORMAT = 4;
 
 let db = null;
 let _saveTimer = null;
+let _saveDueBy = 0;       // latest time the pending save may run
+let _metaTimer = null;
 let _saving = false;
 let _onSaveStatus = null; // optional callback for UI indicator
+let _provider = {};       // { layer(layer) → extra record fields, session() → extra meta fields }
+let _workspace = DEFAULT_WORKSPACE;
+// layerId → per chunk, the geometry objects last written (or read) — unchanged refs mean a clean chunk
+let _chunkRefs = new Map();
+// layerId → { field: value last written (or read) } for SEPARATE_FIELDS — the same ref means no rewrite
+let _stateRefs = new Map();
 
 // ——————— IndexedDB Setup ———————
 
@@ -22,63 +74,281 @@ function openDB() {
         const req = indexedDB.open(DB_NAME, DB_VERSION);
         req.onupgradeneeded = (e) => {
             const idb = e.target.result;
-            if (!idb.objectStoreNames.contains(STORE_LAYERS)) {
-                idb.createObjectStore(STORE_LAYERS, { keyPath: 'id' });
+            const tx = e.target.transaction;
+            if (!idb.objectStoreNames.contains(STORE_WS_LAYERS)) {
+                idb.createObjectStore(STORE_WS_LAYERS, { keyPath: ['workspace', 'id'] });
+            }
+            if (!idb.objectStoreNames.contains(STORE_CHUNKS)) {
+                idb.createObjectStore(STORE_CHUNKS, { keyPath: ['workspace', 'layerId', 'n'] });
+            }
+            if (!idb.objectStoreNames.contains(STORE_LAYER_STATE)) {
+                idb.createObjectStore(STORE_LAYER_STATE, { keyPath: ['workspace', 'layerId', 'key'] });
             }
             if (!idb.objectStoreNames.contains(STORE_META)) {
                 idb.createObjectStore(STORE_META, { keyPath: 'key' });
             }
+            if (!idb.objectStoreNames.contains(STORE_RECIPES)) {
+                idb.createObjectStore(STORE_RECIPES, { keyPath: 'id' });
+            }
+            if (!idb.objectStoreNames.contains(STORE_PROJECTS)) {
+                idb.createObjectStore(STORE_PROJECTS, { keyPath: 'id' });
+            }
+            if (!idb.objectStoreNames.contains(STORE_PROJECT_DATA)) {
+                idb.createObjectStore(STORE_PROJECT_DATA, { keyPath: 'id' });
+            }
+            if (!idb.objectStoreNames.contains(STORE_ATTACHMENTS)) {
+                idb.createObjectStore(STORE_ATTACHMENTS, { keyPath: 'id' });
+            }
+            // v3: session records gain a format number; v5: layer records move to per-workspace keys.
+            // Upgrade the session saved by an older version into the default workspace.
+            if (idb.objectStoreNames.contains(STORE_LAYERS)) _upgradeStoredSession(idb, tx);
+        };
+        req.onsuccess = (e) => {
+            db = e.target.result;
+            // A newer version opened in another tab — let it upgrade; we reopen on next use
+            db.onversionchange = () => { db.close(); db = null; };
+            resolve(db);
         };
-        req.onsuccess = (e) => { db = e.target.result; resolve(db); };
         req.onerror = (e) => reject(e.target.error);
     });
 }
 
+// ——————— Migration ———————
+
+function _upgradeStoredSession(idb, tx) {
+    const oldStore = tx.objectStore(STORE_LAYERS);
+    const newStore = tx.objectStore(STORE_WS_LAYERS);
+    oldStore.openCursor().onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) { idb.deleteObjectStore(STORE_LAYERS); return; }
+        newStore.put({ ..._migrateLayer(cursor.value), workspace: DEFAULT_WORKSPACE });
+        cursor.continue();
+    };
+    const metaStore = tx.objectStore(STORE_META);
+    const req = metaStore.get('session');
+    req.onsuccess = () => {
+        if (req.result) metaStore.put(_migrateMeta(req.result));
+    };
+}
+
+/** Bring a stored layer record up to SESSION_FORMAT, one format step at a time */
+function _migrateLayer(rec) {
+    let out = { ...rec };
+    if ((out.format || 1) < 2) {
+        // v1 → v2: no app state was saved; restore falls back to defaults
+        out = { ...out, format: 2, order: null };
+    }
+    if (out.format < 3) {
+        // v2 → v3: nothing to change — records without `chunks` hold their full geometry
+        out.format = 3;
+    }
+    if (out.format < 4) {
+        // v3 → v4: nothing to change — SEPARATE_FIELDS still in the record are read from it
+        out.format = 4;
+    }
+    return out;
+}
+
+function _migrateMeta(meta) {
+    let out = { ...meta };
+    if ((out.format || 1) < 2) {
+        out = { ...out, format: 2, layerOrder: null };
+    }
+    if (out.format < 3) out.format = 3;
+    if (out.format < 4) out.format = 4;
+    return out;
+}
+
 // ——————— Save ———————
 
+/**
+ * Register the callbacks that add app state to the saved session:
+ * `layer(layer)` returns extra fields for that layer's record, `session()` extra meta fields.
+ */
+function setStateProvider(provider) {
+    _provider = provider || {};
+}
+
 /**
  * Save all layers to IndexedDB
+ * Layers with autoSave === false are left out.
  * @param {Array} layers - array of layer objects from state
  */
 async function saveSession(layers) {
-    if (_saving) return;
+    // A save is already writing — try again after it rather than dropping this one
+    if (_saving) { scheduleSave(layers); return; }
     _saving = true;
     _onSaveStatus?.('saving');
     try {
+        const saveable = layers.filter(l => l.autoSave !== false);
         const idb = await openDB();
-        const tx = idb.transaction([STORE_LAYERS, STORE_META], 'readwrite');
-        const layerStore = tx.objectStore(STORE_LAYERS);
+        const tx = idb.transaction([STORE_WS_LAYERS, STORE_CHUNKS, STORE_LAYER_STATE, STORE_META], 'readwrite');
+        const layerStore = tx.objectStore(STORE_WS_LAYERS);
+        const chunkStore = tx.objectStore(STORE_CHUNKS);
+        const stateStore = tx.objectStore(STORE_LAYER_STATE);
         const metaStore = tx.objectStore(STORE_META);
 
-        // Clear old layers and write fresh
-        layerStore.clear();
-        for (const layer of layers) {
-            const serializable = _serializeLayer(layer);
-            layerStore.put(serializable);
+        // Clear this workspace's old layers and write fresh; large geometries go to chunks,
+        // bulky state to its own records
+        const snap = _snapshot(saveable);
+        const newRefs = new Map();
+        const newStateRefs = new Map();
+        let chunksWritten = 0;
+        let stateWritten = 0;
+        layerStore.delete(_workspaceRange());
+        for (const rec of snap.layers) {
+            if (rec.geojson?.features?.length > CHUNK_FEATURES) {
+                chunksWritten += _writeChunks(chunkStore, rec, newRefs);
+            }
+            stateWritten += _writeLayerState(stateStore, rec, newStateRefs);
+            layerStore.put(rec);
+        }
+        // Chunks of layers that were removed, excluded or shrank below the threshold
+        for (const id of _chunkRefs.keys()) {
+            if (!newRefs.has(id)) chunkStore.delete(_layerRange(id));
+        }
+        for (const id of _stateRefs.keys()) {
+            if (!newStateRefs.has(id)) stateStore.delete(_layerRange(id));
         }
 
         // Save metadata
-        metaStore.put({
-            key: 'session',
-            timestamp: Date.now(),
-            layerCount: layers.length,
-            activeLayerId: layers.find(l => l.active)?.id || layers[0]?.id || null
-        });
+        metaStore.put(snap.meta);
 
         await _txComplete(tx);
+        _chunkRefs = newRefs;
+        _stateRefs = newStateRefs;
+        console.debug('[SessionStore] Saved', saveable.length, 'layers,', chunksWritten, 'geometry chunks and', stateWritten, 'state records written');
         _onSaveStatus?.('saved');
-        console.debug('[SessionStore] Saved', layers.length, 'layers');
+        _checkQuota();
     } catch (err) {
         console.error('[SessionStore] Save failed:', err);
-        _onSaveStatus?.('error');
+        const estimate = err?.name === 'QuotaExceededError' ? await getStorageEstimate() : null;
+        _onSaveStatus?.('error', estimate ? { quotaExceeded: true, ...estimate } : undefined);
     } finally {
         _saving = false;
     }
 }
 
-function _serializeLayer(layer) {
+/**
+ * Move a large layer record's geometries into chunks, writing only chunks whose
+ * geometry objects differ from the last save. Leaves the record with
+ * geometry-less features and `chunks: { size, count }`.
+ * @returns {number} chunks written
+ */
+function _writeChunks(chunkStore, rec, newRefs) {
+    const features = rec.geojson.features;
+    const count = Math.ceil(features.length / CHUNK_FEATURES);
+    const prev = _chunkRefs.get(rec.id) || [];
+    const refs = [];
+    let written = 0;
+    for (let n = 0; n < count; n++) {
+        const geometries = features.slice(n * CHUNK_FEATURES, (n + 1) * CHUNK_FEATURES).map(f => f.geometry ?? null);
+        refs.push(geometries);
+        if (_sameRefs(prev[n], geometries)) continue;
+        chunkStore.put({ workspace: _workspace, layerId: rec.id, n, geometries });
+        written++;
+    }
+    if (prev.length > count) {
+        chunkStore.delete(IDBKeyRange.bound([_workspace, rec.id, count], [_workspace, rec.id, Infinity]));
+    }
+    newRefs.set(rec.id, refs);
+    rec.geojson = { ...rec.geojson, features: features.map(({ geometry, ...rest }) => rest) };
+    rec.chunks = { size: CHUNK_FEATURES, count };
+    return written;
+}
+
+/**
+ * Move a layer record's SEPARATE_FIELDS into their own records, writing only
+ * those that differ from the last save (an empty field deletes its record).
+ * @returns {number} state records written or deleted
+ */
+function _writeLayerState(stateStore, rec, newRefs) {
+    const prev = _stateRefs.get(rec.id) || {};
+    const refs = {};
+    let written = 0;
+    for (const key of SEPARATE_FIELDS) {
+        const value = rec[key] ?? null;
+        delete rec[key];
+        refs[key] = value;
+        if (key in prev && prev[key] === value) continue;
+        if (value === null) stateStore.delete([_workspace, rec.id, key]);
+        else stateStore.put({ workspace: _workspace, layerId: rec.id, key, value });
+        written++;
+    }
+    newRefs.set(rec.id, refs);
+    return written;
+}
+
+// Put separately stored state back into its layer records (and remember it as clean)
+function _attachLayerState(layers, states) {
+    const byLayer = new Map();
+    for (const s of states) {
+        if (!byLayer.has(s.layerId)) byLayer.set(s.layerId, {});
+        byLayer.get(s.layerId)[s.key] = s.value;
+    }
+    for (const rec of layers) {
+        const stored = byLayer.get(rec.id) || {};
+        const refs = {};
+        for (const key of SEPARATE_FIELDS) {
+            if (key in stored) rec[key] = refs[key] = stored[key];
+            // Still in the record (saved before v4) — leave unmarked so the next save moves it out
+            else if (rec[key] == null) refs[key] = null;
+        }
+        _stateRefs.set(rec.id, refs);
+    }
+}
+
+function _sameRefs(a, b) {
+    if (!a || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+    return true;
+}
+
+// Put chunked geometries back into their layer records (and remember them as clean)
+function _attachChunks(layers, chunks) {
+    const byLayer = new Map();
+    for (const c of chunks) {
+        if (!byLayer.has(c.layerId)) byLayer.set(c.layerId, []);
+        byLayer.get(c.layerId)[c.n] = c.geometries;
+    }
+    for (const rec of layers) {
+        if (!rec.chunks) continue;
+        const parts = byLayer.get(rec.id) || [];
+        const features = rec.geojson.features;
+        const refs = [];
+        for (let n = 0; n < rec.chunks.count; n++) {
+            const geometries = parts[n];
+            if (!geometries) {
+                console.warn('[SessionStore] Missing geometry chunk', n, 'of layer', rec.name);
+                continue;
+            }
+            const base = n * rec.chunks.size;
+            geometries.forEach((g, k) => { if (features[base + k]) features[base + k].geometry = g; });
+            refs[n] = geometries;
+        }
+        _chunkRefs.set(rec.id, refs);
+        delete rec.chunks;
+    }
+}
+
+/**
+ * Serializable copy of the workspace: { layers: [records], meta }
+ * @param {Object} [opts]
+ * @param {boolean} [opts.media] - include photo blobs (projects; too heavy for auto-save)
+ */
+function _snapshot(layers, { media = false } = {}) {
+    return {
+        layers: layers.map((layer, i) => _serializeLayer(layer, i, media)),
+        meta: _sessionMeta(layers)
+    };
+}
+
+function _serializeLayer(layer, order, media = false) {
     // Store only the data we need to reconstruct – drop transient/computed state
     const out = {
+        format: SESSION_FORMAT,
+        workspace: _workspace,
+        order,
         id: layer.id,
         name: layer.name,
         type: layer.type,
@@ -94,7 +364,46 @@ function _serializeLayer(layer) {
     }
     // Preserve filters if present
     if (layer.filters) out.filters = layer.filters;
-    return out;
+    // Only reaches projects — excluded layers are not auto-saved at all
+    if (layer.autoSave === false) out.autoSave = false;
+    if (media && layer._photoExportData?.length) {
+        out.photos = layer._photoExportData.map(p => ({
+            id: p.id, filename: p.filename, blob: p.blob, thumbnailDataUrl: p.thumbnailDataUrl || ''
+        }));
+    }
+    return Object.assign(out, _provider.layer?.(layer) || {});
+}
+
+/** One layer as a standalone session-format record (with photos) — e.g. to hand to another tab */
+function serializeLayer(layer) {
+    return _serializeLayer(layer, null, true);
+}
+
+function _sessionMeta(layers) {
+    return {
+        key: _metaKey(),
+        workspace: _workspace,
+        format: SESSION_FORMAT,
+        timestamp: Date.now(),
+        layerCount: layers.length,
+        activeLayerId: layers[0]?.id || null,
+        layerOrder: layers.map(l => l.id),
+        ..._provider.session?.()
+    };
+}
+
+/**
+ * Save only the meta record (view state) — cheap enough for map moves
+ */
+async function saveMeta(layers) {
+    try {
+        const idb = await openDB();
+        const tx = idb.transaction(STORE_META, 'readwrite');
+        tx.objectStore(STORE_META).put(_sessionMeta(layers));
+        await _txComplete(tx);
+    } catch (err) {
+        console.error('[SessionStore] Meta save failed:', err);
+    }
 }
 
 // ——————— Restore ———————
@@ -106,24 +415,39 @@ function _serializeLayer(layer) {
 async function loadSession() {
     try {
         const idb = await openDB();
-        const tx = idb.transaction([STORE_LAYERS, STORE_META], 'readonly');
-        const layerStore = tx.objectStore(STORE_LAYERS);
+        const tx = idb.transaction([STORE_WS_LAYERS, STORE_CHUNKS, STORE_LAYER_STATE, STORE_META], 'readonly');
+        const layerStore = tx.objectStore(STORE_WS_LAYERS);
         const metaStore = tx.objectStore(STORE_META);
 
-        const [layers, meta] = await Promise.all([
-            _getAllFromStore(layerStore),
-            _getFromStore(metaStore, 'session')
+        const [layers, chunks, states, meta] = await Promise.all([
+            _getAllFromStore(layerStore, _workspaceRange()),
+            _getAllFromStore(tx.objectStore(STORE_CHUNKS), _workspaceRange()),
+            _getAllFromStore(tx.objectStore(STORE_LAYER_STATE), _workspaceRange()),
+            _getFromStore(metaStore, _metaKey())
         ]);
 
         if (!layers || layers.length === 0) return null;
 
-        return { layers, meta: meta || { timestamp: 0 } };
+        _attachChunks(layers, chunks || []);
+        _attachLayerState(layers, states || []);
+        return _readSnapshot(layers, meta);
     } catch (err) {
         console.error('[SessionStore] Load failed:', err);
         return null;
     }
 }
 
+// Migrate stored records and put them back in layer order
+function _readSnapshot(layers, meta) {
+    const migrated = layers.map(_migrateLayer);
+    const newer = migrated.find(l => l.format > SESSION_FORMAT);
+    if (newer) console.warn('[SessionStore] Session saved by a newer version; some state may be ignored');
+    // getAll() returns records by key — put them back in layer order
+    migrated.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+
+    return { layers: migrated, meta: _migrateMeta(meta || { timestamp: 0 }) };
+}
+
 /**
  * Check if a saved session exists (fast check without loading all data)
  * @returns {{ timestamp: number, layerCount: number }|null}
@@ -132,7 +456,7 @@ async function hasSession() {
     try {
         const idb = await openDB();
         const tx = idb.transaction(STORE_META, 'readonly');
-        const meta = await _getFromStore(tx.objectStore(STORE_META), 'session');
+        const meta = await _getFromStore(tx.objectStore(STORE_META), _metaKey());
         if (meta && meta.layerCount > 0) {
             return { timestamp: meta.timestamp, layerCount: meta.layerCount };
         }
@@ -147,9 +471,13 @@ async function hasSession() {
 async function clearSession() {
     try {
         const idb = await openDB();
-        const tx = idb.transaction([STORE_LAYERS, STORE_META], 'readwrite');
-        tx.objectStore(STORE_LAYERS).clear();
-        tx.objectStore(STORE_META).clear();
+        const tx = idb.transaction([STORE_WS_LAYERS, STORE_CHUNKS, STORE_LAYER_STATE, STORE_META], 'readwrite');
+        tx.objectStore(STORE_WS_LAYERS).delete(_workspaceRange());
+        tx.objectStore(STORE_CHUNKS).delete(_workspaceRange());
+        tx.objectStore(STORE_LAYER_STATE).delete(_workspaceRange());
+        tx.objectStore(STORE_META).delete(_metaKey());
+        _chunkRefs = new Map();
+        _stateRefs = new Map();
         await _txComplete(tx);
         console.debug('[SessionStore] Session cleared');
     } catch (err) {
@@ -157,11 +485,316 @@ async function clearSession() {
     }
 }
 
+// ——————— Workspaces ———————
+
+/** Auto-save into this workspace from now on (tab-sync.js picks one per tab) */
+function setWorkspace(id) {
+    _workspace = id || DEFAULT_WORKSPACE;
+    _chunkRefs = new Map();
+    _stateRefs = new Map();
+}
+
+function getWorkspace() {
+    return _workspace;
+}
+
+/**
+ * Workspaces with a saved session, including ones left by closed tabs
+ * @returns {Promise<Array<{ workspace: string, timestamp: number, layerCount: number }>>}
+ */
+async function listWorkspaces() {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_META, 'readonly');
+    const metas = await _getAllFromStore(tx.objectStore(STORE_META));
+    return (metas || [])
+        .filter(m => typeof m.key === 'string' && m.key.startsWith('session'))
+        .map(m => ({ workspace: m.workspace || DEFAULT_WORKSPACE, timestamp: m.timestamp, layerCount: m.layerCount || 0 }));
+}
+
+// The default workspace keeps the pre-v5 meta key
+function _metaKey(ws = _workspace) {
+    return ws === DEFAULT_WORKSPACE ? 'session' : `session:${ws}`;
+}
+
+// All records of a workspace: keys [ws, …] sort between [ws] and [ws, []]
+function _workspaceRange(ws = _workspace) {
+    return IDBKeyRange.bound([ws], [ws, []]);
+}
+
+// All geometry chunks or state records of one layer in this workspace
+function _layerRange(layerId) {
+    return IDBKeyRange.bound([_workspace, layerId], [_workspace, layerId, []]);
+}
+
+// ——————— Storage quota ———————
+
+/**
+ * Browser storage use for this site
+ * @returns {Promise<{ usage: number, quota: number, persisted: boolean }|null>} null where unsupported
+ */
+async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        const persisted = await navigator.storage.persisted?.() ?? false;
+        return { usage, quota, persisted };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Ask the browser not to evict the site's data under storage pressure
+ * @returns {Promise<boolean>} whether storage is now persistent
+ */
+async function requestPersistentStorage() {
+    if (!navigator.storage?.persist) return false;
+    try {
+        return await navigator.storage.persist();
+    } catch {
+        return false;
+    }
+}
+
+// After a save: report 'warning' while use is above QUOTA_WARN_RATIO of the quota
+async function _checkQuota() {
+    const est = await getStorageEstimate();
+    if (est?.quota && est.usage / est.quota >= QUOTA_WARN_RATIO) {
+        _onSaveStatus?.('warning', est);
+    }
+}
+
+/**
+ * Approximate stored size of a layer's data in bytes (JSON length; sampled for big layers)
+ */
+function estimateLayerBytes(layer) {
+    const items = layer.type === 'table' ? (layer.rows || []) : (layer.geojson?.features || []);
+    if (!items.length) return 0;
+    const SAMPLE = 500;
+    const step = Math.max(1, Math.floor(items.length / SAMPLE));
+    let bytes = 0;
+    let sampled = 0;
+    for (let i = 0; i < items.length; i += step) {
+        bytes += JSON.stringify(items[i]).length;
+        sampled++;
+    }
+    return Math.round(bytes / sampled * items.length);
+}
+
+// ——————— Recipes ———————
+// Recipes are not part of the session: clearSession() leaves them alone.
+
+/**
+ * Save (insert or replace) a Data Prep recipe
+ * @param {Object} recipe - { id, name, steps, ... }
+ */
+async function saveRecipe(recipe) {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_RECIPES, 'readwrite');
+    tx.objectStore(STORE_RECIPES).put({ ...recipe, updated: Date.now() });
+    await _txComplete(tx);
+}
+
+/**
+ * All saved recipes, sorted by name
+ * @returns {Promise<Array>}
+ */
+async function listRecipes() {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_RECIPES, 'readonly');
+    const recipes = await _getAllFromStore(tx.objectStore(STORE_RECIPES));
+    return (recipes || []).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function deleteRecipe(id) {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_RECIPES, 'readwrite');
+    tx.objectStore(STORE_RECIPES).delete(id);
+    await _txComplete(tx);
+}
+
+// ——————— Projects ———————
+// Named snapshots of the workspace. Unlike the auto-saved session they are only
+// written when the user saves, so they can afford to carry photo blobs.
+
+function _projectId() {
+    return `project_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function _writeProject(summary, data) {
+    const idb = await openDB();
+    const tx = idb.transaction([STORE_PROJECTS, STORE_PROJECT_DATA], 'readwrite');
+    tx.objectStore(STORE_PROJECTS).put(summary);
+    tx.objectStore(STORE_PROJECT_DATA).put({ id: summary.id, layers: data.layers, meta: data.meta });
+    await _txComplete(tx);
+    return summary;
+}
+
+async function _getProjectSummary(id) {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_PROJECTS, 'readonly');
+    return _getFromStore(tx.objectStore(STORE_PROJECTS), id);
+}
+
+/**
+ * Save the workspace as a named project
+ * @param {string} name
+ * @param {Array} layers - array of layer objects from state
+ * @param {Object} [opts]
+ * @param {string} [opts.id] - overwrite this project instead of creating a new one
+ * @returns {Promise<Object>} the project summary
+ */
+async function saveProject(name, layers, { id = null } = {}) {
+    const existing = id ? await _getProjectSummary(id) : null;
+    const now = Date.now();
+    const snap = _snapshot(layers, { media: true });
+    const summary = {
+        id: existing?.id || _projectId(),
+        name: name || existing?.name || 'Untitled project',
+        created: existing?.created || now,
+        updated: now,
+        format: SESSION_FORMAT,
+        layerCount: layers.length
+    };
+    snap.meta.project = { id: summary.id, name: summary.name };
+    return _writeProject(summary, snap);
+}
+
+/**
+ * Store a snapshot read from a project file as a new project
+ * @param {string} name
+ * @param {{ layers: Array, meta: Object }} data - records in session format
+ */
+async function addProject(name, data) {
+    const now = Date.now();
+    const summary = {
+        id: _projectId(),
+        name: name || 'Imported project',
+        created: now,
+        updated: now,
+        format: SESSION_FORMAT,
+        layerCount: data.layers.length
+    };
+    return _writeProject(summary, {
+        layers: data.layers,
+        meta: { ...data.meta, project: { id: summary.id, name: summary.name } }
+    });
+}
+
+/**
+ * All projects (summaries only), most recently updated first
+ * @returns {Promise<Array>}
+ */
+async function listProjects() {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_PROJECTS, 'readonly');
+    const projects = await _getAllFromStore(tx.objectStore(STORE_PROJECTS));
+    return (projects || []).sort((a, b) => b.updated - a.updated);
+}
+
+/**
+ * Load a project
+ * @returns {Promise<{ project: Object, layers: Array, meta: Object }|null>}
+ */
+async function loadProject(id) {
+    const idb = await openDB();
+    const tx = idb.transaction([STORE_PROJECTS, STORE_PROJECT_DATA], 'readonly');
+    const [project, data] = await Promise.all([
+        _getFromStore(tx.objectStore(STORE_PROJECTS), id),
+        _getFromStore(tx.objectStore(STORE_PROJECT_DATA), id)
+    ]);
+    if (!project || !data) return null;
+    return { project, ..._readSnapshot(data.layers || [], data.meta) };
+}
+
+async function duplicateProject(id, name) {
+    const loaded = await loadProject(id);
+    if (!loaded) return null;
+    return addProject(name || `${loaded.project.name} (copy)`, loaded);
+}
+
+async function deleteProject(id) {
+    const idb = await openDB();
+    const tx = idb.transaction([STORE_PROJECTS, STORE_PROJECT_DATA], 'readwrite');
+    tx.objectStore(STORE_PROJECTS).delete(id);
+    tx.objectStore(STORE_PROJECT_DATA).delete(id);
+    await _txComplete(tx);
+}
+
+// ——————— Attachments ———————
+// Files attached to features, shared by every workspace and project.
+
+/**
+ * Store attachment files (insert or replace)
+ * @param {Array<{ id: string, blob: Blob }>} files
+ */
+async function putAttachments(files) {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_ATTACHMENTS, 'readwrite');
+    const store = tx.objectStore(STORE_ATTACHMENTS);
+    for (const { id, blob } of files) store.put({ id, blob, added: Date.now() });
+    await _txComplete(tx);
+}
+
+/**
+ * Stored attachment files by id — ids not found are left out
+ * @returns {Promise<Array<{ id: string, blob: Blob, added: number }>>}
+ */
+async function getAttachments(ids) {
+    const idb = await openDB();
+    const tx = idb.transaction(STORE_ATTACHMENTS, 'readonly');
+    const store = tx.objectStore(STORE_ATTACHMENTS);
+    const found = await Promise.all(ids.map(id => _getFromStore(store, id)));
+    return found.filter(Boolean);
+}
+
+/**
+ * Delete attachment files that no saved layer, undo history or project refers to.
+ * Files added in the last ATTACHMENT_PRUNE_AGE_MS are kept, as a layer using them
+ * may not have been saved yet (or is open in another tab).
+ * @param {Function} idsOf - (record) → Set of attachment ids it refers to
+ * @returns {Promise<number>} files deleted
+ */
+async function pruneAttachments(idsOf) {
+    const idb = await openDB();
+    const cutoff = Date.now() - ATTACHMENT_PRUNE_AGE_MS;
+    const files = await _getAllFromStore(idb.transaction(STORE_ATTACHMENTS, 'readonly').objectStore(STORE_ATTACHMENTS));
+    const old = (files || []).filter(f => (f.added || 0) < cutoff).map(f => f.id);
+    if (!old.length) return 0;
+
+    const stores = [STORE_WS_LAYERS, STORE_LAYER_STATE, STORE_PROJECT_DATA];
+    const readTx = idb.transaction(stores, 'readonly');
+    const records = await Promise.all(stores.map(name => _getAllFromStore(readTx.objectStore(name))));
+    const used = new Set();
+    for (const rec of records.flat()) {
+        for (const id of idsOf(rec)) used.add(id);
+    }
+    const unused = old.filter(id => !used.has(id));
+    if (!unused.length) return 0;
+
+    const tx = idb.transaction(STORE_ATTACHMENTS, 'readwrite');
+    const store = tx.objectStore(STORE_ATTACHMENTS);
+    for (const id of unused) store.delete(id);
+    await _txComplete(tx);
+    console.debug('[SessionStore] Deleted', unused.length, 'unused attachment files');
+    return unused.length;
+}
+
 // ——————— Debounced Auto-Save ———————
 
 function scheduleSave(layers) {
     if (_saveTimer) clearTimeout(_saveTimer);
-    _saveTimer = setTimeout(() => saveSession(layers), DEBOUNCE_MS);
+    else _saveDueBy = Date.now() + MAX_SAVE_WAIT_MS;
+    if (_metaTimer) { clearTimeout(_metaTimer); _metaTimer = null; }
+    const delay = Math.max(0, Math.min(DEBOUNCE_MS, _saveDueBy - Date.now()));
+    _saveTimer = setTimeout(() => { _saveTimer = null; saveSession(layers); }, delay);
+}
+
+/** Debounced meta-only save; a pending full save already covers it */
+function scheduleMetaSave(layers) {
+    if (_saveTimer) return;
+    if (_metaTimer) clearTimeout(_metaTimer);
+    _metaTimer = setTimeout(() => { _metaTimer = null; saveMeta(layers); }, DEBOUNCE_MS);
 }
 
 // ——————— Status callback ———————
@@ -180,9 +813,9 @@ function _txComplete(tx) {
     });
 }
 
-function _getAllFromStore(store) {
+function _getAllFromStore(store, query) {
     return new Promise((resolve, reject) => {
-        const req = store.getAll();
+        const req = store.getAll(query);
         req.onsuccess = () => resolve(req.result);
         req.onerror = (e) => reject(e.target.error);
     });
@@ -197,10 +830,32 @@ function _getFromStore(store, key) {
 }
 
 export default {
+    DEFAULT_WORKSPACE,
     saveSession,
     loadSession,
     hasSession,
     clearSession,
     scheduleSave,
-    onSaveStatus
+    scheduleMetaSave,
+    setStateProvider,
+    serializeLayer,
+    setWorkspace,
+    getWorkspace,
+    listWorkspaces,
+    getStorageEstimate,
+    requestPersistentStorage,
+    estimateLayerBytes,
+    onSaveStatus,
+    saveRecipe,
+    listRecipes,
+    deleteRecipe,
+    saveProject,
+    addProject,
+    listProjects,
+    loadProject,
+    duplicateProject,
+    deleteProject,
+    putAttachments,
+    getAttachments,
+    pruneAttachments
 };
@@ -7,8 +7,6 @@ import bus from './event-bus.js';
 const state = {
     layers: [],           // Array of canonical datasets
     activeLayerId: null,
-    transformHistory: [],  // Array of { id, layerId, name, timestamp, snapshot }
-    historyIndex: -1,
     filters: [],
     agolCompatMode: false,
     ui: {
@@ -19,7 +17,11 @@ const state = {
         logsOpen: false,
         photoMapperOpen: false,
         arcgisImporterOpen: false,
-        coordinatesOpen: false
+        coordinatesOpen: false,
+        exportCrs: 'EPSG:4326', // output CRS for Shapefile / GeoJSON / CSV exports
+        bundleAttachments: true, // exports other than KML/KMZ come as a ZIP with the layer's attachment files
+        kmlHeadings: true,      // KML/KMZ: points with a heading get a <Camera> looking along it
+        userName: ''            // filled into form fields that record who added or edited a feature
     }
 };
 
@@ -100,55 +102,6 @@ export function reorderLayer(id, direction) {
     bus.emit('layers:reordered', state.layers);
 }
 
-// Transform history
-export function pushTransform(layerId, name, snapshotGeojson) {
-    // Truncate any redo history
-    state.transformHistory = state.transformHistory.slice(0, state.historyIndex + 1);
-    state.transformHistory.push({
-        id: Date.now(),
-        layerId,
-        name,
-        timestamp: new Date().toISOString(),
-        snapshot: JSON.parse(JSON.stringify(snapshotGeojson))
-    });
-    state.historyIndex = state.transformHistory.length - 1;
-    bus.emit('history:changed', { history: state.transformHistory, index: state.historyIndex });
-}
-
-export function undo() {
-    if (state.historyIndex <= 0) return false;
-    state.historyIndex--;
-    const entry = state.transformHistory[state.historyIndex];
-    const layer = state.layers.find(l => l.id === entry.layerId);
-    if (layer && layer.type === 'spatial') {
-        layer.geojson = JSON.parse(JSON.stringify(entry.snapshot));
-        import('./data-model.js').then(dm => {
-            layer.schema = dm.analyzeSchema(layer.geojson);
-            bus.emit('layer:updated', layer);
-            bus.emit('layers:changed', state.layers);
-        });
-    }
-    bus.emit('history:changed', { history: state.transformHistory, index: state.historyIndex });
-    return true;
-}
-
-export function redo() {
-    if (state.historyIndex >= state.transformHistory.length - 1) return false;
-    state.historyIndex++;
-    const entry = state.transformHistory[state.historyIndex];
-    const layer = state.layers.find(l => l.id === entry.layerId);
-    if (layer && layer.type === 'spatial') {
-        layer.geojson = JSON.parse(JSON.stringify(entry.snapshot));
-        import('./data-model.js').then(dm => {
-            layer.schema = dm.analyzeSchema(layer.geojson);
-            bus.emit('layer:updated', layer);
-            bus.emit('layers:changed', state.layers);
-        });
-    }
-    bus.emit('history:changed', { history: state.transformHistory, index: state.historyIndex });
-    return true;
-}
-
 // UI state
 export function setUIState(key, value) {
     state.ui[key] = value;
@@ -173,6 +126,5 @@ window.addEventListener('resize', checkMobile);
 export default {
     getState, getLayers, getActiveLayer, addLayer, removeLayer, setActiveLayer,
     updateLayer, updateLayerData, toggleLayerVisibility, reorderLayer,
-    pushTransform, undo, redo,
     setUIState, toggleAGOLCompat
 };
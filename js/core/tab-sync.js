@@ -0,0 +1,165 @@
+/**
+ * Tab sync — coordination between several open tabs of the toolbox.
+ *
+ * Each tab claims a session-store workspace through the Web Locks API, so tabs
+ * auto-save side by side instead of overwriting each other. The lock is held for
+ * the life of the tab and released by the browser when it closes; the next tab
+ * opened picks up a workspace left that way. Tabs also announce themselves on a
+ * BroadcastChannel, which is how layers are sent from one tab to another.
+ *
+ * Events: 'tabs:changed' (peer list), 'tabs:layerReceived' ({ from, record }).
+ */
+import bus from './event-bus.js';
+import logger from './logger.js';
+import sessionStore from './session-store.js';
+
+const CHANNEL_NAME = 'gis-toolbox';
+const LOCK_PREFIX = 'gis-toolbox-workspace:';
+const ACK_TIMEOUT_MS = 5000;
+
+const tabId = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+let channel = null;
+let workspace = sessionStore.DEFAULT_WORKSPACE;
+let describeSelf = () => ({});   // → { title, layers: [{ id, name }] } sent to other tabs
+const peers = new Map();         // tabId → { tabId, workspace, title, layers }
+const pendingAcks = new Map();   // message id → resolve(delivered)
+let _nextMsgId = 1;
+
+/**
+ * Claim a workspace for this tab and start listening for other tabs.
+ * @param {Object} [opts]
+ * @param {Function} [opts.describe] - returns { title, layers } for other tabs' pickers
+ * @returns {Promise<string>} the workspace this tab auto-saves into
+ */
+export async function initTabSync({ describe } = {}) {
+    if (describe) describeSelf = describe;
+    workspace = await _claimWorkspace();
+    sessionStore.setWorkspace(workspace);
+
+    if (typeof BroadcastChannel === 'function') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (e) => _onMessage(e.data);
+        _post('hello');
+        window.addEventListener('pagehide', () => _post('bye'));
+        // Back from the bfcache: the other tabs dropped us on 'bye'
+        window.addEventListener('pageshow', (e) => { if (e.persisted) _post('hello'); });
+    }
+    logger.info('TabSync', 'Workspace claimed', { tabId, workspace });
+    return workspace;
+}
+
+export function getTabId() { return tabId; }
+export function getWorkspace() { return workspace; }
+
+/** Whether this tab has the default workspace (the one every tab used before) */
+export function isPrimaryTab() {
+    return workspace === sessionStore.DEFAULT_WORKSPACE;
+}
+
+/** Other open tabs, as last announced */
+export function getPeers() {
+    return [...peers.values()];
+}
+
+/** Tell the other tabs this tab's title or layers changed */
+export function announce() {
+    _post('update');
+}
+
+/**
+ * Send a session-format layer record (sessionStore.serializeLayer) to another tab.
+ * @returns {Promise<boolean>} whether the other tab confirmed it
+ */
+export function sendLayer(toTabId, record) {
+    if (!channel) return Promise.resolve(false);
+    const msgId = `${tabId}:${_nextMsgId++}`;
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => { pendingAcks.delete(msgId); resolve(false); }, ACK_TIMEOUT_MS);
+        pendingAcks.set(msgId, (ok) => { clearTimeout(timer); pendingAcks.delete(msgId); resolve(ok); });
+        _post('layer', { to: toTabId, msgId, record });
+        logger.info('TabSync', 'Sent layer', { to: toTabId, name: record.name });
+    });
+}
+
+// ——————— Workspace locks ———————
+
+async function _claimWorkspace() {
+    const DEFAULT = sessionStore.DEFAULT_WORKSPACE;
+    // Without Web Locks there is no safe way to tell tabs apart — keep the single session
+    if (!navigator.locks?.request) return DEFAULT;
+    if (await _tryLock(DEFAULT)) return DEFAULT;
+
+    // Another tab has the default workspace: reuse one left by a closed tab, newest first
+    let saved = [];
+    try {
+        saved = await sessionStore.listWorkspaces();
+    } catch (e) {
+        logger.warn('TabSync', 'Could not list workspaces', { error: e.message });
+    }
+    saved.sort((a, b) => (b.layerCount > 0) - (a.layerCount > 0) || b.timestamp - a.timestamp);
+    for (const { workspace: ws } of saved) {
+        if (ws !== DEFAULT && await _tryLock(ws)) return ws;
+    }
+    const ws = `ws_${tabId}`;
+    await _tryLock(ws);
+    return ws;
+}
+
+// Resolves true once the lock is ours (held until the tab closes), false if another tab has it
+function _tryLock(ws) {
+    return new Promise((resolve) => {
+        navigator.locks.request(LOCK_PREFIX + ws, { ifAvailable: true }, (lock) => {
+            if (!lock) { resolve(false); return undefined; }
+            resolve(true);
+            return new Promise(() => {});
+        }).catch(() => resolve(false));
+    });
+}
+
+// ——————— Messages ———————
+
+function _post(type, payload = {}) {
+    if (!channel) return;
+    const info = type === 'bye' ? {} : { workspace, ...describeSelf() };
+    try {
+        channel.postMessage({ type, from: tabId, info, ...payload });
+    } catch (e) {
+        logger.warn('TabSync', 'Message could not be sent', { type, error: e.message });
+    }
+}
+
+function _onMessage(msg) {
+    if (!msg || msg.from === tabId) return;
+    if (msg.to && msg.to !== tabId) return;
+
+    switch (msg.type) {
+        case 'hello':
+            _setPeer(msg);
+            _post('here', { to: msg.from });
+            break;
+        case 'here':
+        case 'update':
+            _setPeer(msg);
+            break;
+        case 'bye':
+            if (peers.delete(msg.from)) bus.emit('tabs:changed', getPeers());
+            break;
+        case 'layer':
+            _setPeer(msg);
+            bus.emit('tabs:layerReceived', { from: peers.get(msg.from), record: msg.record });
+            _post('received', { to: msg.from, msgId: msg.msgId });
+            break;
+        case 'received':
+            pendingAcks.get(msg.msgId)?.(true);
+            break;
+    }
+}
+
+function _setPeer(msg) {
+    peers.set(msg.from, { tabId: msg.from, ...msg.info });
+    bus.emit('tabs:changed', getPeers());
+}
+
+export default {
+    initTabSync, getTabId, getWorkspace, isPrimaryTab, getPeers, announce, sendLayer
+};
@@ -0,0 +1,709 @@
+/**
+ * Expression language for calculated fields
+ * A small parser and evaluator — expressions never reach eval/Function, and can
+ * only see the current feature's attributes and geometry.
+ *
+ *   Fields:      Name, [Field With Spaces], {Field}
+ *   Literals:    12.5, 'text', "text", TRUE, FALSE, NULL
+ *   Operators:   + - * / % ^   = != <> < <= > >=   AND OR NOT   || (concat)
+ *                IS [NOT] NULL, [NOT] IN (a, b, ...)
+ *   Conditions:  IF(cond, then, else), CASE WHEN cond THEN v ... ELSE v END
+ *   Geometry:    $area (m²), $length (m), $perimeter (m), $x, $y, $centroid,
+ *                $geometry_type, $rownum
+ *
+ * Null handling: arithmetic with NULL gives NULL, comparisons with NULL are false
+ * (except = / != against NULL), and || treats NULL as an empty string.
+ */
+import { AppError, ErrorCategory } from '../core/error-handler.js';
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'TRUE', 'FALSE', 'NULL', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'IS', 'IN']);
+
+export const GEOMETRY_VARIABLES = {
+    $area: 'Polygon area in square meters',
+    $length: 'Line length in meters (perimeter for polygons)',
+    $perimeter: 'Polygon perimeter in meters',
+    $x: 'Longitude of a point, or of the centroid for other shapes',
+    $y: 'Latitude of a point, or of the centroid for other shapes',
+    $centroid: 'Centroid as a point — use X() / Y(), or store as WKT',
+    $geometry_type: 'Geometry type name, e.g. Polygon',
+    $rownum: 'Row number, starting at 1'
+};
+
+const DATE_UNITS = {
+    second: 1000, seconds: 1000,
+    minute: 60000, minutes: 60000,
+    hour: 3600000, hours: 3600000,
+    day: 86400000, days: 86400000,
+    week: 604800000, weeks: 604800000
+};
+
+/** A point value produced by $centroid — stored as WKT */
+class PointValue {
+    constructor(x, y) { this.x = x; this.y = y; }
+    toString() { return `POINT (${this.x} ${this.y})`; }
+}
+
+// name -> [minArgs, maxArgs, fn, description]; maxArgs Infinity = variadic
+export const FUNCTIONS = {
+    // Conditionals & nulls
+    IF:         [2, 3, (c, a, b = null) => _truthy(c) ? a : b, 'IF(condition, then, else)'],
+    COALESCE:   [1, Infinity, (...v) => v.find(x => !_isNull(x)) ?? null, 'First non-empty value'],
+    ISNULL:     [1, 1, (v) => _isNull(v), 'TRUE when empty or NULL'],
+    NULLIF:     [2, 2, (a, b) => _equals(a, b) ? null : a, 'NULL when both values are equal'],
+
+    // Math
+    ABS:        [1, 1, _num1(Math.abs), 'Absolute value'],
+    ROUND:      [1, 2, (v, d = 0) => { const n = _toNum(v); if (n == null) return null; const f = Math.pow(10, _toNum(d) || 0); return Math.round(n * f) / f; }, 'ROUND(value, decimals)'],
+    FLOOR:      [1, 1, _num1(Math.floor), 'Round down'],
+    CEIL:       [1, 1, _num1(Math.ceil), 'Round up'],
+    SQRT:       [1, 1, _num1(Math.sqrt), 'Square root'],
+    LOG:        [1, 1, _num1(Math.log), 'Natural logarithm'],
+    LOG10:      [1, 1, _num1(Math.log10), 'Base-10 logarithm'],
+    EXP:        [1, 1, _num1(Math.exp), 'e raised to a power'],
+    POWER:      [2, 2, (a, b) => _arith(a, b, Math.pow), 'POWER(base, exponent)'],
+    MIN:        [1, Infinity, (...v) => _reduceNums(v, Math.min), 'Smallest value'],
+    MAX:        [1, Infinity, (...v) => _reduceNums(v, Math.max), 'Largest value'],
+    NUMBER:     [1, 1, (v) => _toNum(v), 'Convert to a number'],
+
+    // Strings
+    STRING:     [1, 1, (v) => _isNull(v) ? null : _toStr(v), 'Convert to text'],
+    UPPER:      [1, 1, _str1(s => s.toUpperCase()), 'Upper case'],
+    LOWER:      [1, 1, _str1(s => s.toLowerCase()), 'Lower case'],
+    TITLE:      [1, 1, _str1(s => s.toLowerCase().replace(/\b\w/g, c => c.toUpperCase())), 'Title Case'],
+    TRIM:       [1, 1, _str1(s => s.trim()), 'Remove surrounding spaces'],
+    LENGTH:     [1, 1, (v) => _isNull(v) ? null : _toStr(v).length, 'Number of characters'],
+    LEFT:       [2, 2, (v, n) => _isNull(v) ? null : _toStr(v).slice(0, Math.max(0, _toNum(n) || 0)), 'LEFT(text, count)'],
+    RIGHT:      [2, 2, (v, n) => { if (_isNull(v)) return null; const k = Math.max(0, _toNum(n) || 0); return k ? _toStr(v).slice(-k) : ''; }, 'RIGHT(text, count)'],
+    SUBSTR:     [2, 3, (v, start, len) => { if (_isNull(v)) return null; const s = _toStr(v); const i = Math.max(0, (_toNum(start) || 1) - 1); return len == null ? s.slice(i) : s.substr(i, Math.max(0, _toNum(len) || 0)); }, 'SUBSTR(text, start, length) — start at 1'],
+    REPLACE:    [3, 3, (v, find, rep) => _isNull(v) ? null : _toStr(v).split(_toStr(find)).join(_toStr(rep)), 'REPLACE(text, find, replacement)'],
+    CONCAT:     [1, Infinity, (...v) => v.map(x => _isNull(x) ? '' : _toStr(x)).join(''), 'Join values as text'],
+    CONTAINS:   [2, 2, (v, s) => !_isNull(v) && _toStr(v).toLowerCase().includes(_toStr(s).toLowerCase()), 'Case-insensitive contains'],
+    STARTSWITH: [2, 2, (v, s) => !_isNull(v) && _toStr(v).toLowerCase().startsWith(_toStr(s).toLowerCase()), 'Case-insensitive starts with'],
+    ENDSWITH:   [2, 2, (v, s) => !_isNull(v) && _toStr(v).toLowerCase().endsWith(_toStr(s).toLowerCase()), 'Case-insensitive ends with'],
+    LPAD:       [3, 3, (v, n, p) => _isNull(v) ? null : _toStr(v).padStart(_toNum(n) || 0, _toStr(p)), 'LPAD(text, length, pad)'],
+    RPAD:       [3, 3, (v, n, p) => _isNull(v) ? null : _toStr(v).padEnd(_toNum(n) || 0, _toStr(p)), 'RPAD(text, length, pad)'],
+
+    // Dates
+    NOW:        [0, 0, () => new Date(), 'Current date and time'],
+    TODAY:      [0, 0, () => { const d = new Date(); return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())); }, 'Current date (midnight UTC)'],
+    DATE:       [1, 3, (a, m, d) => m == null ? _toDate(a) : _utcDate(a, m, d), 'DATE(text) or DATE(year, month, day)'],
+    YEAR:       [1, 1, _date1(d => d.getUTCFullYear()), 'Year'],
+    MONTH:      [1, 1, _date1(d => d.getUTCMonth() + 1), 'Month (1–12)'],
+    DAY:        [1, 1, _date1(d => d.getUTCDate()), 'Day of month'],
+    HOUR:       [1, 1, _date1(d => d.getUTCHours()), 'Hour (UTC)'],
+    MINUTE:     [1, 1, _date1(d => d.getUTCMinutes()), 'Minute'],
+    WEEKDAY:    [1, 1, _date1(d => d.getUTCDay()), 'Day of week (0 = Sunday)'],
+    DATEADD:    [3, 3, _dateAdd, "DATEADD(date, amount, 'days') — seconds … years"],
+    DATEDIFF:   [2, 3, _dateDiff, "DATEDIFF(end, start, 'days') — seconds … years"],
+    FORMATDATE: [2, 2, _formatDate, "FORMATDATE(date, 'YYYY-MM-DD HH:mm')"],
+
+    // Geometry values
+    X:          [1, 1, (p) => p instanceof PointValue ? p.x : null, 'X of a point value ($centroid)'],
+    Y:          [1, 1, (p) => p instanceof PointValue ? p.y : null, 'Y of a point value ($centroid)']
+};
+
+// ============================
+// Tokenizer
+// ============================
+
+function tokenize(src) {
+    const tokens = [];
+    let i = 0;
+    const fail = (msg, pos = i) => { throw _syntaxError(msg, pos); };
+
+    while (i < src.length) {
+        const ch = src[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        const start = i;
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+            const m = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(src.slice(i));
+            if (!m) fail('Invalid number');
+            tokens.push({ type: 'num', value: parseFloat(m[0]), pos: start });
+            i += m[0].length;
+        } else if (ch === "'" || ch === '"') {
+            let value = '';
+            i++;
+            while (true) {
+                if (i >= src.length) fail('Unclosed text — missing ' + ch, start);
+                if (src[i] === ch) {
+                    if (src[i + 1] === ch) { value += ch; i += 2; continue; }   // '' escapes a quote
+                    i++;
+                    break;
+                }
+                value += src[i++];
+            }
+            tokens.push({ type: 'str', value, pos: start });
+        } else if (ch === '[' || ch === '{') {
+            const close = ch === '[' ? ']' : '}';
+            const end = src.indexOf(close, i + 1);
+            if (end < 0) fail(`Unclosed field name — missing ${close}`);
+            tokens.push({ type: 'field', value: src.slice(i + 1, end), pos: start });
+            i = end + 1;
+        } else if (ch === '$' || /[A-Za-z_]/.test(ch)) {
+            const m = /^\$?[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+            if (!m) fail('Unexpected "$"');
+            const word = m[0];
+            i += word.length;
+            if (word[0] === '$') tokens.push({ type: 'geom', value: word.toLowerCase(), pos: start });
+            else if (KEYWORDS.has(word.toUpperCase())) tokens.push({ type: 'kw', value: word.toUpperCase(), pos: start });
+            else tokens.push({ type: 'ident', value: word, pos: start });
+        } else {
+            const two = src.slice(i, i + 2);
+            if (['<=', '>=', '!=', '<>', '==', '||'].includes(two)) {
+                tokens.push({ type: 'op', value: two === '==' ? '=' : two === '<>' ? '!=' : two, pos: start });
+                i += 2;
+            } else if ('+-*/%^=<>(),'.includes(ch)) {
+                tokens.push({ type: 'op', value: ch, pos: start });
+                i++;
+            } else {
+                fail(`Unexpected character "${ch}"`);
+            }
+        }
+    }
+    tokens.push({ type: 'eof', pos: src.length });
+    return tokens;
+}
+
+// ============================
+// Parser — recursive descent, lowest precedence first
+// ============================
+
+export function parseExpression(src) {
+    if (!src || !String(src).trim()) throw _syntaxError('Expression is empty', 0);
+    const tokens = tokenize(String(src));
+    let p = 0;
+    const peek = () => tokens[p];
+    const next = () => tokens[p++];
+    const isOp = (v) => peek().type === 'op' && peek().value === v;
+    const isKw = (v) => peek().type === 'kw' && peek().value === v;
+    const expect = (type, value, what) => {
+        const t = peek();
+        if (t.type !== type || (value && t.value !== value)) throw _syntaxError(`Expected ${what}`, t.pos);
+        return next();
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isKw('OR')) { const t = next(); left = { type: 'logic', op: 'OR', left, right: parseAnd(), pos: t.pos }; }
+        return left;
+    };
+    const parseAnd = () => {
+        let left = parseNot();
+        while (isKw('AND')) { const t = next(); left = { type: 'logic', op: 'AND', left, right: parseNot(), pos: t.pos }; }
+        return left;
+    };
+    const parseNot = () => {
+        if (isKw('NOT')) { const t = next(); return { type: 'not', arg: parseNot(), pos: t.pos }; }
+        return parseComparison();
+    };
+    const parseComparison = () => {
+        const left = parseConcat();
+        const t = peek();
+        if (t.type === 'op' && ['=', '!=', '<', '<=', '>', '>='].includes(t.value)) {
+            next();
+            return { type: 'cmp', op: t.value, left, right: parseConcat(), pos: t.pos };
+        }
+        if (isKw('IS')) {
+            next();
+            const not = isKw('NOT') ? !!next() : false;
+            expect('kw', 'NULL', 'NULL after IS');
+            return { type: 'isnull', not, arg: left, pos: t.pos };
+        }
+        if (isKw('IN') || (isKw('NOT') && tokens[p + 1]?.value === 'IN')) {
+            const not = isKw('NOT') ? !!next() : false;
+            next();
+            expect('op', '(', '( after IN');
+            const list = [parseOr()];
+            while (isOp(',')) { next(); list.push(parseOr()); }
+            expect('op', ')', ') to close the IN list');
+            return { type: 'in', not, arg: left, list, pos: t.pos };
+        }
+        return left;
+    };
+    const parseConcat = () => {
+        let left = parseAdditive();
+        while (isOp('||')) { const t = next(); left = { type: 'concat', left, right: parseAdditive(), pos: t.pos }; }
+        return left;
+    };
+    const parseAdditive = () => {
+        let left = parseMultiplicative();
+        while (isOp('+') || isOp('-')) { const t = next(); left = { type: 'arith', op: t.value, left, right: parseMultiplicative(), pos: t.pos }; }
+        return left;
+    };
+    const parseMultiplicative = () => {
+        let left = parseUnary();
+        while (isOp('*') || isOp('/') || isOp('%')) { const t = next(); left = { type: 'arith', op: t.value, left, right: parseUnary(), pos: t.pos }; }
+        return left;
+    };
+    const parseUnary = () => {
+        if (isOp('-')) { const t = next(); return { type: 'neg', arg: parseUnary(), pos: t.pos }; }
+        if (isOp('+')) { next(); return parseUnary(); }
+        return parsePower();
+    };
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (isOp('^')) { const t = next(); return { type: 'arith', op: '^', left: base, right: parseUnary(), pos: t.pos }; }
+        return base;
+    };
+    const parsePrimary = () => {
+        const t = next();
+        switch (t.type) {
+            case 'num': return { type: 'lit', value: t.value, pos: t.pos };
+            case 'str': return { type: 'lit', value: t.value, pos: t.pos };
+            case 'field': return { type: 'field', name: t.value, pos: t.pos };
+            case 'geom': return { type: 'geom', name: t.value, pos: t.pos };
+            case 'ident':
+                if (isOp('(')) {
+                    next();
+                    const args = [];
+                    if (!isOp(')')) {
+                        args.push(parseOr());
+                        while (isOp(',')) { next(); args.push(parseOr()); }
+                    }
+                    expect('op', ')', `) to close ${t.value}(`);
+                    return { type: 'call', name: t.value.toUpperCase(), args, pos: t.pos };
+                }
+                return { type: 'field', name: t.value, pos: t.pos };
+            case 'kw':
+                if (t.value === 'TRUE' || t.value === 'FALSE') return { type: 'lit', value: t.value === 'TRUE', pos: t.pos };
+                if (t.value === 'NULL') return { type: 'lit', value: null, pos: t.pos };
+                if (t.value === 'CASE') return parseCase(t);
+                throw _syntaxError(`Unexpected ${t.value}`, t.pos);
+            case 'op':
+                if (t.value === '(') {
+                    const inner = parseOr();
+                    expect('op', ')', ')');
+                    return inner;
+                }
+                throw _syntaxError(`Unexpected "${t.value}"`, t.pos);
+            default:
+                throw _syntaxError('Expression ended unexpectedly', t.pos);
+        }
+    };
+    const parseCase = (t) => {
+        const whens = [];
+        while (isKw('WHEN')) {
+            next();
+            const cond = parseOr();
+            expect('kw', 'THEN', 'THEN');
+            whens.push({ cond, value: parseOr() });
+        }
+        if (whens.length === 0) throw _syntaxError('CASE needs at least one WHEN … THEN', peek().pos);
+        let otherwise = null;
+        if (isKw('ELSE')) { next(); otherwise = parseOr(); }
+        expect('kw', 'END', 'END to close CASE');
+        return { type: 'case', whens, otherwise, pos: t.pos };
+    };
+
+    const ast = parseOr();
+    if (peek().type !== 'eof') throw _syntaxError(`Unexpected "${peek().value}"`, peek().pos);
+    return ast;
+}
+
+// ============================
+// Validation
+// ============================
+
+/**
+ * Check an expression against a layer schema without running it.
+ * @param {string} src
+ * @param {Array<{name}>|string[]} fields - schema fields or names
+ * @param {object} [options] - { hasGeometry = true }
+ * @returns {{ valid, errors: string[], fields: string[], usesGeometry }}
+ */
+export function validateExpression(src, fields, options = {}) {
+    const { hasGeometry = true } = options;
+    const names = (fields || []).map(f => typeof f === 'string' ? f : f.name);
+    const errors = [];
+    const referenced = new Set();
+    let usesGeometry = false;
+
+    let ast;
+    try {
+        ast = parseExpression(src);
+    } catch (e) {
+        return { valid: false, errors: [e.message], fields: [], usesGeometry: false };
+    }
+
+    _walk(ast, (node) => {
+        if (node.type === 'field') {
+            referenced.add(node.name);
+            if (!names.includes(node.name)) {
+                const close = names.find(n => n.toLowerCase() === node.name.toLowerCase());
+                errors.push(close
+                    ? `Unknown field "${node.name}" — did you mean "${close}"?`
+                    : `Unknown field "${node.name}"`);
+            }
+        } else if (node.type === 'geom') {
+            usesGeometry = true;
+            if (!(node.name in GEOMETRY_VARIABLES)) errors.push(`Unknown geometry value "${node.name}"`);
+            else if (!hasGeometry && node.name !== '$rownum') errors.push(`${node.name} needs a spatial layer`);
+        } else if (node.type === 'call') {
+            const def = FUNCTIONS[node.name];
+            if (!def) {
+                errors.push(`Unknown function ${node.name}()`);
+            } else {
+                const [min, max] = def;
+                const n = node.args.length;
+                if (n < min || n > max) {
+                    const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min}–${max}`;
+                    errors.push(`${node.name}() takes ${expected} argument${min === 1 && max === 1 ? '' : 's'}, got ${n}`);
+                }
+            }
+        }
+    });
+
+    return { valid: errors.length === 0, errors, fields: [...referenced], usesGeometry };
+}
+
+// ============================
+// Evaluation
+// ============================
+
+/**
+ * Compile an expression into a function (feature, index) => value.
+ * Throws AppError(VALIDATION_ERROR) on syntax errors.
+ */
+export function compileExpression(src) {
+    const ast = parseExpression(src);
+    const run = _compile(ast);
+    return (feature, index = 0) => run({ feature, props: feature?.properties || {}, index, geom: null });
+}
+
+/**
+ * Evaluate an expression for a few sample rows, like previewTemplate.
+ * @returns {Array<{ value, error }>}
+ */
+export function previewExpression(features, src, options = {}) {
+    const { count = 5, outputType = 'auto' } = options;
+    const evaluate = compileExpression(src);
+    return features.slice(0, count).map((f, i) => {
+        try {
+            return { value: formatResult(evaluate(f, i), outputType), error: null };
+        } catch (e) {
+            return { value: null, error: e.message };
+        }
+    });
+}
+
+/**
+ * Convert an evaluated value to what gets stored in a property.
+ * @param {*} value
+ * @param {'auto'|'number'|'string'|'boolean'|'date'} outputType
+ */
+export function formatResult(value, outputType = 'auto') {
+    if (value instanceof PointValue) value = value.toString();
+    if (value instanceof Date) value = isNaN(value.getTime()) ? null : value.toISOString();
+    if (typeof value === 'number' && !Number.isFinite(value)) value = null;
+    if (value == null) return null;
+
+    switch (outputType) {
+        case 'number': return _toNum(value);
+        case 'string': return _toStr(value);
+        case 'boolean': return _truthy(value);
+        case 'date': { const d = _toDate(value); return d ? d.toISOString() : null; }
+        default: return value;
+    }
+}
+
+function _compile(node) {
+    switch (node.type) {
+        case 'lit': {
+            const v = node.value;
+            return () => v;
+        }
+        case 'field': {
+            const name = node.name;
+            // Own fields only — [constructor] or [toString] must not reach Object.prototype
+            return (ctx) => {
+                const v = Object.hasOwn(ctx.props, name) ? ctx.props[name] : null;
+                return v === undefined ? null : v;
+            };
+        }
+        case 'geom': {
+            const name = node.name;
+            return (ctx) => _geometryValue(name, ctx);
+        }
+        case 'neg': {
+            const arg = _compile(node.arg);
+            return (ctx) => { const n = _toNum(arg(ctx)); return n == null ? null : -n; };
+        }
+        case 'not': {
+            const arg = _compile(node.arg);
+            return (ctx) => !_truthy(arg(ctx));
+        }
+        case 'logic': {
+            const left = _compile(node.left);
+            const right = _compile(node.right);
+            return node.op === 'AND'
+                ? (ctx) => _truthy(left(ctx)) && _truthy(right(ctx))
+                : (ctx) => _truthy(left(ctx)) || _truthy(right(ctx));
+        }
+        case 'arith': {
+            const left = _compile(node.left);
+            const right = _compile(node.right);
+            const op = node.op;
+            if (op === '+') return (ctx) => _plus(left(ctx), right(ctx));
+            const fn = { '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => b === 0 ? null : a / b,
+                '%': (a, b) => b === 0 ? null : a % b, '^': Math.pow }[op];
+            return (ctx) => _arith(left(ctx), right(ctx), fn);
+        }
+        case 'concat': {
+            const left = _compile(node.left);
+            const right = _compile(node.right);
+            return (ctx) => {
+                const a = left(ctx), b = right(ctx);
+                return (_isNull(a) ? '' : _toStr(a)) + (_isNull(b) ? '' : _toStr(b));
+            };
+        }
+        case 'cmp': {
+            const left = _compile(node.left);
+            const right = _compile(node.right);
+            const op = node.op;
+            return (ctx) => _compare(left(ctx), right(ctx), op);
+        }
+        case 'isnull': {
+            const arg = _compile(node.arg);
+            return node.not ? (ctx) => !_isNull(arg(ctx)) : (ctx) => _isNull(arg(ctx));
+        }
+        case 'in': {
+            const arg = _compile(node.arg);
+            const list = node.list.map(_compile);
+            return (ctx) => {
+                const v = arg(ctx);
+                const found = list.some(item => _equals(v, item(ctx)));
+                return node.not ? !found : found;
+            };
+        }
+        case 'case': {
+            const whens = node.whens.map(w => ({ cond: _compile(w.cond), value: _compile(w.value) }));
+            const otherwise = node.otherwise ? _compile(node.otherwise) : () => null;
+            return (ctx) => {
+                for (const w of whens) if (_truthy(w.cond(ctx))) return w.value(ctx);
+                return otherwise(ctx);
+            };
+        }
+        case 'call': {
+            const def = FUNCTIONS[node.name];
+            if (!def) throw _syntaxError(`Unknown function ${node.name}()`, node.pos);
+            const [min, max, fn] = def;
+            if (node.args.length < min || node.args.length > max) {
+                throw _syntaxError(`Wrong number of arguments for ${node.name}()`, node.pos);
+            }
+            const args = node.args.map(_compile);
+            // IF only evaluates the branch it returns
+            if (node.name === 'IF') {
+                return (ctx) => _truthy(args[0](ctx)) ? args[1](ctx) : (args[2] ? args[2](ctx) : null);
+            }
+            return (ctx) => fn(...args.map(a => a(ctx)));
+        }
+        default:
+            throw _syntaxError('Unsupported expression', node.pos);
+    }
+}
+
+function _geometryValue(name, ctx) {
+    if (name === '$rownum') return ctx.index + 1;
+    const geom = ctx.feature?.geometry;
+    if (name === '$geometry_type') return geom?.type || null;
+    if (!geom) return null;
+    if (typeof turf === 'undefined') {
+        throw new AppError('Turf.js is required for geometry values', ErrorCategory.VALIDATION_ERROR);
+    }
+
+    // Cache per row — $x and $y together should only compute one centroid
+    const cache = ctx.geom || (ctx.geom = {});
+    const isPoly = geom.type === 'Polygon' || geom.type === 'MultiPolygon';
+    const isLine = geom.type === 'LineString' || geom.type === 'MultiLineString';
+    const centroid = () => {
+        if (!cache.centroid) {
+            const c = geom.type === 'Point' ? geom.coordinates : turf.centroid(geom).geometry.coordinates;
+            cache.centroid = new PointValue(c[0], c[1]);
+        }
+        return cache.centroid;
+    };
+    const perimeter = () => isPoly ? turf.length(turf.polygonToLine(geom), { units: 'kilometers' }) * 1000 : 0;
+
+    switch (name) {
+        case '$area': return isPoly ? turf.area(geom) : 0;
+        case '$length': return isLine ? turf.length(geom, { units: 'kilometers' }) * 1000 : perimeter();
+        case '$perimeter': return perimeter();
+        case '$x': return centroid().x;
+        case '$y': return centroid().y;
+        case '$centroid': return centroid();
+        default: throw _syntaxError(`Unknown geometry value "${name}"`, 0);
+    }
+}
+
+// ============================
+// Value helpers
+// ============================
+
+function _isNull(v) {
+    return v == null || v === '' || (typeof v === 'number' && Number.isNaN(v));
+}
+
+function _truthy(v) {
+    if (_isNull(v)) return false;
+    if (typeof v === 'string') return !['false', '0', 'no', 'n'].includes(v.trim().toLowerCase());
+    return !!v;
+}
+
+function _toNum(v) {
+    if (_isNull(v)) return null;
+    if (typeof v === 'number') return v;
+    if (typeof v === 'boolean') return v ? 1 : 0;
+    if (v instanceof Date) return v.getTime();
+    const n = Number(String(v).trim().replace(/,/g, ''));
+    return Number.isFinite(n) ? n : null;
+}
+
+function _toStr(v) {
+    if (v instanceof Date) return v.toISOString();
+    return String(v);
+}
+
+function _toDate(v) {
+    if (_isNull(v)) return null;
+    if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+    const d = typeof v === 'number' ? new Date(v) : new Date(String(v).trim());
+    return isNaN(d.getTime()) ? null : d;
+}
+
+function _utcDate(y, m, d) {
+    const [yy, mm, dd] = [y, m, d].map(_toNum);
+    if (yy == null || mm == null || dd == null) return null;
+    return new Date(Date.UTC(yy, mm - 1, dd));
+}
+
+function _arith(a, b, fn) {
+    const x = _toNum(a);
+    const y = _toNum(b);
+    if (x == null || y == null) return null;
+    const r = fn(x, y);
+    return r == null || !Number.isFinite(r) ? null : r;
+}
+
+// + adds numbers (including numeric text) and joins anything else as text
+function _plus(a, b) {
+    if (a instanceof Date || b instanceof Date) return null;
+    const x = _toNum(a);
+    const y = _toNum(b);
+    if (x != null && y != null) return x + y;
+    if (typeof a === 'string' || typeof b === 'string') {
+        return (_isNull(a) ? '' : _toStr(a)) + (_isNull(b) ? '' : _toStr(b));
+    }
+    return null;
+}
+
+function _equals(a, b) {
+    if (_isNull(a) || _isNull(b)) return _isNull(a) && _isNull(b);
+    if (a instanceof Date || b instanceof Date) return _toDate(a)?.getTime() === _toDate(b)?.getTime();
+    const x = _toNum(a);
+    const y = _toNum(b);
+    if (x != null && y != null && typeof a !== 'boolean' && typeof b !== 'boolean') return x === y;
+    if (typeof a === 'boolean' || typeof b === 'boolean') return _truthy(a) === _truthy(b);
+    return _toStr(a) === _toStr(b);
+}
+
+function _compare(a, b, op) {
+    if (op === '=') return _equals(a, b);
+    if (op === '!=') return !_equals(a, b);
+    if (_isNull(a) || _isNull(b)) return false;
+
+    let x, y;
+    if (a instanceof Date || b instanceof Date) {
+        x = _toDate(a)?.getTime();
+        y = _toDate(b)?.getTime();
+        if (x == null || y == null) return false;
+    } else {
+        x = _toNum(a);
+        y = _toNum(b);
+        if (x == null || y == null) { x = _toStr(a); y = _toStr(b); }
+    }
+    switch (op) {
+        case '<': return x < y;
+        case '<=': return x <= y;
+        case '>': return x > y;
+        case '>=': return x >= y;
+        default: return false;
+    }
+}
+
+function _reduceNums(values, fn) {
+    const nums = values.map(_toNum).filter(n => n != null);
+    return nums.length ? fn(...nums) : null;
+}
+
+function _num1(fn) {
+    return (v) => { const n = _toNum(v); if (n == null) return null; const r = fn(n); return Number.isFinite(r) ? r : null; };
+}
+
+function _str1(fn) {
+    return (v) => _isNull(v) ? null : fn(_toStr(v));
+}
+
+function _date1(fn) {
+    return (v) => { const d = _toDate(v); return d ? fn(d) : null; };
+}
+
+function _unitKey(unit) {
+    const u = String(unit || 'days').toLowerCase().trim();
+    return u.endsWith('s') ? u : u + 's';
+}
+
+function _dateAdd(date, amount, unit) {
+    const d = _toDate(date);
+    const n = _toNum(amount);
+    if (!d || n == null) return null;
+    const u = _unitKey(unit);
+    const out = new Date(d.getTime());
+    if (u === 'months') out.setUTCMonth(out.getUTCMonth() + n);
+    else if (u === 'years') out.setUTCFullYear(out.getUTCFullYear() + n);
+    else if (DATE_UNITS[u]) out.setTime(out.getTime() + n * DATE_UNITS[u]);
+    else throw new AppError(`Unknown date unit "${unit}"`, ErrorCategory.VALIDATION_ERROR);
+    return out;
+}
+
+function _dateDiff(end, start, unit) {
+    const a = _toDate(end);
+    const b = _toDate(start);
+    if (!a || !b) return null;
+    const u = _unitKey(unit);
+    if (u === 'months' || u === 'years') {
+        const months = (a.getUTCFullYear() - b.getUTCFullYear()) * 12 + (a.getUTCMonth() - b.getUTCMonth());
+        return u === 'years' ? Math.trunc(months / 12) : months;
+    }
+    if (!DATE_UNITS[u]) throw new AppError(`Unknown date unit "${unit}"`, ErrorCategory.VALIDATION_ERROR);
+    return (a.getTime() - b.getTime()) / DATE_UNITS[u];
+}
+
+function _formatDate(date, pattern) {
+    const d = _toDate(date);
+    if (!d) return null;
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    const parts = {
+        YYYY: d.getUTCFullYear(), MM: pad(d.getUTCMonth() + 1), DD: pad(d.getUTCDate()),
+        HH: pad(d.getUTCHours()), mm: pad(d.getUTCMinutes()), ss: pad(d.getUTCSeconds())
+    };
+    return _toStr(pattern ?? 'YYYY-MM-DD').replace(/YYYY|MM|DD|HH|mm|ss/g, t => parts[t]);
+}
+
+function _walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    visit(node);
+    for (const key of ['left', 'right', 'arg', 'otherwise']) if (node[key]) _walk(node[key], visit);
+    if (node.args) node.args.forEach(a => _walk(a, visit));
+    if (node.list) node.list.forEach(a => _walk(a, visit));
+    if (node.whens) node.whens.forEach(w => { _walk(w.cond, visit); _walk(w.value, visit); });
+}
+
+function _syntaxError(message, pos) {
+    return new AppError(`${message} (at position ${pos + 1})`, ErrorCategory.VALIDATION_ERROR, { position: pos });
+}
+
+export default {
+    parseExpression, validateExpression, compileExpression, previewExpression, formatResult,
+    FUNCTIONS, GEOMETRY_VARIABLES
+};
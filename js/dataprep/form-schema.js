@@ -0,0 +1,240 @@
+/**
+ * Form schema — how a layer's attributes are collected in the field.
+ * A form lists fields with a type, an optional coded-value domain (dropdown) or
+ * numeric range, a default, required / hidden flags, and automatic values
+ * (dates, GPS accuracy, user name, coordinates). Stored as layer.form:
+ *   { fields: [{ name, label, type, required, hidden, default, auto, min, max, domain: [{ code, label }] }] }
+ * Checks reuse the rule types of validate() in transforms.js.
+ */
+import logger from '../core/logger.js';
+import { validate } from './transforms.js';
+
+export const FORM_FIELD_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    integer: 'Whole number',
+    date: 'Date',
+    boolean: 'Yes / No',
+    choice: 'Choice list'
+};
+
+/** Values filled in by the app rather than typed */
+export const AUTO_VALUES = {
+    created: 'Date added',
+    edited: 'Date last edited',
+    creator: 'Added by (user name)',
+    editor: 'Last edited by (user name)',
+    accuracy: 'GPS accuracy (m)',
+    latitude: 'Latitude',
+    longitude: 'Longitude'
+};
+
+// Set once when the feature is added; the others are refreshed on every save
+const AUTO_ON_CREATE = new Set(['created', 'creator', 'accuracy']);
+
+const SCHEMA_TYPE_TO_FORM = { number: 'number', boolean: 'boolean', date: 'date' };
+
+/**
+ * A starting form for a layer: one visible, optional field per attribute.
+ * Photo attachment fields are left out — they keep their own editor.
+ * @param {Array} schemaFields - layer.schema.fields
+ */
+export function createForm(schemaFields = []) {
+    return {
+        fields: schemaFields
+            .filter(f => f.type !== 'attachment' && !f.name.startsWith('_'))
+            .map(f => ({ name: f.name, label: '', type: SCHEMA_TYPE_TO_FORM[f.type] || 'text', required: false, hidden: false, default: null, auto: null }))
+    };
+}
+
+/**
+ * Clean a stored or edited form: unknown types become text, duplicate and empty
+ * names are dropped, ranges and domains only stay on the types that use them.
+ * @returns {Object|null} the form, or null when it has no fields
+ */
+export function normalizeForm(form) {
+    if (!form || !Array.isArray(form.fields)) return null;
+    const seen = new Set();
+    const fields = [];
+    for (const raw of form.fields) {
+        const name = String(raw?.name ?? '').trim();
+        if (!name || seen.has(name)) continue;
+        seen.add(name);
+        const type = FORM_FIELD_TYPES[raw.type] ? raw.type : 'text';
+        const field = {
+            name,
+            label: String(raw.label ?? '').trim(),
+            type,
+            required: !!raw.required,
+            hidden: !!raw.hidden,
+            default: null,
+            auto: AUTO_VALUES[raw.auto] ? raw.auto : null
+        };
+        if (type === 'number' || type === 'integer') {
+            const num = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+            field.min = num(raw.min);
+            field.max = num(raw.max);
+        }
+        if (type === 'choice') {
+            field.domain = (Array.isArray(raw.domain) ? raw.domain : [])
+                .map(d => ({ code: String(d?.code ?? '').trim(), label: String(d?.label ?? '').trim() }))
+                .filter((d, i, all) => d.code && all.findIndex(o => o.code === d.code) === i);
+        }
+        field.default = raw.default === null || raw.default === undefined || raw.default === '' ? null : coerceFormValue(field, raw.default);
+        fields.push(field);
+    }
+    return fields.length ? { fields } : null;
+}
+
+/**
+ * Parse a domain written one entry per line: "code = Label" or just "code".
+ * @returns {Array<{ code: string, label: string }>}
+ */
+export function parseDomain(text) {
+    return String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+        const eq = line.indexOf('=');
+        return eq < 0 ? { code: line, label: '' } : { code: line.slice(0, eq).trim(), label: line.slice(eq + 1).trim() };
+    }).filter(d => d.code);
+}
+
+/** Domain back to the text parseDomain reads */
+export function formatDomain(domain = []) {
+    return domain.map(d => (d.label ? `${d.code} = ${d.label}` : d.code)).join('\n');
+}
+
+/**
+ * Convert a typed-in value to the field's type. Empty → null.
+ * Values that don't convert are returned as typed, so validation can report them.
+ */
+export function coerceFormValue(field, raw) {
+    if (raw === null || raw === undefined) return null;
+    if (typeof raw !== 'string') return raw;
+    const s = raw.trim();
+    if (s === '') return null;
+    switch (field.type) {
+        case 'number':
+        case 'integer':
+            return Number.isFinite(Number(s)) ? Number(s) : s;
+        case 'boolean':
+            if (/^(true|yes|y|1)$/i.test(s)) return true;
+            if (/^(false|no|n|0)$/i.test(s)) return false;
+            return s;
+        default:
+            return s;
+    }
+}
+
+/** Text shown for a value — the domain label for coded values */
+export function displayFormValue(field, value) {
+    if (value === null || value === undefined) return '';
+    if (field.type === 'choice') {
+        const d = field.domain?.find(o => o.code === String(value));
+        if (d?.label) return d.label;
+    }
+    if (field.type === 'boolean' && typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+}
+
+/**
+ * Rules for validate() in transforms.js. Hidden and automatic fields are never
+ * required — nobody can fill them in on the form.
+ */
+export function formRules(form) {
+    const rules = [];
+    for (const f of form?.fields || []) {
+        if (f.required && !f.hidden && !f.auto) rules.push({ type: 'required', field: f.name });
+        if (f.auto) continue;
+        if (f.type === 'number' || f.type === 'integer') {
+            rules.push({ type: 'numeric_range', field: f.name, min: f.min ?? null, max: f.max ?? null });
+        } else if (f.type === 'choice' && f.domain?.length) {
+            rules.push({ type: 'allowed_values', field: f.name, values: f.domain.map(d => d.code) });
+        }
+    }
+    return rules;
+}
+
+/**
+ * Check features against the form.
+ * @param {Object} form
+ * @param {Array} features
+ * @param {Object} [options] - { quiet } skips logging
+ * @returns {Array<{ featureIndex: number, field: string, rule: string, value: *, message: string }>}
+ */
+export function validateFeatures(form, features, options = {}) {
+    const errors = validate(features, formRules(form), options);
+    // Beyond validate(): whole numbers, dates and yes/no
+    features.forEach((f, featureIndex) => {
+        const props = f.properties || {};
+        for (const field of form?.fields || []) {
+            if (field.auto) continue;
+            const v = props[field.name];
+            if (v === null || v === undefined || v === '') continue;
+            const fail = (rule, message) => errors.push({ featureIndex, field: field.name, rule, value: v, message });
+            if (field.type === 'integer' && Number.isFinite(Number(v)) && !Number.isInteger(Number(v))) {
+                fail('integer', `${field.name}: ${v} is not a whole number`);
+            } else if (field.type === 'date' && Number.isNaN(Date.parse(v))) {
+                fail('date', `${field.name}: "${v}" is not a date`);
+            } else if (field.type === 'boolean' && typeof v !== 'boolean') {
+                fail('boolean', `${field.name}: "${v}" is not yes or no`);
+            }
+        }
+    });
+    return errors;
+}
+
+/** Check one feature's attributes; errors as validateFeatures, without featureIndex. Runs on every edit, so logs nothing */
+export function validateProperties(form, properties) {
+    return validateFeatures(form, [{ properties }], { quiet: true }).map(({ featureIndex, ...e }) => e);
+}
+
+/**
+ * Attributes with defaults and automatic values applied.
+ * @param {Object} form
+ * @param {Object} properties - current attributes (not modified)
+ * @param {Object} [opts]
+ * @param {boolean} [opts.isNew] - the feature is being added (defaults and create-time values apply)
+ * @param {Object} [opts.geometry] - for latitude / longitude
+ * @param {number} [opts.accuracy] - GPS accuracy of the position, in metres
+ * @param {string} [opts.userName]
+ * @returns {Object} new attributes object
+ */
+export function applyFormValues(form, properties = {}, { isNew = false, geometry = null, accuracy = null, userName = '' } = {}) {
+    const out = { ...properties };
+    const now = new Date().toISOString();
+    const point = geometry?.type === 'Point' ? geometry.coordinates : null;
+    for (const f of form?.fields || []) {
+        const empty = out[f.name] === null || out[f.name] === undefined || out[f.name] === '';
+        if (f.auto) {
+            if (AUTO_ON_CREATE.has(f.auto) && !isNew && !empty) continue;
+            switch (f.auto) {
+                case 'created': out[f.name] = now; break;
+                case 'edited': out[f.name] = now; break;
+                case 'creator':
+                case 'editor': out[f.name] = userName || null; break;
+                case 'accuracy': out[f.name] = Number.isFinite(accuracy) ? Math.round(accuracy * 10) / 10 : null; break;
+                case 'latitude': out[f.name] = point ? Math.round(point[1] * 1e7) / 1e7 : (out[f.name] ?? null); break;
+                case 'longitude': out[f.name] = point ? Math.round(point[0] * 1e7) / 1e7 : (out[f.name] ?? null); break;
+            }
+        } else if (empty) {
+            out[f.name] = isNew && f.default !== null && f.default !== undefined ? f.default : (out[f.name] ?? null);
+        }
+    }
+    return out;
+}
+
+/**
+ * Summary of a layer-wide check, for logging and the designer
+ * @returns {{ errors: Array, invalidFeatures: number }}
+ */
+export function checkLayer(form, features) {
+    const errors = validateFeatures(form, features);
+    const invalidFeatures = new Set(errors.map(e => e.featureIndex)).size;
+    logger.info('Form', 'Checked layer against form', { features: features.length, invalidFeatures });
+    return { errors, invalidFeatures };
+}
+
+export default {
+    FORM_FIELD_TYPES, AUTO_VALUES,
+    createForm, normalizeForm, parseDomain, formatDomain, coerceFormValue, displayFormValue,
+    formRules, validateFeatures, validateProperties, applyFormValues, checkLayer
+};
@@ -0,0 +1,319 @@
+/**
+ * Transform recipes — Data Prep operations recorded as named steps with their
+ * parameters, so a pipeline can be saved, edited and replayed on fresh data.
+ *
+ * A recipe is { id, name, description, created, updated, steps: [{ id, op, params, enabled }] }.
+ * Steps are recorded per layer as transforms are applied; each is tied to its
+ * edit history entry, so undone operations drop out of the recording.
+ */
+import bus from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import { AppError, ErrorCategory } from '../core/error-handler.js';
+import {
+    splitColumn, combineColumns, replaceText, typeConvert,
+    applyFilters, deduplicate, addUniqueId, calculateField
+} from './transforms.js';
+import { applyTemplate, getTemplateFields } from './template-builder.js';
+import { validateExpression } from './expressions.js';
+import { isApplied } from '../core/history.js';
+
+export const RECIPE_FILE_TYPE = 'gis-toolbox-recipe';
+export const RECIPE_FILE_VERSION = 1;
+
+/**
+ * Replayable step types.
+ * fields(params) lists the input fields a step needs; run(features, params) → { features, detail }.
+ * Join is not here — it depends on a second file picked at the time.
+ */
+export const STEP_TYPES = {
+    split: {
+        label: 'Split column',
+        fields: p => [p.field],
+        describe: p => `${p.field} on "${p.delimiter}"${p.maxParts ? `, max ${p.maxParts} parts` : ''}`,
+        run: (features, p) => ({
+            features: splitColumn(features, p.field, { delimiter: p.delimiter, trim: p.trim, maxParts: p.maxParts })
+        })
+    },
+    combine: {
+        label: 'Combine columns',
+        fields: p => p.fields || [],
+        describe: p => `${(p.fields || []).join(' + ')} → ${p.outputField}`,
+        run: (features, p) => ({
+            features: combineColumns(features, p.fields, { delimiter: p.delimiter, outputField: p.outputField, skipBlanks: p.skipBlanks })
+        })
+    },
+    template: {
+        label: 'Template',
+        fields: p => getTemplateFields(p.template || ''),
+        describe: p => `${p.template} → ${p.outputField}`,
+        run: (features, p) => ({ features: applyTemplate(features, p.template, p.outputField, p.options || {}) })
+    },
+    replace: {
+        label: 'Replace / clean',
+        fields: p => [p.field],
+        describe: p => {
+            const parts = [];
+            if (p.find) parts.push(`"${p.find}" → "${p.replace}"`);
+            if (p.trimWhitespace) parts.push('trim');
+            if (p.collapseSpaces) parts.push('collapse spaces');
+            if (p.caseTransform) parts.push(p.caseTransform);
+            return `${p.field}: ${parts.join(', ') || 'no changes'}`;
+        },
+        run: (features, p) => ({
+            features: replaceText(features, p.field, {
+                find: p.find, replace: p.replace, trimWhitespace: p.trimWhitespace,
+                collapseSpaces: p.collapseSpaces, caseTransform: p.caseTransform || null
+            })
+        })
+    },
+    typeConvert: {
+        label: 'Type convert',
+        fields: p => [p.field],
+        describe: p => `${p.field} → ${p.type}`,
+        run: (features, p) => {
+            const { features: out, failures } = typeConvert(features, p.field, p.type);
+            return { features: out, detail: failures ? `${failures} value(s) could not be converted` : '' };
+        }
+    },
+    calculate: {
+        label: 'Calculate field',
+        fields: p => validateExpression(p.expression || '', []).fields,
+        describe: p => `${p.outputField} = ${p.expression}`,
+        run: (features, p) => {
+            const { features: out, failures } = calculateField(features, p.expression, p.outputField, { outputType: p.outputType });
+            return { features: out, detail: failures ? `${failures} row(s) set to null` : '' };
+        }
+    },
+    filter: {
+        label: 'Filter',
+        fields: p => (p.rules || []).map(r => r.field).filter(Boolean),
+        describe: p => (p.rules || []).map(r => `${r.field} ${r.operator} ${r.value ?? ''}`.trim()).join(` ${p.logic} `),
+        run: (features, p) => {
+            const out = applyFilters(features, p.rules, p.logic);
+            return { features: out, detail: `${out.length} of ${features.length} kept` };
+        }
+    },
+    dedupe: {
+        label: 'Deduplicate',
+        fields: p => p.keyFields || [],
+        describe: p => `on ${(p.keyFields || []).join(', ')}, keep ${p.keep}`,
+        run: (features, p) => {
+            const { features: out, removed } = deduplicate(features, p.keyFields, p.keep);
+            return { features: out, detail: `${removed} removed` };
+        }
+    },
+    addUid: {
+        label: 'Add unique ID',
+        fields: () => [],
+        describe: p => `${p.field} (${p.method})`,
+        run: (features, p) => ({ features: addUniqueId(features, p.field, p.method) })
+    }
+};
+
+// ========== Recording ==========
+
+// layerId → [{ id, op, params, historyId }]
+const recorded = new Map();
+let _nextStepId = 1;
+
+function _stepId() {
+    return `s${Date.now().toString(36)}_${_nextStepId++}`;
+}
+
+/**
+ * Record a step for a layer.
+ * @param {Object} [opts]
+ * @param {number} [opts.historyId] - history entry the step belongs to (core/history.js);
+ *   the step is dropped from the recording while that entry is undone
+ * @param {boolean} [opts.replacePrevious] - drop the layer's last step of the same op first
+ *   (re-running the filter builder replaces the filter rather than stacking on it)
+ */
+export function recordStep(layerId, op, params, opts = {}) {
+    if (!STEP_TYPES[op]) return;
+    if (opts.replacePrevious) forgetStep(layerId, op);
+    if (!recorded.has(layerId)) recorded.set(layerId, []);
+    recorded.get(layerId).push({ id: _stepId(), op, params: _clone(params), historyId: opts.historyId ?? null });
+    logger.info('Recipes', 'Recorded step', { layerId, op });
+}
+
+/** Drop the layer's most recent step of the given op (e.g. when a filter is removed) */
+export function forgetStep(layerId, op) {
+    const steps = recorded.get(layerId);
+    if (!steps) return;
+    for (let i = steps.length - 1; i >= 0; i--) {
+        if (steps[i].op === op) { steps.splice(i, 1); return; }
+    }
+}
+
+/**
+ * Steps recorded for a layer that are still in effect — steps whose history
+ * entry was undone or discarded are left out.
+ */
+export function getRecordedSteps(layerId) {
+    const steps = recorded.get(layerId) || [];
+    return steps
+        .filter(s => s.historyId == null || isApplied(layerId, s.historyId))
+        .map(s => ({ id: s.id, op: s.op, params: _clone(s.params), enabled: true }));
+}
+
+/** The raw recording for a layer, for saving with the session */
+export function exportRecording(layerId) {
+    const steps = recorded.get(layerId);
+    return steps?.length ? _clone(steps) : null;
+}
+
+export function importRecording(layerId, steps) {
+    if (Array.isArray(steps) && steps.length) recorded.set(layerId, _clone(steps));
+    else recorded.delete(layerId);
+}
+
+bus.on('layer:removed', ({ id }) => recorded.delete(id));
+
+// ========== Recipes ==========
+
+/**
+ * New recipe from a list of steps
+ */
+export function createRecipe(name, steps = [], description = '') {
+    const now = Date.now();
+    return {
+        id: `recipe_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+        name: name || 'Untitled recipe',
+        description,
+        created: now,
+        updated: now,
+        steps: steps.map(s => ({ id: s.id || _stepId(), op: s.op, params: _clone(s.params), enabled: s.enabled !== false }))
+    };
+}
+
+export function stepLabel(step) {
+    return STEP_TYPES[step.op]?.label || step.op;
+}
+
+export function describeStep(step) {
+    const type = STEP_TYPES[step.op];
+    if (!type) return 'Unknown step';
+    try {
+        return type.describe(step.params || {});
+    } catch {
+        return '';
+    }
+}
+
+/** Input fields a step needs (empty for unknown or malformed steps) */
+export function requiredFields(step) {
+    const type = STEP_TYPES[step.op];
+    if (!type) return [];
+    try {
+        return [...new Set(type.fields(step.params || {}))];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Replay a recipe against features. Steps whose input fields are missing are
+ * skipped and reported; the rest still run, each on the previous step's output.
+ * @returns {{ features: Array, report: Array<{ step, status: 'ok'|'failed'|'skipped', missing?: string[], message: string }>, applied: number }}
+ */
+export function runRecipe(features, recipe) {
+    logger.info('Recipes', 'Run recipe', { name: recipe.name, steps: recipe.steps.length, features: features.length });
+
+    let current = features;
+    let fields = _fieldSet(current);
+    const report = [];
+    let applied = 0;
+
+    for (const step of recipe.steps) {
+        if (step.enabled === false) {
+            report.push({ step, status: 'skipped', message: 'Disabled' });
+            continue;
+        }
+        const type = STEP_TYPES[step.op];
+        if (!type) {
+            report.push({ step, status: 'failed', message: `Unknown step type "${step.op}"` });
+            continue;
+        }
+        const missing = requiredFields(step).filter(f => !fields.has(f));
+        if (missing.length) {
+            report.push({
+                step, status: 'failed', missing,
+                message: `Missing field${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`
+            });
+            continue;
+        }
+        try {
+            const { features: out, detail } = type.run(current, step.params);
+            current = out;
+            fields = _fieldSet(current);
+            applied++;
+            report.push({ step, status: 'ok', message: detail || '' });
+        } catch (e) {
+            report.push({ step, status: 'failed', message: e.message });
+        }
+    }
+
+    const failed = report.filter(r => r.status === 'failed').length;
+    logger.info('Recipes', 'Run recipe complete', { applied, failed, features: current.length });
+    return { features: current, report, applied };
+}
+
+// ========== JSON files ==========
+
+export function recipeToJSON(recipe) {
+    return JSON.stringify({
+        type: RECIPE_FILE_TYPE,
+        version: RECIPE_FILE_VERSION,
+        name: recipe.name,
+        description: recipe.description || '',
+        steps: recipe.steps.map(s => ({ op: s.op, params: s.params, enabled: s.enabled !== false }))
+    }, null, 2);
+}
+
+/**
+ * Parse a recipe file. Returns a new recipe (fresh id) or throws AppError(VALIDATION_ERROR).
+ */
+export function recipeFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new AppError(`Recipe file is not valid JSON: ${e.message}`, ErrorCategory.VALIDATION_ERROR);
+    }
+    if (!data || data.type !== RECIPE_FILE_TYPE || !Array.isArray(data.steps)) {
+        throw new AppError('Not a Data Prep recipe file', ErrorCategory.VALIDATION_ERROR);
+    }
+    if (data.version > RECIPE_FILE_VERSION) {
+        throw new AppError(`Recipe file version ${data.version} is newer than this app supports`, ErrorCategory.VALIDATION_ERROR);
+    }
+    data.steps.forEach((s, i) => {
+        if (!s || !STEP_TYPES[s.op]) {
+            throw new AppError(`Step ${i + 1}: unknown step type "${s?.op}"`, ErrorCategory.VALIDATION_ERROR);
+        }
+        if (!s.params || typeof s.params !== 'object') {
+            throw new AppError(`Step ${i + 1}: missing parameters`, ErrorCategory.VALIDATION_ERROR);
+        }
+    });
+    return createRecipe(String(data.name || 'Imported recipe'), data.steps, String(data.description || ''));
+}
+
+// ========== Helpers ==========
+
+function _fieldSet(features) {
+    const fields = new Set();
+    for (const f of features) {
+        for (const k in (f.properties || {})) fields.add(k);
+    }
+    return fields;
+}
+
+function _clone(v) {
+    return JSON.parse(JSON.stringify(v ?? {}));
+}
+
+export default {
+    STEP_TYPES, RECIPE_FILE_TYPE, RECIPE_FILE_VERSION,
+    recordStep, forgetStep, getRecordedSteps, exportRecording, importRecording,
+    createRecipe, stepLabel, describeStep, requiredFields, runRecipe,
+    recipeToJSON, recipeFromJSON
+};
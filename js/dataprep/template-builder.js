@@ -61,6 +61,18 @@ export function previewTemplate(features, template, options = {}) {
     });
 }
 
+/**
+ * Fill a template for one feature's properties (used for map labels)
+ */
+export function renderTemplate(properties, template, options = {}) {
+    let result = template;
+    for (const fieldName of extractFieldRefs(template)) {
+        const val = properties?.[fieldName];
+        result = result.split(`{${fieldName}}`).join(val == null ? '' : String(val));
+    }
+    return cleanupResult(result, options);
+}
+
 /**
  * Conditional wrapper — wraps field value with prefix/suffix only if non-empty
  */
@@ -117,4 +129,4 @@ export function getTemplateFields(template) {
     return extractFieldRefs(template);
 }
 
-export default { applyTemplate, previewTemplate, conditionalWrap, getTemplateFields };
+export default { applyTemplate, previewTemplate, renderTemplate, conditionalWrap, getTemplateFields };
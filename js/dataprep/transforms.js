@@ -3,6 +3,7 @@
  * Each function operates on features[] or rows[] and returns a new copy
  */
 import logger from '../core/logger.js';
+import { compileExpression, formatResult } from './expressions.js';
 
 // ========== 1. Split Column ==========
 export function splitColumn(features, fieldName, options = {}) {
@@ -225,8 +226,13 @@ export function joinData(features, tableRows, leftKey, rightKey, fieldsToJoin) {
 }
 
 // ========== 8. Validation ==========
-export function validate(features, rules) {
-    logger.info('DataPrep', 'Validate', { rules: rules.length });
+/**
+ * Check features against rules.
+ * options.quiet skips logging, for checks that run on every edit (form-schema.js).
+ */
+export function validate(features, rules, options = {}) {
+    const { quiet = false } = options;
+    if (!quiet) logger.info('DataPrep', 'Validate', { rules: rules.length });
 
     const errors = [];
 
@@ -267,7 +273,7 @@ export function validate(features, rules) {
         }
     });
 
-    logger.info('DataPrep', 'Validation complete', { errors: errors.length, features: features.length });
+    if (!quiet) logger.info('DataPrep', 'Validation complete', { errors: errors.length, features: features.length });
     return errors;
 }
 
@@ -294,6 +300,33 @@ export function addUniqueId(features, fieldName = 'uid', method = 'uuid') {
     });
 }
 
+// ========== 10. Calculate Field ==========
+/**
+ * Evaluate an expression (see expressions.js) for every feature into outputField.
+ * Rows that fail to evaluate get null and are counted.
+ */
+export function calculateField(features, expression, outputField, options = {}) {
+    const { outputType = 'auto' } = options;
+
+    logger.info('DataPrep', 'Calculate field', { expression, output: outputField, outputType });
+
+    const evaluate = compileExpression(expression);
+    let failures = 0;
+    const result = features.map((f, i) => {
+        const props = { ...f.properties };
+        try {
+            props[outputField] = formatResult(evaluate(f, i), outputType);
+        } catch {
+            props[outputField] = null;
+            failures++;
+        }
+        return { ...f, properties: props };
+    });
+
+    logger.info('DataPrep', 'Calculate field complete', { failures, total: features.length });
+    return { features: result, failures };
+}
+
 function generateUUID() {
     return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
         const r = Math.random() * 16 | 0;
@@ -319,6 +352,6 @@ export const FILTER_OPERATORS = [
 
 export default {
     splitColumn, combineColumns, replaceText, typeConvert,
-    applyFilters, deduplicate, joinData, validate, addUniqueId,
+    applyFilters, deduplicate, joinData, validate, addUniqueId, calculateField,
     FILTER_OPERATORS
 };
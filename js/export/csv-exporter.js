@@ -1,7 +1,9 @@
 /**
  * CSV exporter using PapaParse
- * Supports lat/lon columns for points, optional WKT column
+ * Supports lat/lon (or x/y when projected) columns for points, optional WKT column
  */
+import { isGeographic } from '../core/crs.js';
+
 export async function exportCSV(dataset, options = {}, task) {
     const rows = getRowsForCSV(dataset, options);
     if (typeof Papa === 'undefined') {
@@ -18,12 +20,19 @@ export async function exportCSV(dataset, options = {}, task) {
 function getRowsForCSV(dataset, options) {
     let rows;
     if (dataset.type === 'spatial' && dataset.geojson?.features) {
+        const geographic = !options.crs || isGeographic(options.crs);
         rows = dataset.geojson.features.map(f => {
-            const row = { ...f.properties };
-            // Add lat/lon for points
+            // Internal fields (per-vertex times and measures, blob URLs) are not columns
+            const row = Object.fromEntries(Object.entries(f.properties || {}).filter(([k]) => !k.startsWith('_')));
+            // Add lat/lon for points (x/y in projected output)
             if (options.includeLatLon !== false && f.geometry?.type === 'Point') {
-                row.longitude = f.geometry.coordinates[0];
-                row.latitude = f.geometry.coordinates[1];
+                if (geographic) {
+                    row.longitude = f.geometry.coordinates[0];
+                    row.latitude = f.geometry.coordinates[1];
+                } else {
+                    row.x = f.geometry.coordinates[0];
+                    row.y = f.geometry.coordinates[1];
+                }
             }
             // Add WKT column
             if (options.includeWKT && f.geometry) {
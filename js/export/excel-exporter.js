@@ -24,7 +24,8 @@ function getRows(dataset) {
     if (dataset.rows) return dataset.rows;
     if (dataset.geojson?.features) {
         return dataset.geojson.features.map(f => {
-            const row = { ...f.properties };
+            // Internal fields (per-vertex times and measures, blob URLs) are not columns
+            const row = Object.fromEntries(Object.entries(f.properties || {}).filter(([k]) => !k.startsWith('_')));
             if (f.geometry?.type === 'Point') {
                 row.longitude = f.geometry.coordinates[0];
                 row.latitude = f.geometry.coordinates[1];
@@ -4,6 +4,8 @@
 import logger from '../core/logger.js';
 import { getSelectedFields, applyFieldSelection } from '../core/data-model.js';
 import { TaskRunner } from '../core/task-runner.js';
+import { DEFAULT_CRS, normalizeCrsCode, reprojectGeoJSON } from '../core/crs.js';
+import { attachmentList, isAttachmentValue, collectAttachments, loadAttachments, attachmentBlob } from '../core/attachments.js';
 import { exportGeoJSON } from './geojson-exporter.js';
 import { exportCSV } from './csv-exporter.js';
 import { exportExcel } from './excel-exporter.js';
@@ -11,19 +13,23 @@ import { exportKML } from './kml-exporter.js';
 import { exportKMZ, exportMultiLayerKMZ } from './kmz-exporter.js';
 import { exportJSON } from './json-exporter.js';
 import { exportShapefile } from './shapefile-exporter.js';
+import { exportGPX } from './gpx-exporter.js';
+import { exportGPKG, exportMultiLayerGPKG } from './gpkg-exporter.js';
 
 // Optional: import map-manager for style lookup (if available at module scope)
 let _mapManager = null;
 export function setExportMapManager(mm) { _mapManager = mm; }
 
 const EXPORTERS = {
-    geojson: { fn: exportGeoJSON, label: 'GeoJSON', ext: '.geojson', spatial: true },
+    geojson: { fn: exportGeoJSON, label: 'GeoJSON', ext: '.geojson', spatial: true, crs: true },
     json: { fn: exportJSON, label: 'JSON', ext: '.json', spatial: false },
-    csv: { fn: exportCSV, label: 'CSV', ext: '.csv', spatial: false },
+    csv: { fn: exportCSV, label: 'CSV', ext: '.csv', spatial: false, crs: true },
     xlsx: { fn: exportExcel, label: 'Excel (.xlsx)', ext: '.xlsx', spatial: false },
     kml: { fn: exportKML, label: 'KML', ext: '.kml', spatial: true },
     kmz: { fn: exportKMZ, label: 'KMZ', ext: '.kmz', spatial: true },
-    shapefile: { fn: exportShapefile, label: 'Shapefile (.shp)', ext: '.zip', spatial: true }
+    shapefile: { fn: exportShapefile, label: 'Shapefile (.shp)', ext: '.zip', spatial: true, crs: true },
+    gpx: { fn: exportGPX, label: 'GPX', ext: '.gpx', spatial: true },
+    gpkg: { fn: exportGPKG, label: 'GeoPackage', ext: '.gpkg', spatial: false }
 };
 
 /**
@@ -35,15 +41,26 @@ export function getAvailableFormats(dataset) {
 
     for (const [key, exp] of Object.entries(EXPORTERS)) {
         if (exp.spatial && !isSpatial) continue; // Skip spatial-only for tables
-        formats.push({ key, label: exp.label, ext: exp.ext });
+        formats.push({ key, label: exp.label, ext: exp.ext, crs: !!exp.crs });
     }
 
     // CSV, JSON, Excel always available
     return formats;
 }
 
+/** Whether any feature or row of the dataset has attachments */
+export function hasAttachments(dataset) {
+    const records = dataset.type === 'spatial' ? (dataset.geojson?.features || []).map(f => f.properties || {}) : (dataset.rows || []);
+    return records.some(r => Object.values(r).some(isAttachmentValue));
+}
+
 /**
  * Export a dataset to a specific format
+ * @param {Object} [options]
+ * @param {boolean} [options.bundleAttachments] - formats other than KML/KMZ: download a ZIP with the
+ *   file and an attachments/ folder, attachment values becoming the paths in that folder
+ * @param {boolean} [options.headings] - KML/KMZ: write a camera view and icon heading for points
+ *   with a heading (the field set in the layer's view direction style, else the first heading-like field)
  */
 export async function exportDataset(dataset, format, options = {}) {
     const exp = EXPORTERS[format];
@@ -72,25 +89,49 @@ export async function exportDataset(dataset, format, options = {}) {
             exportData = applyFieldSelectionToDataset(dataset);
         }
 
+        // Attachment files go next to the export; the values become their paths
+        let bundled = [];
+        if (options.bundleAttachments && format !== 'kml' && format !== 'kmz') {
+            ({ dataset: exportData, files: bundled } = _bundleAttachments(exportData));
+        }
+
         // For text-based formats, flatten attachment objects to filenames
         if (['csv', 'xlsx', 'shapefile'].includes(format)) {
             exportData = _flattenAttachments(exportData);
         }
 
+        // Output CRS — KML, KMZ and GPX are WGS84 by definition, so only flagged formats reproject
+        const outCrs = normalizeCrsCode(options.crs);
+        if (outCrs && outCrs !== DEFAULT_CRS && exp.crs && exportData.type === 'spatial') {
+            t.updateProgress(25, `Reprojecting to ${outCrs}...`);
+            exportData = { ...exportData, geojson: reprojectGeoJSON(exportData.geojson, DEFAULT_CRS, outCrs) };
+            options = { ...options, crs: outCrs };
+        } else {
+            options = { ...options, crs: DEFAULT_CRS };
+        }
+
         t.updateProgress(30, `Generating ${format}...`);
         const result = await exp.fn(exportData, options, t);
 
         logger.info('Exporter', 'Export complete', {
             format,
             name: dataset.name,
+            crs: options.crs,
             size: result.blob?.size || result.text?.length
         });
 
         // Trigger download
-        const filename = (options.filename || dataset.name || 'export') + exp.ext;
-        downloadBlob(result.blob || new Blob([result.text], { type: result.mimeType || 'application/octet-stream' }), filename);
+        const base = options.filename || dataset.name || 'export';
+        let filename = base + exp.ext;
+        let blob = result.blob || new Blob([result.text], { type: result.mimeType || 'application/octet-stream' });
+        if (bundled.length) {
+            t.updateProgress(85, `Adding ${bundled.length} attachment(s)...`);
+            blob = await _zipWithAttachments(blob, filename, bundled, exp.ext === '.zip');
+            filename = `${base}_attachments.zip`;
+        }
+        downloadBlob(blob, filename);
 
-        return { filename, size: result.blob?.size || result.text?.length };
+        return { filename, size: blob.size };
     });
 }
 
@@ -116,13 +157,14 @@ function applyFieldSelectionToDataset(dataset) {
 
 /**
  * Flatten attachment objects to plain filenames for text-based exports (CSV, Excel, Shapefile).
+ * Several attachments in one field are joined with "; ".
  */
 function _flattenAttachments(dataset) {
     const _flatten = (props) => {
         const out = { ...props };
         for (const k of Object.keys(out)) {
-            if (out[k] && typeof out[k] === 'object' && out[k]._att) {
-                out[k] = out[k].name || '[attachment]';
+            if (isAttachmentValue(out[k])) {
+                out[k] = attachmentList(out[k]).map(a => a.name || '[attachment]').join('; ');
             }
         }
         return out;
@@ -164,6 +206,71 @@ export async function exportMultiLayerKMZFile(layers, options = {}) {
     });
 }
 
+/**
+ * Export multiple layers as a single GeoPackage — one table per layer.
+ * Field selection and renames are applied per layer like single-layer exports.
+ * @param {Array<{dataset}>} layers
+ * @param {object} options - { filename }
+ */
+export async function exportMultiLayerGPKGFile(layers, options = {}) {
+    const task = new TaskRunner('Export Multi-Layer GeoPackage', 'Exporter');
+    return task.run(async (t) => {
+        t.updateProgress(10, 'Preparing layers...');
+        const prepared = layers.map(l => ({ ...l, dataset: applyFieldSelectionToDataset(l.dataset) }));
+        const result = await exportMultiLayerGPKG(prepared, options, t);
+
+        logger.info('Exporter', 'Multi-layer GeoPackage export complete', {
+            layers: layers.length, size: result.blob?.size
+        });
+
+        const filename = (options.filename || 'export') + '.gpkg';
+        downloadBlob(result.blob, filename);
+        return { filename, size: result.blob?.size };
+    });
+}
+
+/**
+ * Replace attachment values with their paths in an attachments/ folder.
+ * @returns {{ dataset: Object, files: Array }} files from collectAttachments()
+ */
+function _bundleAttachments(dataset) {
+    const spatial = dataset.type === 'spatial';
+    const records = spatial ? (dataset.geojson?.features || []) : (dataset.rows || []).map(r => ({ properties: r }));
+    const files = collectAttachments(records);
+    if (!files.length) return { dataset, files };
+
+    const paths = new Map();   // attachment object → path
+    for (const f of files) paths.set(f.att, `attachments/${f.zipName}`);
+    const toPaths = (props) => {
+        const out = { ...props };
+        for (const k of Object.keys(out)) {
+            if (isAttachmentValue(out[k])) {
+                out[k] = attachmentList(out[k]).map(a => paths.get(a) || a.name || '[attachment]').join('; ');
+            }
+        }
+        return out;
+    };
+    if (spatial) {
+        const features = dataset.geojson.features.map(f => ({ ...f, properties: toPaths(f.properties || {}) }));
+        return { dataset: { ...dataset, geojson: { type: 'FeatureCollection', features } }, files };
+    }
+    return { dataset: { ...dataset, rows: dataset.rows.map(toPaths) }, files };
+}
+
+// ZIP of the exported file plus attachments/ — a zipped export (Shapefile) gets the folder added in place
+async function _zipWithAttachments(blob, filename, files, isZip) {
+    if (typeof JSZip === 'undefined') throw new Error('JSZip library not loaded');
+    const zip = isZip ? await JSZip.loadAsync(blob) : new JSZip();
+    if (!isZip) zip.file(filename, blob);
+    const folder = zip.folder('attachments');
+    await loadAttachments(files.map(f => f.att));
+    for (const f of files) {
+        const data = attachmentBlob(f.att);
+        if (data) folder.file(f.zipName, data);
+    }
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
 export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -177,4 +284,4 @@ export function downloadBlob(blob, filename) {
     }, 100);
 }
 
-export default { getAvailableFormats, exportDataset, exportMultiLayerKMZFile, downloadBlob };
+export default { getAvailableFormats, hasAttachments, exportDataset, exportMultiLayerKMZFile, exportMultiLayerGPKGFile, downloadBlob };
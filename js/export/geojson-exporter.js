@@ -1,6 +1,7 @@
 /**
  * GeoJSON exporter
  */
+import { geojsonCrsMember } from '../core/crs.js';
 export async function exportGeoJSON(dataset, options = {}, task) {
     const source = dataset.geojson || {
         type: 'FeatureCollection',
@@ -10,8 +11,12 @@ export async function exportGeoJSON(dataset, options = {}, task) {
     };
 
     // Clean internal properties (blob URLs) but keep data URLs for portability
+    // Non-WGS84 output gets the legacy named `crs` member so GIS readers pick it up
+    const { crs: _srcCrs, ...rest } = source;
+    const crsMember = geojsonCrsMember(options.crs);
     const geojson = {
-        ...source,
+        ...rest,
+        ...(crsMember ? { crs: crsMember } : {}),
         features: source.features.map(f => ({
             ...f,
             properties: Object.fromEntries(
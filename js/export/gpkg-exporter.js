@@ -0,0 +1,243 @@
+/**
+ * GeoPackage exporter — one or many layers in a single .gpkg
+ * Spatial layers become feature tables, table layers become attribute tables.
+ * Uses sql.js (SQLite compiled to WASM) loaded via CDN.
+ */
+import {
+    loadSqlJs, encodeGpkgGeometry, GPKG_APPLICATION_ID, GPKG_USER_VERSION
+} from '../core/geopackage.js';
+import { attachmentList, isAttachmentValue } from '../core/attachments.js';
+
+const WGS84_WKT = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]';
+
+// Core tables required by the GeoPackage 1.2 spec (Requirement 10–21)
+const CORE_DDL = `
+CREATE TABLE gpkg_spatial_ref_sys (
+    srs_name TEXT NOT NULL, srs_id INTEGER NOT NULL PRIMARY KEY,
+    organization TEXT NOT NULL, organization_coordsys_id INTEGER NOT NULL,
+    definition TEXT NOT NULL, description TEXT);
+CREATE TABLE gpkg_contents (
+    table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL,
+    identifier TEXT UNIQUE, description TEXT DEFAULT '',
+    last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+    min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+    srs_id INTEGER, CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));
+CREATE TABLE gpkg_geometry_columns (
+    table_name TEXT NOT NULL, column_name TEXT NOT NULL,
+    geometry_type_name TEXT NOT NULL, srs_id INTEGER NOT NULL,
+    z TINYINT NOT NULL, m TINYINT NOT NULL,
+    CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+    CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+    CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));`;
+
+/**
+ * Export a single dataset as a GeoPackage
+ */
+export async function exportGPKG(dataset, options = {}, task) {
+    return exportMultiLayerGPKG([{ dataset }], options, task);
+}
+
+/**
+ * Export several datasets into one GeoPackage — one table per layer.
+ * @param {Array<{dataset}>} layers
+ */
+export async function exportMultiLayerGPKG(layers, options = {}, task) {
+    task?.updateProgress(15, 'Loading SQLite...');
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+
+    try {
+        db.run(`PRAGMA application_id = ${GPKG_APPLICATION_ID}`);
+        db.run(`PRAGMA user_version = ${GPKG_USER_VERSION}`);
+        db.exec(CORE_DDL);
+        _insertSpatialRefSys(db);
+
+        const usedNames = new Set();
+        const usedIdentifiers = new Set();
+        for (let i = 0; i < layers.length; i++) {
+            const ds = layers[i].dataset;
+            task?.updateProgress(20 + Math.round((i / layers.length) * 65), `Writing ${ds.name}...`);
+            const tableName = _uniqueTableName(ds.name, usedNames);
+            // gpkg_contents.identifier is UNIQUE — two layers may share a name
+            const identifier = _uniqueIdentifier(ds.name || tableName, usedIdentifiers);
+            if (ds.type === 'spatial') _writeFeatureTable(db, ds, tableName, identifier);
+            else _writeAttributeTable(db, ds, tableName, identifier);
+        }
+
+        task?.updateProgress(90, 'Finalizing...');
+        const bytes = db.export();
+        return { blob: new Blob([bytes], { type: 'application/geopackage+sqlite3' }) };
+    } finally {
+        db.close();
+    }
+}
+
+function _insertSpatialRefSys(db) {
+    const stmt = db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)');
+    stmt.run(['Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system']);
+    stmt.run(['Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system']);
+    stmt.run(['WGS 84 geodetic', 4326, 'EPSG', 4326, WGS84_WKT, 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid']);
+    stmt.free();
+}
+
+function _writeFeatureTable(db, dataset, tableName, identifier) {
+    // Features without a geometry are written too, with a NULL geom, so the row count matches the layer
+    const features = dataset.geojson?.features || [];
+    const located = features.filter(f => f.geometry);
+    const columns = _buildColumns(features.map(f => f.properties || {}), ['fid', 'geom']);
+    const geomType = _gpkgGeometryType(located);
+    // z flag: 0 = prohibited, 1 = mandatory, 2 = optional (only some geometries have Z)
+    const zCount = located.filter(f => _geomHasZ(f.geometry)).length;
+    const zFlag = zCount === 0 ? 0 : zCount === located.length ? 1 : 2;
+
+    const colDdl = columns.map(c => `${_quoteIdent(c.column)} ${c.sqlType}`);
+    db.run(`CREATE TABLE ${_quoteIdent(tableName)} (
+        fid INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+        geom ${geomType}${colDdl.length ? ',\n        ' + colDdl.join(',\n        ') : ''})`);
+
+    const placeholders = ['?', ...columns.map(() => '?')].join(', ');
+    const colList = ['geom', ...columns.map(c => _quoteIdent(c.column))].join(', ');
+    const stmt = db.prepare(`INSERT INTO ${_quoteIdent(tableName)} (${colList}) VALUES (${placeholders})`);
+
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    db.run('BEGIN');
+    for (const f of features) {
+        if (f.geometry) _extendBbox(bbox, f.geometry);
+        const props = f.properties || {};
+        stmt.run([f.geometry ? encodeGpkgGeometry(f.geometry, 4326) : null, ...columns.map(c => _toSqlValue(props[c.field], c.sqlType))]);
+    }
+    db.run('COMMIT');
+    stmt.free();
+
+    const hasBbox = isFinite(bbox[0]);
+    db.run(`INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id)
+            VALUES (?, 'features', ?, ?, ?, ?, ?, 4326)`,
+        [tableName, identifier,
+            hasBbox ? bbox[0] : null, hasBbox ? bbox[1] : null, hasBbox ? bbox[2] : null, hasBbox ? bbox[3] : null]);
+    db.run(`INSERT INTO gpkg_geometry_columns VALUES (?, 'geom', ?, 4326, ?, 0)`,
+        [tableName, geomType, zFlag]);
+}
+
+function _writeAttributeTable(db, dataset, tableName, identifier) {
+    const rows = dataset.rows || (dataset.geojson?.features || []).map(f => f.properties || {});
+    const columns = _buildColumns(rows, ['fid']);
+
+    const colDdl = columns.map(c => `${_quoteIdent(c.column)} ${c.sqlType}`);
+    db.run(`CREATE TABLE ${_quoteIdent(tableName)} (
+        fid INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL${colDdl.length ? ',\n        ' + colDdl.join(',\n        ') : ''})`);
+
+    if (columns.length > 0) {
+        const stmt = db.prepare(`INSERT INTO ${_quoteIdent(tableName)} (${columns.map(c => _quoteIdent(c.column)).join(', ')})
+            VALUES (${columns.map(() => '?').join(', ')})`);
+        db.run('BEGIN');
+        for (const r of rows) stmt.run(columns.map(c => _toSqlValue(r[c.field], c.sqlType)));
+        db.run('COMMIT');
+        stmt.free();
+    }
+
+    db.run(`INSERT INTO gpkg_contents (table_name, data_type, identifier) VALUES (?, 'attributes', ?)`,
+        [tableName, identifier]);
+}
+
+// ============================
+// Column + type helpers
+// ============================
+
+/**
+ * Derive column definitions from property objects.
+ * Column names are made unique case-insensitively and never clash with reserved columns.
+ */
+function _buildColumns(propsList, reserved) {
+    const fieldNames = [];
+    const seen = new Set();
+    for (const p of propsList) {
+        for (const k of Object.keys(p)) {
+            if (k.startsWith('_') || seen.has(k)) continue;
+            seen.add(k);
+            fieldNames.push(k);
+        }
+    }
+
+    const used = new Set(reserved.map(r => r.toLowerCase()));
+    return fieldNames.map(field => {
+        let column = field;
+        let n = 1;
+        while (used.has(column.toLowerCase())) column = `${field}_${n++}`;
+        used.add(column.toLowerCase());
+        return { field, column, sqlType: _sqlTypeFor(propsList.map(p => p[field])) };
+    });
+}
+
+function _sqlTypeFor(values) {
+    let sawInt = false, sawReal = false, sawBool = false, sawOther = false;
+    for (const v of values) {
+        if (v == null || v === '') continue;
+        if (typeof v === 'boolean') sawBool = true;
+        else if (typeof v === 'number') { if (Number.isInteger(v)) sawInt = true; else sawReal = true; }
+        else sawOther = true;
+    }
+    if (sawOther || (sawBool && (sawInt || sawReal))) return 'TEXT';
+    if (sawBool) return 'BOOLEAN';
+    if (sawReal) return 'DOUBLE';
+    if (sawInt) return 'INTEGER';
+    return 'TEXT';
+}
+
+function _toSqlValue(v, sqlType) {
+    if (v == null || v === '') return null;
+    if (sqlType === 'BOOLEAN') return v ? 1 : 0;
+    if (sqlType === 'TEXT' && typeof v === 'object') {
+        return isAttachmentValue(v) ? attachmentList(v).map(a => a.name || '[attachment]').join('; ') : JSON.stringify(v);
+    }
+    if (sqlType === 'TEXT') return String(v);
+    return v;
+}
+
+function _gpkgGeometryType(features) {
+    const types = new Set(features.map(f => f.geometry.type));
+    if (types.size === 1) return [...types][0].toUpperCase();
+    // Single + multi of the same family is stored as the multi type
+    const families = new Set([...types].map(t => t.replace('Multi', '')));
+    if (families.size === 1) return ('Multi' + [...families][0]).toUpperCase();
+    return 'GEOMETRY';
+}
+
+function _geomHasZ(geom) {
+    let c = geom.type === 'GeometryCollection' ? null : geom.coordinates;
+    while (Array.isArray(c) && Array.isArray(c[0])) c = c[0];
+    return Array.isArray(c) && c.length > 2;
+}
+
+function _extendBbox(bbox, geom) {
+    const walk = (c) => {
+        if (typeof c[0] === 'number') {
+            if (c[0] < bbox[0]) bbox[0] = c[0];
+            if (c[1] < bbox[1]) bbox[1] = c[1];
+            if (c[0] > bbox[2]) bbox[2] = c[0];
+            if (c[1] > bbox[3]) bbox[3] = c[1];
+        } else c.forEach(walk);
+    };
+    if (geom.type === 'GeometryCollection') geom.geometries.forEach(g => _extendBbox(bbox, g));
+    else walk(geom.coordinates);
+}
+
+function _uniqueTableName(name, used) {
+    let base = String(name || 'layer').replace(/[^A-Za-z0-9_]/g, '_').replace(/^(\d)/, '_$1').slice(0, 60) || 'layer';
+    if (/^gpkg_/i.test(base)) base = 'layer_' + base;
+    let out = base;
+    let n = 1;
+    while (used.has(out.toLowerCase())) out = `${base}_${n++}`;
+    used.add(out.toLowerCase());
+    return out;
+}
+
+function _uniqueIdentifier(name, used) {
+    let out = String(name);
+    for (let n = 2; used.has(out); n++) out = `${name} (${n})`;
+    used.add(out);
+    return out;
+}
+
+function _quoteIdent(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
@@ -0,0 +1,103 @@
+/**
+ * GPX exporter — points become waypoints, lines become tracks
+ * Polygon rings are written as closed tracks since GPX has no area type.
+ */
+import { escapeXml } from './kml-exporter.js';
+
+export async function exportGPX(dataset, options = {}, task) {
+    const features = dataset.geojson?.features || [];
+    task?.updateProgress(30, 'Generating GPX...');
+
+    const wpts = [];
+    const trks = [];
+
+    features.forEach((f, i) => {
+        const g = f.geometry;
+        const props = f.properties || {};
+        if (!g) return;
+
+        switch (g.type) {
+            case 'Point':
+                wpts.push(_buildWpt(g.coordinates, props, i));
+                break;
+            case 'MultiPoint':
+                g.coordinates.forEach(c => wpts.push(_buildWpt(c, props, i)));
+                break;
+            case 'LineString':
+                trks.push(_buildTrk([g.coordinates], props, i, [_flatTimes(props._coordTimes)]));
+                break;
+            case 'MultiLineString':
+                trks.push(_buildTrk(g.coordinates, props, i, _nestedTimes(props._coordTimes)));
+                break;
+            case 'Polygon':
+                trks.push(_buildTrk(g.coordinates, props, i, []));
+                break;
+            case 'MultiPolygon':
+                trks.push(_buildTrk(g.coordinates.flat(), props, i, []));
+                break;
+        }
+    });
+
+    task?.updateProgress(80, 'Writing GPX...');
+
+    const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="GIS Toolbox" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(dataset.name || 'Export')}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${[...wpts, ...trks].join('\n')}
+</gpx>`;
+
+    task?.updateProgress(90, 'Done');
+    return { text: gpx, mimeType: 'application/gpx+xml' };
+}
+
+function _buildWpt(coord, props, idx) {
+    const ele = coord[2] ?? props.ele;
+    return `  <wpt lat="${coord[1]}" lon="${coord[0]}">${_eleTime(ele, props.time)}
+${_meta(props, idx, '    ')}
+  </wpt>`;
+}
+
+function _buildTrk(parts, props, idx, partTimes) {
+    const segs = parts.map((coords, p) => {
+        const times = partTimes[p] || [];
+        const pts = coords.map((c, v) =>
+            `      <trkpt lat="${c[1]}" lon="${c[0]}">${_eleTime(c[2], times[v])}</trkpt>`
+        ).join('\n');
+        return `    <trkseg>\n${pts}\n    </trkseg>`;
+    }).join('\n');
+    return `  <trk>
+${_meta(props, idx, '    ')}
+${segs}
+  </trk>`;
+}
+
+function _meta(props, idx, indent) {
+    const name = props.name || props.Name || props.NAME || `Feature ${idx + 1}`;
+    const desc = props.desc || props.description || props.Description;
+    const lines = [`${indent}<name>${escapeXml(String(name))}</name>`];
+    if (props.cmt) lines.push(`${indent}<cmt>${escapeXml(String(props.cmt))}</cmt>`);
+    if (desc) lines.push(`${indent}<desc>${escapeXml(String(desc))}</desc>`);
+    if (props.sym) lines.push(`${indent}<sym>${escapeXml(String(props.sym))}</sym>`);
+    if (props.type) lines.push(`${indent}<type>${escapeXml(String(props.type))}</type>`);
+    return lines.join('\n');
+}
+
+function _eleTime(ele, time) {
+    let out = '';
+    const e = parseFloat(ele);
+    if (!isNaN(e)) out += `<ele>${e}</ele>`;
+    if (time && !isNaN(Date.parse(time))) out += `<time>${new Date(time).toISOString()}</time>`;
+    return out;
+}
+
+// _coordTimes from the GPX importer is flat for LineStrings and nested for MultiLineStrings
+function _flatTimes(times) {
+    return Array.isArray(times) && !Array.isArray(times[0]) ? times : [];
+}
+
+function _nestedTimes(times) {
+    return Array.isArray(times) && Array.isArray(times[0]) ? times : [];
+}
@@ -1,11 +1,29 @@
 /**
  * KML exporter — with optional styling and folder grouping
  */
+import { attachmentList, isAttachmentValue, attachmentDataUrls } from '../core/attachments.js';
+import { viewSettings, headingOf, headingFieldFor } from '../photo/view-direction.js';
+
+// Camera written for points with a heading: eye height above ground and tilt from straight down
+const CAMERA_HEIGHT = 2;
+const CAMERA_TILT = 80;
+
+/**
+ * Build a KML document for a dataset.
+ * @param {Object} [options]
+ * @param {Object} [options.style] - layer style; its viewCones.field picks the heading field
+ * @param {boolean} [options.headings] - write a <Camera> looking along the heading and rotate
+ *   the icon (<IconStyle><heading>) for points that have one
+ * @param {Map} [options.attachmentHrefs] - attachment object → link to write for it; by
+ *   default attachments are embedded as data URLs
+ */
 export async function exportKML(dataset, options = {}, task) {
     const features = dataset.geojson?.features || [];
     task?.updateProgress(30, 'Generating KML...');
 
     const style = options.style || null; // { strokeColor, fillColor, strokeWidth, strokeOpacity, fillOpacity, point?, line?, polygon? }
+    const headingField = options.headings ? headingFieldFor(features, viewSettings(style)) : null;
+    const hrefs = options.attachmentHrefs || await attachmentDataUrls(features);
     const sourceGroups = _groupBySource(features);
     const hasSourceFolders = sourceGroups && Object.keys(sourceGroups).length > 1;
     const useGeomFolders = !hasSourceFolders && options.folders !== false && _hasMultipleGeomTypes(features);
@@ -25,7 +43,7 @@ export async function exportKML(dataset, options = {}, task) {
             styleBlock = _kmlStyleEl('style_default', style, true);
         }
         for (const [srcName, feats] of Object.entries(sourceGroups)) {
-            const marks = feats.map((f, i) => _buildPlacemark(f, i, styleUrl)).filter(Boolean).join('\n');
+            const marks = feats.map((f, i) => _buildPlacemark(f, i, styleUrl, headingField, hrefs)).filter(Boolean).join('\n');
             folderParts.push(`    <Folder>\n      <name>${escapeXml(srcName)}</name>\n${marks}\n    </Folder>`);
         }
         placemarkXml = folderParts.join('\n');
@@ -37,7 +55,7 @@ export async function exportKML(dataset, options = {}, task) {
             if (feats.length === 0) continue;
             const label = { point: 'Points', line: 'Lines', polygon: 'Polygons' }[gtype] || gtype;
             const styleUrl = style ? `#style_${gtype}` : '';
-            const marks = feats.map((f, i) => _buildPlacemark(f, i, styleUrl)).filter(Boolean).join('\n');
+            const marks = feats.map((f, i) => _buildPlacemark(f, i, styleUrl, headingField, hrefs)).filter(Boolean).join('\n');
             folderParts.push(`    <Folder>\n      <name>${escapeXml(label)}</name>\n${marks}\n    </Folder>`);
         }
         placemarkXml = folderParts.join('\n');
@@ -46,7 +64,7 @@ export async function exportKML(dataset, options = {}, task) {
         if (style && !useGeomFolders) {
             styleBlock = _kmlStyleEl('style_default', style, true);
         }
-        placemarkXml = features.map((f, i) => _buildPlacemark(f, i, styleUrl)).filter(Boolean).join('\n');
+        placemarkXml = features.map((f, i) => _buildPlacemark(f, i, styleUrl, headingField, hrefs)).filter(Boolean).join('\n');
     }
 
     const kml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -61,19 +79,38 @@ ${styleBlock}${placemarkXml}
     return { text: kml, mimeType: 'application/vnd.google-earth.kml+xml' };
 }
 
-function _buildPlacemark(f, idx, styleUrl) {
+function _buildPlacemark(f, idx, styleUrl, headingField = null, hrefs = null) {
     const name = f.properties?.name || f.properties?.Name || f.properties?.NAME || `Feature ${idx + 1}`;
-    const desc = buildDescription(f.properties);
+    const desc = buildDescription(f.properties, hrefs);
     const geomKml = geometryToKML(f.geometry);
     if (!geomKml) return '';
+    const view = headingViewKML(f, headingField);
     const styleRef = styleUrl ? `\n      <styleUrl>${styleUrl}</styleUrl>` : '';
     return `    <Placemark>
       <name>${escapeXml(String(name))}</name>
-      <description><![CDATA[${desc}]]></description>${styleRef}
+      <description><![CDATA[${desc}]]></description>${view.camera}${styleRef}${view.style}
       ${geomKml}
     </Placemark>`;
 }
 
+/**
+ * Placemark parts for a point with a heading: a <Camera> standing at the point and
+ * looking along the heading, and an inline style turning the icon to face it.
+ * @returns {{ camera: string, style: string }} empty strings when there is no heading
+ */
+function headingViewKML(f, headingField) {
+    const heading = headingField && f.geometry?.type === 'Point' ? headingOf(f, headingField) : null;
+    if (heading === null) return { camera: '', style: '' };
+    const [lon, lat] = f.geometry.coordinates;
+    const h = Math.round(heading * 100) / 100;
+    return {
+        camera: `
+      <Camera><longitude>${lon}</longitude><latitude>${lat}</latitude><altitude>${CAMERA_HEIGHT}</altitude><heading>${h}</heading><tilt>${CAMERA_TILT}</tilt><roll>0</roll><altitudeMode>relativeToGround</altitudeMode></Camera>`,
+        style: `
+      <Style><IconStyle><heading>${h}</heading></IconStyle></Style>`
+    };
+}
+
 function _hasMultipleGeomTypes(features) {
     const cats = new Set();
     for (const f of features) {
@@ -164,7 +201,11 @@ function _hexToKmlColor(hex, opacity) {
     return `${a}${b}${g}${r}`.toLowerCase();
 }
 
-function buildDescription(props) {
+/**
+ * Placemark description: photo thumbnail and an attribute table.
+ * @param {Map} [hrefs] - attachment object → link written for it (data URL, or a path in a KMZ)
+ */
+function buildDescription(props, hrefs = null) {
     if (!props) return '';
     let imgHtml = '';
     if (props._thumbnailDataUrl) {
@@ -173,13 +214,17 @@ function buildDescription(props) {
     const rows = Object.entries(props)
         .filter(([k, v]) => v != null && v !== '' && !k.startsWith('_'))
         .map(([k, v]) => {
-            // Handle attachment objects
-            if (v && typeof v === 'object' && v._att) {
-                const isImage = v.type?.startsWith('image/');
-                if (isImage && v.dataUrl) {
-                    return `<tr><td><b>${escapeXml(k)}</b></td><td><img src="${v.dataUrl}" style="max-width:300px;max-height:200px;" /><br/>${escapeXml(v.name || 'attachment')}</td></tr>`;
-                }
-                return `<tr><td><b>${escapeXml(k)}</b></td><td>📎 ${escapeXml(v.name || 'attachment')}</td></tr>`;
+            // Handle attachment objects — images inline, other files as links
+            if (isAttachmentValue(v)) {
+                const cells = attachmentList(v).map(a => {
+                    const name = escapeXml(a.name || 'attachment');
+                    const href = hrefs?.get(a);
+                    if (href && a.type?.startsWith('image/')) {
+                        return `<img src="${href}" style="max-width:300px;max-height:200px;" /><br/>${name}`;
+                    }
+                    return href ? `📎 <a href="${href}">${name}</a>` : `📎 ${name}`;
+                });
+                return `<tr><td><b>${escapeXml(k)}</b></td><td>${cells.join('<br/>')}</td></tr>`;
             }
             return `<tr><td><b>${escapeXml(k)}</b></td><td>${escapeXml(String(v))}</td></tr>`;
         })
@@ -224,6 +269,7 @@ function escapeXml(s) {
 /**
  * Multi-layer KML export — each layer becomes its own <Folder> with its own <Style>.
  * @param {Array<{dataset, style}>} layers - array of { dataset, style } objects
+ * @param {Object} [options] - { filename, headings, attachmentHrefs } as for exportKML
  */
 export async function exportMultiLayerKML(layers, options = {}, task) {
     task?.updateProgress(20, 'Generating multi-layer KML...');
@@ -232,9 +278,11 @@ export async function exportMultiLayerKML(layers, options = {}, task) {
     let styleBlock = '';
     const folderParts = [];
 
-    layers.forEach(({ dataset, style }, idx) => {
+    for (const [idx, { dataset, style }] of layers.entries()) {
         const features = dataset.geojson?.features || [];
         const styleId = `style_layer_${idx}`;
+        const headingField = options.headings ? headingFieldFor(features, viewSettings(style)) : null;
+        const hrefs = options.attachmentHrefs || await attachmentDataUrls(features);
 
         // Build style for this layer
         if (style) {
@@ -242,9 +290,9 @@ export async function exportMultiLayerKML(layers, options = {}, task) {
         }
 
         const styleUrl = style ? `#${styleId}` : '';
-        const marks = features.map((f, i) => _buildPlacemark(f, i, styleUrl)).filter(Boolean).join('\n');
+        const marks = features.map((f, i) => _buildPlacemark(f, i, styleUrl, headingField, hrefs)).filter(Boolean).join('\n');
         folderParts.push(`    <Folder>\n      <name>${escapeXml(dataset.name || 'Layer ' + (idx + 1))}</name>\n${marks}\n    </Folder>`);
-    });
+    }
 
     const kml = `<?xml version="1.0" encoding="UTF-8"?>
 <kml xmlns="http://www.opengis.net/kml/2.2">
@@ -258,4 +306,4 @@ ${styleBlock}${folderParts.join('\n')}
     return { text: kml, mimeType: 'application/vnd.google-earth.kml+xml' };
 }
 
-export { geometryToKML, buildDescription, escapeXml };
+export { geometryToKML, buildDescription, headingViewKML, escapeXml };
@@ -1,44 +1,30 @@
 /**
  * KMZ exporter — zip of KML + optionally images, with styling & folders
  */
-import { exportKML, geometryToKML, escapeXml } from './kml-exporter.js';
+import { exportKML, geometryToKML, headingViewKML, escapeXml } from './kml-exporter.js';
+import { viewSettings, headingFieldFor } from '../photo/view-direction.js';
+import { attachmentList, isAttachmentValue, collectAttachments, loadAttachments, attachmentBlob } from '../core/attachments.js';
 
 export async function exportKMZ(dataset, options = {}, task) {
     if (typeof JSZip === 'undefined') {
         throw new Error('JSZip library not loaded');
     }
 
-    task?.updateProgress(20, 'Generating KML...');
-
     // Photo mode: embed images in KMZ
     if (options.photos && options.photos.length > 0) {
+        task?.updateProgress(20, 'Generating KML...');
         const result = await buildPhotoKMZ(dataset, options, task);
         return result;
     }
 
-    // Standard KMZ
-    const kmlResult = await exportKML(dataset, options);
-    let kmlText = kmlResult.text;
-
-    task?.updateProgress(60, 'Creating KMZ archive...');
+    // Standard KMZ — attachment files go in files/ and the KML links to them there
     const zip = new JSZip();
+    const attachmentHrefs = await _embedAttachments(zip, [dataset], task);
+    task?.updateProgress(20, 'Generating KML...');
+    const kmlResult = await exportKML(dataset, { ...options, attachmentHrefs });
 
-    // Embed attachment files from attachment fields
-    const attachments = _collectAttachments(dataset);
-    if (attachments.length > 0) {
-        task?.updateProgress(65, `Embedding ${attachments.length} attachment(s)...`);
-        const filesFolder = zip.folder('files');
-        for (const att of attachments) {
-            const blob = _dataUrlToBlob(att.dataUrl);
-            if (blob) {
-                filesFolder.file(att.zipName, blob);
-                // Replace inline data URL with relative file path in KML
-                kmlText = kmlText.replaceAll(att.dataUrl, `files/${att.zipName}`);
-            }
-        }
-    }
-
-    zip.file('doc.kml', kmlText);
+    task?.updateProgress(60, 'Creating KMZ archive...');
+    zip.file('doc.kml', kmlResult.text);
 
     task?.updateProgress(80, 'Compressing...');
     const blob = await zip.generateAsync({
@@ -56,6 +42,10 @@ async function buildPhotoKMZ(dataset, options, task) {
     const imgFolder = zip.folder('images');
     const photos = options.photos || [];
     const features = dataset.geojson?.features || [];
+    // Features name their photo by _photoId; photo data saved without ids lines up by position
+    const photosById = new Map(photos.filter(p => p.id).map(p => [p.id, p]));
+    const photoFor = (f, i) => photosById.size ? photosById.get(f.properties?._photoId) : photos[i];
+    const headingField = options.headings ? headingFieldFor(features, viewSettings(options.style)) : null;
 
     task?.updateProgress(30, 'Embedding images...');
 
@@ -63,7 +53,7 @@ async function buildPhotoKMZ(dataset, options, task) {
     const placemarks = [];
     for (let i = 0; i < features.length; i++) {
         const f = features[i];
-        const photo = photos[i];
+        const photo = photoFor(f, i);
         if (!f.geometry) continue;
 
         task?.updateProgress(30 + Math.round((i / features.length) * 40), `Embedding image ${i + 1}/${features.length}`);
@@ -85,10 +75,11 @@ async function buildPhotoKMZ(dataset, options, task) {
 
         const desc = `${imgRef}${buildDescTable(f.properties)}`;
         const geomKml = geometryToKML(f.geometry);
+        const view = headingViewKML(f, headingField);
 
         placemarks.push(`    <Placemark>
       <name>${escapeXml(String(name))}</name>
-      <description><![CDATA[${desc}]]></description>
+      <description><![CDATA[${desc}]]></description>${view.camera}${view.style}
       ${geomKml}
     </Placemark>`);
     }
@@ -122,31 +113,14 @@ export async function exportMultiLayerKMZ(layers, options = {}, task) {
     const { exportMultiLayerKML } = await import('./kml-exporter.js');
     if (typeof JSZip === 'undefined') throw new Error('JSZip library not loaded');
 
-    task?.updateProgress(20, 'Generating multi-layer KML...');
-    const kmlResult = await exportMultiLayerKML(layers, options, task);
-
-    task?.updateProgress(60, 'Creating KMZ archive...');
     const zip = new JSZip();
-    let kmlText = kmlResult.text;
+    const attachmentHrefs = await _embedAttachments(zip, layers.map(l => l.dataset), task);
 
-    // Embed attachments from all layers
-    const allAttachments = [];
-    for (const { dataset } of layers) {
-        allAttachments.push(..._collectAttachments(dataset));
-    }
-    if (allAttachments.length > 0) {
-        task?.updateProgress(65, `Embedding ${allAttachments.length} attachment(s)...`);
-        const filesFolder = zip.folder('files');
-        for (const att of allAttachments) {
-            const blob = _dataUrlToBlob(att.dataUrl);
-            if (blob) {
-                filesFolder.file(att.zipName, blob);
-                kmlText = kmlText.replaceAll(att.dataUrl, `files/${att.zipName}`);
-            }
-        }
-    }
+    task?.updateProgress(20, 'Generating multi-layer KML...');
+    const kmlResult = await exportMultiLayerKML(layers, { ...options, attachmentHrefs }, task);
 
-    zip.file('doc.kml', kmlText);
+    task?.updateProgress(60, 'Creating KMZ archive...');
+    zip.file('doc.kml', kmlResult.text);
 
     task?.updateProgress(80, 'Compressing...');
     const blob = await zip.generateAsync({
@@ -160,38 +134,28 @@ export async function exportMultiLayerKMZ(layers, options = {}, task) {
 }
 
 /**
- * Collect all attachment field values from a dataset's features.
- * Returns array of { dataUrl, zipName, fieldName } for embedding in KMZ.
+ * Add the datasets' attachment files to the KMZ's files/ folder.
+ * @returns {Promise<Map>} attachment object → its path in the KMZ, for exportKML's attachmentHrefs
  */
-function _collectAttachments(dataset) {
-    const attachments = [];
-    const features = dataset.geojson?.features || [];
-    let idx = 0;
-    for (const f of features) {
-        const props = f.properties || {};
-        for (const [key, val] of Object.entries(props)) {
-            if (val && typeof val === 'object' && val._att && val.dataUrl) {
-                const ext = val.name?.split('.').pop()?.toLowerCase() || 'bin';
-                const zipName = `att_${idx++}_${(val.name || 'file').replace(/[^a-zA-Z0-9._-]/g, '_')}`;
-                attachments.push({ dataUrl: val.dataUrl, zipName, fieldName: key, name: val.name });
-            }
+async function _embedAttachments(zip, datasets, task) {
+    const hrefs = new Map();
+    const found = datasets.map(d => collectAttachments(d.geojson?.features || []));
+    const total = found.reduce((n, list) => n + list.length, 0);
+    if (!total) return hrefs;
+    task?.updateProgress(10, `Embedding ${total} attachment(s)...`);
+    const filesFolder = zip.folder('files');
+    for (const [i, list] of found.entries()) {
+        await loadAttachments(list.map(a => a.att));
+        for (const { att, zipName } of list) {
+            const blob = attachmentBlob(att);
+            if (!blob) continue;
+            // Layers number their files the same way — keep names apart in a multi-layer KMZ
+            const path = datasets.length > 1 ? `${i + 1}/${zipName}` : zipName;
+            filesFolder.file(path, blob);
+            hrefs.set(att, `files/${path}`);
         }
     }
-    return attachments;
-}
-
-/**
- * Convert a data URL to a Blob for ZIP embedding.
- */
-function _dataUrlToBlob(dataUrl) {
-    try {
-        const [header, b64] = dataUrl.split(',');
-        const mime = header.match(/:(.*?);/)?.[1] || 'application/octet-stream';
-        const binary = atob(b64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-        return new Blob([bytes], { type: mime });
-    } catch { return null; }
+    return hrefs;
 }
 
 function buildDescTable(props) {
@@ -199,8 +163,9 @@ function buildDescTable(props) {
     return '<table>' + Object.entries(props)
         .filter(([k, v]) => v != null && v !== '' && !k.startsWith('_'))
         .map(([k, v]) => {
-            if (v && typeof v === 'object' && v._att) {
-                return `<tr><td><b>${escapeXml(k)}</b></td><td>📎 ${escapeXml(v.name || 'attachment')}</td></tr>`;
+            if (isAttachmentValue(v)) {
+                const names = attachmentList(v).map(a => `📎 ${escapeXml(a.name || 'attachment')}`).join('<br/>');
+                return `<tr><td><b>${escapeXml(k)}</b></td><td>${names}</td></tr>`;
             }
             return `<tr><td><b>${escapeXml(k)}</b></td><td>${escapeXml(String(v))}</td></tr>`;
         })
@@ -3,14 +3,13 @@
  * Supports Point, PolyLine (LineString/MultiLineString), Polygon (MultiPolygon)
  * Uses JSZip (already loaded via CDN)
  */
+import { getPrjWkt, DEFAULT_CRS } from '../core/crs.js';
 
 const SHP_NULL = 0;
 const SHP_POINT = 1;
 const SHP_POLYLINE = 3;
 const SHP_POLYGON = 5;
 
-const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
-
 /**
  * Export a spatial dataset as a zipped Shapefile
  */
@@ -57,7 +56,7 @@ export async function exportShapefile(dataset, options = {}, task) {
     zip.file(`${name}.shp`, shpBuf);
     zip.file(`${name}.shx`, shxBuf);
     zip.file(`${name}.dbf`, dbfBuf);
-    zip.file(`${name}.prj`, WGS84_PRJ);
+    zip.file(`${name}.prj`, getPrjWkt(options.crs || DEFAULT_CRS));
 
     const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
 
@@ -275,6 +274,7 @@ function buildFieldDefs(records) {
     for (const f of records) {
         const props = f.properties || {};
         for (const [key, val] of Object.entries(props)) {
+            if (key.startsWith('_')) continue;   // internal — per-vertex times and measures, blob URLs
             if (!fieldMap.has(key)) {
                 fieldMap.set(key, { name: key, values: [] });
             }
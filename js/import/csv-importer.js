@@ -5,6 +5,7 @@
 import { createTableDataset, createSpatialDataset } from '../core/data-model.js';
 import { AppError, ErrorCategory } from '../core/error-handler.js';
 import { dmsToDd } from '../tools/coordinates.js';
+import { guessCrsFromCoords, normalizeToMapCrs, DEFAULT_CRS } from '../core/crs.js';
 
 /** Parse a coordinate value — handles DD numbers and DMS strings */
 function parseCoordValue(val) {
@@ -75,10 +76,17 @@ export async function importCSV(file, task) {
                             : null;
                         return { type: 'Feature', geometry: geom, properties: { ...row } };
                     });
-                    const fc = { type: 'FeatureCollection', features };
+                    let fc = { type: 'FeatureCollection', features };
+                    try {
+                        fc = normalizeToMapCrs(fc, coordInfo.crs).geojson;
+                    } catch (e) {
+                        reject(e);
+                        return;
+                    }
                     const ds = createSpatialDataset(name, fc, {
                         file: file.name, format: 'csv',
                         coordDetected: coordInfo,
+                        crs: coordInfo.crs,
                         parseErrors: results.errors?.length || 0
                     });
                     ds._coordInfo = coordInfo;
@@ -104,27 +112,42 @@ function detectCoordinateColumns(fields, rows) {
     const lower = fields.map(f => f.toLowerCase());
     const latPatterns = ['lat', 'latitude', 'y', 'lat_dd', 'latitude_dd'];
     const lonPatterns = ['lon', 'lng', 'long', 'longitude', 'x', 'lon_dd', 'longitude_dd'];
+    // Projected coordinate columns (UTM / State Plane exports)
+    const northPatterns = ['y', 'northing', 'point_y', 'y_coord', 'utm_n', 'north'];
+    const eastPatterns = ['x', 'easting', 'point_x', 'x_coord', 'utm_e', 'east'];
 
-    let latField = null, lonField = null;
-    for (const p of latPatterns) {
-        const idx = lower.findIndex(f => f === p || f === p.replace('_', ''));
-        if (idx >= 0) { latField = fields[idx]; break; }
-    }
-    for (const p of lonPatterns) {
-        const idx = lower.findIndex(f => f === p || f === p.replace('_', ''));
-        if (idx >= 0) { lonField = fields[idx]; break; }
-    }
+    const findField = (patterns) => {
+        for (const p of patterns) {
+            const idx = lower.findIndex(f => f === p || f === p.replace('_', ''));
+            if (idx >= 0) return fields[idx];
+        }
+        return null;
+    };
+
+    const sample = rows.slice(0, 20);
+    const latField = findField(latPatterns);
+    const lonField = findField(lonPatterns);
 
     if (latField && lonField) {
         // Verify at least some rows have valid coordinate values (DD or DMS)
-        const sample = rows.slice(0, 20);
         const validCount = sample.filter(r => {
             const lat = parseCoordValue(r[latField]);
             const lon = parseCoordValue(r[lonField]);
             return !isNaN(lat) && !isNaN(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
         }).length;
         if (validCount >= sample.length * 0.5) {
-            return { latField, lonField };
+            return { latField, lonField, crs: DEFAULT_CRS };
+        }
+    }
+
+    // Not lon/lat — try x/y columns in a recognisable projected CRS
+    const yField = findField(northPatterns);
+    const xField = findField(eastPatterns);
+    if (xField && yField) {
+        const xy = sample.map(r => [parseFloat(r[xField]), parseFloat(r[yField])]).filter(([x, y]) => !isNaN(x) && !isNaN(y));
+        const crs = xy.length >= sample.length * 0.5 ? guessCrsFromCoords(xy) : null;
+        if (crs && crs !== DEFAULT_CRS) {
+            return { latField: yField, lonField: xField, crs };
         }
     }
     return null;
@@ -1,8 +1,15 @@
 /**
  * GeoJSON importer
+ * Coordinates that aren't lon/lat in a CRS that can't be identified still load;
+ * the CRS picker (when set) offers to reproject them.
  */
 import { createSpatialDataset } from '../core/data-model.js';
 import { AppError, ErrorCategory } from '../core/error-handler.js';
+import { detectCrsFromGeoJSON, normalizeToMapCrs, reprojectGeoJSON } from '../core/crs.js';
+
+// Optional UI hook: async (range, fileName) => CRS code, or null to keep the coordinates as they are
+let _crsPicker = null;
+export function setCrsPicker(fn) { _crsPicker = fn; }
 
 export async function importGeoJSON(file, task) {
     task.updateProgress(20, 'Parsing GeoJSON...');
@@ -37,10 +44,20 @@ export async function importGeoJSON(file, task) {
         ...((f.id != null) ? { id: f.id } : {})
     }));
 
+    task.updateProgress(75, 'Checking coordinate system...');
+    let { geojson, sourceCrs, unknownRange } = normalizeToMapCrs(fc, detectCrsFromGeoJSON(data));
+    if (unknownRange && _crsPicker) {
+        const chosen = await _crsPicker(unknownRange, file.name);
+        if (chosen) {
+            geojson = reprojectGeoJSON(geojson, chosen);
+            sourceCrs = chosen;
+        }
+    }
+
     task.updateProgress(90, 'Building dataset...');
     return createSpatialDataset(
         file.name.replace(/\.(geo)?json$/i, ''),
-        fc,
-        { file: file.name, format: 'geojson' }
+        geojson,
+        { file: file.name, format: 'geojson', crs: sourceCrs }
     );
 }
@@ -0,0 +1,174 @@
+/**
+ * GeoPackage (.gpkg) importer
+ * Lists feature and attribute tables from gpkg_contents and loads the chosen ones.
+ * Uses sql.js (SQLite compiled to WASM) loaded via CDN.
+ */
+import logger from '../core/logger.js';
+import { createSpatialDataset, createTableDataset } from '../core/data-model.js';
+import { AppError, ErrorCategory } from '../core/error-handler.js';
+import { loadSqlJs, queryAll, decodeGpkgGeometry } from '../core/geopackage.js';
+import { getCrs, registerCrs, normalizeToMapCrs } from '../core/crs.js';
+
+// Optional UI hook: async (tables) => selected table names. Without it every table loads.
+let _tablePicker = null;
+export function setGpkgTablePicker(fn) { _tablePicker = fn; }
+
+export async function importGPKG(file, task) {
+    task.updateProgress(10, 'Loading SQLite...');
+    const SQL = await loadSqlJs();
+
+    task.updateProgress(20, 'Reading GeoPackage...');
+    const buffer = await file.arrayBuffer();
+
+    let db;
+    try {
+        db = new SQL.Database(new Uint8Array(buffer));
+    } catch (e) {
+        throw new AppError('Failed to open GeoPackage: ' + e.message, ErrorCategory.PARSE_FAILED);
+    }
+
+    try {
+        const tables = listGpkgTables(db);
+        if (tables.length === 0) {
+            throw new AppError('GeoPackage contains no feature or attribute tables', ErrorCategory.PARSE_FAILED, {
+                hint: 'Tile-only GeoPackages are not supported'
+            });
+        }
+
+        let chosen = tables.map(t => t.name);
+        if (_tablePicker && tables.length > 1) {
+            chosen = await _tablePicker(tables, file.name);
+            if (!chosen || chosen.length === 0) {
+                throw new AppError('No GeoPackage tables selected', ErrorCategory.CANCELLED);
+            }
+        }
+
+        const datasets = [];
+        const selected = tables.filter(t => chosen.includes(t.name));
+        for (let i = 0; i < selected.length; i++) {
+            const t = selected[i];
+            task.throwIfCancelled?.();
+            task.updateProgress(30 + Math.round((i / selected.length) * 60), `Reading ${t.name}...`);
+            datasets.push(t.dataType === 'features'
+                ? _readFeatureTable(db, t, file.name)
+                : _readAttributeTable(db, t, file.name));
+        }
+
+        task.updateProgress(95, 'Building datasets...');
+        return datasets.length === 1 ? datasets[0] : datasets;
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * List user tables registered in gpkg_contents.
+ * @returns {Array<{name, dataType, identifier, geomColumn, geometryType, srsId, count}>}
+ */
+export function listGpkgTables(db) {
+    let contents;
+    try {
+        contents = queryAll(db,
+            `SELECT c.table_name, c.data_type, c.identifier, c.srs_id,
+                    g.column_name, g.geometry_type_name
+             FROM gpkg_contents c
+             LEFT JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+             WHERE c.data_type IN ('features', 'attributes')
+             ORDER BY c.table_name`);
+    } catch (e) {
+        throw new AppError('File is not a GeoPackage (missing gpkg_contents)', ErrorCategory.PARSE_FAILED, {
+            detail: e.message
+        });
+    }
+
+    return contents.map(r => {
+        let count = null;
+        try {
+            count = queryAll(db, `SELECT COUNT(*) AS n FROM ${_quoteIdent(r.table_name)}`)[0]?.n ?? null;
+        } catch (_) { /* table listed but missing */ }
+        return {
+            name: r.table_name,
+            dataType: r.data_type,
+            identifier: r.identifier || r.table_name,
+            geomColumn: r.column_name || null,
+            geometryType: r.geometry_type_name || null,
+            srsId: r.srs_id ?? null,
+            count
+        };
+    }).filter(t => t.count != null);
+}
+
+function _readFeatureTable(db, table, fileName) {
+    const rows = queryAll(db, `SELECT * FROM ${_quoteIdent(table.name)}`);
+    const pk = _primaryKey(db, table.name);
+    let srsId = table.srsId;
+
+    const features = rows.map(row => {
+        const { geometry, srsId: blobSrs } = decodeGpkgGeometry(row[table.geomColumn]);
+        if (blobSrs != null && srsId == null) srsId = blobSrs;
+        return {
+            type: 'Feature',
+            geometry,
+            properties: _cleanRow(row, [table.geomColumn, pk])
+        };
+    });
+
+    const { geojson, sourceCrs } = normalizeToMapCrs(
+        { type: 'FeatureCollection', features },
+        _resolveSrs(db, srsId)
+    );
+
+    return createSpatialDataset(table.identifier, geojson, {
+        file: fileName, format: 'gpkg', table: table.name, srsId, crs: sourceCrs
+    });
+}
+
+/**
+ * Map a gpkg srs_id to a CRS code — EPSG when we know it, otherwise register
+ * the WKT stored in gpkg_spatial_ref_sys. 0/-1 are the spec's "undefined" systems.
+ */
+function _resolveSrs(db, srsId) {
+    if (srsId == null || srsId <= 0) return null;
+    const row = queryAll(db, 'SELECT organization, organization_coordsys_id, definition, srs_name FROM gpkg_spatial_ref_sys WHERE srs_id = ?', [srsId])[0];
+    if (!row) return null;
+    if (String(row.organization).toUpperCase() === 'EPSG') {
+        const code = `EPSG:${row.organization_coordsys_id}`;
+        if (getCrs(code)) return code;
+    }
+    if (!row.definition || row.definition === 'undefined') return null;
+    try {
+        return registerCrs(`GPKG:${row.srs_name || srsId}`, row.definition, row.srs_name || `srs ${srsId}`);
+    } catch (e) {
+        // Let the coordinates decide — lon/lat data still imports
+        logger.warn('GPKG', 'Could not use the table coordinate system', { srsId, error: e.message });
+        return null;
+    }
+}
+
+function _readAttributeTable(db, table, fileName) {
+    const pk = _primaryKey(db, table.name);
+    const rows = queryAll(db, `SELECT * FROM ${_quoteIdent(table.name)}`).map(r => _cleanRow(r, [pk]));
+    return createTableDataset(table.identifier, rows, null, {
+        file: fileName, format: 'gpkg', table: table.name
+    });
+}
+
+/** Integer primary key column (usually fid) — dropped from attributes since it's implicit. */
+function _primaryKey(db, tableName) {
+    const info = queryAll(db, `PRAGMA table_info(${_quoteIdent(tableName)})`);
+    return info.find(c => c.pk === 1 && /INT/i.test(c.type))?.name || null;
+}
+
+function _cleanRow(row, omit) {
+    const props = {};
+    for (const [k, v] of Object.entries(row)) {
+        if (omit.includes(k)) continue;
+        // Non-geometry BLOBs can't be shown in tables — keep a size marker
+        props[k] = v instanceof Uint8Array ? `[blob ${v.length} bytes]` : v;
+    }
+    return props;
+}
+
+function _quoteIdent(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
@@ -0,0 +1,171 @@
+/**
+ * GPX importer — waypoints, routes and tracks from handheld GPS units
+ * Each GPX element kind becomes its own dataset; elevation is kept as the
+ * third coordinate and per-point timestamps are kept in _coordTimes.
+ */
+import { createSpatialDataset } from '../core/data-model.js';
+import { AppError, ErrorCategory } from '../core/error-handler.js';
+
+// Simple text children copied onto feature properties when present
+const META_TAGS = ['name', 'desc', 'cmt', 'src', 'sym', 'type', 'number'];
+
+export async function importGPX(file, task) {
+    task.updateProgress(20, 'Reading GPX...');
+    const text = typeof file === 'string' ? file : await file.text();
+
+    task.updateProgress(40, 'Parsing GPX...');
+    const doc = new DOMParser().parseFromString(text, 'text/xml');
+
+    const parseError = doc.querySelector('parsererror');
+    if (parseError) {
+        throw new AppError('Invalid GPX/XML', ErrorCategory.PARSE_FAILED, {
+            detail: parseError.textContent?.slice(0, 200)
+        });
+    }
+    if (!_children(doc, 'gpx').length) {
+        throw new AppError('File is not a GPX document', ErrorCategory.PARSE_FAILED, {
+            hint: 'Expected a <gpx> root element'
+        });
+    }
+
+    const root = _children(doc, 'gpx')[0];
+
+    task.updateProgress(55, 'Reading waypoints...');
+    const waypoints = _children(root, 'wpt').map(_waypointToFeature).filter(Boolean);
+
+    task.updateProgress(65, 'Reading routes...');
+    const routes = _children(root, 'rte').map(_routeToFeature).filter(Boolean);
+
+    task.updateProgress(75, 'Reading tracks...');
+    const tracks = _children(root, 'trk').map(_trackToFeature).filter(Boolean);
+
+    const groups = [
+        { label: 'Waypoints', features: waypoints },
+        { label: 'Routes', features: routes },
+        { label: 'Tracks', features: tracks }
+    ].filter(g => g.features.length > 0);
+
+    if (groups.length === 0) {
+        throw new AppError('GPX file contains no waypoints, routes or tracks', ErrorCategory.PARSE_FAILED);
+    }
+
+    task.updateProgress(90, 'Building datasets...');
+    const fileName = typeof file === 'string' ? 'extracted.gpx' : file.name;
+    const baseName = typeof file === 'string' ? 'GPX_Layer' : file.name.replace(/\.gpx$/i, '');
+
+    const datasets = groups.map(g => createSpatialDataset(
+        groups.length > 1 ? `${baseName} ${g.label}` : baseName,
+        { type: 'FeatureCollection', features: g.features },
+        { file: fileName, format: 'gpx' }
+    ));
+
+    return datasets.length === 1 ? datasets[0] : datasets;
+}
+
+// ============================
+// Element → Feature
+// ============================
+
+function _waypointToFeature(el) {
+    const pt = _readPoint(el);
+    if (!pt) return null;
+    const props = _readMeta(el);
+    if (pt.ele != null) props.ele = pt.ele;
+    if (pt.time) props.time = pt.time;
+    return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: pt.coord },
+        properties: props
+    };
+}
+
+function _routeToFeature(el) {
+    const pts = _children(el, 'rtept').map(_readPoint).filter(Boolean);
+    if (pts.length < 2) return null;
+    const props = _readMeta(el);
+    _addPointStats(props, [pts]);
+    return {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: pts.map(p => p.coord) },
+        properties: props
+    };
+}
+
+function _trackToFeature(el) {
+    const segments = _children(el, 'trkseg')
+        .map(seg => _children(seg, 'trkpt').map(_readPoint).filter(Boolean))
+        .filter(pts => pts.length >= 2);
+    if (segments.length === 0) return null;
+
+    const props = _readMeta(el);
+    props.segment_count = segments.length;
+    _addPointStats(props, segments);
+
+    // Single-segment tracks stay LineString so the line tools work without exploding
+    const geometry = segments.length === 1
+        ? { type: 'LineString', coordinates: segments[0].map(p => p.coord) }
+        : { type: 'MultiLineString', coordinates: segments.map(seg => seg.map(p => p.coord)) };
+
+    return { type: 'Feature', geometry, properties: props };
+}
+
+/**
+ * Add point count, start/end time and per-vertex timestamps to a line's properties.
+ * _coordTimes mirrors the coordinate nesting (flat for one segment, nested for many).
+ */
+function _addPointStats(props, segments) {
+    const all = segments.flat();
+    props.point_count = all.length;
+
+    const times = all.map(p => p.time).filter(Boolean);
+    if (times.length > 0) {
+        props.start_time = times[0];
+        props.end_time = times[times.length - 1];
+        const secs = (Date.parse(props.end_time) - Date.parse(props.start_time)) / 1000;
+        if (!isNaN(secs)) props.duration_s = Math.round(secs);
+        props._coordTimes = segments.length === 1
+            ? segments[0].map(p => p.time)
+            : segments.map(seg => seg.map(p => p.time));
+    }
+}
+
+// ============================
+// XML helpers
+// ============================
+
+function _readPoint(el) {
+    const lat = parseFloat(el.getAttribute('lat'));
+    const lon = parseFloat(el.getAttribute('lon'));
+    if (isNaN(lat) || isNaN(lon)) return null;
+
+    const eleText = _text(el, 'ele');
+    const ele = eleText != null && eleText !== '' ? parseFloat(eleText) : null;
+    const time = _text(el, 'time') || null;
+    const hasEle = ele != null && !isNaN(ele);
+
+    return {
+        coord: hasEle ? [lon, lat, ele] : [lon, lat],
+        ele: hasEle ? ele : null,
+        time
+    };
+}
+
+function _readMeta(el) {
+    const props = {};
+    for (const tag of META_TAGS) {
+        const val = _text(el, tag);
+        if (val == null || val === '') continue;
+        props[tag] = tag === 'number' && !isNaN(Number(val)) ? Number(val) : val;
+    }
+    return props;
+}
+
+/** Direct children by local name — GPX 1.0/1.1 and vendor namespaces all work. */
+function _children(el, name) {
+    return Array.from(el.childNodes).filter(n => n.nodeType === 1 && n.localName === name);
+}
+
+function _text(el, name) {
+    const child = _children(el, name)[0];
+    return child ? child.textContent.trim() : null;
+}
@@ -11,6 +11,8 @@ import { importKML } from './kml-importer.js';
 import { importKMZ } from './kmz-importer.js';
 import { importShapefile } from './shapefile-importer.js';
 import { importJSON } from './json-importer.js';
+import { importGPX } from './gpx-importer.js';
+import { importGPKG } from './gpkg-importer.js';
 
 const FORMAT_MAP = {
     'geojson': importGeoJSON,
@@ -22,6 +24,8 @@ const FORMAT_MAP = {
     'xls': importExcel,
     'kml': importKML,
     'kmz': importKMZ,
+    'gpx': importGPX,
+    'gpkg': importGPKG,
     'zip': importShapefile, // Assume zipped shapefile
     'xml': importKML // try KML parser first
 };
@@ -35,6 +39,8 @@ export function detectFormat(file) {
     if (ext === 'xlsx' || ext === 'xls') return 'xlsx';
     if (ext === 'kml') return 'kml';
     if (ext === 'kmz') return 'kmz';
+    if (ext === 'gpx') return 'gpx';
+    if (ext === 'gpkg') return 'gpkg';
     if (ext === 'zip') return 'zip';
     if (ext === 'xml') return 'xml';
     return null;
@@ -5,6 +5,7 @@
 import { createSpatialDataset, createTableDataset } from '../core/data-model.js';
 import { AppError, ErrorCategory } from '../core/error-handler.js';
 import { importGeoJSON } from './geojson-importer.js';
+import { normalizeToMapCrs } from '../core/crs.js';
 
 export async function importJSON(file, task) {
     task.updateProgress(20, 'Parsing JSON...');
@@ -31,11 +32,14 @@ export async function importJSON(file, task) {
             geometry: convertEsriGeometry(f.geometry),
             properties: f.attributes || {}
         }));
-        const fc = { type: 'FeatureCollection', features };
+        // Esri JSON carries its CRS as a WKID; 102100 is Esri's alias for Web Mercator
+        const wkid = data.spatialReference?.latestWkid || data.spatialReference?.wkid;
+        const declared = wkid ? `EPSG:${wkid === 102100 ? 3857 : wkid}` : null;
+        const { geojson, sourceCrs } = normalizeToMapCrs({ type: 'FeatureCollection', features }, declared);
         return createSpatialDataset(
             file.name.replace(/\.json$/i, ''),
-            fc,
-            { file: file.name, format: 'json-esri' }
+            geojson,
+            { file: file.name, format: 'json-esri', crs: sourceCrs }
         );
     }
 
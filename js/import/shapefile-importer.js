@@ -1,9 +1,10 @@
 /**
- * Shapefile importer (zipped .shp+.dbf+.shx)
- * Uses shpjs library
+ * Shapefile importer (zipped .shp+.dbf+.shx, optional .prj)
+ * Uses shpjs library; the .prj decides the source CRS for reprojection
  */
 import { createSpatialDataset } from '../core/data-model.js';
 import { AppError, ErrorCategory } from '../core/error-handler.js';
+import { detectCrsFromPrj, normalizeToMapCrs } from '../core/crs.js';
 
 export async function importShapefile(file, task) {
     task.updateProgress(10, 'Loading shapefile library...');
@@ -25,6 +26,9 @@ export async function importShapefile(file, task) {
         });
     }
 
+    task.updateProgress(70, 'Reading projection...');
+    const prjByName = await _readPrjFiles(buffer);
+
     task.updateProgress(80, 'Normalizing...');
 
     const baseName = file.name.replace(/\.zip$/i, '');
@@ -42,7 +46,9 @@ export async function importShapefile(file, task) {
                 const layerName = fc.fileName
                     ? fc.fileName.replace(/\.\w+$/, '')
                     : (geojson.length > 1 ? `${baseName}_${i + 1}` : baseName);
-                return createSpatialDataset(layerName, fc, { file: file.name, format: 'shapefile' });
+                const prj = _prjFor(prjByName, fc.fileName);
+                const { geojson: mapFc, sourceCrs } = normalizeToMapCrs(fc, prj ? detectCrsFromPrj(prj) : null);
+                return createSpatialDataset(layerName, mapFc, { file: file.name, format: 'shapefile', crs: sourceCrs });
             });
         if (datasets.length === 0) {
             throw new AppError('Shapefile ZIP contained no valid layers', ErrorCategory.PARSE_FAILED);
@@ -61,9 +67,37 @@ export async function importShapefile(file, task) {
         properties: f.properties || {}
     }));
 
+    const prj = _prjFor(prjByName, geojson.fileName);
+    const { geojson: mapFc, sourceCrs } = normalizeToMapCrs(geojson, prj ? detectCrsFromPrj(prj) : null);
+
     return createSpatialDataset(
         baseName,
-        geojson,
-        { file: file.name, format: 'shapefile' }
+        mapFc,
+        { file: file.name, format: 'shapefile', crs: sourceCrs }
     );
 }
+
+/**
+ * Collect .prj text from the ZIP keyed by lowercase base name (folders stripped).
+ */
+async function _readPrjFiles(buffer) {
+    const out = new Map();
+    if (typeof JSZip === 'undefined') return out;
+    try {
+        const zip = await JSZip.loadAsync(buffer);
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir || !/\.prj$/i.test(entry.name)) continue;
+            const base = entry.name.split('/').pop().replace(/\.prj$/i, '').toLowerCase();
+            out.set(base, await entry.async('string'));
+        }
+    } catch (_) { /* shpjs already validated the archive — missing .prj is fine */ }
+    return out;
+}
+
+/** Match a layer to its .prj; a lone .prj applies to everything. */
+function _prjFor(prjByName, fileName) {
+    if (prjByName.size === 0) return null;
+    const base = (fileName || '').split('/').pop().replace(/\.\w+$/, '').toLowerCase();
+    if (base && prjByName.has(base)) return prjByName.get(base);
+    return prjByName.size === 1 ? [...prjByName.values()][0] : null;
+}
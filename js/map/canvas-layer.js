@@ -0,0 +1,578 @@
+/**
+ * Canvas feature layer — draws a whole dataset onto one canvas instead of
+ * creating a Leaflet layer per feature. Used automatically for very large layers.
+ *
+ * Coordinates are projected once to normalized Web Mercator (0–1) and kept in
+ * typed arrays; a uniform grid index limits each redraw and hit test to the
+ * features near the view. Hit tests return lightweight per-feature proxies that
+ * look enough like Leaflet vector layers (feature, _featureIndex, options,
+ * setStyle, getBounds, getLatLng, on/off) for popups, highlight and selection.
+ */
+
+const PAD = 0.2;              // redraw this fraction of the view beyond each edge
+const MIN_PX_STEP = 0.7;      // drop vertices closer than this to the last drawn one
+const MAX_CELLS_PER_ITEM = 64;
+const MAX_LAT = 85.0511287798;
+
+let CanvasFeatureLayer = null;
+let CanvasFeature = null;
+
+/**
+ * Create a canvas-rendered layer for a feature array.
+ * @param {Array} features - GeoJSON features (with geometry)
+ * @param {object} options
+ * @param {function} options.style - feature -> { color, weight, opacity, fillColor, fillOpacity, radius, symbol }
+ * @param {function} [options.indexOf] - feature -> index in the source dataset (defaults to array position)
+ * @param {boolean} [options.interactive=true] - take part in click / contextmenu hit testing
+ * @param {string} [options.pane='canvasFeaturePane']
+ * @param {number} [options.paneZIndex=390] - z-index when the pane is first created (SVG overlays are 400)
+ */
+export function createCanvasFeatureLayer(features, options = {}) {
+    _defineClasses();
+    return new CanvasFeatureLayer(features, options);
+}
+
+/** Normalized Web Mercator for [lng, lat] — multiply by 256 * 2^zoom for Leaflet pixel coords */
+export function projectNormalized(lng, lat) {
+    const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+    const s = Math.sin(clamped * Math.PI / 180);
+    return [
+        (lng + 180) / 360,
+        0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)
+    ];
+}
+
+function _defineClasses() {
+    if (CanvasFeatureLayer) return;
+
+    // Per-feature stand-in for a Leaflet path / circle marker
+    CanvasFeature = L.Evented.extend({
+        initialize(layer, item) {
+            this._owner = layer;
+            this._item = item;
+            this.feature = item.feature;
+            this._featureIndex = item.index;
+            this.options = { ...item.style, interactive: layer.options.interactive };
+            this.addEventParent(layer);
+            // Only single points get getLatLng — Leaflet and the selection code treat it as "is a marker"
+            if (item.feature.geometry.type === 'Point') {
+                const [lng, lat] = item.feature.geometry.coordinates;
+                const latlng = L.latLng(lat, lng);
+                this.getLatLng = () => latlng;
+            }
+        },
+        getRadius() { return this.options.radius ?? 6; },
+        setRadius(r) { return this.setStyle({ radius: r }); },
+        getBounds() { return this._owner._itemBounds(this._item); },
+        setStyle(style) {
+            Object.assign(this.options, style);
+            this._item.override = { ...(this._item.override || {}), ...style };
+            this._owner.redraw();
+            return this;
+        },
+        bringToFront() { return this; },
+        toGeoJSON() { return this.feature; }
+    });
+
+    CanvasFeatureLayer = L.Layer.extend({
+        options: {
+            pane: 'canvasFeaturePane',
+            paneZIndex: 390,
+            interactive: true
+        },
+
+        initialize(features, options) {
+            L.setOptions(this, options);
+            this._isCanvasLayer = true;
+            this._proxies = new Map();          // item position -> CanvasFeature
+            this._items = [];
+            this._byIndex = new Map();           // dataset feature index -> item
+            this._bbox = [Infinity, Infinity, -Infinity, -Infinity];
+            this._lngLatBounds = [Infinity, Infinity, -Infinity, -Infinity];
+            const styleFn = this.options.style || (() => ({}));
+            const indexOf = this.options.indexOf || ((f, i) => i);
+
+            features.forEach((feature, i) => {
+                const item = _prepareItem(feature, this._lngLatBounds);
+                if (!item) return;
+                item.pos = this._items.length;
+                item.index = indexOf(feature, i);
+                item.style = styleFn(feature);
+                this._items.push(item);
+                this._byIndex.set(item.index, item);
+                const b = item.bbox;
+                if (b[0] < this._bbox[0]) this._bbox[0] = b[0];
+                if (b[1] < this._bbox[1]) this._bbox[1] = b[1];
+                if (b[2] > this._bbox[2]) this._bbox[2] = b[2];
+                if (b[3] > this._bbox[3]) this._bbox[3] = b[3];
+            });
+            this._buildIndex();
+        },
+
+        onAdd(map) {
+            if (!map.getPane(this.options.pane)) {
+                const pane = map.createPane(this.options.pane);
+                pane.style.zIndex = this.options.paneZIndex;
+                pane.style.pointerEvents = 'none';
+            }
+            this._canvas = L.DomUtil.create('canvas', 'leaflet-canvas-feature-layer');
+            this._canvas.style.position = 'absolute';
+            this._canvas._canvasLayer = this;
+            this.getPane().appendChild(this._canvas);
+            if (this.options.interactive) _attachDomHandlers(map);
+            this._reset();
+        },
+
+        onRemove() {
+            L.DomUtil.remove(this._canvas);
+            this._canvas = null;
+            if (this._frame) { cancelAnimationFrame(this._frame); this._frame = null; }
+        },
+
+        getEvents() {
+            return {
+                zoomstart: this._hide,
+                moveend: this._reset,
+                viewreset: this._reset,
+                resize: this._reset
+            };
+        },
+
+        /** Schedule a redraw on the next animation frame */
+        redraw() {
+            if (!this._map || this._frame) return this;
+            this._frame = requestAnimationFrame(() => {
+                this._frame = null;
+                this._draw();
+            });
+            return this;
+        },
+
+        bringToFront() {
+            if (this._canvas) this.getPane().appendChild(this._canvas);
+            return this;
+        },
+
+        bringToBack() {
+            if (this._canvas) this.getPane().insertBefore(this._canvas, this.getPane().firstChild);
+            return this;
+        },
+
+        getBounds() {
+            const [w, s, e, n] = this._lngLatBounds;
+            return L.latLngBounds([s, w], [n, e]);
+        },
+
+        /** Number of rendered features */
+        getFeatureCount() {
+            return this._items.length;
+        },
+
+        /** Source feature for a dataset feature index */
+        getFeature(index) {
+            return this._byIndex.get(index)?.feature || null;
+        },
+
+        eachLayer(fn, context) {
+            for (const item of this._items) fn.call(context, this._proxy(item));
+            return this;
+        },
+
+        getLayers() {
+            return this._items.map(item => this._proxy(item));
+        },
+
+        /** Proxy for a dataset feature index (null if not rendered) */
+        getFeatureLayer(index) {
+            const item = this._byIndex.get(index);
+            return item ? this._proxy(item) : null;
+        },
+
+        /**
+         * Features under a container point, topmost first.
+         * @param {L.Point} containerPoint
+         * @param {number} [tolerance=4] - extra pixels around points and lines
+         * @returns {Array<CanvasFeature>}
+         */
+        hitTest(containerPoint, tolerance = 4) {
+            if (!this._map) return [];
+            const view = this._view();
+            const nx = (containerPoint.x + view.ox) / view.scale;
+            const ny = (containerPoint.y + view.oy) / view.scale;
+            const reach = (tolerance + 24) / view.scale;
+            const candidates = this._query(nx - reach, ny - reach, nx + reach, ny + reach);
+            candidates.sort((a, b) => b.pos - a.pos);
+
+            const hits = [];
+            for (const item of candidates) {
+                if (_hitItem(item, containerPoint.x, containerPoint.y, view, tolerance)) hits.push(this._proxy(item));
+            }
+            return hits;
+        },
+
+        /** Dataset feature indices whose extent intersects the given L.LatLngBounds */
+        featureIndicesInBounds(bounds) {
+            const [x1, y2] = projectNormalized(bounds.getWest(), bounds.getSouth());
+            const [x2, y1] = projectNormalized(bounds.getEast(), bounds.getNorth());
+            return this._query(x1, y1, x2, y2).map(item => item.index);
+        },
+
+        _proxy(item) {
+            let p = this._proxies.get(item.pos);
+            if (!p) {
+                p = new CanvasFeature(this, item);
+                this._proxies.set(item.pos, p);
+            }
+            return p;
+        },
+
+        _itemBounds(item) {
+            const [w, s, e, n] = item.lngLatBbox;
+            return L.latLngBounds([s, w], [n, e]);
+        },
+
+        // ── Spatial index ──
+
+        _buildIndex() {
+            const [minX, minY, maxX, maxY] = this._bbox;
+            const n = this._items.length;
+            const side = Math.max(1, Math.min(1024, Math.ceil(Math.sqrt(n / 4))));
+            this._grid = {
+                minX, minY, side,
+                cw: Math.max((maxX - minX) / side, 1e-12),
+                ch: Math.max((maxY - minY) / side, 1e-12),
+                cells: new Map(),
+                oversize: []
+            };
+            for (const item of this._items) {
+                const [c1, r1, c2, r2] = this._cellRange(item.bbox);
+                if ((c2 - c1 + 1) * (r2 - r1 + 1) > MAX_CELLS_PER_ITEM) {
+                    this._grid.oversize.push(item);
+                    continue;
+                }
+                for (let c = c1; c <= c2; c++) {
+                    for (let r = r1; r <= r2; r++) {
+                        const key = r * side + c;
+                        let cell = this._grid.cells.get(key);
+                        if (!cell) { cell = []; this._grid.cells.set(key, cell); }
+                        cell.push(item);
+                    }
+                }
+            }
+            this._queryStamp = 0;
+        },
+
+        _cellRange([x1, y1, x2, y2]) {
+            const g = this._grid;
+            const clamp = v => Math.max(0, Math.min(g.side - 1, v));
+            return [
+                clamp(Math.floor((x1 - g.minX) / g.cw)),
+                clamp(Math.floor((y1 - g.minY) / g.ch)),
+                clamp(Math.floor((x2 - g.minX) / g.cw)),
+                clamp(Math.floor((y2 - g.minY) / g.ch))
+            ];
+        },
+
+        /** Items whose bbox intersects a normalized box, in no particular order */
+        _query(x1, y1, x2, y2) {
+            const [bx1, by1, bx2, by2] = this._bbox;
+            if (x2 < bx1 || x1 > bx2 || y2 < by1 || y1 > by2) return [];
+            const stamp = ++this._queryStamp;
+            const out = [];
+            const take = (item) => {
+                if (item._stamp === stamp) return;
+                item._stamp = stamp;
+                const b = item.bbox;
+                if (b[2] >= x1 && b[0] <= x2 && b[3] >= y1 && b[1] <= y2) out.push(item);
+            };
+            const [c1, r1, c2, r2] = this._cellRange([x1, y1, x2, y2]);
+            const g = this._grid;
+            for (let r = r1; r <= r2; r++) {
+                for (let c = c1; c <= c2; c++) {
+                    const cell = g.cells.get(r * g.side + c);
+                    if (cell) for (const item of cell) take(item);
+                }
+            }
+            for (const item of g.oversize) take(item);
+            return out;
+        },
+
+        // ── Drawing ──
+
+        _hide() {
+            if (this._canvas) this._canvas.style.visibility = 'hidden';
+        },
+
+        _reset() {
+            if (!this._map || !this._canvas) return;
+            const size = this._map.getSize();
+            const padX = Math.round(size.x * PAD);
+            const padY = Math.round(size.y * PAD);
+            const dpr = window.devicePixelRatio || 1;
+            const w = size.x + padX * 2;
+            const h = size.y + padY * 2;
+            this._canvas.width = Math.round(w * dpr);
+            this._canvas.height = Math.round(h * dpr);
+            this._canvas.style.width = w + 'px';
+            this._canvas.style.height = h + 'px';
+            L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([-padX, -padY]));
+            this._pad = { x: padX, y: padY, dpr };
+            this._canvas.style.visibility = '';
+            this._draw();
+        },
+
+        /** Current projection: container px = normalized * scale - (ox, oy) */
+        _view() {
+            const map = this._map;
+            const scale = 256 * Math.pow(2, map.getZoom());
+            const origin = map.getPixelBounds().min;
+            return { scale, ox: origin.x, oy: origin.y };
+        },
+
+        _draw() {
+            if (!this._map || !this._canvas || !this._pad) return;
+            const ctx = this._canvas.getContext('2d');
+            const { x: padX, y: padY, dpr } = this._pad;
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+            // Draw in container pixels; the canvas itself starts padX/padY before the container
+            ctx.setTransform(dpr, 0, 0, dpr, padX * dpr, padY * dpr);
+
+            const view = this._view();
+            const size = this._map.getSize();
+            const x1 = (view.ox - padX) / view.scale;
+            const y1 = (view.oy - padY) / view.scale;
+            const x2 = (view.ox + size.x + padX) / view.scale;
+            const y2 = (view.oy + size.y + padY) / view.scale;
+            const items = this._query(x1, y1, x2, y2);
+            items.sort((a, b) => a.pos - b.pos);
+
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+            for (const item of items) {
+                const s = item.override ? { ...item.style, ...item.override } : item.style;
+                if (item.kind === 'point') _drawPoints(ctx, item, s, view);
+                else _drawPath(ctx, item, s, view);
+            }
+        }
+    });
+}
+
+// ── Geometry preparation ──
+
+function _prepareItem(feature, lngLatBounds) {
+    const g = feature.geometry;
+    if (!g || !g.coordinates) return null;
+    let kind;
+    let parts;
+    switch (g.type) {
+        case 'Point': kind = 'point'; parts = [[g.coordinates]]; break;
+        case 'MultiPoint': kind = 'point'; parts = [g.coordinates]; break;
+        case 'LineString': kind = 'line'; parts = [g.coordinates]; break;
+        case 'MultiLineString': kind = 'line'; parts = g.coordinates; break;
+        case 'Polygon': kind = 'polygon'; parts = g.coordinates; break;
+        case 'MultiPolygon': kind = 'polygon'; parts = g.coordinates.flat(); break;
+        default: return null;   // GeometryCollection is rare enough to skip here
+    }
+
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const lngLatBbox = [Infinity, Infinity, -Infinity, -Infinity];
+    const rings = [];
+    for (const part of parts) {
+        if (!part?.length) continue;
+        const arr = new Float64Array(part.length * 2);
+        for (let i = 0; i < part.length; i++) {
+            const [lng, lat] = part[i];
+            const [x, y] = projectNormalized(lng, lat);
+            arr[i * 2] = x;
+            arr[i * 2 + 1] = y;
+            if (x < bbox[0]) bbox[0] = x;
+            if (y < bbox[1]) bbox[1] = y;
+            if (x > bbox[2]) bbox[2] = x;
+            if (y > bbox[3]) bbox[3] = y;
+            if (lng < lngLatBbox[0]) lngLatBbox[0] = lng;
+            if (lat < lngLatBbox[1]) lngLatBbox[1] = lat;
+            if (lng > lngLatBbox[2]) lngLatBbox[2] = lng;
+            if (lat > lngLatBbox[3]) lngLatBbox[3] = lat;
+        }
+        rings.push(arr);
+    }
+    if (!rings.length) return null;
+
+    if (lngLatBbox[0] < lngLatBounds[0]) lngLatBounds[0] = lngLatBbox[0];
+    if (lngLatBbox[1] < lngLatBounds[1]) lngLatBounds[1] = lngLatBbox[1];
+    if (lngLatBbox[2] > lngLatBounds[2]) lngLatBounds[2] = lngLatBbox[2];
+    if (lngLatBbox[3] > lngLatBounds[3]) lngLatBounds[3] = lngLatBbox[3];
+    return { feature, kind, rings, bbox, lngLatBbox };
+}
+
+function _drawPoints(ctx, item, s, view) {
+    const r = s.radius ?? 6;
+    ctx.fillStyle = s.fillColor || s.color;
+    ctx.strokeStyle = s.color;
+    ctx.lineWidth = s.weight ?? 1;
+    for (const ring of item.rings) {
+        for (let i = 0; i < ring.length; i += 2) {
+            const x = ring[i] * view.scale - view.ox;
+            const y = ring[i + 1] * view.scale - view.oy;
+            ctx.beginPath();
+            if (s.symbol === 'square') ctx.rect(x - r, y - r, r * 2, r * 2);
+            else ctx.arc(x, y, r, 0, Math.PI * 2);
+            ctx.globalAlpha = s.fillOpacity ?? 0.6;
+            ctx.fill();
+            if (s.weight) {
+                ctx.globalAlpha = s.opacity ?? 1;
+                ctx.stroke();
+            }
+        }
+    }
+    ctx.globalAlpha = 1;
+}
+
+function _drawPath(ctx, item, s, view) {
+    const { scale, ox, oy } = view;
+    const b = item.bbox;
+    // Sub-pixel features collapse to a dot so dense data still reads as coverage
+    if ((b[2] - b[0]) * scale < 1 && (b[3] - b[1]) * scale < 1) {
+        ctx.globalAlpha = s.opacity ?? 1;
+        ctx.fillStyle = s.color;
+        ctx.fillRect(Math.floor(b[0] * scale - ox), Math.floor(b[1] * scale - oy), 1, 1);
+        ctx.globalAlpha = 1;
+        return;
+    }
+
+    ctx.beginPath();
+    for (const ring of item.rings) {
+        let lx = ring[0] * scale - ox;
+        let ly = ring[1] * scale - oy;
+        ctx.moveTo(lx, ly);
+        const last = ring.length - 2;
+        for (let i = 2; i <= last; i += 2) {
+            const x = ring[i] * scale - ox;
+            const y = ring[i + 1] * scale - oy;
+            if (i !== last && Math.abs(x - lx) < MIN_PX_STEP && Math.abs(y - ly) < MIN_PX_STEP) continue;
+            ctx.lineTo(x, y);
+            lx = x;
+            ly = y;
+        }
+        if (item.kind === 'polygon') ctx.closePath();
+    }
+    if (item.kind === 'polygon' && (s.fillOpacity ?? 0) > 0) {
+        ctx.globalAlpha = s.fillOpacity;
+        ctx.fillStyle = s.fillColor || s.color;
+        ctx.fill('evenodd');
+    }
+    if ((s.weight ?? 1) > 0) {
+        ctx.globalAlpha = s.opacity ?? 1;
+        ctx.strokeStyle = s.color;
+        ctx.lineWidth = s.weight ?? 1;
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+}
+
+// ── Hit testing ──
+
+function _hitItem(item, px, py, view, tolerance) {
+    const s = item.override ? { ...item.style, ...item.override } : item.style;
+    const { scale, ox, oy } = view;
+    if (item.kind === 'point') {
+        const r = (s.radius ?? 6) + tolerance;
+        for (const ring of item.rings) {
+            for (let i = 0; i < ring.length; i += 2) {
+                const dx = ring[i] * scale - ox - px;
+                const dy = ring[i + 1] * scale - oy - py;
+                if (dx * dx + dy * dy <= r * r) return true;
+            }
+        }
+        return false;
+    }
+
+    if (item.kind === 'polygon') {
+        const nx = (px + ox) / scale;
+        const ny = (py + oy) / scale;
+        let inside = false;
+        for (const ring of item.rings) {
+            for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+                const xi = ring[i], yi = ring[i + 1], xj = ring[j], yj = ring[j + 1];
+                if ((yi > ny) !== (yj > ny) && nx < (xj - xi) * (ny - yi) / (yj - yi) + xi) inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    const limit = (s.weight ?? 2) + tolerance + 2;
+    for (const ring of item.rings) {
+        for (let i = 0; i + 3 < ring.length; i += 2) {
+            const d = _segDist(px, py,
+                ring[i] * scale - ox, ring[i + 1] * scale - oy,
+                ring[i + 2] * scale - ox, ring[i + 3] * scale - oy);
+            if (d <= limit) return true;
+        }
+    }
+    return false;
+}
+
+function _segDist(px, py, ax, ay, bx, by) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const len2 = dx * dx + dy * dy;
+    let t = len2 ? ((px - ax) * dx + (py - ay) * dy) / len2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    const ex = ax + t * dx - px;
+    const ey = ay + t * dy - py;
+    return Math.sqrt(ex * ex + ey * ey);
+}
+
+// ── DOM events ──
+// Canvases sit in a non-interactive pane, so clicks are caught on the map container
+// (capture phase) and dispatched through Leaflet the same way its own Canvas renderer does.
+
+const _attachedMaps = new WeakSet();
+
+function _attachDomHandlers(map) {
+    if (_attachedMaps.has(map)) return;
+    _attachedMaps.add(map);
+    const container = map.getContainer();
+
+    const topHit = (e) => {
+        // SVG paths, markers, popups and controls are above the canvas and win
+        if (e.target?.closest?.('.leaflet-interactive, .leaflet-control, .leaflet-popup, .leaflet-marker-icon')) return null;
+        const pane = map.getPane('canvasFeaturePane');
+        if (!pane) return null;
+        const pt = map.mouseEventToContainerPoint(e);
+        const canvases = [...pane.children].reverse();
+        for (const canvas of canvases) {
+            const layer = canvas._canvasLayer;
+            if (!layer?.options.interactive) continue;
+            const hits = layer.hitTest(pt);
+            if (hits.length) return hits[0];
+        }
+        return null;
+    };
+
+    const onClick = (e) => {
+        if (map.dragging?.moved?.() || map.boxZoom?.moved?.()) return;
+        const hit = topHit(e);
+        if (!hit) return;
+        // Keep Leaflet's container handler from firing a bare map event too;
+        // _fireDOMEvent fires on the feature first, then the map unless stopped.
+        e.stopPropagation();
+        map._fireDOMEvent(e, e.type, [hit]);
+    };
+
+    let hoverFrame = null;
+    const onMove = (e) => {
+        if (hoverFrame) return;
+        hoverFrame = requestAnimationFrame(() => {
+            hoverFrame = null;
+            container.classList.toggle('canvas-feature-hover', !!topHit(e));
+        });
+    };
+
+    container.addEventListener('click', onClick, true);
+    container.addEventListener('contextmenu', onClick, true);
+    container.addEventListener('mousemove', onMove, { passive: true });
+}
+
+export default { createCanvasFeatureLayer, projectNormalized };
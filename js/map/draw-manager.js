@@ -1,11 +1,14 @@
 /**
  * Draw Manager — Create and edit features directly on the map
- * Supports drawing points, lines, and polygons into a target layer.
+ * Supports drawing points, lines, and polygons into a target layer, and COGO
+ * entry (bearing/distance legs from a start point, see tools/cogo.js).
  * Uses native Leaflet events (no external draw library required).
  */
 import bus from '../core/event-bus.js';
 import logger from '../core/logger.js';
 import mapManager from './map-manager.js';
+import { snapLatLng, showSnapIndicator, clearSnapIndicator, snapButtonsHtml, bindSnapButtons } from './snapping.js';
+import { UNITS, parseTraverse, computeTraverse, formatBearing } from '../tools/cogo.js';
 
 const DRAW_STYLE = {
     color: '#01bcdd',
@@ -28,7 +31,7 @@ const VERTEX_STYLE = {
 class DrawManager {
     constructor() {
         this._active = false;
-        this._tool = null;          // 'point' | 'line' | 'polygon' | null
+        this._tool = null;          // 'point' | 'line' | 'polygon' | 'cogo' | null
         this._targetLayerId = null;  // layer ID to add features to
         this._vertices = [];         // current drawing vertices [{lat, lng}]
         this._previewLayers = [];    // temp Leaflet layers for drawing preview
@@ -42,6 +45,9 @@ class DrawManager {
         this._clickTimeout = null;   // debounce clicks vs dblclick
         this._finishing = false;     // guard to prevent clicks during finish
         this._lastTapTime = 0;       // for mobile double-tap detection
+        this._unbindSnap = null;
+        this._sketch = null;         // { onFinish } while drawing a shape for a tool instead of a layer
+        this._cogo = null;           // { start, panel, layer, result, timer } while the COGO tool is open
     }
 
     /** Get the Leaflet map instance */
@@ -89,7 +95,12 @@ class DrawManager {
                     <svg width="16" height="16" viewBox="0 0 16 16"><polygon points="8,1 15,12 1,12" stroke="currentColor" stroke-width="1.5" fill="currentColor" fill-opacity="0.3"/></svg>
                     <span>Polygon</span>
                 </button>
+                <button class="draw-tool-btn" data-tool="cogo" title="Enter bearings and distances (COGO traverse)">
+                    <svg width="16" height="16" viewBox="0 0 16 16"><path d="M2 14L6 4L14 7" stroke="currentColor" stroke-width="1.5" fill="none"/><circle cx="2" cy="14" r="1.8" fill="currentColor"/></svg>
+                    <span>COGO</span>
+                </button>
             </div>
+            <div class="draw-toolbar-tools">${snapButtonsHtml()}</div>
             <div class="draw-toolbar-hint"></div>
             <button class="draw-finish-btn" style="display:none;">✓ Finish</button>
         `;
@@ -112,6 +123,8 @@ class DrawManager {
             };
         });
 
+        this._unbindSnap = bindSnapButtons(toolbar);
+
         // Prevent all clicks/dblclicks on the toolbar from reaching the map
         toolbar.addEventListener('click', (e) => e.stopPropagation());
         toolbar.addEventListener('dblclick', (e) => e.stopPropagation());
@@ -125,6 +138,22 @@ class DrawManager {
         bus.emit('draw:toolbarOpened', { layerId });
     }
 
+    /**
+     * Draw a temporary shape that is handed to a callback instead of being added
+     * to a layer (e.g. the cutting line of the split tool). The toolbar closes once it is drawn.
+     * @param {'line'|'polygon'} tool
+     * @param {Object} opts
+     * @param {string} opts.title - toolbar title (HTML)
+     * @param {Function} opts.onFinish - called with the drawn GeoJSON geometry
+     */
+    startSketch(tool, { title, onFinish }) {
+        this.showToolbar(null, '');
+        this._toolbar.querySelector('.draw-toolbar-title').innerHTML = title;
+        this._toolbar.querySelector('[data-tool]').parentElement.style.display = 'none';
+        this._sketch = { onFinish };
+        this.startTool(tool);
+    }
+
     /** Hide the draw toolbar and cancel any active drawing */
     hideToolbar() {
         this.cancelDraw();
@@ -132,8 +161,10 @@ class DrawManager {
             this._toolbar.remove();
             this._toolbar = null;
         }
+        if (this._unbindSnap) { this._unbindSnap(); this._unbindSnap = null; }
         this._active = false;
         this._targetLayerId = null;
+        this._sketch = null;
         bus.emit('draw:toolbarClosed');
     }
 
@@ -199,6 +230,9 @@ class DrawManager {
             }
         } else if (tool === 'point') {
             this._setHint(window.innerWidth < 768 ? 'Tap on the map to place a point.' : 'Click on the map to place a point.');
+        } else if (tool === 'cogo') {
+            this._openCogoPanel();
+            this._setHint('Click the map or type the point of beginning, then enter one leg per line.');
         }
 
         // Also finish line/polygon with Enter key
@@ -219,6 +253,8 @@ class DrawManager {
     /** Cancel the current drawing (discard vertices) */
     cancelDraw() {
         this._clearPreview();
+        this._closeCogoPanel();
+        clearSnapIndicator();
         this._vertices = [];
         this._tool = null;
         this._finishing = false;
@@ -260,7 +296,12 @@ class DrawManager {
 
         if (this._finishing) return;
 
-        const { lat, lng } = e.latlng;
+        const { lat, lng } = this._snap(e).latlng;
+
+        if (this._tool === 'cogo') {
+            this._setCogoStart(L.latLng(lat, lng));
+            return;
+        }
 
         if (this._tool === 'point') {
             // Single click places a point immediately
@@ -323,9 +364,21 @@ class DrawManager {
     }
 
     _onMapMove(e) {
-        if (this._tool === 'point' || this._vertices.length === 0) return;
+        const snap = this._snap(e);
+        if (this._tool === 'point' || this._vertices.length === 0) {
+            showSnapIndicator(this.map, snap);
+            return;
+        }
         // Update rubber-band line from last vertex to cursor
-        this._updateRubberBand(e.latlng);
+        this._updateRubberBand(snap.latlng, snap);
+    }
+
+    /** Snap a map event's position; the shape being drawn counts too, so lines can close on themselves */
+    _snap(e) {
+        return snapLatLng(this.map, e.latlng, {
+            originalEvent: e.originalEvent,
+            extra: this._vertices.slice(0, -1).map(v => [v.lng, v.lat])
+        });
     }
 
     _onMapDblClick(e) {
@@ -344,7 +397,8 @@ class DrawManager {
 
         // Add the double-click point as the final vertex
         if (e.latlng) {
-            this._addVertex(e.latlng.lat, e.latlng.lng);
+            const { lat, lng } = this._snap(e).latlng;
+            this._addVertex(lat, lng);
         }
 
         // Need minimum vertices to finish
@@ -377,7 +431,8 @@ class DrawManager {
         this._previewLine = L.polyline(latlngs, DRAW_STYLE).addTo(this.map);
     }
 
-    _updateRubberBand(cursorLatLng) {
+    _updateRubberBand(cursorLatLng, snap = null) {
+        showSnapIndicator(this.map, snap);
         // Remove old rubber band
         if (this._rubberBand) {
             this.map.removeLayer(this._rubberBand);
@@ -413,6 +468,135 @@ class DrawManager {
         }
     }
 
+    // ============================
+    // COGO traverse entry
+    // ============================
+
+    _openCogoPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'cogo-panel';
+        panel.innerHTML = `
+            <label>Point of beginning</label>
+            <div class="cogo-row">
+                <input type="text" class="cogo-start" placeholder="Click the map or type 40.4462, -79.9489" autocomplete="off">
+                <button class="draw-tool-btn cogo-start-go" title="Go" style="flex:0 0 auto;">→</button>
+            </div>
+            <label>Legs <select class="cogo-unit" title="Unit for distances written without one">
+                ${Object.entries(UNITS).map(([k, u]) => `<option value="${k}">${u.label}</option>`).join('')}
+            </select></label>
+            <textarea class="cogo-legs" rows="6" spellcheck="false"
+                placeholder="N45°30'E 150.25&#10;S 12-34-56 W 80.5&#10;C R=500 L=120.5 CB=N60°10'E right"></textarea>
+            <div class="cogo-report"></div>
+            <label class="cogo-close-row"><input type="checkbox" class="cogo-close"> Close into a polygon</label>
+            <button class="draw-finish-btn cogo-add" disabled>✓ Add to layer</button>
+        `;
+        // Typing here must not trigger the map's or the app's keyboard shortcuts
+        panel.addEventListener('keydown', (e) => e.stopPropagation());
+
+        const startInput = panel.querySelector('.cogo-start');
+        const goStart = () => {
+            const parsed = mapManager._parseCoordinates(startInput.value);
+            if (!parsed) {
+                startInput.style.outline = '2px solid #e74c3c';
+                setTimeout(() => { startInput.style.outline = ''; }, 1200);
+                return;
+            }
+            this._setCogoStart(L.latLng(parsed.lat, parsed.lng));
+            this.map.panTo([parsed.lat, parsed.lng]);
+        };
+        panel.querySelector('.cogo-start-go').onclick = goStart;
+        startInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') goStart(); });
+
+        const schedule = () => {
+            clearTimeout(this._cogo.timer);
+            this._cogo.timer = setTimeout(() => this._updateCogo(), 200);
+        };
+        panel.querySelector('.cogo-legs').addEventListener('input', schedule);
+        panel.querySelector('.cogo-unit').onchange = () => this._updateCogo();
+        panel.querySelector('.cogo-close').onchange = () => this._updateCogo();
+        panel.querySelector('.cogo-add').onclick = () => this._finishCogo();
+
+        this._toolbar.appendChild(panel);
+        this._cogo = { start: null, panel, layer: L.layerGroup().addTo(this.map), result: null, timer: null };
+    }
+
+    _closeCogoPanel() {
+        if (!this._cogo) return;
+        clearTimeout(this._cogo.timer);
+        this._cogo.panel.remove();
+        this.map?.removeLayer(this._cogo.layer);
+        this._cogo = null;
+    }
+
+    _setCogoStart(latlng) {
+        if (!this._cogo) return;
+        this._cogo.start = latlng;
+        this._cogo.panel.querySelector('.cogo-start').value = `${latlng.lat.toFixed(7)}, ${latlng.lng.toFixed(7)}`;
+        this._updateCogo();
+    }
+
+    /** Re-run the traverse and redraw the preview and closure report */
+    _updateCogo() {
+        const cogo = this._cogo;
+        if (!cogo) return;
+        const panel = cogo.panel;
+        const unit = panel.querySelector('.cogo-unit').value;
+        const close = panel.querySelector('.cogo-close').checked;
+        const report = panel.querySelector('.cogo-report');
+        const addBtn = panel.querySelector('.cogo-add');
+        const { legs, errors } = parseTraverse(panel.querySelector('.cogo-legs').value, unit);
+
+        cogo.layer.clearLayers();
+        cogo.result = null;
+        if (cogo.start) L.circleMarker(cogo.start, { ...VERTEX_STYLE, radius: 6, fillColor: '#01bcdd' }).addTo(cogo.layer);
+
+        const len = (m) => `${(m / UNITS[unit].meters).toLocaleString(undefined, { maximumFractionDigits: 2 })} ${UNITS[unit].abbr}`;
+        const lines = errors.map(err => `<div class="cogo-error">Line ${err.line}: ${err.message}</div>`);
+
+        if (cogo.start && legs.length) {
+            const result = computeTraverse(cogo.start, legs);
+            cogo.result = result;
+            const latlngs = result.coords.map(([lng, lat]) => [lat, lng]);
+            (close ? L.polygon(latlngs, DRAW_STYLE) : L.polyline(latlngs, DRAW_STYLE)).addTo(cogo.layer);
+            result.stations.slice(1).forEach(([lng, lat]) => L.circleMarker([lat, lng], VERTEX_STYLE).addTo(cogo.layer));
+
+            const { closure } = result;
+            lines.unshift(`<div>${legs.length} leg${legs.length === 1 ? '' : 's'} · ${len(result.perimeter)}</div>`,
+                closure.precision
+                    ? `<div>Misclosure ${len(closure.error)} ${formatBearing(closure.azimuth)} · 1:${Math.round(closure.precision).toLocaleString()}</div>`
+                    : '<div>Closes exactly</div>');
+            if (close) {
+                const area = unit === 'm'
+                    ? `${Math.round(result.area).toLocaleString()} m² (${(result.area / 10000).toFixed(4)} ha)`
+                    : `${Math.round(result.area / UNITS[unit].meters ** 2).toLocaleString()} sq ${UNITS[unit].abbr} (${(result.area / 4046.8564224).toFixed(4)} ac)`;
+                lines.push(`<div>Area ${area}</div>`);
+            }
+        } else if (!cogo.start) {
+            lines.unshift('<div>Set the point of beginning first.</div>');
+        }
+        report.innerHTML = lines.join('');
+
+        const minVerts = close ? 3 : 2;
+        addBtn.disabled = !cogo.result || errors.length > 0 || cogo.result.coords.length < minVerts;
+        addBtn.textContent = close ? '✓ Add polygon' : '✓ Add line';
+    }
+
+    _finishCogo() {
+        const result = this._cogo?.result;
+        if (!result) return;
+        const coords = result.coords.slice();
+        if (this._cogo.panel.querySelector('.cogo-close').checked) {
+            // Closing leg: drop a last point that already coincides with the start
+            const [fx, fy] = coords[0];
+            const [lx, ly] = coords[coords.length - 1];
+            if (Math.abs(fx - lx) < 1e-10 && Math.abs(fy - ly) < 1e-10) coords.pop();
+            coords.push(coords[0]);
+            this._createFeature('Polygon', [coords]);
+        } else {
+            this._createFeature('LineString', coords);
+        }
+    }
+
     // ============================
     // Feature creation
     // ============================
@@ -448,6 +632,13 @@ class DrawManager {
         this._clearPreview();
         this._vertices = [];
 
+        if (this._sketch) {
+            const { onFinish } = this._sketch;
+            this.hideToolbar();
+            onFinish(feature.geometry);
+            return;
+        }
+
         // Emit the new feature so app.js can add it to the layer
         bus.emit('draw:featureCreated', {
             layerId: this._targetLayerId,
@@ -459,6 +650,11 @@ class DrawManager {
         // Stay in the same tool for continued drawing
         if (this._tool === 'point') {
             this._setHint('Point placed! Click again to add another.');
+        } else if (this._tool === 'cogo') {
+            // Keep the point of beginning for the next traverse
+            this._cogo.panel.querySelector('.cogo-legs').value = '';
+            this._updateCogo();
+            this._setHint(`${type === 'Polygon' ? 'Polygon' : 'Line'} added. Enter the next traverse.`);
         } else {
             // Re-start line/polygon tool for another feature
             const currentTool = this._tool;
@@ -0,0 +1,509 @@
+/**
+ * Geometry Editor — reshape an existing feature on the map
+ * Drag vertices, insert a vertex by dragging or clicking a midpoint, delete
+ * vertices, move the whole feature, and rotate or scale lines and polygons.
+ * Works on a copy; Save emits 'geometry:edited' and app.js records it as one undo step.
+ * Vertex drags and moves snap to other features (see snapping.js).
+ * Uses native Leaflet markers for handles; rotate/scale use Turf.
+ */
+import bus from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import mapManager from './map-manager.js';
+import { snapLatLng, snapMove, showSnapIndicator, clearSnapIndicator, snapButtonsHtml, bindSnapButtons } from './snapping.js';
+
+const EDIT_STYLE = {
+    color: '#01bcdd',
+    weight: 3,
+    opacity: 0.9,
+    fillColor: '#01bcdd',
+    fillOpacity: 0.2,
+    dashArray: '6 4'
+};
+
+// Above this many vertices only move/rotate/scale are offered — one marker per vertex gets slow
+const MAX_VERTEX_HANDLES = 1500;
+
+const MODES = {
+    vertices: 'Vertices',
+    move: 'Move',
+    rotate: 'Rotate',
+    scale: 'Scale'
+};
+
+class GeometryEditor {
+    constructor() {
+        this._layerId = null;
+        this._featureIndex = null;
+        this._type = null;          // geometry type being edited
+        this._parts = [];           // [{ coords: [[lng, lat]…], src, closed, poly }] — rings kept open while editing;
+                                    // src holds each vertex's original index (null when inserted)
+        this._original = null;      // geometry at start, for Cancel and change detection
+        this._mode = 'vertices';
+        this._selected = null;      // { part, index } of the selected vertex
+        this._undoStack = [];       // parts snapshots, one per change
+        this._group = null;         // Leaflet layer group for preview + handles
+        this._preview = null;
+        this._toolbar = null;
+        this._keyHandler = null;
+        this._clickGuard = null;
+        this._unbindSnap = null;
+    }
+
+    get map() { return mapManager.map; }
+
+    /** Is a feature being edited? */
+    get isEditing() { return this._layerId !== null; }
+
+    get layerId() { return this._layerId; }
+    get featureIndex() { return this._featureIndex; }
+
+    /**
+     * Start editing a feature's geometry.
+     * @param {string} layerId
+     * @param {number} featureIndex
+     * @param {Object} feature - GeoJSON feature (not modified)
+     * @param {string} [layerName] - HTML-safe display name for the toolbar
+     */
+    start(layerId, featureIndex, feature, layerName = '') {
+        if (this.isEditing) this.cancel();
+        const geom = feature?.geometry;
+        if (!geom || !geom.type || geom.type === 'GeometryCollection') {
+            logger.warn('GeometryEditor', 'Unsupported geometry', { type: geom?.type });
+            return false;
+        }
+        if (mapManager._selectionMode) mapManager.exitSelectionMode();
+
+        this._layerId = layerId;
+        this._featureIndex = featureIndex;
+        this._type = geom.type;
+        this._original = JSON.parse(JSON.stringify(geom));
+        this._parts = toParts(this._original).map(p => ({ ...p, src: p.coords.map((c, i) => i) }));
+        this._undoStack = [];
+        this._selected = null;
+        this._mode = this._vertexCount() > MAX_VERTEX_HANDLES ? 'move' : 'vertices';
+
+        this._group = L.layerGroup().addTo(this.map);
+        this._showToolbar(layerName);
+
+        // Keep clicks on the map from opening popups or selecting while editing
+        this._clickGuard = (e) => { e._drawHandled = true; };
+        this.map.getContainer().addEventListener('click', this._clickGuard, true);
+
+        this._keyHandler = (e) => {
+            if (e.target.closest?.('input, textarea, select')) return;
+            if (e.key === 'Escape') this.cancel();
+            else if (e.key === 'Enter') this.save();
+            else if ((e.key === 'Delete' || e.key === 'Backspace') && this._selected) {
+                e.preventDefault();
+                this._deleteVertex(this._selected.part, this._selected.index);
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                e.stopPropagation();
+                this._undoStep();
+            }
+        };
+        document.addEventListener('keydown', this._keyHandler, true);
+
+        this._render();
+        logger.info('GeometryEditor', 'Editing geometry', { layerId, featureIndex, type: this._type });
+        bus.emit('geometry:editStarted', { layerId, featureIndex });
+        return true;
+    }
+
+    /** Finish: emit the new geometry if it changed, with where each vertex came from */
+    save() {
+        if (!this.isEditing) return;
+        const geometry = this._build();
+        const changed = JSON.stringify(geometry) !== JSON.stringify(this._original);
+        const { _layerId: layerId, _featureIndex: featureIndex } = this;
+        const vertexSources = this._parts.map(p => p.src);
+        this._teardown();
+        if (changed) {
+            bus.emit('geometry:edited', { layerId, featureIndex, geometry, vertexSources });
+            logger.info('GeometryEditor', 'Geometry edited', { layerId, featureIndex });
+        }
+        bus.emit('geometry:editEnded', { layerId, featureIndex, saved: changed });
+    }
+
+    /** Discard changes */
+    cancel() {
+        if (!this.isEditing) return;
+        const { _layerId: layerId, _featureIndex: featureIndex } = this;
+        this._teardown();
+        bus.emit('geometry:editEnded', { layerId, featureIndex, saved: false });
+    }
+
+    _teardown() {
+        if (this._group) { this.map?.removeLayer(this._group); this._group = null; }
+        if (this._toolbar) { this._toolbar.remove(); this._toolbar = null; }
+        if (this._unbindSnap) { this._unbindSnap(); this._unbindSnap = null; }
+        clearSnapIndicator();
+        if (this._keyHandler) { document.removeEventListener('keydown', this._keyHandler, true); this._keyHandler = null; }
+        if (this._clickGuard) { this.map?.getContainer().removeEventListener('click', this._clickGuard, true); this._clickGuard = null; }
+        this._layerId = null;
+        this._featureIndex = null;
+        this._parts = [];
+        this._undoStack = [];
+        this._selected = null;
+        this._preview = null;
+    }
+
+    // ============================
+    // Toolbar UI
+    // ============================
+
+    _showToolbar(layerName) {
+        const isPoint = this._type === 'Point' || this._type === 'MultiPoint';
+        const tooMany = this._vertexCount() > MAX_VERTEX_HANDLES;
+        const modes = Object.entries(MODES).filter(([key]) => {
+            if (key === 'vertices') return !tooMany;
+            if (key === 'rotate' || key === 'scale') return !isPoint;
+            return this._type !== 'Point';
+        });
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'draw-toolbar';
+        toolbar.innerHTML = `
+            <div class="draw-toolbar-header">
+                <span class="draw-toolbar-title">⬚ Edit shape${layerName ? `: <strong>${layerName}</strong>` : ''}</span>
+                <button class="draw-toolbar-close" title="Cancel (Esc)">✕</button>
+            </div>
+            <div class="draw-toolbar-tools">
+                ${modes.map(([key, label]) => `<button class="draw-tool-btn" data-mode="${key}">${label}</button>`).join('')}
+            </div>
+            <div class="draw-toolbar-tools">
+                <button class="draw-tool-btn geom-delete-btn" title="Delete selected vertex (Del)">🗑 Vertex</button>
+                <button class="draw-tool-btn geom-undo-btn" title="Undo last change (Ctrl+Z)">↩ Step</button>
+            </div>
+            <div class="draw-toolbar-tools">${snapButtonsHtml()}</div>
+            <div class="draw-toolbar-hint"></div>
+            <button class="draw-finish-btn">✓ Save shape</button>
+        `;
+        toolbar.querySelector('.draw-toolbar-close').onclick = () => this.cancel();
+        toolbar.querySelector('.draw-finish-btn').onclick = () => this.save();
+        toolbar.querySelector('.geom-undo-btn').onclick = () => this._undoStep();
+        toolbar.querySelector('.geom-delete-btn').onclick = () => {
+            if (this._selected) this._deleteVertex(this._selected.part, this._selected.index);
+        };
+        toolbar.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.onclick = () => { this._mode = btn.dataset.mode; this._selected = null; this._render(); };
+        });
+        this._unbindSnap = bindSnapButtons(toolbar);
+        toolbar.addEventListener('click', (e) => e.stopPropagation());
+        toolbar.addEventListener('dblclick', (e) => e.stopPropagation());
+        toolbar.addEventListener('mousedown', (e) => e.stopPropagation());
+
+        if (tooMany) {
+            toolbar.querySelector('.draw-toolbar-hint').dataset.note =
+                `${this._vertexCount().toLocaleString()} vertices — too many to edit one by one. `;
+        }
+        this.map.getContainer().appendChild(toolbar);
+        this._toolbar = toolbar;
+    }
+
+    _updateToolbar() {
+        if (!this._toolbar) return;
+        this._toolbar.querySelectorAll('[data-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === this._mode);
+        });
+        const del = this._toolbar.querySelector('.geom-delete-btn');
+        del.disabled = !this._selected || !this._canDelete(this._selected.part);
+        del.style.display = this._mode === 'vertices' && this._type !== 'Point' ? '' : 'none';
+        this._toolbar.querySelector('.geom-undo-btn').disabled = this._undoStack.length === 0;
+
+        const hints = {
+            vertices: this._type === 'Point'
+                ? 'Drag the point to move it.'
+                : 'Drag a vertex to move it; drag or click a midpoint to add one. Click a vertex, then Del (or right-click) to delete.',
+            move: 'Drag the ✥ handle to move the whole feature.',
+            rotate: 'Drag the ⟳ handle to rotate around the centre.',
+            scale: 'Drag the ⤢ handle to scale from the centre.'
+        };
+        const hint = this._toolbar.querySelector('.draw-toolbar-hint');
+        hint.textContent = (hint.dataset.note || '') + hints[this._mode] + ' Enter saves, Esc cancels.';
+    }
+
+    // ============================
+    // Rendering
+    // ============================
+
+    _render() {
+        this._group.clearLayers();
+        this._preview = L.geoJSON(this._build(), {
+            style: () => EDIT_STYLE,
+            pointToLayer: (f, latlng) => L.circleMarker(latlng, { ...EDIT_STYLE, radius: 7, dashArray: null }),
+            interactive: false
+        }).addTo(this._group);
+
+        if (this._mode === 'vertices') this._renderVertexHandles();
+        else this._renderTransformHandle();
+        this._updateToolbar();
+    }
+
+    // Redraw just the outline while dragging
+    _refreshPreview() {
+        if (this._preview) this._group.removeLayer(this._preview);
+        this._preview = L.geoJSON(this._build(), {
+            style: () => EDIT_STYLE,
+            pointToLayer: (f, latlng) => L.circleMarker(latlng, { ...EDIT_STYLE, radius: 7, dashArray: null }),
+            interactive: false
+        }).addTo(this._group);
+    }
+
+    _renderVertexHandles() {
+        this._parts.forEach((part, p) => {
+            const n = part.coords.length;
+            part.coords.forEach((c, i) => {
+                const selected = this._selected?.part === p && this._selected?.index === i;
+                const marker = this._handle(c, `geom-vertex${selected ? ' selected' : ''}`, 12);
+                marker.on('dragstart', () => this._pushUndo());
+                marker.on('drag', (e) => {
+                    const ll = this._snapDrag(e);
+                    part.coords[i] = [ll.lng, ll.lat, ...c.slice(2)];
+                    this._refreshPreview();
+                });
+                marker.on('dragend', () => { clearSnapIndicator(); this._render(); });
+                marker.on('click', () => {
+                    this._selected = selected ? null : { part: p, index: i };
+                    this._render();
+                });
+                marker.on('contextmenu', (e) => {
+                    L.DomEvent.stop(e);
+                    this._deleteVertex(p, i);
+                });
+            });
+
+            // Midpoints between consecutive vertices (and closing segment of rings)
+            if (part.point) return;
+            const segs = part.closed ? n : n - 1;
+            for (let i = 0; i < segs; i++) {
+                const a = part.coords[i];
+                const b = part.coords[(i + 1) % n];
+                const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+                const marker = this._handle(mid, 'geom-midpoint', 10);
+                let inserted = false;
+                const insert = () => {
+                    if (inserted) return;
+                    inserted = true;
+                    this._pushUndo();
+                    part.coords.splice(i + 1, 0, mid.slice());
+                    part.src.splice(i + 1, 0, null);
+                };
+                marker.on('dragstart', insert);
+                marker.on('drag', (e) => {
+                    const ll = this._snapDrag(e);
+                    part.coords[i + 1] = [ll.lng, ll.lat];
+                    this._refreshPreview();
+                });
+                marker.on('dragend', () => { clearSnapIndicator(); this._render(); });
+                marker.on('click', () => { insert(); this._selected = { part: p, index: i + 1 }; this._render(); });
+            }
+        });
+    }
+
+    _renderTransformHandle() {
+        const geom = this._build();
+        const pivot = this._centroid(geom);
+        const pivotPx = this.map.latLngToLayerPoint([pivot[1], pivot[0]]);
+
+        let handlePos;
+        let icon;
+        if (this._mode === 'move') {
+            handlePos = pivot;
+            icon = '✥';
+        } else {
+            // Rotate handle above the shape, scale handle at its north-east corner
+            const b = L.geoJSON(geom).getBounds();
+            const ne = this.map.latLngToLayerPoint(b.getNorthEast());
+            const nw = this.map.latLngToLayerPoint(b.getNorthWest());
+            const px = this._mode === 'rotate'
+                ? L.point((ne.x + nw.x) / 2, Math.min(ne.y, nw.y) - 30)
+                : L.point(ne.x + 14, ne.y - 14);
+            const ll = this.map.layerPointToLatLng(px);
+            handlePos = [ll.lng, ll.lat];
+            icon = this._mode === 'rotate' ? '⟳' : '⤢';
+        }
+
+        const marker = this._handle(handlePos, 'geom-transform-handle', 24, icon);
+        if (this._mode !== 'move') {
+            L.polyline([[pivot[1], pivot[0]], [handlePos[1], handlePos[0]]], { color: EDIT_STYLE.color, weight: 1, dashArray: '3 4', interactive: false })
+                .addTo(this._group);
+        }
+
+        let start = null;
+        marker.on('dragstart', (e) => {
+            this._pushUndo();
+            start = { geom: this._build(), px: this.map.latLngToLayerPoint(e.target.getLatLng()) };
+        });
+        marker.on('drag', (e) => {
+            if (!start) return;
+            const px = this.map.latLngToLayerPoint(e.target.getLatLng());
+            let out;
+            if (this._mode === 'move') {
+                const offset = px.subtract(start.px);
+                out = this._translate(start.geom, offset);
+                const snap = snapMove(this.map, flatCoords(out.coordinates), {
+                    exclude: this._snapExclude(), originalEvent: e.originalEvent
+                });
+                if (snap) out = this._translate(start.geom, offset.add([snap.dx, snap.dy]));
+                showSnapIndicator(this.map, snap?.snap);
+            } else if (this._mode === 'rotate') {
+                const a0 = Math.atan2(start.px.y - pivotPx.y, start.px.x - pivotPx.x);
+                const a1 = Math.atan2(px.y - pivotPx.y, px.x - pivotPx.x);
+                out = turf.transformRotate(start.geom, (a1 - a0) * 180 / Math.PI, { pivot });
+            } else {
+                const d0 = start.px.distanceTo(pivotPx);
+                const factor = d0 > 0 ? px.distanceTo(pivotPx) / d0 : 1;
+                out = turf.transformScale(start.geom, Math.max(0.01, factor), { origin: pivot });
+            }
+            this._parts = toParts(out).map((p, i) => ({ ...p, src: this._parts[i].src }));
+            this._refreshPreview();
+        });
+        marker.on('dragend', () => { start = null; clearSnapIndicator(); this._render(); });
+    }
+
+    // Snap a dragged handle to other features and pin the handle there
+    _snapDrag(e) {
+        const snap = snapLatLng(this.map, e.target.getLatLng(), {
+            exclude: this._snapExclude(), originalEvent: e.originalEvent
+        });
+        if (snap.snapped) e.target.setLatLng(snap.latlng);
+        showSnapIndicator(this.map, snap);
+        return snap.latlng;
+    }
+
+    // The feature's saved geometry is stale while editing — never snap to it
+    _snapExclude() {
+        return { layerId: this._layerId, featureIndex: this._featureIndex };
+    }
+
+    _handle(coord, className, size, html = '') {
+        const marker = L.marker([coord[1], coord[0]], {
+            draggable: true,
+            keyboard: false,
+            zIndexOffset: 1000,
+            icon: L.divIcon({ className, iconSize: [size, size], html })
+        });
+        marker.addTo(this._group);
+        return marker;
+    }
+
+    // ============================
+    // Edits
+    // ============================
+
+    _canDelete(p) {
+        const part = this._parts[p];
+        if (!part) return false;
+        if (part.point) return this._parts[0].coords.length > 1 && this._type === 'MultiPoint';
+        return part.coords.length > (part.closed ? 3 : 2);
+    }
+
+    _deleteVertex(p, i) {
+        if (this._mode !== 'vertices') return;
+        if (!this._canDelete(p)) {
+            this._flashHint(this._parts[p]?.closed ? 'A ring needs at least 3 vertices.' : 'A line needs at least 2 vertices.');
+            return;
+        }
+        this._pushUndo();
+        this._parts[p].coords.splice(i, 1);
+        this._parts[p].src.splice(i, 1);
+        this._selected = null;
+        this._render();
+    }
+
+    _pushUndo() {
+        this._undoStack.push(JSON.stringify(this._parts));
+    }
+
+    _undoStep() {
+        const prev = this._undoStack.pop();
+        if (!prev) return;
+        this._parts = JSON.parse(prev);
+        this._selected = null;
+        this._render();
+    }
+
+    _flashHint(text) {
+        const hint = this._toolbar?.querySelector('.draw-toolbar-hint');
+        if (!hint) return;
+        hint.textContent = text;
+        setTimeout(() => this._updateToolbar(), 2000);
+    }
+
+    // Translate in screen space so the shape moves exactly as dragged
+    _translate(geom, offset) {
+        const zoom = this.map.getZoom();
+        const shift = (c) => {
+            const p = this.map.project([c[1], c[0]], zoom).add(offset);
+            const ll = this.map.unproject(p, zoom);
+            return [ll.lng, ll.lat, ...c.slice(2)];
+        };
+        return { type: geom.type, coordinates: mapCoords(geom.coordinates, shift) };
+    }
+
+    _centroid(geom) {
+        if (typeof turf !== 'undefined') return turf.centroid(geom).geometry.coordinates;
+        const all = this._parts.flatMap(p => p.coords);
+        return [all.reduce((s, c) => s + c[0], 0) / all.length, all.reduce((s, c) => s + c[1], 0) / all.length];
+    }
+
+    _vertexCount() {
+        return this._parts.reduce((n, p) => n + p.coords.length, 0);
+    }
+
+    _build() {
+        return fromParts(this._type, this._parts);
+    }
+}
+
+// ============================
+// Geometry ↔ editable parts
+// ============================
+
+/** Split a geometry into flat vertex lists; ring closing vertices are dropped while editing */
+function toParts(geom) {
+    const open = (ring) => {
+        const r = ring.map(c => c.slice());
+        if (r.length > 1 && r[0][0] === r[r.length - 1][0] && r[0][1] === r[r.length - 1][1]) r.pop();
+        return r;
+    };
+    switch (geom.type) {
+        case 'Point': return [{ coords: [geom.coordinates.slice()], point: true }];
+        case 'MultiPoint': return [{ coords: geom.coordinates.map(c => c.slice()), point: true }];
+        case 'LineString': return [{ coords: geom.coordinates.map(c => c.slice()), closed: false }];
+        case 'MultiLineString': return geom.coordinates.map(line => ({ coords: line.map(c => c.slice()), closed: false }));
+        case 'Polygon': return geom.coordinates.map(ring => ({ coords: open(ring), closed: true, poly: 0 }));
+        case 'MultiPolygon': return geom.coordinates.flatMap((poly, pi) =>
+            poly.map(ring => ({ coords: open(ring), closed: true, poly: pi })));
+        default: return [];
+    }
+}
+
+function fromParts(type, parts) {
+    const close = (coords) => [...coords.map(c => c.slice()), coords[0].slice()];
+    switch (type) {
+        case 'Point': return { type, coordinates: parts[0].coords[0].slice() };
+        case 'MultiPoint': return { type, coordinates: parts[0].coords.map(c => c.slice()) };
+        case 'LineString': return { type, coordinates: parts[0].coords.map(c => c.slice()) };
+        case 'MultiLineString': return { type, coordinates: parts.map(p => p.coords.map(c => c.slice())) };
+        case 'Polygon': return { type, coordinates: parts.map(p => close(p.coords)) };
+        case 'MultiPolygon': {
+            const polys = [];
+            for (const p of parts) (polys[p.poly] ??= []).push(close(p.coords));
+            return { type, coordinates: polys.filter(Boolean) };
+        }
+        default: return null;
+    }
+}
+
+function flatCoords(coords) {
+    return typeof coords[0] === 'number' ? [coords] : coords.flatMap(flatCoords);
+}
+
+function mapCoords(coords, fn) {
+    return typeof coords[0] === 'number' ? fn(coords) : coords.map(c => mapCoords(c, fn));
+}
+
+const geometryEditor = new GeometryEditor();
+export default geometryEditor;
@@ -0,0 +1,313 @@
+/**
+ * GPS Tracker — follow the device position and record the path walked or driven
+ * Watches the position (navigator.geolocation.watchPosition), shows a live marker
+ * with an accuracy circle and optionally keeps the map centred on it.
+ * While recording, fixes pass an accuracy filter and a time or distance interval;
+ * each accepted fix is emitted as 'gps:point' and app.js writes it into the track
+ * layer. The first fix after a resume starts a new segment.
+ * Events: 'gps:state' ({ state, stats }), 'gps:point' ({ coord, time, accuracy, newSegment, stats }),
+ * 'gps:error' ({ code, message }).
+ */
+import bus from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import mapManager from './map-manager.js';
+
+export const DEFAULT_TRACK_OPTIONS = {
+    intervalMode: 'distance',   // 'distance' (m) | 'time' (s)
+    interval: 5,
+    maxAccuracy: 25,            // m — fixes less accurate than this are dropped
+    follow: true
+};
+
+const POSITION_STYLE = {
+    radius: 7,
+    color: '#fff',
+    weight: 2,
+    fillColor: '#0a84ff',
+    fillOpacity: 1,
+    className: 'gps-position'
+};
+
+const ACCURACY_STYLE = {
+    color: '#0a84ff',
+    weight: 1,
+    opacity: 0.6,
+    fillColor: '#0a84ff',
+    fillOpacity: 0.12,
+    interactive: false
+};
+
+// Zoom the map in to at least this on the first fix when following
+const FOLLOW_MIN_ZOOM = 16;
+
+const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 };
+
+class GpsTracker {
+    constructor() {
+        this._state = 'idle';       // 'idle' | 'recording' | 'paused'
+        this._options = { ...DEFAULT_TRACK_OPTIONS };
+        this._watchId = null;
+        this._marker = null;
+        this._accuracyCircle = null;
+        this._panel = null;
+        this._title = '';
+        this._lastFix = null;       // { latlng, accuracy, time } — latest position, recorded or not
+        this._lastPoint = null;     // { latlng, time } — latest recorded point
+        this._newSegment = false;   // next recorded point starts a new segment
+        this._stats = { points: 0, length: 0, rejected: 0 };
+        this._wakeLock = null;
+        this._onDragStart = () => this.setFollow(false);
+        this._onVisibility = () => {
+            if (document.visibilityState === 'visible' && this._state !== 'idle') this._requestWakeLock();
+        };
+    }
+
+    /** Get the Leaflet map instance */
+    get map() { return mapManager.map; }
+
+    /** 'idle' | 'recording' | 'paused' */
+    get state() { return this._state; }
+
+    get isActive() { return this._state !== 'idle'; }
+
+    get options() { return { ...this._options }; }
+
+    /** { points, length (m), rejected } for the current track */
+    get stats() { return { ...this._stats }; }
+
+    /**
+     * Start watching the position and recording.
+     * @param {Object} [opts] - DEFAULT_TRACK_OPTIONS fields, plus:
+     * @param {string} [opts.title] - shown in the tracking panel (HTML)
+     * @param {{ points: number, length: number }} [opts.stats] - counts carried over when continuing a track
+     * @param {boolean} [opts.newSegment] - the first point starts a new segment (continuing a track)
+     * @returns {boolean} false when geolocation is unavailable
+     */
+    start(opts = {}) {
+        if (!navigator.geolocation) {
+            this._error(0, 'Geolocation not supported on this device');
+            return false;
+        }
+        if (this.isActive) this.stop();
+
+        this._options = { ...DEFAULT_TRACK_OPTIONS };
+        for (const key of Object.keys(DEFAULT_TRACK_OPTIONS)) {
+            if (opts[key] !== undefined) this._options[key] = opts[key];
+        }
+        this._title = opts.title || 'GPS track';
+        this._stats = { points: opts.stats?.points || 0, length: opts.stats?.length || 0, rejected: 0 };
+        this._lastFix = null;
+        this._lastPoint = null;
+        this._newSegment = !!opts.newSegment;
+
+        this._watchId = navigator.geolocation.watchPosition(
+            (pos) => this._onPosition(pos),
+            (err) => this._onPositionError(err),
+            WATCH_OPTIONS
+        );
+        this.map?.on('dragstart', this._onDragStart);
+        document.addEventListener('visibilitychange', this._onVisibility);
+        this._requestWakeLock();
+        this._showPanel();
+        this._setState('recording');
+        logger.info('GPS', 'Tracking started', this._options);
+        return true;
+    }
+
+    /** Stop recording but keep showing the position */
+    pause() {
+        if (this._state !== 'recording') return;
+        this._setState('paused');
+    }
+
+    /** Continue recording; the next point starts a new segment */
+    resume() {
+        if (this._state !== 'paused') return;
+        this._newSegment = true;
+        this._lastPoint = null;
+        this._setState('recording');
+    }
+
+    /** Stop watching the position and close the panel; emits 'gps:state' with state 'idle' */
+    stop() {
+        if (!this.isActive) return;
+        if (this._watchId !== null) navigator.geolocation.clearWatch(this._watchId);
+        this._watchId = null;
+        this.map?.off('dragstart', this._onDragStart);
+        document.removeEventListener('visibilitychange', this._onVisibility);
+        this._releaseWakeLock();
+        if (this._marker) { this._marker.remove(); this._marker = null; }
+        if (this._accuracyCircle) { this._accuracyCircle.remove(); this._accuracyCircle = null; }
+        if (this._panel) { this._panel.remove(); this._panel = null; }
+        logger.info('GPS', 'Tracking stopped', this._stats);
+        this._setState('idle');
+    }
+
+    /** Keep the map centred on the position (turned off when the user pans the map) */
+    setFollow(on) {
+        if (this._options.follow === !!on) return;
+        this._options.follow = !!on;
+        if (on && this._lastFix) this.map?.panTo(this._lastFix.latlng);
+        this._updatePanel();
+    }
+
+    // ============================
+    // Positions
+    // ============================
+
+    _onPosition(pos) {
+        const map = this.map;
+        if (!map || !this.isActive) return;
+        const { latitude, longitude, accuracy } = pos.coords;
+        const latlng = L.latLng(latitude, longitude);
+        const time = pos.timestamp || Date.now();
+        const first = !this._lastFix;
+        this._lastFix = { latlng, accuracy, time };
+
+        if (!this._marker) {
+            this._accuracyCircle = L.circle(latlng, { ...ACCURACY_STYLE, radius: accuracy }).addTo(map);
+            this._marker = L.circleMarker(latlng, POSITION_STYLE).addTo(map);
+        } else {
+            this._accuracyCircle.setLatLng(latlng).setRadius(accuracy);
+            this._marker.setLatLng(latlng);
+        }
+        if (this._options.follow) {
+            if (first) map.setView(latlng, Math.max(map.getZoom(), FOLLOW_MIN_ZOOM));
+            else map.panTo(latlng, { animate: true });
+        }
+
+        if (this._state === 'recording') this._record(latlng, accuracy, time, pos.coords);
+        this._updatePanel();
+    }
+
+    _record(latlng, accuracy, time, coords) {
+        if (accuracy > this._options.maxAccuracy) {
+            this._stats.rejected++;
+            return;
+        }
+        const last = this._lastPoint;
+        const step = last ? this.map.distance(last.latlng, latlng) : 0;
+        if (last) {
+            if (this._options.intervalMode === 'time' && time - last.time < this._options.interval * 1000) return;
+            if (this._options.intervalMode !== 'time' && step < this._options.interval) return;
+        }
+
+        const newSegment = this._newSegment;
+        this._newSegment = false;
+        this._lastPoint = { latlng, time };
+        this._stats.points++;
+        this._stats.length += step;
+        bus.emit('gps:point', {
+            coord: [latlng.lng, latlng.lat],
+            time,
+            accuracy,
+            altitude: coords.altitude ?? null,
+            speed: coords.speed ?? null,
+            newSegment,
+            stats: this.stats
+        });
+    }
+
+    _onPositionError(err) {
+        const messages = {
+            1: 'Location permission denied',
+            2: 'Location unavailable',
+            3: 'Location request timed out'
+        };
+        const message = messages[err.code] || err.message || 'Could not get location';
+        this._error(err.code, message);
+        // Without permission nothing more will come; lost signal or a timeout may recover
+        if (err.code === 1) this.stop();
+        else this._updatePanel(`⚠ ${message} — waiting for signal…`);
+    }
+
+    _error(code, message) {
+        logger.warn('GPS', message, { code });
+        bus.emit('gps:error', { code, message });
+    }
+
+    _setState(state) {
+        this._state = state;
+        this._updatePanel();
+        bus.emit('gps:state', { state, stats: this.stats });
+    }
+
+    // ============================
+    // Screen wake lock — keeps the phone from sleeping (and the watch from pausing) while tracking
+    // ============================
+
+    async _requestWakeLock() {
+        if (!navigator.wakeLock?.request || this._wakeLock) return;
+        try {
+            this._wakeLock = await navigator.wakeLock.request('screen');
+            this._wakeLock.addEventListener('release', () => { this._wakeLock = null; });
+        } catch (e) {
+            logger.info('GPS', 'Screen wake lock not available', { error: e.message });
+        }
+    }
+
+    _releaseWakeLock() {
+        this._wakeLock?.release().catch(() => {});
+        this._wakeLock = null;
+    }
+
+    // ============================
+    // Panel UI
+    // ============================
+
+    _showPanel() {
+        if (this._panel) this._panel.remove();
+        const panel = document.createElement('div');
+        panel.className = 'draw-toolbar gps-toolbar';
+        panel.innerHTML = `
+            <div class="draw-toolbar-header">
+                <span class="draw-toolbar-title">🛰 ${this._title}</span>
+                <button class="draw-toolbar-close" title="Stop tracking">✕</button>
+            </div>
+            <div class="gps-status"></div>
+            <div class="draw-toolbar-tools">
+                <button class="draw-tool-btn gps-follow-btn" title="Keep the map centred on your position">⌖ Follow</button>
+                <button class="draw-tool-btn gps-pause-btn"></button>
+                <button class="draw-tool-btn gps-stop-btn" title="Stop and save the track">■ Stop</button>
+            </div>
+        `;
+        panel.querySelector('.draw-toolbar-close').onclick = () => this.stop();
+        panel.querySelector('.gps-stop-btn').onclick = () => this.stop();
+        panel.querySelector('.gps-follow-btn').onclick = () => this.setFollow(!this._options.follow);
+        panel.querySelector('.gps-pause-btn').onclick = () => {
+            if (this._state === 'recording') this.pause();
+            else this.resume();
+        };
+
+        // Keep clicks on the panel away from the map (and the draw tools)
+        panel.addEventListener('click', (e) => e.stopPropagation());
+        panel.addEventListener('dblclick', (e) => e.stopPropagation());
+        panel.addEventListener('mousedown', (e) => e.stopPropagation());
+
+        this.map.getContainer().appendChild(panel);
+        this._panel = panel;
+    }
+
+    _updatePanel(notice = null) {
+        if (!this._panel) return;
+        const recording = this._state === 'recording';
+        const pauseBtn = this._panel.querySelector('.gps-pause-btn');
+        pauseBtn.textContent = recording ? '❚❚ Pause' : '▶ Resume';
+        pauseBtn.classList.toggle('active', !recording);
+        this._panel.querySelector('.gps-follow-btn').classList.toggle('active', this._options.follow);
+
+        const s = this._stats;
+        const km = s.length >= 1000 ? `${(s.length / 1000).toFixed(2)} km` : `${Math.round(s.length)} m`;
+        const fix = this._lastFix ? `±${Math.round(this._lastFix.accuracy)} m` : 'waiting for position…';
+        const poor = this._lastFix && this._lastFix.accuracy > this._options.maxAccuracy;
+        const status = this._panel.querySelector('.gps-status');
+        status.classList.toggle('paused', !recording);
+        status.innerHTML = `
+            <span class="gps-dot"></span>${recording ? 'Recording' : 'Paused'} · ${s.points} pts · ${km}
+            <div class="gps-fix${poor ? ' poor' : ''}">${notice || `GPS ${fix}${poor ? ' — too coarse, not recorded' : ''}`}</div>
+        `;
+    }
+}
+
+const gpsTracker = new GpsTracker();
+export default gpsTracker;
@@ -0,0 +1,182 @@
+/**
+ * Map labels — label text, anchor positions and greedy collision-avoiding placement
+ * Settings live on the layer style as `style.labels` so they persist with it.
+ */
+import { renderTemplate } from '../dataprep/template-builder.js';
+
+export const DEFAULT_LABEL_SETTINGS = {
+    enabled: false,
+    field: '',
+    template: '',       // {Field} template — takes precedence over field when set
+    minZoom: 12,
+    fontSize: 12,
+    color: '#111827',
+    halo: '#ffffff'
+};
+
+const TEMPLATE_CLEANUP = {
+    trimWhitespace: true,
+    collapseSpaces: true,
+    removeEmptyWrappers: true,
+    removeDanglingSeparators: true,
+    collapseSeparators: true
+};
+
+// Rough glyph width as a fraction of font size — good enough for overlap tests
+const CHAR_WIDTH = 0.6;
+const CELL = 64;
+
+/**
+ * Text for one feature, or '' when it has nothing to show.
+ */
+export function labelText(feature, settings) {
+    const props = feature.properties || {};
+    if (settings.template) return renderTemplate(props, settings.template, TEMPLATE_CLEANUP);
+    const v = props[settings.field];
+    return v == null ? '' : String(v).trim();
+}
+
+/**
+ * Label anchor for a geometry as [lng, lat]:
+ * points at the point, lines at the midpoint of the longest part, polygons at an interior point.
+ */
+export function labelAnchor(geometry) {
+    if (!geometry) return null;
+    const { type, coordinates } = geometry;
+    try {
+        switch (type) {
+            case 'Point':
+                return coordinates;
+            case 'MultiPoint':
+                return coordinates[0] || null;
+            case 'LineString':
+                return _lineMidpoint(coordinates);
+            case 'MultiLineString':
+                return _lineMidpoint(_largest(coordinates, c => turf.length(turf.lineString(c))));
+            case 'Polygon':
+                return _interiorPoint(coordinates);
+            case 'MultiPolygon':
+                return _interiorPoint(_largest(coordinates, c => turf.area(turf.polygon(c))));
+            default:
+                return null;
+        }
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Precompute label candidates for a layer — anchors don't change with the view,
+ * so this runs once per layer render rather than on every pan/zoom.
+ * @returns {Array<{latlng: [lat, lng], text, isPoint}>}
+ */
+export function buildLabelCandidates(features, settings) {
+    if (!settings?.enabled || (!settings.field && !settings.template)) return [];
+    const out = [];
+    for (const f of features) {
+        const text = labelText(f, settings);
+        if (!text) continue;
+        const anchor = labelAnchor(f.geometry);
+        if (!anchor) continue;
+        const t = f.geometry.type;
+        out.push({ latlng: [anchor[1], anchor[0]], text, isPoint: t === 'Point' || t === 'MultiPoint' });
+    }
+    return out;
+}
+
+/**
+ * Greedy placement: candidates are taken in order and dropped if their box overlaps
+ * one already placed. Pass higher-priority layers first.
+ * @param {Array<{x, y, text, fontSize, dx}>} items - screen positions (dx shifts point labels right)
+ * @returns {Array} items that fit, each with its box { left, top, width, height }
+ */
+export function placeLabels(items, padding = 2) {
+    const grid = new Map();
+    const placed = [];
+    for (const it of items) {
+        const width = it.text.length * it.fontSize * CHAR_WIDTH + padding * 2;
+        const height = it.fontSize + 4 + padding * 2;
+        const left = it.dx ? it.x + it.dx - padding : it.x - width / 2;
+        const top = it.y - height / 2;
+        const box = { left, top, right: left + width, bottom: top + height };
+
+        const cells = _cellsFor(box);
+        let clash = false;
+        for (const key of cells) {
+            for (const other of grid.get(key) || []) {
+                if (box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top) {
+                    clash = true;
+                    break;
+                }
+            }
+            if (clash) break;
+        }
+        if (clash) continue;
+
+        for (const key of cells) {
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(box);
+        }
+        placed.push({ ...it, box: { left, top, width, height } });
+    }
+    return placed;
+}
+
+function _cellsFor(box) {
+    const keys = [];
+    for (let cx = Math.floor(box.left / CELL); cx <= Math.floor(box.right / CELL); cx++) {
+        for (let cy = Math.floor(box.top / CELL); cy <= Math.floor(box.bottom / CELL); cy++) {
+            keys.push(cx + ':' + cy);
+        }
+    }
+    return keys;
+}
+
+function _lineMidpoint(coords) {
+    if (!coords || coords.length === 0) return null;
+    if (coords.length === 1 || typeof turf === 'undefined') return coords[Math.floor(coords.length / 2)];
+    const line = turf.lineString(coords);
+    return turf.along(line, turf.length(line) / 2).geometry.coordinates;
+}
+
+function _interiorPoint(rings) {
+    if (typeof turf === 'undefined') return rings[0]?.[0] || null;
+    const poly = turf.polygon(rings);
+    const c = turf.centroid(poly);
+    // Centroids of C- or L-shaped polygons can fall outside the shape
+    if (turf.booleanPointInPolygon(c, poly)) return c.geometry.coordinates;
+    const scan = _scanlinePoint(rings, c.geometry.coordinates[1]);
+    if (scan && turf.booleanPointInPolygon(turf.point(scan), poly)) return scan;
+    return turf.pointOnFeature(poly).geometry.coordinates;
+}
+
+// Middle of the widest span where a horizontal line at y crosses the outer ring
+function _scanlinePoint(rings, y) {
+    const ring = rings[0];
+    const xs = [];
+    for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        if ((y1 <= y && y2 > y) || (y2 <= y && y1 > y)) {
+            xs.push(x1 + (y - y1) / (y2 - y1) * (x2 - x1));
+        }
+    }
+    xs.sort((a, b) => a - b);
+    let best = null;
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+        if (!best || xs[i + 1] - xs[i] > best[1] - best[0]) best = [xs[i], xs[i + 1]];
+    }
+    return best ? [(best[0] + best[1]) / 2, y] : null;
+}
+
+function _largest(parts, measure) {
+    let best = parts[0];
+    let bestSize = -Infinity;
+    for (const p of parts) {
+        const size = measure(p);
+        if (size > bestSize) { best = p; bestSize = size; }
+    }
+    return best;
+}
+
+export default { DEFAULT_LABEL_SETTINGS, labelText, labelAnchor, buildLabelCandidates, placeLabels };
@@ -1,9 +1,15 @@
 /**
  * Map manager — Leaflet integration
- * Keyless basemaps, layer rendering, popups, clustering
+ * Keyless basemaps, layer rendering, popups, clustering, legend and labels
  */
 import logger from '../core/logger.js';
 import bus from '../core/event-bus.js';
+import { rendererSymbol, rendererLegend } from './renderers.js';
+import { buildLabelCandidates, placeLabels } from './labels.js';
+import { createCanvasFeatureLayer } from './canvas-layer.js';
+import { displaySettings, isModeAvailable, createClusterGroup, createHeatLayer, HEAT_GRADIENT } from './point-display.js';
+import { attachmentList, isAttachmentValue, isImageAttachment, attachmentUrl } from '../core/attachments.js';
+import { viewSettings, buildViewFeatures, DEFAULT_VIEW_SETTINGS } from '../photo/view-direction.js';
 
 const BASEMAPS = {
     osm: {
@@ -104,6 +110,56 @@ const POINT_SYMBOLS = {
     })
 };
 
+function _geomKinds(features) {
+    const kinds = new Set();
+    for (const f of features) {
+        const t = f.geometry?.type;
+        if (t === 'Point' || t === 'MultiPoint') kinds.add('point');
+        else if (t === 'LineString' || t === 'MultiLineString') kinds.add('line');
+        else if (t === 'Polygon' || t === 'MultiPolygon') kinds.add('polygon');
+    }
+    return ['point', 'line', 'polygon'].filter(k => kinds.has(k));
+}
+
+function _legendSwatch(kind, s) {
+    const stroke = s.strokeColor || '#2563eb';
+    const fill = s.fillColor || stroke;
+    if (kind === 'line') {
+        const w = Math.min(8, Math.max(1, s.strokeWidth ?? 2));
+        return `<span class="map-legend-swatch"><span style="display:block;width:18px;border-top:${w}px solid ${stroke};opacity:${s.strokeOpacity ?? 0.8};"></span></span>`;
+    }
+    if (kind === 'polygon') {
+        return `<span class="map-legend-swatch"><span style="display:block;width:16px;height:12px;border:1.5px solid ${stroke};background:${_rgba(fill, s.fillOpacity ?? 0.3)};"></span></span>`;
+    }
+    const d = Math.min(28, Math.max(6, (s.pointSize ?? 6) * 2));
+    const radius = (s.pointSymbol || 'circle') === 'circle' ? '50%' : '2px';
+    return `<span class="map-legend-swatch" style="width:${Math.max(18, d)}px;"><span style="display:block;width:${d}px;height:${d}px;border-radius:${radius};border:1.5px solid ${stroke};background:${fill};"></span></span>`;
+}
+
+function _rgba(hex, alpha) {
+    const h = String(hex).replace('#', '');
+    if (h.length !== 6) return hex;
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+    return `rgba(${r},${g},${b},${alpha})`;
+}
+
+function _escHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Popup gallery: image thumbnails and download links for other files
+function _attachmentsHtml(list) {
+    return `<div class="popup-attachments">${list.map(a => {
+        const name = _escHtml(a.name || 'attachment');
+        const url = attachmentUrl(a);
+        if (!url) return `<span class="popup-attachment-file">📎 ${name}</span>`;
+        if (isImageAttachment(a)) {
+            return `<a class="popup-attachment-img" href="${url}" download="${name}" title="${name}"><img src="${url}" alt="${name}" /></a>`;
+        }
+        return `<a class="popup-attachment-file" href="${url}" download="${name}">📎 ${name}</a>`;
+    }).join('')}</div>`;
+}
+
 class MapManager {
     constructor() {
         this.map = null;
@@ -111,7 +167,17 @@ class MapManager {
         this.dataLayers = new Map(); // layerId -> L.geoJSON
         this._layerNames = new Map(); // layerId -> display name
         this._layerStyles = new Map(); // layerId -> { strokeColor, fillColor, strokeWidth, strokeOpacity, fillOpacity, pointSize, pointSymbol }
-        this.clusterGroups = new Map();
+        this._layerRenderers = new Map(); // layerId -> thematic renderer (see renderers.js); absent = single symbol
+        this.clusterGroups = new Map();     // layerId -> L.markerClusterGroup (cluster display mode)
+        this._heatLayers = new Map();       // layerId -> L.heatLayer drawn alongside the layer (heatmap mode)
+        this._viewLayers = new Map();       // layerId -> view cones / arrows drawn under the layer's points
+        this._layerDisplayModes = new Map(); // layerId -> effective point display mode
+        this._layerGeomKinds = new Map();   // layerId -> ['point'|'line'|'polygon'] for the legend
+        this._layerOrder = null;            // state layer order (bottom → top) from syncLayerOrder
+        this._labelCandidates = new Map();  // layerId -> [{ latlng, text, isPoint }]
+        this._labelGroup = null;
+        this._legendControl = null;
+        this._legendOpen = true;
         this.currentBasemap = 'voyager';
         this.drawLayer = null;
         this.highlightLayer = null; // currently highlighted feature layer
@@ -174,6 +240,16 @@ class MapManager {
         // Add coordinate search control
         this._initCoordSearch();
 
+        // Labels sit above features and never take clicks
+        const labelPane = this.map.createPane('labelPane');
+        labelPane.style.zIndex = 650;
+        labelPane.style.pointerEvents = 'none';
+        this._labelGroup = L.layerGroup().addTo(this.map);
+        this.map.on('zoomend moveend', () => this._refreshLabels());
+        this.map.on('moveend', () => bus.emit('map:viewChanged', this.getViewState()));
+
+        this._initLegend();
+
         return this.map;
     }
 
@@ -220,6 +296,28 @@ class MapManager {
 
     getBasemaps() { return BASEMAPS; }
 
+    /** Basemap, extent and legend state — saved with the session */
+    getViewState() {
+        const c = this.map?.getCenter();
+        return {
+            basemap: this.currentBasemap,
+            center: c ? [c.lat, c.lng] : null,
+            zoom: this.map?.getZoom() ?? null,
+            legendOpen: this._legendOpen
+        };
+    }
+
+    /** Restore state from getViewState() */
+    applyViewState(view) {
+        if (!view || !this.map) return;
+        if (view.basemap && view.basemap !== this.currentBasemap && BASEMAPS[view.basemap]) this.setBasemap(view.basemap);
+        if (view.center && view.zoom != null) this.map.setView(view.center, view.zoom, { animate: false });
+        if (typeof view.legendOpen === 'boolean') {
+            this._legendOpen = view.legendOpen;
+            this.refreshLegend();
+        }
+    }
+
     /** Get stored style for a layer (or default) */
     getLayerStyle(layerId) {
         return this._layerStyles.get(layerId) || null;
@@ -230,6 +328,17 @@ class MapManager {
         this._layerStyles.set(layerId, style);
     }
 
+    /** Get the thematic renderer for a layer (null = single symbol) */
+    getLayerRenderer(layerId) {
+        return this._layerRenderers.get(layerId) || null;
+    }
+
+    /** Store a thematic renderer for a layer; null or type 'single' clears it */
+    setLayerRenderer(layerId, renderer) {
+        if (!renderer || renderer.type === 'single') this._layerRenderers.delete(layerId);
+        else this._layerRenderers.set(layerId, renderer);
+    }
+
     addLayer(dataset, colorIndex = 0, { fit = false } = {}) {
         if (!this.map || !dataset.geojson) return;
 
@@ -247,39 +356,134 @@ class MapManager {
             strokeOpacity: stored?.strokeOpacity ?? 0.8,
             fillOpacity: stored?.fillOpacity ?? 0.3,
             pointSize:   stored?.pointSize   ?? 6,
-            pointSymbol: stored?.pointSymbol  || 'circle'
+            pointSymbol: stored?.pointSymbol  || 'circle',
+            point:   stored?.point,
+            line:    stored?.line,
+            polygon: stored?.polygon,
+            labels:  stored?.labels,
+            display: stored?.display,
+            // Photo layers show where each photo looks unless turned off
+            viewCones: stored?.viewCones || (dataset.source?.format === 'photos' ? { ...DEFAULT_VIEW_SETTINGS, enabled: true } : undefined)
         };
 
         // Store resolved style if not already saved
         if (!stored) this._layerStyles.set(dataset.id, { ...sty });
+        const renderer = this._layerRenderers.get(dataset.id) || null;
 
         const features = dataset.geojson.features.filter(f => f.geometry);
 
         if (features.length === 0) {
             logger.info('Map', 'No geometries to display', { layer: dataset.name });
+            this.refreshLegend();
+            this._refreshLabels();
             return;
         }
 
-        const geojsonLayer = L.geoJSON({ type: 'FeatureCollection', features }, {
-            style: (feature) => {
-                const gt = feature.geometry?.type;
-                let s = sty;
-                if (gt === 'Point' || gt === 'MultiPoint') s = { ...sty, ...(sty.point || {}) };
-                else if (gt === 'LineString' || gt === 'MultiLineString') s = { ...sty, ...(sty.line || {}) };
-                else if (gt === 'Polygon' || gt === 'MultiPolygon') s = { ...sty, ...(sty.polygon || {}) };
-                return {
-                    color: s.strokeColor,
-                    weight: s.strokeWidth,
-                    opacity: s.strokeOpacity,
-                    fillColor: s.fillColor,
-                    fillOpacity: s.fillOpacity
-                };
-            },
-            pointToLayer: (feature, latlng) => {
-                const ps = { ...sty, ...(sty.point || {}) };
-                const sym = ps.pointSymbol || 'circle';
-                const fo = Math.min(1, ps.fillOpacity + 0.3);
-                if (sym === 'circle') {
+        // Point display mode — only meaningful when the layer has points and the plugin loaded
+        const display = displaySettings(sty);
+        const hasPoints = features.some(f => f.geometry.type === 'Point' || f.geometry.type === 'MultiPoint');
+        let mode = hasPoints ? display.mode : 'normal';
+        if (!isModeAvailable(mode)) {
+            logger.warn('Map', `Point display mode "${mode}" unavailable — plugin not loaded`, { layer: dataset.name });
+            mode = 'normal';
+        }
+
+        // Index into the ORIGINAL dataset.geojson.features array (not the filtered array)
+        // so editors and popups reference the right feature
+        const featureIndexOf = new Map(dataset.geojson.features.map((f, i) => [f, i]));
+
+        const resolveStyle = (feature) => {
+            const gt = feature.geometry?.type;
+            let s = sty;
+            if (gt === 'Point' || gt === 'MultiPoint') s = { ...sty, ...(sty.point || {}) };
+            else if (gt === 'LineString' || gt === 'MultiLineString') s = { ...sty, ...(sty.line || {}) };
+            else if (gt === 'Polygon' || gt === 'MultiPolygon') s = { ...sty, ...(sty.polygon || {}) };
+            if (renderer) s = { ...s, ...rendererSymbol(renderer, feature) };
+            return s;
+        };
+
+        const onFeatureClick = (layer, featureIndex, e) => {
+            // Skip feature clicks while drawing
+            if (e.originalEvent?._drawHandled) return;
+            L.DomEvent.stopPropagation(e);
+            if (this._selectionMode) {
+                // Selection mode: click toggles selection, shift adds
+                this._handleSelectionClick(dataset.id, featureIndex, e.originalEvent?.shiftKey, sty.strokeColor);
+            } else {
+                const clickLatLng = e.latlng;
+                const nearby = this._findFeaturesNearClick(clickLatLng, dataset.id, featureIndex);
+                if (nearby.length > 1) {
+                    // Multiple stacked features — show cycling popup
+                    this.highlightFeature(layer, sty.strokeColor);
+                    this._showMultiPopup(nearby, clickLatLng);
+                } else {
+                    // Single feature — show simple popup (no cycling UI)
+                    this.highlightFeature(layer, sty.strokeColor);
+                    this._popupHits = nearby;
+                    this._popupIndex = 0;
+                    this._popupLatLng = clickLatLng;
+                    this._renderCyclePopup();
+                }
+            }
+        };
+
+        const onFeatureContextMenu = (feature, featureIndex, e) => {
+            L.DomEvent.stopPropagation(e);
+            L.DomEvent.preventDefault(e);
+            e.originalEvent.preventDefault();
+            e.originalEvent.stopPropagation();
+            const latlng = e.latlng;
+            bus.emit('map:contextmenu', {
+                latlng,
+                originalEvent: e.originalEvent,
+                layerId: dataset.id,
+                featureIndex,
+                feature
+            });
+        };
+
+        // Very large layers draw to a single canvas instead of one Leaflet layer per feature
+        // (clustering already keeps the DOM small, so it always uses the vector path)
+        const fast = mode !== 'cluster' && features.length > MapManager.CANVAS_RENDER_THRESHOLD;
+        let geojsonLayer;
+        if (fast) {
+            logger.info('Map', 'Large dataset — using canvas rendering', { count: features.length });
+            geojsonLayer = this._createCanvasLayer(features, featureIndexOf, resolveStyle, onFeatureClick, onFeatureContextMenu, mode === 'heatmap');
+        } else {
+            geojsonLayer = L.geoJSON({ type: 'FeatureCollection', features }, {
+                style: (feature) => {
+                    const s = resolveStyle(feature);
+                    return {
+                        color: s.strokeColor,
+                        weight: s.strokeWidth,
+                        opacity: s.strokeOpacity,
+                        fillColor: s.fillColor,
+                        fillOpacity: s.fillOpacity
+                    };
+                },
+                pointToLayer: (feature, latlng) => {
+                    const ps = resolveStyle(feature);
+                    if (mode === 'heatmap') {
+                        // Invisible but still clickable so identify works over the heatmap
+                        return L.circleMarker(latlng, { radius: ps.pointSize, opacity: 0, fillOpacity: 0 });
+                    }
+                    const sym = ps.pointSymbol || 'circle';
+                    const fo = Math.min(1, ps.fillOpacity + 0.3);
+                    if (sym === 'circle') {
+                        return L.circleMarker(latlng, {
+                            radius: ps.pointSize,
+                            fillColor: ps.fillColor,
+                            color: ps.strokeColor,
+                            weight: ps.strokeWidth,
+                            opacity: ps.strokeOpacity,
+                            fillOpacity: fo
+                        });
+                    }
+                    const factory = POINT_SYMBOLS[sym];
+                    if (factory) {
+                        return L.marker(latlng, { icon: factory(ps.strokeColor, ps.fillColor, ps.pointSize, fo) });
+                    }
+                    // Fallback to circle
                     return L.circleMarker(latlng, {
                         radius: ps.pointSize,
                         fillColor: ps.fillColor,
@@ -288,83 +492,58 @@ class MapManager {
                         opacity: ps.strokeOpacity,
                         fillOpacity: fo
                     });
+                },
+                onEachFeature: (feature, layer) => {
+                    const featureIndex = featureIndexOf.get(feature);
+                    layer._featureIndex = featureIndex;
+                    layer._datasetId = dataset.id;
+                    layer.on('click', (e) => onFeatureClick(layer, featureIndex, e));
+                    layer.on('contextmenu', (e) => onFeatureContextMenu(feature, featureIndex, e));
                 }
-                const factory = POINT_SYMBOLS[sym];
-                if (factory) {
-                    return L.marker(latlng, { icon: factory(ps.strokeColor, ps.fillColor, ps.pointSize, fo) });
-                }
-                // Fallback to circle
-                return L.circleMarker(latlng, {
-                    radius: ps.pointSize,
-                    fillColor: ps.fillColor,
-                    color: ps.strokeColor,
-                    weight: ps.strokeWidth,
-                    opacity: ps.strokeOpacity,
-                    fillOpacity: fo
-                });
-            },
-            onEachFeature: (feature, layer) => {
-                // Store the index into the ORIGINAL dataset.geojson.features array
-                // (not the filtered array) so editors and popups reference the right feature
-                const featureIndex = dataset.geojson.features.indexOf(feature);
-                layer._featureIndex = featureIndex;
-                layer._datasetId = dataset.id;
-
-                layer.on('click', (e) => {
-                    // Skip feature clicks while drawing
-                    if (e.originalEvent?._drawHandled) return;
-                    L.DomEvent.stopPropagation(e);
-                    if (this._selectionMode) {
-                        // Selection mode: click toggles selection, shift adds
-                        this._handleSelectionClick(dataset.id, featureIndex, e.originalEvent?.shiftKey, sty.strokeColor);
-                    } else {
-                        const clickLatLng = e.latlng;
-                        const nearby = this._findFeaturesNearClick(clickLatLng, dataset.id, featureIndex);
-                        if (nearby.length > 1) {
-                            // Multiple stacked features — show cycling popup
-                            this.highlightFeature(layer, sty.strokeColor);
-                            this._showMultiPopup(nearby, clickLatLng);
-                        } else {
-                            // Single feature — show simple popup (no cycling UI)
-                            this.highlightFeature(layer, sty.strokeColor);
-                            this._popupHits = nearby;
-                            this._popupIndex = 0;
-                            this._popupLatLng = clickLatLng;
-                            this._renderCyclePopup();
-                        }
-                    }
-                });
+            });
+        }
 
-                layer.on('contextmenu', (e) => {
-                    L.DomEvent.stopPropagation(e);
-                    L.DomEvent.preventDefault(e);
-                    e.originalEvent.preventDefault();
-                    e.originalEvent.stopPropagation();
-                    const latlng = e.latlng;
-                    bus.emit('map:contextmenu', {
-                        latlng,
-                        originalEvent: e.originalEvent,
-                        layerId: dataset.id,
-                        featureIndex,
-                        feature
-                    });
+        // Cluster mode: the cluster group holds the features and becomes the map layer
+        let mapLayer = geojsonLayer;
+        if (mode === 'cluster') {
+            const pointColor = sty.point?.fillColor || sty.fillColor;
+            mapLayer = createClusterGroup(pointColor, display);
+            mapLayer.addLayer(geojsonLayer);
+            this.clusterGroups.set(dataset.id, mapLayer);
+        } else if (mode === 'heatmap') {
+            const heat = createHeatLayer(features, display);
+            heat.addTo(this.map);
+            this._heatLayers.set(dataset.id, heat);
+        }
+        this._layerDisplayModes.set(dataset.id, mode);
+
+        // View cones / arrows for points with a heading, added first so the points stay on top
+        const view = viewSettings(sty);
+        if (hasPoints && view.enabled) {
+            const viewFeatures = buildViewFeatures(features, view);
+            if (viewFeatures.length) {
+                const color = sty.point?.fillColor || sty.fillColor;
+                const viewLayer = L.geoJSON({ type: 'FeatureCollection', features: viewFeatures }, {
+                    interactive: false,
+                    style: () => ({ color, weight: view.shape === 'arrow' ? 2 : 1, opacity: 0.9, fillColor: color, fillOpacity: 0.2 })
                 });
+                viewLayer.addTo(this.map);
+                this._viewLayers.set(dataset.id, viewLayer);
             }
-        });
-
-        // Large dataset warning / clustering
-        if (features.length > 10000) {
-            logger.warn('Map', 'Large dataset — rendering may be slow', { count: features.length });
         }
 
-        geojsonLayer.addTo(this.map);
-        this.dataLayers.set(dataset.id, geojsonLayer);
+        mapLayer.addTo(this.map);
+        this.dataLayers.set(dataset.id, mapLayer);
         this._layerNames.set(dataset.id, dataset.name);
+        this._layerGeomKinds.set(dataset.id, _geomKinds(features));
+        this._labelCandidates.set(dataset.id, buildLabelCandidates(features, sty.labels));
+        this.refreshLegend();
+        this._refreshLabels();
 
         // Fit bounds only on initial import
         if (fit) {
             try {
-                const bounds = geojsonLayer.getBounds();
+                const bounds = mapLayer.getBounds();
                 if (bounds.isValid()) {
                     this.map.fitBounds(bounds, { padding: [30, 30], maxZoom: 16 });
                 }
@@ -373,28 +552,82 @@ class MapManager {
             }
         }
 
-        logger.info('Map', 'Layer added', { name: dataset.name, features: features.length });
+        logger.info('Map', 'Layer added', { name: dataset.name, features: features.length, canvas: fast });
         bus.emit('map:layerAdded', { id: dataset.id, name: dataset.name });
     }
 
+    /**
+     * Canvas-rendered layer for datasets above CANVAS_RENDER_THRESHOLD.
+     * Feature clicks arrive as events on per-feature proxies, which stand in for
+     * the Leaflet sub-layers used by highlight, popups and selection.
+     */
+    _createCanvasLayer(features, featureIndexOf, resolveStyle, onFeatureClick, onFeatureContextMenu, hidePoints = false) {
+        const layer = createCanvasFeatureLayer(features, {
+            indexOf: (f) => featureIndexOf.get(f),
+            style: (feature) => {
+                const s = resolveStyle(feature);
+                const isPoint = feature.geometry.type === 'Point' || feature.geometry.type === 'MultiPoint';
+                if (isPoint && hidePoints) {
+                    // Heatmap mode — points stay hit-testable but aren't drawn
+                    return { color: s.strokeColor, weight: 0, opacity: 0, fillOpacity: 0, radius: s.pointSize };
+                }
+                return {
+                    color: s.strokeColor,
+                    weight: s.strokeWidth,
+                    opacity: s.strokeOpacity,
+                    fillColor: s.fillColor,
+                    // Match the circle-marker boost applied to vector points
+                    fillOpacity: isPoint ? Math.min(1, s.fillOpacity + 0.3) : s.fillOpacity,
+                    radius: s.pointSize,
+                    symbol: s.pointSymbol
+                };
+            }
+        });
+        layer.on('click', (e) => onFeatureClick(e.layer, e.layer._featureIndex, e));
+        layer.on('contextmenu', (e) => onFeatureContextMenu(e.layer.feature, e.layer._featureIndex, e));
+        return layer;
+    }
+
     removeLayer(id) {
         if (this.dataLayers.has(id)) {
             this.map.removeLayer(this.dataLayers.get(id));
             this.dataLayers.delete(id);
         }
         this._layerNames.delete(id);
+        if (this._heatLayers.has(id)) {
+            this.map.removeLayer(this._heatLayers.get(id));
+            this._heatLayers.delete(id);
+        }
+        if (this._viewLayers.has(id)) {
+            this.map.removeLayer(this._viewLayers.get(id));
+            this._viewLayers.delete(id);
+        }
+        this.clusterGroups.delete(id);
+        this._layerDisplayModes.delete(id);
+        this._layerGeomKinds.delete(id);
+        this._labelCandidates.delete(id);
         // Also clear any selection for this layer
         this.clearSelection(id);
+        this.refreshLegend();
+        this._refreshLabels();
     }
 
     toggleLayer(id, visible) {
         const layer = this.dataLayers.get(id);
         if (!layer) return;
+        const heat = this._heatLayers.get(id);
+        const view = this._viewLayers.get(id);
         if (visible) {
+            if (view && !this.map.hasLayer(view)) this.map.addLayer(view);
             if (!this.map.hasLayer(layer)) this.map.addLayer(layer);
+            if (heat && !this.map.hasLayer(heat)) this.map.addLayer(heat);
         } else {
             this.map.removeLayer(layer);
+            if (heat) this.map.removeLayer(heat);
+            if (view) this.map.removeLayer(view);
         }
+        this.refreshLegend();
+        this._refreshLabels();
     }
 
     /**
@@ -402,12 +635,34 @@ class MapManager {
      * @param {string} layerId
      * @param {object} dataset - the full dataset from state
      * @param {object} style - { strokeColor, fillColor, strokeWidth, strokeOpacity, fillOpacity, pointSize, pointSymbol }
+     * @param {object} [renderer] - thematic renderer; omit to keep the current one, null to clear
      */
-    restyleLayer(layerId, dataset, style) {
+    restyleLayer(layerId, dataset, style, renderer) {
         this._layerStyles.set(layerId, { ...style });
+        if (renderer !== undefined) this.setLayerRenderer(layerId, renderer);
         // Re-add the layer with the new style — addLayer reads from _layerStyles
         const idx = this._getLayerZIndex(layerId);
         this.addLayer(dataset, idx, { fit: false });
+        bus.emit('layer:styled', { id: layerId });
+    }
+
+    /**
+     * Redraw one line feature in place after its geometry changed (a GPS track growing),
+     * without rebuilding the layer. Labels and the legend catch up on the next addLayer.
+     * @param {string} layerId
+     * @param {object} feature - the dataset feature, already holding its new geometry
+     * @returns {boolean} false when the feature has no vector line on the map to update
+     */
+    updateLineGeometry(layerId, feature) {
+        const geom = feature?.geometry;
+        if (geom?.type !== 'LineString' && geom?.type !== 'MultiLineString') return false;
+        let line = null;
+        this.dataLayers.get(layerId)?.eachLayer(sub => {
+            if (sub.feature === feature && typeof sub.setLatLngs === 'function') line = sub;
+        });
+        if (!line) return false;
+        line.setLatLngs(L.GeoJSON.coordsToLatLngs(geom.coordinates, geom.type === 'LineString' ? 0 : 1));
+        return true;
     }
 
     /** Get approximate z-index from dataLayers insertion order */
@@ -430,12 +685,144 @@ class MapManager {
      * Layers later in the array are drawn on top.
      */
     syncLayerOrder(orderedIds) {
+        this._layerOrder = [...orderedIds];
         for (const id of orderedIds) {
             const layer = this.dataLayers.get(id);
+            const view = this._viewLayers.get(id);
+            if (view && this.map.hasLayer(view)) view.bringToFront();
             if (layer && this.map.hasLayer(layer)) {
                 layer.bringToFront();
             }
         }
+        this.refreshLegend();
+        this._refreshLabels();
+    }
+
+    /** Visible layer ids, topmost first */
+    _visibleLayerIdsTopDown() {
+        const ids = (this._layerOrder || [...this.dataLayers.keys()]).filter(id => this.dataLayers.has(id));
+        for (const id of this.dataLayers.keys()) if (!ids.includes(id)) ids.push(id);
+        return ids.filter(id => this.map.hasLayer(this.dataLayers.get(id))).reverse();
+    }
+
+    // ============================
+    // Legend
+    // ============================
+
+    _initLegend() {
+        const LegendControl = L.Control.extend({
+            options: { position: 'bottomright' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'map-legend-control');
+                L.DomEvent.disableClickPropagation(container);
+                L.DomEvent.disableScrollPropagation(container);
+                const header = L.DomUtil.create('div', 'map-legend-header', container);
+                header.innerHTML = '<span>Legend</span><span class="map-legend-arrow">▾</span>';
+                const body = L.DomUtil.create('div', 'map-legend-body', container);
+                header.onclick = () => {
+                    this._legendOpen = !this._legendOpen;
+                    this.refreshLegend();
+                    bus.emit('map:legend', { open: this._legendOpen });
+                };
+                this._legendBody = body;
+                this._legendContainer = container;
+                return container;
+            }
+        });
+        this._legendControl = new LegendControl().addTo(this.map);
+        this.refreshLegend();
+    }
+
+    /** Rebuild the legend from each visible layer's current style and renderer */
+    refreshLegend() {
+        if (!this._legendBody) return;
+        const ids = this._visibleLayerIdsTopDown();
+        this._legendContainer.style.display = ids.length ? '' : 'none';
+        this._legendContainer.classList.toggle('collapsed', !this._legendOpen);
+        if (!this._legendOpen || !ids.length) { this._legendBody.innerHTML = ''; return; }
+
+        this._legendBody.innerHTML = ids.map(id => {
+            const sty = this._layerStyles.get(id) || {};
+            const kinds = this._layerGeomKinds.get(id) || [];
+            const renderer = this._layerRenderers.get(id);
+            const name = _escHtml(this._layerNames.get(id) || 'Layer');
+            let rows;
+            if (renderer) {
+                const kind = kinds.includes('polygon') ? 'polygon' : kinds[0] || 'point';
+                const base = { ...sty, ...(sty[kind] || {}) };
+                rows = `<div class="map-legend-field">${_escHtml(renderer.field)}</div>` +
+                    rendererLegend(renderer).map(e => {
+                        const s = { ...base };
+                        if (e.color) { if (kind === 'line') s.strokeColor = e.color; else s.fillColor = e.color; }
+                        if (e.size != null) { if (kind === 'line') s.strokeWidth = Math.max(0.5, e.size / 3); else s.pointSize = e.size; }
+                        return `<div class="map-legend-row">${_legendSwatch(kind, s)}<span>${_escHtml(String(e.label))}</span></div>`;
+                    }).join('');
+            } else if (kinds.length > 1) {
+                const labels = { point: 'Points', line: 'Lines', polygon: 'Polygons' };
+                rows = kinds.map(k =>
+                    `<div class="map-legend-row">${_legendSwatch(k, { ...sty, ...(sty[k] || {}) })}<span>${labels[k]}</span></div>`
+                ).join('');
+            } else {
+                rows = '';
+            }
+            const mode = this._layerDisplayModes.get(id);
+            if (mode === 'heatmap') {
+                const weight = sty.display?.weightField;
+                rows += `<div class="map-legend-row"><span class="map-legend-swatch"><span class="map-legend-heat" style="background:linear-gradient(90deg,${Object.values(HEAT_GRADIENT).join(',')});"></span></span><span>Heatmap${weight ? ' · ' + _escHtml(weight) : ''}</span></div>`;
+            } else if (mode === 'cluster') {
+                rows += `<div class="map-legend-row"><span class="map-legend-swatch"><span class="map-legend-cluster" style="background:${sty.point?.fillColor || sty.fillColor};">n</span></span><span>Clustered points</span></div>`;
+            }
+            const inlineSwatch = !renderer && kinds.length === 1 && mode === 'normal' ? _legendSwatch(kinds[0], sty) : '';
+            return `<div class="map-legend-layer"><div class="map-legend-row map-legend-name">${inlineSwatch}<span>${name}</span></div>${rows}</div>`;
+        }).join('');
+    }
+
+    // ============================
+    // Labels
+    // ============================
+
+    /**
+     * Re-place labels for the current view. Candidates are precomputed per layer;
+     * this only projects them and resolves collisions, topmost layer first.
+     */
+    _refreshLabels() {
+        if (!this.map || !this._labelGroup) return;
+        this._labelGroup.clearLayers();
+        const zoom = this.map.getZoom();
+        const bounds = this.map.getBounds().pad(0.05);
+        const MAX_CANDIDATES = 4000;
+
+        const items = [];
+        for (const id of this._visibleLayerIdsTopDown()) {
+            const candidates = this._labelCandidates.get(id);
+            const settings = this._layerStyles.get(id)?.labels;
+            if (!candidates?.length || !settings || zoom < (settings.minZoom ?? 0)) continue;
+            const sty = this._layerStyles.get(id);
+            const pointOffset = (sty.point?.pointSize ?? sty.pointSize ?? 6) + 3;
+            for (const c of candidates) {
+                if (items.length >= MAX_CANDIDATES) break;
+                if (!bounds.contains(c.latlng)) continue;
+                const pt = this.map.latLngToContainerPoint(c.latlng);
+                items.push({
+                    x: pt.x, y: pt.y, text: c.text, latlng: c.latlng,
+                    fontSize: settings.fontSize || 12,
+                    dx: c.isPoint ? pointOffset : 0,
+                    settings
+                });
+            }
+        }
+
+        for (const it of placeLabels(items)) {
+            const { color = '#111827', halo = '#ffffff', fontSize = 12 } = it.settings;
+            const shift = it.dx ? `translate(${it.dx}px, -50%)` : 'translate(-50%, -50%)';
+            const html = `<span style="transform:${shift};font-size:${fontSize}px;color:${color};text-shadow:0 0 2px ${halo},0 0 2px ${halo},0 0 3px ${halo};">${_escHtml(it.text)}</span>`;
+            L.marker(it.latlng, {
+                pane: 'labelPane',
+                interactive: false,
+                keyboard: false,
+                icon: L.divIcon({ className: 'map-label', html, iconSize: null })
+            }).addTo(this._labelGroup);
+        }
     }
 
     /** Build the HTML content for a single feature popup */
@@ -454,12 +841,9 @@ class MapManager {
         const rows = Object.entries(props)
             .filter(([k, v]) => v != null && !k.startsWith('_'))
             .map(([k, v]) => {
-                // Render attached photos inline
-                if (v && typeof v === 'object' && v._att && v.dataUrl) {
-                    return `<tr><th>${k}</th><td style="padding:4px 0;">
-                        <img src="${v.dataUrl}" style="max-width:240px;max-height:180px;border-radius:4px;display:block;margin-bottom:2px;" />
-                        <span style="font-size:10px;color:#888;">${v.name || 'photo'}</span>
-                    </td></tr>`;
+                // Render attached photos and files inline
+                if (isAttachmentValue(v)) {
+                    return `<tr><th>${k}</th><td style="padding:4px 0;">${_attachmentsHtml(attachmentList(v))}</td></tr>`;
                 }
                 let val = v;
                 if (typeof v === 'object') val = JSON.stringify(v);
@@ -502,6 +886,21 @@ class MapManager {
         for (const [layerId, geojsonLayer] of this.dataLayers) {
             if (!this.map.hasLayer(geojsonLayer)) continue; // skip hidden
 
+            if (geojsonLayer.hitTest) {
+                // Canvas layer — grid-indexed hit test instead of walking every feature
+                for (const sub of geojsonLayer.hitTest(clickPt, pointTolerance)) {
+                    results.push({
+                        feature: sub.feature,
+                        featureIndex: sub._featureIndex,
+                        leafletLayer: sub,
+                        layerId,
+                        layerName: this._layerNames.get(layerId) || layerId,
+                        layerColor: sub.options.color || '#2563eb'
+                    });
+                }
+                continue;
+            }
+
             const color = typeof geojsonLayer.options?.style === 'function'
                 ? '#2563eb'
                 : (geojsonLayer.options?.style?.color || '#2563eb');
@@ -597,6 +996,8 @@ class MapManager {
         }
 
         const editBtn = `<div style="margin-top:6px;border-top:1px solid var(--border);padding-top:4px;text-align:right;">
+            <button onclick="window._mapPopupAttach()" style="background:none;border:1px solid var(--border);color:var(--text);border-radius:4px;padding:3px 10px;cursor:pointer;font-size:12px;margin-right:4px;">📎 Attach</button>
+            <button onclick="window._mapPopupEditGeometry()" style="background:none;border:1px solid var(--border);color:var(--text);border-radius:4px;padding:3px 10px;cursor:pointer;font-size:12px;margin-right:4px;">⬚ Shape</button>
             <button onclick="window._mapPopupEdit()" style="background:var(--primary);color:#fff;border:none;border-radius:4px;padding:3px 12px;cursor:pointer;font-size:12px;">✏️ Edit</button>
         </div>`;
 
@@ -1110,6 +1511,11 @@ class MapManager {
     // Feature Selection System
     // ==========================================
 
+    /** Layers with more features than this render to a shared canvas */
+    static get CANVAS_RENDER_THRESHOLD() {
+        return 10000;
+    }
+
     /** Selection highlight style */
     static get SELECTION_STYLE() {
         return {
@@ -1292,6 +1698,12 @@ class MapManager {
             }
             const sel = this._selections.get(layerId);
 
+            if (leafletLayer.featureIndicesInBounds) {
+                for (const idx of leafletLayer.featureIndicesInBounds(bounds)) sel.add(idx);
+                this._renderSelectionHighlights(layerId);
+                continue;
+            }
+
             leafletLayer.eachLayer((sub) => {
                 const idx = sub._featureIndex;
                 if (idx === undefined) return;
@@ -1332,6 +1744,22 @@ class MapManager {
         const leafletLayer = this.dataLayers.get(layerId);
         if (!leafletLayer) return;
 
+        if (leafletLayer.getFeature) {
+            // Canvas layer — draw the selection on its own canvas too; it can be the whole layer
+            const features = [...sel].map(i => leafletLayer.getFeature(i)).filter(Boolean);
+            const sp = MapManager.SELECTION_POINT_STYLE;
+            const group = createCanvasFeatureLayer(features, {
+                interactive: false,
+                pane: 'canvasSelectionPane',
+                paneZIndex: 395,
+                style: (f) => (f.geometry.type === 'Point' || f.geometry.type === 'MultiPoint')
+                    ? { ...sp }
+                    : { ...MapManager.SELECTION_STYLE }
+            }).addTo(this.map);
+            this._selectionLayers.set(layerId, group);
+            return;
+        }
+
         const group = L.layerGroup();
         leafletLayer.eachLayer((sub) => {
             if (sel.has(sub._featureIndex)) {
@@ -0,0 +1,136 @@
+/**
+ * Photo Placer — put photos without a position on the map by hand
+ * Shows the unplaced photos in a panel over the map; drag a thumbnail onto the
+ * map, or tap one and then tap the map (phones, where drag and drop is awkward).
+ * Events: 'photo:placed' ({ index, lat, lng }), 'photo:placerClosed' ({ remaining }).
+ */
+import bus from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import mapManager from './map-manager.js';
+
+// dataTransfer type carrying the photo index while dragging
+const DRAG_TYPE = 'application/x-gis-photo-index';
+
+class PhotoPlacer {
+    constructor() {
+        this._items = [];       // [{ index, filename, thumbnailUrl }]
+        this._selected = null;  // index picked for tap-to-place
+        this._panel = null;
+        this._onDragOver = (e) => {
+            if (![...(e.dataTransfer?.types || [])].includes(DRAG_TYPE)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        };
+        this._onDrop = (e) => {
+            const index = e.dataTransfer?.getData(DRAG_TYPE);
+            if (index === '' || index === undefined) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this._place(Number(index), this.map.mouseEventToLatLng(e));
+        };
+        this._onMapClick = (e) => {
+            if (this._selected === null) return;
+            this._place(this._selected, e.latlng);
+        };
+    }
+
+    /** Get the Leaflet map instance */
+    get map() { return mapManager.map; }
+
+    get isActive() { return !!this._panel; }
+
+    /**
+     * Show the panel of photos to place.
+     * @param {Array<{ index: number, filename: string, thumbnailUrl?: string }>} items - index is the caller's photo id
+     */
+    start(items) {
+        if (!this.map) return;
+        if (this.isActive) this.stop();
+        this._items = items.slice();
+        this._selected = null;
+        const container = this.map.getContainer();
+        container.addEventListener('dragover', this._onDragOver);
+        container.addEventListener('drop', this._onDrop);
+        this.map.on('click', this._onMapClick);
+        this._showPanel();
+        logger.info('PhotoPlacer', 'Placing photos', { count: items.length });
+    }
+
+    /** Close the panel; emits 'photo:placerClosed' */
+    stop() {
+        if (!this.isActive) return;
+        const container = this.map.getContainer();
+        container.removeEventListener('dragover', this._onDragOver);
+        container.removeEventListener('drop', this._onDrop);
+        container.classList.remove('photo-placing');
+        this.map.off('click', this._onMapClick);
+        this._panel.remove();
+        this._panel = null;
+        this._selected = null;
+        const remaining = this._items.length;
+        this._items = [];
+        bus.emit('photo:placerClosed', { remaining });
+    }
+
+    _place(index, latlng) {
+        if (!this._items.some(it => it.index === index)) return;
+        this._items = this._items.filter(it => it.index !== index);
+        this._selected = null;
+        this.map.getContainer().classList.remove('photo-placing');
+        bus.emit('photo:placed', { index, lat: latlng.lat, lng: latlng.lng });
+        if (this._items.length) this._renderItems();
+        else this.stop();
+    }
+
+    // ============================
+    // Panel UI
+    // ============================
+
+    _showPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'draw-toolbar photo-place-toolbar';
+        panel.innerHTML = `
+            <div class="draw-toolbar-header">
+                <span class="draw-toolbar-title">📍 Place photos</span>
+                <button class="draw-toolbar-close" title="Done">✕</button>
+            </div>
+            <div class="photo-place-hint">Drag a photo onto the map, or tap it and then tap the map.</div>
+            <div class="photo-place-list"></div>
+        `;
+        panel.querySelector('.draw-toolbar-close').onclick = () => this.stop();
+
+        // Keep clicks on the panel away from the map
+        panel.addEventListener('click', (e) => e.stopPropagation());
+        panel.addEventListener('dblclick', (e) => e.stopPropagation());
+        panel.addEventListener('mousedown', (e) => e.stopPropagation());
+
+        this.map.getContainer().appendChild(panel);
+        this._panel = panel;
+        this._renderItems();
+    }
+
+    _renderItems() {
+        const esc = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const list = this._panel.querySelector('.photo-place-list');
+        list.innerHTML = this._items.map(it => `
+            <div class="photo-place-item${it.index === this._selected ? ' selected' : ''}" draggable="true" data-index="${it.index}" title="${esc(it.filename)}">
+                ${it.thumbnailUrl ? `<img src="${it.thumbnailUrl}" alt="" draggable="false">` : '<span>📷</span>'}
+                <div>${esc(it.filename)}</div>
+            </div>`).join('');
+        list.querySelectorAll('.photo-place-item').forEach(el => {
+            const index = Number(el.dataset.index);
+            el.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(DRAG_TYPE, String(index));
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+            el.addEventListener('click', () => {
+                this._selected = this._selected === index ? null : index;
+                this.map.getContainer().classList.toggle('photo-placing', this._selected !== null);
+                this._renderItems();
+            });
+        });
+    }
+}
+
+const photoPlacer = new PhotoPlacer();
+export default photoPlacer;
@@ -0,0 +1,119 @@
+/**
+ * Point display modes — clustering and heatmaps for dense point layers.
+ * Settings live on the layer style as `style.display` so they persist with it.
+ * Uses Leaflet.markercluster and Leaflet.heat loaded via CDN; without them
+ * the layer falls back to normal point rendering.
+ */
+
+export const DISPLAY_MODES = {
+    normal: 'Normal',
+    cluster: 'Clustered',
+    heatmap: 'Heatmap'
+};
+
+export const DEFAULT_DISPLAY_SETTINGS = {
+    mode: 'normal',
+    clusterRadius: 60,      // px within which points merge into a cluster
+    weightField: '',        // heatmap: numeric field scaling each point's intensity
+    heatRadius: 25,         // px
+    intensity: 1            // heatmap: >1 saturates sooner, <1 needs more points
+};
+
+// Clusters at or below this size spiderfy on click; larger ones zoom in
+const SPIDERFY_MAX = 40;
+
+export const HEAT_GRADIENT = { 0.4: '#2563eb', 0.6: '#16a34a', 0.75: '#facc15', 0.9: '#f97316', 1.0: '#dc2626' };
+
+/** Resolved display settings for a layer style (defaults filled in) */
+export function displaySettings(style) {
+    return { ...DEFAULT_DISPLAY_SETTINGS, ...(style?.display || {}) };
+}
+
+/** Whether the plugin a mode needs is loaded */
+export function isModeAvailable(mode) {
+    if (typeof L === 'undefined') return false;
+    if (mode === 'cluster') return typeof L.markerClusterGroup === 'function';
+    if (mode === 'heatmap') return typeof L.heatLayer === 'function';
+    return true;
+}
+
+/**
+ * Marker cluster group with count bubbles in the layer color.
+ * Small clusters spiderfy on click; big ones zoom to their bounds.
+ */
+export function createClusterGroup(color, settings) {
+    const group = L.markerClusterGroup({
+        maxClusterRadius: settings.clusterRadius,
+        showCoverageOnHover: false,
+        zoomToBoundsOnClick: false,
+        spiderfyOnMaxZoom: true,
+        chunkedLoading: true,
+        iconCreateFunction: (cluster) => {
+            const count = cluster.getChildCount();
+            const size = count < 10 ? 30 : count < 100 ? 36 : count < 1000 ? 42 : 50;
+            const label = count < 10000 ? count : Math.round(count / 1000) + 'k';
+            return L.divIcon({
+                html: `<div style="background:${color};"><span>${label}</span></div>`,
+                className: 'map-cluster-icon',
+                iconSize: L.point(size, size)
+            });
+        }
+    });
+    group.on('clusterclick', (e) => {
+        const cluster = e.layer;
+        const map = group._map;
+        if (!map) return;
+        if (cluster.getChildCount() <= SPIDERFY_MAX || map.getZoom() >= map.getMaxZoom()) {
+            cluster.spiderfy();
+        } else {
+            cluster.zoomToBounds({ padding: [30, 30] });
+        }
+    });
+    return group;
+}
+
+/**
+ * Heat layer for the point features of a layer.
+ * With a weight field, each point's intensity is its value relative to the layer max.
+ */
+export function createHeatLayer(features, settings) {
+    const pts = [];
+    const field = settings.weightField;
+    let maxWeight = 0;
+    if (field) {
+        for (const f of features) {
+            const v = Number(f.properties?.[field]);
+            if (Number.isFinite(v) && v > maxWeight) maxWeight = v;
+        }
+    }
+
+    for (const f of features) {
+        const g = f.geometry;
+        if (!g) continue;
+        let weight = 1;
+        if (field && maxWeight > 0) {
+            const v = Number(f.properties?.[field]);
+            if (!Number.isFinite(v) || v <= 0) continue;
+            weight = v / maxWeight;
+        }
+        if (g.type === 'Point') pts.push([g.coordinates[1], g.coordinates[0], weight]);
+        else if (g.type === 'MultiPoint') for (const c of g.coordinates) pts.push([c[1], c[0], weight]);
+    }
+
+    const radius = settings.heatRadius;
+    const layer = L.heatLayer(pts, {
+        radius,
+        blur: Math.round(radius * 0.75),
+        max: 1 / Math.max(0.05, settings.intensity),
+        minOpacity: 0.05,
+        gradient: HEAT_GRADIENT
+    });
+    const bounds = L.latLngBounds(pts.map(p => [p[0], p[1]]));
+    layer.getBounds = () => bounds;
+    return layer;
+}
+
+export default {
+    DISPLAY_MODES, DEFAULT_DISPLAY_SETTINGS, HEAT_GRADIENT,
+    displaySettings, isModeAvailable, createClusterGroup, createHeatLayer
+};
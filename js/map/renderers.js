@@ -0,0 +1,318 @@
+/**
+ * Thematic renderers — per-feature symbology driven by an attribute field
+ *  - unique:       categorized colors, one class per distinct value
+ *  - classBreaks:  graduated colors (equal interval, quantile, natural breaks, manual)
+ *  - proportional: point radius / line width scaled between a min and max size
+ * A renderer is a plain JSON object so it can be stored and persisted with layer styles.
+ */
+
+export const RENDERER_TYPES = {
+    single: 'Single symbol',
+    unique: 'Categorized (unique values)',
+    classBreaks: 'Graduated colors',
+    proportional: 'Proportional size'
+};
+
+export const CLASSIFICATION_METHODS = {
+    equal: 'Equal interval',
+    quantile: 'Quantile',
+    jenks: 'Natural breaks (Jenks)',
+    manual: 'Manual breaks'
+};
+
+// Sequential ramps for graduated colors (light → dark)
+export const COLOR_RAMPS = {
+    blues:   ['#eff6ff', '#bfdbfe', '#60a5fa', '#2563eb', '#1e3a8a'],
+    reds:    ['#fef2f2', '#fecaca', '#f87171', '#dc2626', '#7f1d1d'],
+    greens:  ['#f0fdf4', '#bbf7d0', '#4ade80', '#16a34a', '#14532d'],
+    oranges: ['#fff7ed', '#fed7aa', '#fb923c', '#ea580c', '#7c2d12'],
+    purples: ['#faf5ff', '#e9d5ff', '#c084fc', '#9333ea', '#581c87'],
+    heat:    ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+    viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    diverging: ['#2166ac', '#92c5de', '#f7f7f7', '#f4a582', '#b2182b']
+};
+
+// Qualitative palettes for categories
+export const CATEGORY_PALETTES = {
+    bold:   ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#be185d', '#65a30d', '#ea580c', '#4f46e5', '#0d9488', '#a21caf'],
+    pastel: ['#93c5fd', '#fca5a5', '#86efac', '#fcd34d', '#c4b5fd', '#67e8f9', '#f9a8d4', '#bef264', '#fdba74', '#a5b4fc', '#5eead4', '#f0abfc'],
+    earth:  ['#8c510a', '#bf812d', '#dfc27d', '#80cdc1', '#35978f', '#01665e', '#543005', '#c7eae5', '#f6e8c3', '#003c30', '#d8b365', '#5ab4ac']
+};
+
+export const NO_VALUE_COLOR = '#9ca3af';
+const MAX_CATEGORIES = 50;
+
+// ============================
+// Builders
+// ============================
+
+/**
+ * Categorized renderer — classes ordered by frequency; values beyond MAX_CATEGORIES
+ * and empty values fall back to the default color.
+ */
+export function buildUniqueValueRenderer(features, field, palette = 'bold') {
+    const counts = new Map();
+    for (const f of features) {
+        const v = f.properties?.[field];
+        if (v == null || v === '') continue;
+        const key = String(v);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const colors = CATEGORY_PALETTES[palette] || CATEGORY_PALETTES.bold;
+    const classes = [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], undefined, { numeric: true }))
+        .slice(0, MAX_CATEGORIES)
+        .map(([value, count], i) => ({ value, label: value, count, color: colors[i % colors.length] }));
+
+    return { type: 'unique', field, palette, classes, defaultColor: NO_VALUE_COLOR, truncated: counts.size > MAX_CATEGORIES };
+}
+
+/**
+ * Graduated color renderer. `breaks` are upper bounds of each class; the first class
+ * starts at the data minimum. For 'manual', pass the upper bounds in manualBreaks.
+ */
+export function buildClassBreakRenderer(features, field, { method = 'equal', classCount = 5, ramp = 'blues', manualBreaks = null } = {}) {
+    const values = numericValues(features, field);
+    if (values.length === 0) throw new Error(`Field "${field}" has no numeric values`);
+    const { min, max } = _extent(values);
+
+    const upper = method === 'manual' && manualBreaks?.length
+        ? [...manualBreaks].filter(b => isFinite(b)).sort((a, b) => a - b)
+        : computeBreaks(values, method, classCount);
+    if (upper.length === 0 || upper[upper.length - 1] < max) upper.push(max);
+
+    const colors = interpolateRamp(COLOR_RAMPS[ramp] || COLOR_RAMPS.blues, upper.length);
+    const classes = upper.map((hi, i) => {
+        const lo = i === 0 ? min : upper[i - 1];
+        return { min: lo, max: hi, label: `${_fmtNum(lo)} – ${_fmtNum(hi)}`, color: colors[i], count: 0 };
+    });
+    for (const v of values) {
+        const c = _classFor(classes, v);
+        if (c) c.count++;
+    }
+
+    return { type: 'classBreaks', field, method, ramp, classCount: classes.length, classes, defaultColor: NO_VALUE_COLOR };
+}
+
+/**
+ * Proportional-size renderer — size grows linearly with value between minSize and maxSize.
+ * Points scale radius, lines scale stroke width; polygons keep their stroke width.
+ */
+export function buildProportionalRenderer(features, field, { minSize = 4, maxSize = 24, color = null } = {}) {
+    const values = numericValues(features, field);
+    if (values.length === 0) throw new Error(`Field "${field}" has no numeric values`);
+    const { min, max } = _extent(values);
+    return {
+        type: 'proportional', field, minSize, maxSize, color,
+        minValue: min,
+        maxValue: max
+    };
+}
+
+// ============================
+// Classification
+// ============================
+
+/**
+ * Upper class bounds for a numeric array.
+ * @param {'equal'|'quantile'|'jenks'} method
+ */
+export function computeBreaks(values, method = 'equal', classCount = 5) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = Math.max(1, Math.min(classCount, new Set(sorted).size));
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max) return [max];
+
+    let breaks;
+    if (method === 'quantile') {
+        breaks = [];
+        for (let i = 1; i <= n; i++) {
+            breaks.push(sorted[Math.min(sorted.length - 1, Math.ceil((i / n) * sorted.length) - 1)]);
+        }
+    } else if (method === 'jenks') {
+        breaks = _jenks(sorted, n);
+    } else {
+        const step = (max - min) / n;
+        breaks = Array.from({ length: n }, (_, i) => i === n - 1 ? max : min + step * (i + 1));
+    }
+    // Duplicate bounds (skewed data) would create empty classes
+    return [...new Set(breaks)];
+}
+
+/**
+ * Fisher-Jenks natural breaks on sorted values. Large inputs are sampled so the
+ * O(k·n²) matrix stays small; the last break is always the true maximum.
+ */
+function _jenks(sorted, k) {
+    const SAMPLE = 1000;
+    let data = sorted;
+    if (sorted.length > SAMPLE) {
+        data = Array.from({ length: SAMPLE }, (_, i) => sorted[Math.floor(i * (sorted.length - 1) / (SAMPLE - 1))]);
+    }
+    const n = data.length;
+    const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+    const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+    for (let j = 1; j <= k; j++) { lower[1][j] = 1; variance[1][j] = 0; }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0, sumSq = 0, w = 0, v = 0;
+        for (let m = 1; m <= l; m++) {
+            const i3 = l - m + 1;
+            const val = data[i3 - 1];
+            w++;
+            sum += val;
+            sumSq += val * val;
+            v = sumSq - (sum * sum) / w;
+            const i4 = i3 - 1;
+            if (i4 !== 0) {
+                for (let j = 2; j <= k; j++) {
+                    if (variance[l][j] >= v + variance[i4][j - 1]) {
+                        lower[l][j] = i3;
+                        variance[l][j] = v + variance[i4][j - 1];
+                    }
+                }
+            }
+        }
+        lower[l][1] = 1;
+        variance[l][1] = v;
+    }
+
+    const breaks = new Array(k);
+    breaks[k - 1] = sorted[sorted.length - 1];
+    let idx = n;
+    for (let j = k; j >= 2; j--) {
+        const id = lower[idx][j] - 1;
+        breaks[j - 2] = data[id - 1];
+        idx = id;
+    }
+    return breaks.filter(b => b != null);
+}
+
+// ============================
+// Symbolizing
+// ============================
+
+/**
+ * Style overrides for one feature, merged over the layer's base style.
+ * @returns {{fillColor?, strokeColor?, pointSize?, strokeWidth?}|null}
+ */
+export function rendererSymbol(renderer, feature) {
+    if (!renderer || renderer.type === 'single' || !renderer.field) return null;
+    const raw = feature.properties?.[renderer.field];
+    const gt = feature.geometry?.type || '';
+    const isLine = gt === 'LineString' || gt === 'MultiLineString';
+
+    if (renderer.type === 'proportional') {
+        const n = _toNumber(raw);
+        if (n == null) return null;
+        const { minValue, maxValue, minSize, maxSize } = renderer;
+        const t = maxValue > minValue ? (Math.min(maxValue, Math.max(minValue, n)) - minValue) / (maxValue - minValue) : 1;
+        const size = minSize + t * (maxSize - minSize);
+        const out = isLine ? { strokeWidth: Math.max(0.5, size / 3) } : { pointSize: size };
+        if (renderer.color) Object.assign(out, isLine ? { strokeColor: renderer.color } : { fillColor: renderer.color });
+        return out;
+    }
+
+    let color = renderer.defaultColor || NO_VALUE_COLOR;
+    if (renderer.type === 'unique') {
+        const c = raw == null || raw === '' ? null : renderer.classes.find(cl => cl.value === String(raw));
+        if (c) color = c.color;
+    } else if (renderer.type === 'classBreaks') {
+        const n = _toNumber(raw);
+        const c = n == null ? null : _classFor(renderer.classes, n);
+        if (c) color = c.color;
+    }
+    return isLine ? { strokeColor: color } : { fillColor: color };
+}
+
+/**
+ * Legend entries for a renderer: [{ label, color?, size? }]
+ */
+export function rendererLegend(renderer) {
+    if (!renderer || renderer.type === 'single') return [];
+    if (renderer.type === 'proportional') {
+        const { minValue, maxValue, minSize, maxSize } = renderer;
+        const mid = (minValue + maxValue) / 2;
+        return [
+            { label: _fmtNum(minValue), size: minSize, color: renderer.color },
+            { label: _fmtNum(mid), size: (minSize + maxSize) / 2, color: renderer.color },
+            { label: _fmtNum(maxValue), size: maxSize, color: renderer.color }
+        ];
+    }
+    const entries = renderer.classes.map(c => ({ label: c.label, color: c.color }));
+    entries.push({ label: renderer.type === 'unique' && renderer.truncated ? 'Other / no value' : 'No value', color: renderer.defaultColor || NO_VALUE_COLOR });
+    return entries;
+}
+
+// ============================
+// Helpers
+// ============================
+
+export function numericValues(features, field) {
+    const out = [];
+    for (const f of features) {
+        const n = _toNumber(f.properties?.[field]);
+        if (n != null) out.push(n);
+    }
+    return out;
+}
+
+/** Spread a ramp's stops across n evenly spaced colors */
+export function interpolateRamp(stops, n) {
+    if (n <= 1) return [stops[stops.length - 1]];
+    const rgb = stops.map(_hexToRgb);
+    return Array.from({ length: n }, (_, i) => {
+        const pos = (i / (n - 1)) * (rgb.length - 1);
+        const lo = Math.floor(pos);
+        const hi = Math.min(rgb.length - 1, lo + 1);
+        const t = pos - lo;
+        return _rgbToHex(rgb[lo].map((c, j) => Math.round(c + (rgb[hi][j] - c) * t)));
+    });
+}
+
+// Min and max in one pass — spreading a large array into Math.min/max overflows the call stack
+function _extent(values) {
+    let min = Infinity, max = -Infinity;
+    for (const v of values) {
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return { min, max };
+}
+
+function _classFor(classes, v) {
+    for (let i = 0; i < classes.length; i++) {
+        const c = classes[i];
+        if (v >= (i === 0 ? -Infinity : c.min) && v <= c.max) return c;
+    }
+    return null;
+}
+
+function _toNumber(v) {
+    if (v == null || v === '' || typeof v === 'boolean') return null;
+    const n = typeof v === 'number' ? v : Number(v);
+    return isFinite(n) ? n : null;
+}
+
+function _fmtNum(n) {
+    if (n == null || !isFinite(n)) return '';
+    if (Number.isInteger(n)) return n.toLocaleString();
+    const abs = Math.abs(n);
+    return n.toLocaleString(undefined, { maximumFractionDigits: abs >= 100 ? 0 : abs >= 1 ? 2 : 4 });
+}
+
+function _hexToRgb(hex) {
+    const h = hex.replace('#', '');
+    return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+}
+
+function _rgbToHex(rgb) {
+    return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+export default {
+    RENDERER_TYPES, CLASSIFICATION_METHODS, COLOR_RAMPS, CATEGORY_PALETTES,
+    buildUniqueValueRenderer, buildClassBreakRenderer, buildProportionalRenderer,
+    computeBreaks, rendererSymbol, rendererLegend, numericValues, interpolateRamp
+};
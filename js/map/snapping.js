@@ -0,0 +1,348 @@
+/**
+ * Snapping — pull the cursor onto existing geometry while drawing and editing.
+ * Snaps to endpoints, vertices and edges of visible spatial layers (all of them,
+ * or the ones picked in the snap settings) within a pixel tolerance.
+ * Endpoints win over vertices, vertices over edges. Hold Alt to suspend snapping.
+ * Each layer gets a grid index of its feature bounding boxes, built on the first
+ * snap after it changes, so a snap check only visits features near the cursor.
+ * Settings persist with the session's UI state; changes emit 'snap:changed'.
+ */
+import bus from '../core/event-bus.js';
+import { getLayers } from '../core/state.js';
+
+export const SNAP_TYPES = {
+    endpoint: 'Endpoints',
+    vertex: 'Vertices',
+    edge: 'Edges'
+};
+
+export const DEFAULT_SNAP_SETTINGS = {
+    enabled: true,
+    tolerance: 10,          // px
+    endpoint: true,
+    vertex: true,
+    edge: true,
+    layerIds: null          // null = every visible spatial layer
+};
+
+const PRIORITY = { endpoint: 0, vertex: 1, edge: 2 };
+
+// Moving a whole feature snaps whichever of its vertices lands closest; big features are sampled
+const MAX_MOVE_SNAP_VERTICES = 200;
+// Features spanning more grid cells than this are checked on every query instead
+const MAX_CELLS_PER_FEATURE = 64;
+
+let settings = { ...DEFAULT_SNAP_SETTINGS };
+let altDown = false;
+let indicator = null;
+
+// layerId → { features, count, boxes: Float64Array [minX, minY, maxX, maxY] per feature, grid }
+const indexCache = new Map();
+
+bus.on('layers:changed', () => indexCache.clear());
+bus.on('history:changed', () => indexCache.clear());
+bus.on('layer:updated', (layer) => indexCache.delete(layer?.id));
+bus.on('layer:removed', ({ id }) => indexCache.delete(id));
+
+if (typeof document !== 'undefined') {
+    document.addEventListener('keydown', (e) => { if (e.key === 'Alt') altDown = true; });
+    document.addEventListener('keyup', (e) => { if (e.key === 'Alt') altDown = false; });
+    window.addEventListener('blur', () => { altDown = false; });
+}
+
+export function getSnapSettings() {
+    return { ...settings, layerIds: settings.layerIds ? [...settings.layerIds] : null };
+}
+
+/** Merge new settings in (unknown keys ignored) and emit 'snap:changed' */
+export function setSnapSettings(next = {}) {
+    const merged = { ...settings };
+    for (const key of Object.keys(DEFAULT_SNAP_SETTINGS)) {
+        if (next[key] !== undefined) merged[key] = next[key];
+    }
+    merged.tolerance = Math.min(50, Math.max(1, Number(merged.tolerance) || DEFAULT_SNAP_SETTINGS.tolerance));
+    merged.layerIds = Array.isArray(merged.layerIds) ? [...merged.layerIds] : null;
+    settings = merged;
+    bus.emit('snap:changed', getSnapSettings());
+}
+
+/** Whether snapping is on right now (enabled and Alt not held) */
+export function isSnapActive(originalEvent) {
+    return settings.enabled && !altDown && !originalEvent?.altKey;
+}
+
+/**
+ * Snap a position to nearby geometry.
+ * @param {L.Map} map
+ * @param {L.LatLng} latlng
+ * @param {Object} [opts]
+ * @param {{ layerId: string, featureIndex: number }} [opts.exclude] - feature being edited
+ * @param {Array<[number, number]>} [opts.extra] - more [lng, lat] vertices to snap to (e.g. the shape being drawn)
+ * @param {Event} [opts.originalEvent] - checked for the Alt key
+ * @returns {{ latlng: L.LatLng, snapped: boolean, type?: string, layerId?: string }}
+ */
+export function snapLatLng(map, latlng, opts = {}) {
+    if (!map || !isSnapActive(opts.originalEvent)) return { latlng, snapped: false };
+    return _snapTo(map, latlng, opts, _snapLayers());
+}
+
+// snapLatLng against a given list of layers
+function _snapTo(map, latlng, opts, layers) {
+    const miss = { latlng, snapped: false };
+    if (!settings.endpoint && !settings.vertex && !settings.edge) return miss;
+
+    const tol = settings.tolerance;
+    const p = map.latLngToContainerPoint(latlng);
+    const sw = map.containerPointToLatLng([p.x - tol, p.y + tol]);
+    const ne = map.containerPointToLatLng([p.x + tol, p.y - tol]);
+    const box = [sw.lng, sw.lat, ne.lng, ne.lat];
+
+    let best = null;
+    // coord is the exact vertex for endpoint/vertex hits, so snapped shapes share coordinates
+    const consider = (type, pt, layerId, coord = null) => {
+        const d = Math.hypot(pt.x - p.x, pt.y - p.y);
+        if (d > tol) return;
+        if (!best || PRIORITY[type] < PRIORITY[best.type] || (PRIORITY[type] === PRIORITY[best.type] && d < best.d)) {
+            best = { type, pt, d, layerId, coord };
+        }
+    };
+    const toPx = (c) => map.latLngToContainerPoint([c[1], c[0]]);
+    const inBox = (c) => c[0] >= box[0] && c[0] <= box[2] && c[1] >= box[1] && c[1] <= box[3];
+
+    const visitLine = (coords, closed, layerId) => {
+        const n = coords.length;
+        for (let i = 0; i < n; i++) {
+            const c = coords[i];
+            if (inBox(c)) {
+                const isEnd = !closed && (i === 0 || i === n - 1);
+                if (isEnd && settings.endpoint) consider('endpoint', toPx(c), layerId, c);
+                else if (settings.vertex) consider('vertex', toPx(c), layerId, c);
+            }
+            if (settings.edge && i < n - 1) {
+                const d = coords[i + 1];
+                if (Math.max(c[0], d[0]) < box[0] || Math.min(c[0], d[0]) > box[2] ||
+                    Math.max(c[1], d[1]) < box[1] || Math.min(c[1], d[1]) > box[3]) continue;
+                consider('edge', _nearestOnSegment(p, toPx(c), toPx(d)), layerId);
+            }
+        }
+    };
+    const visitPoint = (c, layerId) => {
+        if (!inBox(c)) return;
+        if (settings.vertex) consider('vertex', toPx(c), layerId, c);
+        else if (settings.endpoint) consider('endpoint', toPx(c), layerId, c);
+    };
+
+    for (const layer of layers) {
+        const index = _index(layer);
+        for (const i of _query(index, box)) {
+            if (opts.exclude && opts.exclude.layerId === layer.id && opts.exclude.featureIndex === i) continue;
+            _walk(index.features[i]?.geometry, (coords, closed) => visitLine(coords, closed, layer.id), (c) => visitPoint(c, layer.id));
+        }
+    }
+    for (const c of opts.extra || []) visitPoint(c, null);
+
+    if (!best) return miss;
+    return {
+        latlng: best.coord ? L.latLng(best.coord[1], best.coord[0]) : map.containerPointToLatLng(best.pt),
+        snapped: true,
+        type: best.type,
+        layerId: best.layerId
+    };
+}
+
+/**
+ * Snap a feature being moved: find the vertex that lands closest to something
+ * and return the extra pixel offset that puts it exactly there.
+ * @param {Array<[number, number]>} coords - vertices after the move, [lng, lat]
+ * @returns {{ dx: number, dy: number, snap: Object }|null}
+ */
+export function snapMove(map, coords, opts = {}) {
+    if (!map || !isSnapActive(opts.originalEvent) || !coords.length) return null;
+    const step = Math.max(1, Math.ceil(coords.length / MAX_MOVE_SNAP_VERTICES));
+    const layers = _snapLayers();
+    let best = null;
+    for (let i = 0; i < coords.length; i += step) {
+        const from = L.latLng(coords[i][1], coords[i][0]);
+        const snap = _snapTo(map, from, opts, layers);
+        if (!snap.snapped) continue;
+        const a = map.latLngToContainerPoint(from);
+        const b = map.latLngToContainerPoint(snap.latlng);
+        const d = Math.hypot(b.x - a.x, b.y - a.y);
+        if (!best || PRIORITY[snap.type] < PRIORITY[best.snap.type] ||
+            (PRIORITY[snap.type] === PRIORITY[best.snap.type] && d < best.d)) {
+            best = { dx: b.x - a.x, dy: b.y - a.y, d, snap };
+        }
+    }
+    return best;
+}
+
+/** Show (or move) the snap indicator; hides it when the result did not snap */
+export function showSnapIndicator(map, result) {
+    if (!result?.snapped) { clearSnapIndicator(); return; }
+    const icon = L.divIcon({ className: `snap-indicator snap-${result.type}`, iconSize: [14, 14] });
+    if (!indicator) {
+        indicator = L.marker(result.latlng, { icon, interactive: false, keyboard: false, zIndexOffset: 2000 }).addTo(map);
+    } else {
+        indicator.setLatLng(result.latlng);
+        if (indicator._snapType !== result.type) indicator.setIcon(icon);
+        if (!map.hasLayer(indicator)) indicator.addTo(map);
+    }
+    indicator._snapType = result.type;
+}
+
+export function clearSnapIndicator() {
+    if (indicator) {
+        indicator.remove();
+        indicator = null;
+    }
+}
+
+/** Snap toggle + settings buttons for the draw and edit toolbars */
+export function snapButtonsHtml() {
+    return `<button class="draw-tool-btn snap-toggle-btn" title="Snap to nearby features (hold Alt to suspend)">🧲 Snap</button>
+        <button class="draw-tool-btn snap-settings-btn" title="Snap settings" style="flex:0 0 auto;">⚙</button>`;
+}
+
+/** Wire the buttons from snapButtonsHtml(); returns an unsubscribe function */
+export function bindSnapButtons(container) {
+    const toggle = container.querySelector('.snap-toggle-btn');
+    const update = () => toggle?.classList.toggle('active', settings.enabled);
+    if (toggle) toggle.onclick = (e) => { e.stopPropagation(); setSnapSettings({ enabled: !settings.enabled }); };
+    const gear = container.querySelector('.snap-settings-btn');
+    if (gear) gear.onclick = (e) => { e.stopPropagation(); bus.emit('snap:settingsRequested'); };
+    update();
+    return bus.on('snap:changed', update);
+}
+
+// ============================
+// Helpers
+// ============================
+
+function _snapLayers() {
+    const chosen = settings.layerIds ? new Set(settings.layerIds) : null;
+    return getLayers().filter(l =>
+        l.type === 'spatial' && l.visible !== false && l.geojson?.features?.length &&
+        (!chosen || chosen.has(l.id)));
+}
+
+// Per-feature bounding boxes in a uniform grid, rebuilt when the layer changes
+function _index(layer) {
+    const features = layer.geojson.features;
+    const cached = indexCache.get(layer.id);
+    if (cached && cached.features === features && cached.count === features.length) return cached;
+
+    const boxes = new Float64Array(features.length * 4);
+    const extent = [Infinity, Infinity, -Infinity, -Infinity];
+    features.forEach((f, i) => {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const grow = (c) => {
+            if (c[0] < minX) minX = c[0];
+            if (c[0] > maxX) maxX = c[0];
+            if (c[1] < minY) minY = c[1];
+            if (c[1] > maxY) maxY = c[1];
+        };
+        _walk(f?.geometry, (coords) => coords.forEach(grow), grow);
+        boxes.set([minX, minY, maxX, maxY], i * 4);
+        if (minX <= maxX) {
+            extent[0] = Math.min(extent[0], minX);
+            extent[1] = Math.min(extent[1], minY);
+            extent[2] = Math.max(extent[2], maxX);
+            extent[3] = Math.max(extent[3], maxY);
+        }
+    });
+
+    const side = Math.max(1, Math.min(1024, Math.ceil(Math.sqrt(features.length / 4))));
+    const grid = {
+        extent, side,
+        cw: Math.max((extent[2] - extent[0]) / side, 1e-12),
+        ch: Math.max((extent[3] - extent[1]) / side, 1e-12),
+        cells: new Map(),
+        oversize: [],
+        stamps: new Uint32Array(features.length),
+        stamp: 0
+    };
+    for (let i = 0; i < features.length; i++) {
+        const o = i * 4;
+        if (!(boxes[o] <= boxes[o + 2])) continue;   // no coordinates
+        const [c1, r1, c2, r2] = _cellRange(grid, boxes[o], boxes[o + 1], boxes[o + 2], boxes[o + 3]);
+        if ((c2 - c1 + 1) * (r2 - r1 + 1) > MAX_CELLS_PER_FEATURE) {
+            grid.oversize.push(i);
+            continue;
+        }
+        for (let r = r1; r <= r2; r++) {
+            for (let c = c1; c <= c2; c++) {
+                const key = r * side + c;
+                let cell = grid.cells.get(key);
+                if (!cell) { cell = []; grid.cells.set(key, cell); }
+                cell.push(i);
+            }
+        }
+    }
+
+    const entry = { features, count: features.length, boxes, grid };
+    indexCache.set(layer.id, entry);
+    return entry;
+}
+
+function _cellRange(grid, x1, y1, x2, y2) {
+    const clamp = v => Math.max(0, Math.min(grid.side - 1, v));
+    return [
+        clamp(Math.floor((x1 - grid.extent[0]) / grid.cw)),
+        clamp(Math.floor((y1 - grid.extent[1]) / grid.ch)),
+        clamp(Math.floor((x2 - grid.extent[0]) / grid.cw)),
+        clamp(Math.floor((y2 - grid.extent[1]) / grid.ch))
+    ];
+}
+
+/** Indices of the features whose bounding box meets `box` [minX, minY, maxX, maxY] */
+function _query({ boxes, grid }, box) {
+    const [x1, y1, x2, y2] = box;
+    const e = grid.extent;
+    if (x2 < e[0] || x1 > e[2] || y2 < e[1] || y1 > e[3]) return [];
+    // Stamps skip features listed in several of the cells visited
+    if (++grid.stamp === 0xffffffff) { grid.stamps.fill(0); grid.stamp = 1; }
+    const stamp = grid.stamp;
+    const out = [];
+    const take = (i) => {
+        if (grid.stamps[i] === stamp) return;
+        grid.stamps[i] = stamp;
+        const o = i * 4;
+        if (boxes[o] <= x2 && boxes[o + 2] >= x1 && boxes[o + 1] <= y2 && boxes[o + 3] >= y1) out.push(i);
+    };
+    const [c1, r1, c2, r2] = _cellRange(grid, x1, y1, x2, y2);
+    for (let r = r1; r <= r2; r++) {
+        for (let c = c1; c <= c2; c++) {
+            const cell = grid.cells.get(r * grid.side + c);
+            if (cell) for (const i of cell) take(i);
+        }
+    }
+    for (const i of grid.oversize) take(i);
+    return out;
+}
+
+// Call onLine(coords, closed) for every line/ring and onPoint(coord) for every point
+function _walk(geom, onLine, onPoint) {
+    if (!geom) return;
+    switch (geom.type) {
+        case 'Point': onPoint(geom.coordinates); break;
+        case 'MultiPoint': geom.coordinates.forEach(onPoint); break;
+        case 'LineString': onLine(geom.coordinates, false); break;
+        case 'MultiLineString': geom.coordinates.forEach(l => onLine(l, false)); break;
+        case 'Polygon': geom.coordinates.forEach(r => onLine(r, true)); break;
+        case 'MultiPolygon': geom.coordinates.forEach(poly => poly.forEach(r => onLine(r, true))); break;
+        case 'GeometryCollection': (geom.geometries || []).forEach(g => _walk(g, onLine, onPoint)); break;
+    }
+}
+
+function _nearestOnSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return L.point(a.x + t * dx, a.y + t * dy);
+}
+
+export default {
+    SNAP_TYPES, DEFAULT_SNAP_SETTINGS,
+    getSnapSettings, setSnapSettings, isSnapActive, snapLatLng, snapMove,
+    showSnapIndicator, clearSnapIndicator, snapButtonsHtml, bindSnapButtons
+};
@@ -0,0 +1,138 @@
+/**
+ * Geotag — place photos without GPS by matching their capture time to a GPS track.
+ * Tracks carry per-vertex timestamps in _coordTimes (GPX import, recorded GPS tracks),
+ * flat for a LineString and nested per part for a MultiLineString.
+ * A photo's position is interpolated between the track points either side of its
+ * time, after correcting the camera clock; photos too far in time from the track
+ * are left unplaced.
+ */
+import logger from '../core/logger.js';
+
+export const DEFAULT_GEOTAG_OPTIONS = {
+    offsetSeconds: 0,       // camera clock minus true time (positive = camera ahead)
+    maxGapSeconds: 300      // longest gap between track points to interpolate across, and furthest a photo may be from one
+};
+
+/**
+ * Parse a clock offset: seconds ("-90") or [-]h:mm:ss / [-]mm:ss ("+1:00:05", "-0:02:30").
+ * @returns {number|null} seconds
+ */
+export function parseClockOffset(text) {
+    const s = String(text ?? '').trim();
+    if (!s) return 0;
+    const m = s.match(/^([+-])?\s*(\d+(?:\.\d+)?)(?::(\d{1,2}))?(?::(\d{1,2}))?$/);
+    if (!m) return null;
+    const sign = m[1] === '-' ? -1 : 1;
+    let secs;
+    if (m[4] !== undefined) secs = Number(m[2]) * 3600 + Number(m[3]) * 60 + Number(m[4]);
+    else if (m[3] !== undefined) secs = Number(m[2]) * 60 + Number(m[3]);
+    else secs = Number(m[2]);
+    if ((m[3] !== undefined && Number(m[3]) >= 60) || (m[4] !== undefined && Number(m[4]) >= 60)) return null;
+    return sign * secs;
+}
+
+/** Seconds → "+1:00:05" / "-0:02:30" */
+export function formatClockOffset(seconds) {
+    const abs = Math.round(Math.abs(seconds));
+    const h = Math.floor(abs / 3600);
+    const m = Math.floor((abs % 3600) / 60);
+    const s = abs % 60;
+    return `${seconds < 0 ? '-' : '+'}${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+/**
+ * Timed track points from line features, sorted by time.
+ * Each LineString part is its own segment — positions are never interpolated across segments.
+ * Parts whose time list is not one per vertex are skipped.
+ * @param {Array} features
+ * @returns {Array<{ time: number, coord: number[], segment: number }>} time in ms
+ */
+export function trackTimeline(features) {
+    const points = [];
+    let segment = 0;
+    for (const f of features || []) {
+        const g = f?.geometry;
+        const times = f?.properties?._coordTimes;
+        if (!g || !Array.isArray(times)) continue;
+        const parts = g.type === 'LineString' ? [[g.coordinates, times]]
+            : g.type === 'MultiLineString' ? g.coordinates.map((c, i) => [c, times[i]]) : [];
+        for (const [coords, partTimes] of parts) {
+            if (!Array.isArray(coords) || !Array.isArray(partTimes)) continue;
+            if (partTimes.length !== coords.length) {
+                // Times no longer match the vertices (edited outside the track tools) — positions would be wrong
+                logger.warn('Geotag', 'Skipped a track part whose times do not match its vertices', { vertices: coords.length, times: partTimes.length });
+                continue;
+            }
+            coords.forEach((coord, i) => {
+                const time = Date.parse(partTimes[i]);
+                if (!Number.isNaN(time)) points.push({ time, coord, segment });
+            });
+            segment++;
+        }
+    }
+    return points.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Position on the timeline at a moment.
+ * Between two points of one segment no more than maxGapSeconds apart the position is
+ * interpolated; otherwise the nearer point is used if it is within maxGapSeconds.
+ * @param {Array} timeline - from trackTimeline
+ * @param {number} time - ms
+ * @param {number} [maxGapSeconds]
+ * @returns {{ coord: number[], method: 'interpolated'|'nearest', gapSeconds: number }|null}
+ */
+export function locateByTime(timeline, time, maxGapSeconds = DEFAULT_GEOTAG_OPTIONS.maxGapSeconds) {
+    if (!timeline.length || !Number.isFinite(time)) return null;
+    const maxGap = maxGapSeconds * 1000;
+
+    // First point at or after the time
+    let lo = 0, hi = timeline.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (timeline[mid].time < time) lo = mid + 1;
+        else hi = mid;
+    }
+    const next = timeline[lo];
+    const prev = lo > 0 ? timeline[lo - 1] : null;
+
+    if (next && next.time === time) return { coord: next.coord.slice(), method: 'interpolated', gapSeconds: 0 };
+    if (prev && next && prev.segment === next.segment && next.time - prev.time <= maxGap) {
+        const k = (time - prev.time) / (next.time - prev.time);
+        const coord = prev.coord.map((v, i) => (next.coord[i] === undefined ? v : v + (next.coord[i] - v) * k));
+        return { coord, method: 'interpolated', gapSeconds: Math.round(Math.min(time - prev.time, next.time - time) / 1000) };
+    }
+    const candidates = [prev, next].filter(Boolean);
+    const nearest = candidates.sort((a, b) => Math.abs(a.time - time) - Math.abs(b.time - time))[0];
+    const gap = Math.abs(nearest.time - time);
+    return gap <= maxGap ? { coord: nearest.coord.slice(), method: 'nearest', gapSeconds: Math.round(gap / 1000) } : null;
+}
+
+/**
+ * Match photos without a position to the track.
+ * @param {Array} photos - PhotoMapper photos ({ hasGPS, timestamp })
+ * @param {Array} timeline - from trackTimeline
+ * @param {Object} [opts] - DEFAULT_GEOTAG_OPTIONS fields
+ * @returns {{ matches: Array<{ index: number, coord: number[], method: string, gapSeconds: number }>,
+ *   noTime: number, outOfRange: number }}
+ */
+export function geotagPhotos(photos, timeline, opts = {}) {
+    const { offsetSeconds, maxGapSeconds } = { ...DEFAULT_GEOTAG_OPTIONS, ...opts };
+    const matches = [];
+    let noTime = 0, outOfRange = 0;
+    photos.forEach((p, index) => {
+        if (p.hasGPS) return;
+        const taken = Date.parse(p.timestamp);
+        if (!p.timestamp || Number.isNaN(taken)) { noTime++; return; }
+        const hit = locateByTime(timeline, taken - offsetSeconds * 1000, maxGapSeconds);
+        if (hit) matches.push({ index, ...hit });
+        else outOfRange++;
+    });
+    logger.info('Geotag', 'Matched photos to track', { matched: matches.length, noTime, outOfRange, offsetSeconds, maxGapSeconds });
+    return { matches, noTime, outOfRange };
+}
+
+export default {
+    DEFAULT_GEOTAG_OPTIONS,
+    parseClockOffset, formatClockOffset, trackTimeline, locateByTime, geotagPhotos
+};
@@ -1,6 +1,8 @@
 /**
  * Photo Mapper — EXIF extraction, mapping, export
  * Uses exifr for EXIF parsing (loaded via CDN)
+ * Photos without EXIF GPS can be located afterwards — matched to a GPS track by
+ * time (photo/geotag.js) or placed by hand — with locatePhoto().
  */
 import logger from '../core/logger.js';
 import { createSpatialDataset } from '../core/data-model.js';
@@ -11,6 +13,7 @@ export class PhotoMapper {
     constructor() {
         this.photos = [];
         this.dataset = null;
+        this._order = [];   // indices of located photos, in the order their features were made
     }
 
     async processPhotos(files, task) {
@@ -23,6 +26,7 @@ export class PhotoMapper {
 
     async _process(files, task) {
         this.photos = [];
+        this._order = [];
         const total = files.length;
         logger.info('PhotoMapper', 'Processing photos', { count: total });
 
@@ -32,6 +36,7 @@ export class PhotoMapper {
 
             const file = files[i];
             const photoInfo = {
+                id: `photo_${Date.now().toString(36)}_${i}_${Math.random().toString(36).slice(2, 8)}`,
                 filename: file.name,
                 size: file.size,
                 type: file.type,
@@ -42,6 +47,7 @@ export class PhotoMapper {
                 altitude: null,
                 heading: null,
                 hasGPS: false,
+                locationSource: null,   // 'exif' | 'track' | 'manual'
                 error: null
             };
 
@@ -59,6 +65,7 @@ export class PhotoMapper {
                     if (exifData.latitude != null && exifData.longitude != null) {
                         photoInfo.gps = { lat: exifData.latitude, lon: exifData.longitude };
                         photoInfo.hasGPS = true;
+                        photoInfo.locationSource = 'exif';
                     }
                     if (exifData.DateTimeOriginal || exifData.CreateDate) {
                         photoInfo.timestamp = exifData.DateTimeOriginal || exifData.CreateDate;
@@ -103,6 +110,7 @@ export class PhotoMapper {
                 } catch (_) { }
             }
 
+            if (photoInfo.hasGPS) this._order.push(this.photos.length);
             this.photos.push(photoInfo);
         }
 
@@ -312,11 +320,36 @@ export class PhotoMapper {
         });
     }
 
-    buildDataset() {
-        const gpsPhotos = this.photos.filter(p => p.hasGPS);
-        if (gpsPhotos.length === 0) return null;
+    /**
+     * Give a photo without EXIF GPS a position.
+     * @param {number} index - into getPhotos()
+     * @param {number} lat
+     * @param {number} lon
+     * @param {Object} [opts]
+     * @param {string} [opts.source='manual'] - 'track' | 'manual'
+     * @param {number} [opts.altitude]
+     * @returns {Object|null} the photo's point feature, or null if it already had a position
+     */
+    locatePhoto(index, lat, lon, { source = 'manual', altitude = null } = {}) {
+        const p = this.photos[index];
+        if (!p || p.hasGPS) return null;
+        p.gps = { lat, lon };
+        p.hasGPS = true;
+        p.locationSource = source;
+        if (altitude != null && p.altitude == null) p.altitude = altitude;
+        this._order.push(index);
+        logger.info('PhotoMapper', 'Photo located', { file: p.filename, source });
+        return this.photoFeature(p);
+    }
+
+    /** Photos still without a position, with their index in getPhotos() */
+    getUnlocated() {
+        return this.photos.map((photo, index) => ({ photo, index })).filter(({ photo }) => !photo.hasGPS);
+    }
 
-        const features = gpsPhotos.map(p => ({
+    /** Point feature for a located photo */
+    photoFeature(p) {
+        return {
             type: 'Feature',
             geometry: {
                 type: 'Point',
@@ -328,12 +361,21 @@ export class PhotoMapper {
                 latitude: p.gps.lat,
                 longitude: p.gps.lon,
                 altitude: p.altitude || '',
-                heading: p.heading || '',
+                heading: p.heading ?? '',
                 fileSize: p.size,
+                location_source: p.locationSource || 'exif',
+                _photoId: p.id,   // pairs the feature with its export data (getPhotosForExport)
                 _thumbnailUrl: p.thumbnailUrl || '',
                 _thumbnailDataUrl: p.thumbnailDataUrl || ''
             }
-        }));
+        };
+    }
+
+    buildDataset() {
+        const gpsPhotos = this._order.map(i => this.photos[i]);
+        if (gpsPhotos.length === 0) return null;
+
+        const features = gpsPhotos.map(p => this.photoFeature(p));
 
         const geojson = { type: 'FeatureCollection', features };
         // Attach photo blobs to dataset for export
@@ -346,8 +388,10 @@ export class PhotoMapper {
     getPhotos() { return this.photos; }
     getDataset() { return this.dataset; }
 
+    /** Files of the located photos; `id` matches the `_photoId` of the photo's feature */
     getPhotosForExport() {
-        return this.photos.filter(p => p.hasGPS).map(p => ({
+        return this._order.map(i => this.photos[i]).map(p => ({
+            id: p.id,
             filename: p.filename,
             blob: p.orientedBlob || p.blob,
             thumbnail: p.thumbnail,
@@ -363,6 +407,7 @@ export class PhotoMapper {
         }
         this.photos = [];
         this.dataset = null;
+        this._order = [];
     }
 }
 
@@ -0,0 +1,148 @@
+/**
+ * View direction — what a photo is looking at, from its compass heading.
+ * Photo Mapper stores GPSImgDirection as `heading` (degrees clockwise from north).
+ * A point with a heading is drawn as a view cone (a wedge of the camera's field of
+ * view) or an arrow. Settings live on the layer style as `style.viewCones` so they
+ * persist with it; the same geometry makes the cone polygon layer.
+ */
+
+export const VIEW_SHAPES = {
+    cone: 'View cone',
+    arrow: 'Arrow'
+};
+
+export const DEFAULT_VIEW_SETTINGS = {
+    enabled: false,
+    field: 'heading',   // property holding the heading in degrees
+    angle: 60,          // field of view, degrees
+    length: 30,         // metres from the point to the end of the cone / arrow
+    shape: 'cone'
+};
+
+// Field names that usually hold a compass heading
+const HEADING_NAME = /heading|direction|bearing|azimuth/i;
+
+const EARTH_RADIUS = 6371008.8;
+
+/** Resolved view settings for a layer style (defaults filled in) */
+export function viewSettings(style) {
+    return { ...DEFAULT_VIEW_SETTINGS, ...(style?.viewCones || {}) };
+}
+
+/**
+ * A feature's heading, normalised to 0–360.
+ * @returns {number|null} null when the field is empty or not a number
+ */
+export function headingOf(feature, field) {
+    const v = feature?.properties?.[field];
+    if (v === null || v === undefined || v === '' || typeof v === 'boolean') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? ((n % 360) + 360) % 360 : null;
+}
+
+/** Fields named like a heading that hold one on at least one feature */
+export function headingFields(features) {
+    const names = new Set();
+    for (const f of features || []) {
+        for (const k of Object.keys(f?.properties || {})) {
+            if (!k.startsWith('_') && HEADING_NAME.test(k)) names.add(k);
+        }
+    }
+    return [...names].filter(name => (features || []).some(f => headingOf(f, name) !== null));
+}
+
+/**
+ * The field to read headings from: the configured one if any feature has a value
+ * in it, else the first heading-like field that does.
+ * @returns {string|null}
+ */
+export function headingFieldFor(features, settings = DEFAULT_VIEW_SETTINGS) {
+    if (settings.field && (features || []).some(f => headingOf(f, settings.field) !== null)) return settings.field;
+    return headingFields(features)[0] || null;
+}
+
+/** [lng, lat] reached by travelling `distance` metres on `bearing` (degrees) from `coord` */
+export function destination(coord, bearing, distance) {
+    const rad = Math.PI / 180;
+    const lat1 = coord[1] * rad;
+    const lng1 = coord[0] * rad;
+    const brng = bearing * rad;
+    const d = distance / EARTH_RADIUS;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng));
+    const lng2 = lng1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+    return [((lng2 / rad + 540) % 360) - 180, lat2 / rad];
+}
+
+/**
+ * Field-of-view wedge: the point, then an arc `length` metres out spanning
+ * `angle` degrees centred on the heading.
+ * @returns {Object} GeoJSON Polygon
+ */
+export function conePolygon(coord, heading, angle = DEFAULT_VIEW_SETTINGS.angle, length = DEFAULT_VIEW_SETTINGS.length) {
+    const span = Math.min(360, Math.max(1, angle));
+    const steps = Math.max(4, Math.ceil(span / 5));
+    const origin = [coord[0], coord[1]];
+    const arc = [];
+    for (let i = 0; i <= steps; i++) {
+        arc.push(destination(origin, heading - span / 2 + (span * i) / steps, length));
+    }
+    const ring = span >= 360 ? [...arc.slice(0, -1), arc[0]] : [origin, ...arc, origin];
+    return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Arrow from the point along the heading, with a head at the far end.
+ * @returns {Object} GeoJSON MultiLineString
+ */
+export function arrowLine(coord, heading, length = DEFAULT_VIEW_SETTINGS.length) {
+    const origin = [coord[0], coord[1]];
+    const tip = destination(origin, heading, length);
+    const barb = length * 0.3;
+    return {
+        type: 'MultiLineString',
+        coordinates: [
+            [origin, tip],
+            [destination(tip, heading + 150, barb), tip, destination(tip, heading - 150, barb)]
+        ]
+    };
+}
+
+/** Positions of a Point or MultiPoint geometry */
+function _pointCoords(geometry) {
+    if (geometry?.type === 'Point') return [geometry.coordinates];
+    if (geometry?.type === 'MultiPoint') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Cone or arrow features for the points that have a heading.
+ * Properties carry the point's attributes (internal `_` fields left out).
+ * @param {Array} features
+ * @param {Object} settings - DEFAULT_VIEW_SETTINGS fields; `shape: 'cone'` gives polygons
+ * @returns {Array} GeoJSON features
+ */
+export function buildViewFeatures(features, settings = {}) {
+    const s = { ...DEFAULT_VIEW_SETTINGS, ...settings };
+    const field = headingFieldFor(features, s);
+    if (!field) return [];
+    const out = [];
+    for (const f of features || []) {
+        const heading = headingOf(f, field);
+        if (heading === null) continue;
+        const attrs = Object.fromEntries(Object.entries(f.properties || {}).filter(([k]) => !k.startsWith('_')));
+        for (const coord of _pointCoords(f.geometry)) {
+            out.push({
+                type: 'Feature',
+                geometry: s.shape === 'arrow' ? arrowLine(coord, heading, s.length) : conePolygon(coord, heading, s.angle, s.length),
+                properties: { ...attrs, view_heading: heading, view_angle: s.angle, view_length_m: s.length }
+            });
+        }
+    }
+    return out;
+}
+
+export default {
+    VIEW_SHAPES, DEFAULT_VIEW_SETTINGS,
+    viewSettings, headingOf, headingFields, headingFieldFor,
+    destination, conePolygon, arrowLine, buildViewFeatures
+};
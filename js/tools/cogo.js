@@ -0,0 +1,224 @@
+/**
+ * COGO — coordinate geometry from bearings and distances, as written in legal
+ * descriptions and survey plats.
+ *
+ * One leg per line:
+ *   N45°30'E 150.25 ft            quadrant bearing + distance
+ *   S 12-34-56 W 80.5             DMS with dashes or spaces, default unit
+ *   123.5 40 m                    azimuth (degrees clockwise from north)
+ *   C R=500 L=120.5 CB=N60°10'E right
+ *                                 curve: radius, arc length (or CH= chord length),
+ *                                 chord bearing, direction (right/left, default right)
+ * Lines starting with # are ignored.
+ *
+ * The traverse is computed on a plane (east/north metres) from the start point,
+ * then placed on the map with the local ellipsoid radii — fine for parcels and
+ * rights-of-way a few kilometres across. Bearings are taken as true north.
+ */
+
+// abbr labels distances in reports — US survey feet are told apart from international feet
+export const UNITS = {
+    ft: { label: 'Feet', abbr: 'ft', meters: 0.3048 },
+    usft: { label: 'US survey feet', abbr: 'US ft', meters: 1200 / 3937 },
+    m: { label: 'Meters', abbr: 'm', meters: 1 }
+};
+
+const UNIT_ALIASES = {
+    ft: 'ft', feet: 'ft', foot: 'ft', "'": 'ft',
+    usft: 'usft', sft: 'usft',
+    m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm'
+};
+
+// Arc vertices per 90° of curve when drawing curves
+const ARC_STEPS_PER_QUARTER = 16;
+
+const WGS84_A = 6378137;
+const WGS84_E2 = 0.00669437999014;
+
+/**
+ * Parse an angle in degrees: 45.5, 45°30', 45°30'15", 45-30-15, 45 30 15
+ * @returns {number|null}
+ */
+export function parseAngle(text) {
+    const s = String(text).trim();
+    if (!s) return null;
+    const parts = s.split(/[°º'′"″\-\s]+/).filter(Boolean);
+    if (!parts.length || parts.length > 3 || parts.some(p => !/^\d+(\.\d+)?$/.test(p))) return null;
+    const [d, m = 0, sec = 0] = parts.map(Number);
+    if (m >= 60 || sec >= 60) return null;
+    return d + m / 60 + sec / 3600;
+}
+
+/**
+ * Parse a bearing to an azimuth (degrees clockwise from north).
+ * Quadrant bearings (N45°30'E, S 12-34-56 W, "N" for due north) or azimuths (123.5, Az 123°30').
+ * @returns {number|null}
+ */
+export function parseBearing(text) {
+    const s = String(text).trim().toUpperCase().replace(/^AZ(IMUTH)?\s*/, '');
+    if (/^[NSEW]$/.test(s)) return { N: 0, E: 90, S: 180, W: 270 }[s];
+
+    const quad = s.match(/^([NS])\s*(.*?)\s*([EW])$/);
+    if (quad) {
+        const a = parseAngle(quad[2]);
+        if (a === null || a > 90) return null;
+        if (quad[1] === 'N') return quad[3] === 'E' ? a : (360 - a) % 360;
+        return quad[3] === 'E' ? 180 - a : 180 + a;
+    }
+    const az = parseAngle(s);
+    return az !== null && az < 360 ? az : null;
+}
+
+/**
+ * Parse a distance with an optional unit; returns metres or null.
+ * @param {string} text - e.g. "150.25", "150.25 ft", "45.7m", "150'"
+ * @param {string} [defaultUnit='ft'] - UNITS key used when no unit is written
+ */
+export function parseDistance(text, defaultUnit = 'ft') {
+    const m = String(text).trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z']*)$/i);
+    if (!m) return null;
+    const unit = m[2] ? UNIT_ALIASES[m[2].toLowerCase()] : defaultUnit;
+    if (!unit) return null;
+    return parseFloat(m[1]) * UNITS[unit].meters;
+}
+
+/** Azimuth → quadrant bearing text, e.g. N45°30'15"E */
+export function formatBearing(azimuth) {
+    const az = ((azimuth % 360) + 360) % 360;
+    let ns, ew, a;
+    if (az <= 90) { ns = 'N'; ew = 'E'; a = az; }
+    else if (az < 180) { ns = 'S'; ew = 'E'; a = 180 - az; }
+    else if (az <= 270) { ns = 'S'; ew = 'W'; a = az - 180; }
+    else { ns = 'N'; ew = 'W'; a = 360 - az; }
+    let d = Math.floor(a);
+    let m = Math.floor((a - d) * 60);
+    let sec = Math.round(((a - d) * 60 - m) * 60);
+    if (sec === 60) { sec = 0; m++; }
+    if (m === 60) { m = 0; d++; }
+    return `${ns}${d}°${String(m).padStart(2, '0')}'${String(sec).padStart(2, '0')}"${ew}`;
+}
+
+/**
+ * Parse traverse text into legs. Bad lines are reported, not thrown.
+ * @param {string} text - one leg per line (see module comment)
+ * @param {string} [defaultUnit='ft']
+ * @returns {{ legs: Array, errors: Array<{ line: number, text: string, message: string }> }}
+ */
+export function parseTraverse(text, defaultUnit = 'ft') {
+    const legs = [];
+    const errors = [];
+    String(text).split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) return;
+        const fail = (message) => errors.push({ line: i + 1, text: line, message });
+
+        if (/^(C|CURVE)\b/i.test(line)) {
+            const get = (key) => line.match(new RegExp(`\\b${key}\\s*=\\s*([^=]+?)(?=\\s+\\w+\\s*=|\\s+(?:LEFT|RIGHT|LT|RT)\\b|$)`, 'i'))?.[1];
+            const radius = get('R') != null ? parseDistance(get('R'), defaultUnit) : null;
+            const arc = get('L') != null ? parseDistance(get('L'), defaultUnit) : null;
+            const chord = get('CH') != null ? parseDistance(get('CH'), defaultUnit) : null;
+            const chordBearing = get('CB') != null ? parseBearing(get('CB')) : null;
+            const dir = /\b(LEFT|LT)\b/i.test(line) ? 'left' : 'right';
+            if (!radius) return fail('Curve needs a radius: R=500');
+            if (chordBearing === null) return fail('Curve needs a chord bearing: CB=N60°10\'E');
+            if (arc == null && chord == null) return fail('Curve needs an arc length (L=) or chord length (CH=)');
+            if (chord != null && chord > radius * 2) return fail('Chord is longer than the diameter');
+            const delta = arc != null ? arc / radius : 2 * Math.asin(chord / (2 * radius));
+            if (delta >= Math.PI * 2) return fail('Arc is longer than the whole circle');
+            legs.push({ type: 'curve', radius, delta, chordBearing, direction: dir, line: i + 1 });
+            return;
+        }
+
+        const m = line.match(/^(.*?)[\s,]+((?:\d+(?:\.\d+)?|\.\d+)\s*[a-z']*)$/i);
+        if (!m) return fail('Expected a bearing and a distance, e.g. N45°30\'E 150.25');
+        const azimuth = parseBearing(m[1]);
+        const distance = parseDistance(m[2], defaultUnit);
+        if (azimuth === null) return fail(`Unrecognised bearing "${m[1]}"`);
+        if (distance === null) return fail(`Unrecognised distance "${m[2]}"`);
+        legs.push({ type: 'line', azimuth, distance, line: i + 1 });
+    });
+    return { legs, errors };
+}
+
+/**
+ * Run a traverse from a start point.
+ * @param {{ lat: number, lng: number }} start
+ * @param {Array} legs - from parseTraverse
+ * @returns {{ coords: Array<[number, number]>, stations: Array<[number, number]>, perimeter: number,
+ *   closure: { error: number, azimuth: number|null, precision: number|null }, area: number }}
+ *   coords include arc vertices; stations are the leg end points. Lengths in metres, area in m².
+ */
+export function computeTraverse(start, legs) {
+    let e = 0, n = 0;
+    const plane = [[0, 0]];
+    const stations = [[0, 0]];
+    let perimeter = 0;
+    const step = (az, dist) => {
+        const r = az * Math.PI / 180;
+        return [Math.sin(r) * dist, Math.cos(r) * dist];
+    };
+
+    for (const leg of legs) {
+        if (leg.type === 'curve') {
+            const s = leg.direction === 'left' ? -1 : 1;
+            const deltaDeg = leg.delta * 180 / Math.PI;
+            const tangentIn = leg.chordBearing - s * deltaDeg / 2;
+            const steps = Math.max(2, Math.ceil(deltaDeg / 90 * ARC_STEPS_PER_QUARTER));
+            for (let i = 1; i <= steps; i++) {
+                const theta = leg.delta * i / steps;
+                const [de, dn] = step(tangentIn + s * (theta * 180 / Math.PI) / 2, 2 * leg.radius * Math.sin(theta / 2));
+                plane.push([e + de, n + dn]);
+            }
+            [e, n] = plane[plane.length - 1];
+            perimeter += leg.radius * leg.delta;
+        } else {
+            const [de, dn] = step(leg.azimuth, leg.distance);
+            e += de;
+            n += dn;
+            plane.push([e, n]);
+            perimeter += leg.distance;
+        }
+        stations.push([e, n]);
+    }
+
+    const error = Math.hypot(e, n);
+    const closure = {
+        error,
+        // Direction of the gap, from the end of the traverse back to the start
+        azimuth: error > 1e-9 ? ((Math.atan2(-e, -n) * 180 / Math.PI) + 360) % 360 : null,
+        precision: error > 1e-9 ? perimeter / error : null
+    };
+
+    // Shoelace area of the closed figure (closing leg included)
+    let twice = 0;
+    for (let i = 0; i < plane.length; i++) {
+        const [x1, y1] = plane[i];
+        const [x2, y2] = plane[(i + 1) % plane.length];
+        twice += x1 * y2 - x2 * y1;
+    }
+
+    const toLngLat = _planeToLngLat(start);
+    return {
+        coords: plane.map(toLngLat),
+        stations: stations.map(toLngLat),
+        perimeter,
+        closure,
+        area: Math.abs(twice) / 2
+    };
+}
+
+// East/north metres → [lng, lat] around the start point
+function _planeToLngLat(start) {
+    const phi = start.lat * Math.PI / 180;
+    const w = Math.sqrt(1 - WGS84_E2 * Math.sin(phi) ** 2);
+    const meridional = WGS84_A * (1 - WGS84_E2) / (w ** 3);
+    const prime = WGS84_A / w;
+    return ([e, n]) => [
+        start.lng + (e / (prime * Math.cos(phi))) * 180 / Math.PI,
+        start.lat + (n / meridional) * 180 / Math.PI
+    ];
+}
+
+export default {
+    UNITS, parseAngle, parseBearing, parseDistance, formatBearing, parseTraverse, computeTraverse
+};
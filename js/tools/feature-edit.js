@@ -0,0 +1,460 @@
+/**
+ * Feature editing — split lines, cut polygons with a drawn line, and merge
+ * features, with attribute rules for the results.
+ * Pure functions on GeoJSON features; app.js draws the cutting line and records
+ * the edit in history. Uses Turf.js (loaded via CDN).
+ */
+import logger from '../core/logger.js';
+import { AppError, ErrorCategory } from '../core/error-handler.js';
+
+/** What happens to a numeric field when a feature is split */
+export const SPLIT_RULES = {
+    copy: 'Copy to each part',
+    divide: 'Divide by length / area',
+    blank: 'Leave empty'
+};
+
+/** How a field is filled when features are merged */
+export const MERGE_RULES = {
+    keep: 'From chosen feature',
+    sum: 'Sum',
+    mean: 'Mean',
+    min: 'Min',
+    max: 'Max',
+    concat: 'Join values'
+};
+
+// Parts smaller than this share of the original are rounding slivers, not real pieces
+const SLIVER_SHARE = 1e-9;
+
+// Per-vertex values (GPX times, ArcGIS M values): flat for a LineString, nested per part
+// for a MultiLineString. They must line up with the vertices, so they are never copied as is.
+const VERTEX_FIELDS = ['_coordTimes', '_coordMeasures'];
+
+/**
+ * Fields whose non-empty values are all numbers.
+ * @param {Array} features
+ * @returns {string[]}
+ */
+export function numericFields(features) {
+    const seen = new Map();   // field → still numeric?
+    for (const f of features) {
+        for (const [k, v] of Object.entries(f.properties || {})) {
+            if (v === null || v === undefined || v === '') continue;
+            seen.set(k, (seen.get(k) ?? true) && typeof v === 'number' && Number.isFinite(v));
+        }
+    }
+    return [...seen].filter(([, numeric]) => numeric).map(([k]) => k);
+}
+
+// ============================
+// Split / cut
+// ============================
+
+/**
+ * Split a line feature where the cutter crosses it.
+ * @param {Object} feature - LineString or MultiLineString feature
+ * @param {Object} cutter - LineString geometry
+ * @returns {Array|null} LineString geometries, or null if the cutter does not cross it
+ */
+export function splitLine(feature, cutter) {
+    _requireTurf();
+    const geom = feature.geometry;
+    const lines = geom.type === 'LineString' ? [geom.coordinates]
+        : geom.type === 'MultiLineString' ? geom.coordinates : null;
+    if (!lines) return null;
+
+    const splitter = turf.feature(cutter);
+    let cut = false;
+    const parts = [];
+    for (const coords of lines) {
+        if (coords.length < 2) continue;
+        const pieces = turf.lineSplit(turf.lineString(coords), splitter).features
+            .filter(p => p.geometry.coordinates.length >= 2 && turf.length(p) > 0);
+        if (pieces.length > 1) {
+            cut = true;
+            parts.push(...pieces.map(p => p.geometry));
+        } else {
+            parts.push({ type: 'LineString', coordinates: coords });
+        }
+    }
+    return cut ? parts : null;
+}
+
+/**
+ * Cut a polygon feature with a line drawn across it.
+ * The line is extended past the polygon at both ends and closed around one side;
+ * the parts are the polygon inside and outside that side. A MultiPolygon gives one
+ * part per side, members the line misses staying with the side they lie on. A
+ * Polygon cut into separate pieces on the same side (a concave shape crossed
+ * twice) gives one part per piece, so no Polygon comes back as a MultiPolygon.
+ * @param {Object} feature - Polygon or MultiPolygon feature
+ * @param {Object} cutter - LineString geometry crossing the polygon
+ * @returns {Array|null} Polygon or MultiPolygon geometries, or null if the line does not cut it
+ */
+export function cutPolygon(feature, cutter) {
+    _requireTurf();
+    const geom = feature.geometry;
+    if (geom.type !== 'Polygon' && geom.type !== 'MultiPolygon') return null;
+    const coords = cutter.coordinates;
+    if (coords.length < 2) return null;
+    if (turf.lineIntersect(turf.polygonToLine(feature), turf.feature(cutter)).features.length < 2) return null;
+
+    const side = _sidePolygon(feature, coords);
+    const fc = (a, b) => turf.featureCollection([a, b]);
+    const total = turf.area(feature);
+    const sides = [turf.intersect(fc(feature, side)), turf.difference(fc(feature, side))]
+        .map(result => _polygons(result).filter(p => turf.area(p) > total * SLIVER_SHARE))
+        .filter(pieces => pieces.length);
+    const parts = geom.type === 'Polygon' ? sides.flat()
+        : sides.map(pieces => (pieces.length === 1 ? pieces[0]
+            : { type: 'MultiPolygon', coordinates: pieces.map(p => p.coordinates) }));
+    return parts.length > 1 ? parts : null;
+}
+
+/**
+ * Split or cut a feature by its geometry type.
+ * @returns {Array|null} part geometries, or null if the cutter misses it
+ */
+export function splitFeature(feature, cutter) {
+    const type = feature.geometry?.type;
+    if (type === 'LineString' || type === 'MultiLineString') return splitLine(feature, cutter);
+    if (type === 'Polygon' || type === 'MultiPolygon') return cutPolygon(feature, cutter);
+    return null;
+}
+
+/**
+ * Build the part features of a split, applying the attribute rules.
+ * Per-vertex times and measures are cut to each part's vertices, interpolated at the
+ * split points.
+ * @param {Object} feature - the original feature
+ * @param {Array} geometries - part geometries from splitFeature
+ * @param {Object} [rules] - field → 'copy' | 'divide' | 'blank' (unlisted fields are copied)
+ * @returns {Array} features
+ */
+export function applySplitRules(feature, geometries, rules = {}) {
+    const isPoly = geometries[0]?.type === 'Polygon' || geometries[0]?.type === 'MultiPolygon';
+    const measure = (g) => (isPoly ? turf.area(g) : turf.length(turf.feature(g)));
+    const sizes = geometries.map(measure);
+    const total = sizes.reduce((a, b) => a + b, 0);
+
+    return geometries.map((geometry, i) => {
+        const properties = { ...(feature.properties || {}) };
+        for (const field of VERTEX_FIELDS) {
+            if (!(field in properties)) continue;
+            const values = _partVertexValues(feature.geometry, properties[field], geometry, field === '_coordTimes');
+            if (values) properties[field] = values;
+            else delete properties[field];
+        }
+        for (const [field, rule] of Object.entries(rules)) {
+            if (!(field in properties)) continue;
+            const v = properties[field];
+            if (rule === 'blank') properties[field] = null;
+            else if (rule === 'divide' && typeof v === 'number' && total > 0) {
+                properties[field] = _round(v * (sizes[i] / total));
+            }
+        }
+        return { type: 'Feature', properties, geometry };
+    });
+}
+
+/**
+ * Properties for a reshaped feature (geometry-editor.js): per-vertex times and measures
+ * follow the vertices — kept vertices keep their value, inserted ones get one
+ * interpolated between their kept neighbours, deleted ones take theirs with them.
+ * Values that can't be lined up with the new vertices are dropped.
+ * @param {Object} feature - the feature before the edit
+ * @param {Object} geometry - the edited geometry
+ * @param {Array} sources - per part, the original index of each vertex (null when inserted)
+ * @returns {Object} properties
+ */
+export function reshapeVertexValues(feature, geometry, sources) {
+    const properties = { ...(feature.properties || {}) };
+    const unchanged = Array.isArray(sources) && sources.every(src => Array.isArray(src) && src.every((s, i) => s === i)) &&
+        JSON.stringify(_partLengths(feature.geometry)) === JSON.stringify(_partLengths(geometry));
+    if (unchanged) return properties;
+    for (const field of VERTEX_FIELDS) {
+        if (!(field in properties)) continue;
+        const values = _reshapedValues(feature.geometry, properties[field], geometry, sources, field === '_coordTimes');
+        if (values) properties[field] = values;
+        else delete properties[field];
+    }
+    return properties;
+}
+
+// Vertex count of each part, to tell a move or rotate from an edit that added or removed vertices
+function _partLengths(geometry) {
+    const c = geometry?.coordinates;
+    switch (geometry?.type) {
+        case 'Point': return [1];
+        case 'MultiPoint': case 'LineString': return [c.length];
+        case 'MultiLineString': case 'Polygon': return c.map(p => p.length);
+        case 'MultiPolygon': return c.map(poly => poly.map(r => r.length));
+        default: return null;
+    }
+}
+
+function _reshapedValues(sourceGeom, values, geometry, sources, isTime) {
+    const nested = geometry?.type === 'MultiLineString';
+    if (sourceGeom?.type !== geometry?.type || !(nested || geometry?.type === 'LineString') || !Array.isArray(sources)) return null;
+    const sourceLines = nested ? sourceGeom.coordinates : [sourceGeom.coordinates];
+    const sourceValues = nested ? values : [values];
+    const lines = nested ? geometry.coordinates : [geometry.coordinates];
+    if (!Array.isArray(sourceValues) || sourceValues.length !== sourceLines.length || sources.length !== lines.length) return null;
+
+    const out = [];
+    for (let p = 0; p < lines.length; p++) {
+        const vals = sourceValues[p];
+        const src = sources[p];
+        if (!Array.isArray(vals) || vals.length !== sourceLines[p].length || !Array.isArray(src) || src.length !== lines[p].length) return null;
+        out.push(src.map((s, i) => (s !== null ? vals[s] : _insertedValue(lines[p], src, vals, i, isTime))));
+    }
+    return nested ? out : out[0];
+}
+
+// Interpolated by distance along the edited line between the nearest kept vertices either side
+function _insertedValue(coords, src, vals, i, isTime) {
+    let a = i - 1;
+    let b = i + 1;
+    while (a >= 0 && src[a] === null) a--;
+    while (b < src.length && src[b] === null) b++;
+    if (a < 0 || b >= src.length) return null;
+    let before = 0;
+    let total = 0;
+    for (let k = a; k < b; k++) {
+        const d = Math.hypot(coords[k + 1][0] - coords[k][0], coords[k + 1][1] - coords[k][1]);
+        if (k < i) before += d;
+        total += d;
+    }
+    return _interpolateValue(vals[src[a]], vals[src[b]], total ? before / total : 0.5, isTime);
+}
+
+// ============================
+// Merge
+// ============================
+
+/**
+ * Merge features into one: polygons are unioned, lines joined end to end where
+ * they meet, points collected into a MultiPoint.
+ * Throws AppError(VALIDATION_ERROR) when the features are not all the same kind.
+ * @param {Array} features
+ * @param {Object} [opts]
+ * @param {number} [opts.winner=0] - index of the feature whose attributes are kept
+ * @param {Object} [opts.rules] - field → MERGE_RULES key (unlisted fields keep the winner's value)
+ * @returns {Object} the merged feature
+ */
+export function mergeFeatures(features, { winner = 0, rules = {} } = {}) {
+    _requireTurf();
+    if (features.length < 2) throw new AppError('Select at least two features to merge', ErrorCategory.VALIDATION_ERROR);
+    const kinds = new Set(features.map(f => _kind(f.geometry)));
+    if (kinds.has(null)) throw new AppError('Features without geometry cannot be merged', ErrorCategory.VALIDATION_ERROR);
+    if (kinds.size > 1) {
+        throw new AppError('Only features of the same kind can be merged (all polygons, all lines or all points)', ErrorCategory.VALIDATION_ERROR);
+    }
+
+    const kind = [...kinds][0];
+    let geometry;
+    if (kind === 'polygon') {
+        geometry = turf.union(turf.featureCollection(features))?.geometry;
+        if (!geometry) throw new AppError('The polygons could not be merged', ErrorCategory.VALIDATION_ERROR);
+    } else if (kind === 'line') {
+        const chains = _joinLines(features.flatMap(f =>
+            f.geometry.type === 'LineString' ? [f.geometry.coordinates] : f.geometry.coordinates));
+        geometry = chains.length === 1
+            ? { type: 'LineString', coordinates: chains[0] }
+            : { type: 'MultiLineString', coordinates: chains };
+    } else {
+        geometry = {
+            type: 'MultiPoint',
+            coordinates: features.flatMap(f => f.geometry.type === 'Point' ? [f.geometry.coordinates] : f.geometry.coordinates)
+        };
+    }
+
+    logger.info('FeatureEdit', 'Merged features', { count: features.length, type: geometry.type });
+    return { type: 'Feature', properties: mergeAttributes(features, { winner, rules }), geometry };
+}
+
+/**
+ * Combine the features' attributes with the merge rules.
+ * Per-vertex times and measures are dropped — they belonged to the old vertices.
+ */
+export function mergeAttributes(features, { winner = 0, rules = {} } = {}) {
+    const base = features[winner] || features[0];
+    const fields = [...new Set(features.flatMap(f => Object.keys(f.properties || {})))]
+        .filter(field => !VERTEX_FIELDS.includes(field));
+    const out = {};
+    for (const field of fields) {
+        const rule = rules[field] || 'keep';
+        const values = features.map(f => f.properties?.[field]).filter(v => v !== null && v !== undefined && v !== '');
+        const nums = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+        switch (rule) {
+            case 'sum': out[field] = nums.length ? _round(nums.reduce((a, b) => a + b, 0)) : null; break;
+            case 'mean': out[field] = nums.length ? _round(nums.reduce((a, b) => a + b, 0) / nums.length) : null; break;
+            case 'min': out[field] = nums.length ? Math.min(...nums) : null; break;
+            case 'max': out[field] = nums.length ? Math.max(...nums) : null; break;
+            case 'concat': out[field] = [...new Set(values.map(String))].join('; ') || null; break;
+            default: out[field] = base.properties?.[field] ?? null;
+        }
+    }
+    return out;
+}
+
+// ============================
+// Helpers
+// ============================
+
+function _requireTurf() {
+    if (typeof turf === 'undefined') throw new Error('Turf.js not loaded');
+}
+
+function _kind(geom) {
+    switch (geom?.type) {
+        case 'Polygon': case 'MultiPolygon': return 'polygon';
+        case 'LineString': case 'MultiLineString': return 'line';
+        case 'Point': case 'MultiPoint': return 'point';
+        default: return null;
+    }
+}
+
+function _polygons(result) {
+    if (!result) return [];
+    const g = result.geometry;
+    if (g.type === 'Polygon') return [g];
+    if (g.type === 'MultiPolygon') return g.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }));
+    return [];
+}
+
+// Polygon on one side of the cutting line, large enough to cover the feature.
+// The line is extended outward at both ends, then closed by a wide arc around
+// the feature's centre so the arc never touches the feature.
+function _sidePolygon(feature, coords) {
+    const [minX, minY, maxX, maxY] = turf.bbox(turf.featureCollection([feature, turf.lineString(coords)]));
+    const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+    const diag = Math.hypot(maxX - minX, maxY - minY) || 1;
+
+    const extend = (from, toward) => {
+        const dx = from[0] - toward[0], dy = from[1] - toward[1];
+        const len = Math.hypot(dx, dy) || 1;
+        return [from[0] + (dx / len) * diag * 2, from[1] + (dy / len) * diag * 2];
+    };
+    const n = coords.length;
+    const start = extend(coords[0], coords[1]);
+    const end = extend(coords[n - 1], coords[n - 2]);
+
+    const far = diag * 6;
+    const angle = (p) => Math.atan2(p[1] - cy, p[0] - cx);
+    const a0 = angle(end);
+    let a1 = angle(start);
+    while (a1 <= a0) a1 += Math.PI * 2;
+    const arc = [];
+    const steps = 32;
+    for (let i = 0; i <= steps; i++) {
+        const a = a0 + ((a1 - a0) * i) / steps;
+        arc.push([cx + Math.cos(a) * far, cy + Math.sin(a) * far]);
+    }
+    const ring = [start, ...coords.map(c => [c[0], c[1]]), end, ...arc, start];
+    return turf.polygon([ring]);
+}
+
+// Chain line parts whose endpoints meet; returns the coordinate lists
+function _joinLines(lines) {
+    const same = (a, b) => Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+    const pool = lines.filter(l => l.length >= 2).map(l => l.map(c => c.slice()));
+    const chains = [];
+    while (pool.length) {
+        let chain = pool.shift();
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (let i = 0; i < pool.length; i++) {
+                const l = pool[i];
+                const head = chain[0], tail = chain[chain.length - 1];
+                if (same(tail, l[0])) chain = chain.concat(l.slice(1));
+                else if (same(tail, l[l.length - 1])) chain = chain.concat(l.slice(0, -1).reverse());
+                else if (same(head, l[l.length - 1])) chain = l.concat(chain.slice(1));
+                else if (same(head, l[0])) chain = l.slice().reverse().concat(chain.slice(1));
+                else continue;
+                pool.splice(i, 1);
+                grew = true;
+                break;
+            }
+        }
+        chains.push(chain);
+    }
+    return chains;
+}
+
+/**
+ * Per-vertex values for a split part, read off the original line: vertices of the
+ * original keep their value, split points get one interpolated along their segment.
+ * @returns {Array|null} flat (LineString part) or nested (MultiLineString), null when
+ *   the values don't line up with the original vertices
+ */
+function _partVertexValues(sourceGeom, values, partGeom, isTime) {
+    const sourceLines = sourceGeom?.type === 'LineString' ? [[sourceGeom.coordinates, values]]
+        : sourceGeom?.type === 'MultiLineString' && Array.isArray(values) ? sourceGeom.coordinates.map((c, i) => [c, values[i]]) : null;
+    if (!sourceLines || sourceLines.some(([c, v]) => !Array.isArray(v) || v.length !== c.length)) return null;
+    const partLines = partGeom.type === 'LineString' ? [partGeom.coordinates]
+        : partGeom.type === 'MultiLineString' ? partGeom.coordinates : null;
+    if (!partLines) return null;
+
+    const out = [];
+    for (const coords of partLines) {
+        const lineValues = _lineVertexValues(sourceLines, coords, isTime);
+        if (!lineValues) return null;
+        out.push(lineValues);
+    }
+    return partGeom.type === 'LineString' ? out[0] : out;
+}
+
+// Walk the part's vertices along the source line they came from (split parts keep its direction)
+function _lineVertexValues(sourceLines, coords, isTime) {
+    const dist2 = (p, a, b) => {
+        const dx = b[0] - a[0], dy = b[1] - a[1];
+        const len2 = dx * dx + dy * dy;
+        const t = len2 ? Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2)) : 0;
+        const x = a[0] + t * dx - p[0], y = a[1] + t * dy - p[1];
+        return { d: x * x + y * y, t };
+    };
+    // Source line and segment nearest the first vertex
+    let best = null;
+    sourceLines.forEach(([src], line) => {
+        for (let k = 0; k < src.length - 1; k++) {
+            const { d } = dist2(coords[0], src[k], src[k + 1]);
+            if (!best || d < best.d) best = { d, line, k };
+        }
+    });
+    if (!best) return null;
+    const [src, vals] = sourceLines[best.line];
+    let k = best.k;
+    const out = [];
+    for (const p of coords) {
+        // Move on while the next segment fits the vertex at least as well
+        while (k < src.length - 2 && dist2(p, src[k + 1], src[k + 2]).d <= dist2(p, src[k], src[k + 1]).d) k++;
+        const { t } = dist2(p, src[k], src[k + 1]);
+        out.push(_interpolateValue(vals[k], vals[k + 1], t, isTime));
+    }
+    return out;
+}
+
+function _interpolateValue(a, b, t, isTime) {
+    if (t <= 0) return a;
+    if (t >= 1) return b;
+    const na = isTime ? Date.parse(a) : a;
+    const nb = isTime ? Date.parse(b) : b;
+    if (typeof na !== 'number' || typeof nb !== 'number' || !Number.isFinite(na) || !Number.isFinite(nb)) {
+        return t < 0.5 ? a : b;
+    }
+    const v = na + (nb - na) * t;
+    return isTime ? new Date(Math.round(v)).toISOString() : _round(v);
+}
+
+function _round(v) {
+    return Math.round(v * 1e6) / 1e6;
+}
+
+export default {
+    SPLIT_RULES, MERGE_RULES,
+    numericFields, splitLine, cutPolygon, splitFeature, applySplitRules, reshapeVertexValues,
+    mergeFeatures, mergeAttributes
+};
@@ -0,0 +1,355 @@
+/**
+ * Linear referencing (LRS) — place route + measure events on a route network
+ * Point events use pointAlong, from/to events use lineSliceAlong (dynamic segmentation);
+ * measureAlongRoute goes the other way, from a location to a route measure.
+ */
+import logger from '../core/logger.js';
+import { createSpatialDataset } from '../core/data-model.js';
+import { TaskRunner } from '../core/task-runner.js';
+import { pointAlong, lineSliceAlong, nearestPointOnLine } from './gis-tools.js';
+
+// Measures are matched with a small tolerance so 12.3 hits a vertex stored as 12.299999
+const MEASURE_EPSILON = 1e-6;
+
+/**
+ * Where route measures come from:
+ *  - 'vertex': per-vertex M values (_coordMeasures from ArcGIS REST, or a 4th ordinate)
+ *  - 'fields': from/to measure attributes on each route feature, scaled along its length
+ *  - 'length': distance along the route in measureUnits. A route split across several
+ *    features is measured through them in layer order, so each measure is unique.
+ */
+export const MEASURE_SOURCES = ['vertex', 'fields', 'length'];
+
+/**
+ * Place point or line events from a table of route ID + measure rows.
+ * @param {object} routeDataset - spatial dataset of LineString/MultiLineString routes
+ * @param {Array<object>} eventRows - plain attribute rows (table rows or feature properties)
+ * @param {object} options
+ * @param {string} options.routeIdField - route ID field on the route layer
+ * @param {string} options.eventRouteIdField - route ID field on the event rows
+ * @param {string} [options.measureSource='vertex'] - one of MEASURE_SOURCES
+ * @param {string} [options.routeFromField] - route start measure ('fields' source)
+ * @param {string} [options.routeToField] - route end measure ('fields' source)
+ * @param {string} [options.measureUnits='miles'] - units of the measures ('length' source)
+ * @param {string} [options.eventType='point'] - 'point' or 'line'
+ * @param {string} [options.measureField] - event measure (point events)
+ * @param {string} [options.fromMeasureField] - event from measure (line events)
+ * @param {string} [options.toMeasureField] - event to measure (line events)
+ * @param {string} [options.offsetField] - signed side-of-road offset, positive = right of route direction
+ * @param {string} [options.offsetUnits='feet']
+ * @param {number} [options.maxOffset] - offsets larger than this are clamped
+ * @returns {Promise<{dataset, stats: {total, located, partial, clamped, errors: Array<{row, reason}>}}>}
+ */
+export async function locateEvents(routeDataset, eventRows, options = {}) {
+    if (typeof turf === 'undefined') throw new Error('Turf.js not loaded');
+    const {
+        eventRouteIdField, eventType = 'point',
+        measureField, fromMeasureField, toMeasureField,
+        offsetField, offsetUnits = 'feet', maxOffset = null
+    } = options;
+    if (!options.routeIdField || !eventRouteIdField) throw new Error('Route ID fields are required');
+    if (eventType === 'point' && !measureField) throw new Error('Measure field is required');
+    if (eventType === 'line' && (!fromMeasureField || !toMeasureField)) throw new Error('From and to measure fields are required');
+
+    const task = new TaskRunner('Locate Events', 'LRS');
+    return task.run(async (t) => {
+        t.updateProgress(5, 'Indexing routes...');
+        const routes = buildRouteIndex(routeDataset, options);
+        if (routes.size === 0) throw new Error('No routes with usable measures were found');
+
+        const results = [];
+        const stats = { total: eventRows.length, located: 0, partial: 0, clamped: 0, errors: [] };
+
+        for (let i = 0; i < eventRows.length; i++) {
+            t.throwIfCancelled();
+            if (i % 100 === 0) {
+                t.updateProgress(10 + Math.round((i / eventRows.length) * 85), `Locating ${i}/${eventRows.length}`);
+                await new Promise(r => setTimeout(r, 0));
+            }
+            const row = eventRows[i] || {};
+            const parts = routes.get(_routeKey(row[eventRouteIdField]));
+            if (!parts) {
+                stats.errors.push({ row: i + 1, reason: 'route not found' });
+                continue;
+            }
+
+            let offset = offsetField ? _toNumber(row[offsetField]) : 0;
+            let locError = 'NO ERROR';
+            if (offset == null) offset = 0;
+            if (maxOffset != null && Math.abs(offset) > maxOffset) {
+                offset = Math.sign(offset) * maxOffset;
+                locError = 'OFFSET CLAMPED';
+                stats.clamped++;
+            }
+            const offsetKm = Math.sign(offset) * turf.convertLength(Math.abs(offset), offsetUnits, 'kilometers');
+
+            let located;
+            if (eventType === 'line') {
+                located = _locateLine(parts, _toNumber(row[fromMeasureField]), _toNumber(row[toMeasureField]), offsetKm);
+            } else {
+                located = _locatePoint(parts, _toNumber(row[measureField]), offsetKm);
+            }
+            if (located.error) {
+                stats.errors.push({ row: i + 1, reason: located.error });
+                continue;
+            }
+            if (located.partial) {
+                locError = 'PARTIAL MATCH';
+                stats.partial++;
+            }
+            stats.located++;
+            results.push({
+                type: 'Feature',
+                geometry: located.geometry,
+                properties: { ...row, loc_error: locError }
+            });
+        }
+
+        if (stats.errors.length > 0) {
+            logger.warn('LRS', 'Some events could not be located', { count: stats.errors.length, first: stats.errors.slice(0, 5) });
+        }
+
+        t.updateProgress(95, 'Building layer...');
+        const fc = { type: 'FeatureCollection', features: results };
+        const name = options.name || `${routeDataset.name}_events`;
+        return { dataset: createSpatialDataset(name, fc, { format: 'derived' }), stats };
+    });
+}
+
+/**
+ * Group route parts by route ID and attach a measure to every vertex.
+ * A route may be split across several features; all of their parts are searched.
+ * @returns {Map<string, Array<{coords, dists, measures, feature}>>} dists are km from the part start
+ */
+export function buildRouteIndex(routeDataset, options = {}) {
+    const index = new Map();
+    const routeKm = new Map();   // route ID → length of its features so far ('length' source)
+    let skipped = 0;
+
+    for (const f of routeDataset.geojson?.features || []) {
+        const key = _routeKey(f.properties?.[options.routeIdField]);
+        if (key == null) continue;
+        const startKm = routeKm.get(key) || 0;
+        const parts = calibrateRoute(f, { ...options, startKm });
+        if (!parts) { skipped++; continue; }
+        routeKm.set(key, startKm + parts.reduce((km, p) => km + p.dists[p.dists.length - 1], 0));
+        if (parts.length === 0) continue;
+        index.set(key, [...(index.get(key) || []), ...parts]);
+    }
+
+    if (skipped > 0) {
+        logger.warn('LRS', 'Route features skipped (no measures)', { skipped, measureSource: options.measureSource });
+    }
+    return index;
+}
+
+/**
+ * Measure every vertex of one route feature.
+ * @param {object} [options] - measure options as for locateEvents, plus
+ *   startKm: length of the route before this feature ('length' source)
+ * @returns {Array<{coords, dists, measures, feature}>|null} null when the feature has no usable measures
+ */
+export function calibrateRoute(feature, options = {}) {
+    const { measureSource = 'vertex', routeFromField, routeToField, measureUnits = 'miles' } = options;
+    const g = feature?.geometry;
+    if (!g || (g.type !== 'LineString' && g.type !== 'MultiLineString')) return [];
+
+    const lines = g.type === 'LineString' ? [g.coordinates] : g.coordinates;
+    const partDists = lines.map(_cumulativeKm);
+    const vertexMeasures = measureSource === 'vertex' ? _vertexMeasures(feature, lines) : null;
+    if (measureSource === 'vertex' && !vertexMeasures) return null;
+
+    let from = 0, to = 0, totalKm = 0;
+    if (measureSource === 'fields') {
+        from = _toNumber(feature.properties?.[routeFromField]);
+        to = _toNumber(feature.properties?.[routeToField]);
+        if (from == null || to == null) return null;
+        totalKm = partDists.reduce((s, d) => s + (d[d.length - 1] || 0), 0);
+    }
+
+    // Parts of a multi-part route continue one measure range, in drawing order
+    let startKm = measureSource === 'length' ? (options.startKm || 0) : 0;
+    const parts = [];
+    lines.forEach((coords, p) => {
+        const dists = partDists[p];
+        if (coords.length < 2) return;
+        let measures;
+        if (measureSource === 'vertex') {
+            measures = vertexMeasures[p];
+        } else if (measureSource === 'fields') {
+            measures = dists.map(d => totalKm > 0 ? from + (to - from) * ((startKm + d) / totalKm) : from);
+        } else {
+            measures = dists.map(d => turf.convertLength(startKm + d, 'kilometers', measureUnits));
+        }
+        startKm += dists[dists.length - 1];
+        parts.push({ coords: coords.map(c => [c[0], c[1]]), dists, measures, feature });
+    });
+    return parts;
+}
+
+// ============================
+// Event placement
+// ============================
+
+function _locatePoint(parts, measure, offsetKm) {
+    if (measure == null) return { error: 'invalid measure' };
+    const hit = _findMeasure(parts, measure);
+    if (!hit) return { error: 'measure out of range' };
+
+    const line = turf.lineString(hit.part.coords);
+    let pt = pointAlong(line, hit.dist, 'kilometers');
+    if (offsetKm !== 0) {
+        // Perpendicular to the segment the measure falls on; right of travel is +90°
+        const { coords } = hit.part;
+        const heading = turf.bearing(coords[hit.segment], coords[hit.segment + 1]);
+        pt = turf.destination(pt, Math.abs(offsetKm), heading + (offsetKm > 0 ? 90 : -90), { units: 'kilometers' });
+    }
+    return { geometry: pt.geometry };
+}
+
+function _locateLine(parts, fromM, toM, offsetKm) {
+    if (fromM == null || toM == null) return { error: 'invalid measure' };
+    if (Math.abs(toM - fromM) < MEASURE_EPSILON) return { error: 'zero-length event' };
+    const lo = Math.min(fromM, toM);
+    const hi = Math.max(fromM, toM);
+
+    const pieces = [];
+    let covered = 0;
+    for (const part of parts) {
+        // Missing M values are skipped, as in _findMeasure — Math.min would read null as 0
+        const known = part.measures.filter(m => m != null);
+        if (!known.length) continue;
+        const pLo = Math.min(...known);
+        const pHi = Math.max(...known);
+        const a = Math.max(lo, pLo);
+        const b = Math.min(hi, pHi);
+        if (b - a < MEASURE_EPSILON) continue;
+
+        const start = _findMeasure([part], a);
+        const stop = _findMeasure([part], b);
+        if (!start || !stop) continue;
+        const d1 = Math.min(start.dist, stop.dist);
+        const d2 = Math.max(start.dist, stop.dist);
+        if (d2 - d1 <= 0) continue;
+
+        let slice = lineSliceAlong(turf.lineString(part.coords), d1, d2, 'kilometers');
+        if (offsetKm !== 0) slice = turf.lineOffset(slice, offsetKm, { units: 'kilometers' });
+        pieces.push(slice.geometry.coordinates);
+        covered += b - a;
+    }
+
+    if (pieces.length === 0) return { error: 'measure out of range' };
+    const geometry = pieces.length === 1
+        ? { type: 'LineString', coordinates: pieces[0] }
+        : { type: 'MultiLineString', coordinates: pieces };
+    return { geometry, partial: covered < (hi - lo) - MEASURE_EPSILON };
+}
+
+/**
+ * Find the first segment whose measure range contains m and interpolate the distance.
+ * @returns {{part, segment, dist}|null} dist is km from the part start
+ */
+function _findMeasure(parts, m) {
+    for (const part of parts) {
+        const { measures, dists } = part;
+        for (let i = 0; i < measures.length - 1; i++) {
+            const m0 = measures[i];
+            const m1 = measures[i + 1];
+            if (m0 == null || m1 == null) continue;
+            if (m < Math.min(m0, m1) - MEASURE_EPSILON || m > Math.max(m0, m1) + MEASURE_EPSILON) continue;
+            const t = m1 === m0 ? 0 : Math.min(1, Math.max(0, (m - m0) / (m1 - m0)));
+            return { part, segment: i, dist: dists[i] + t * (dists[i + 1] - dists[i]) };
+        }
+    }
+    return null;
+}
+
+// ============================
+// Measure lookup
+// ============================
+
+/**
+ * Project a point onto calibrated route parts and interpolate its measure.
+ * @param {Array} parts - from calibrateRoute / buildRouteIndex
+ * @param {number[]} coord - [lng, lat]
+ * @returns {{measure, offsetKm, side, feature}|null} offsetKm is signed, positive = right of route direction
+ */
+export function measureAlongRoute(parts, coord) {
+    if (typeof turf === 'undefined') throw new Error('Turf.js not loaded');
+    let best = null;
+    for (const part of parts || []) {
+        const snapped = nearestPointOnLine(turf.lineString(part.coords), turf.point(coord), 'kilometers');
+        const { dist, location } = snapped.properties;
+        if (best && dist >= best.dist) continue;
+        best = { part, dist, location, snapped: snapped.geometry.coordinates };
+    }
+    if (!best) return null;
+
+    const { part, location } = best;
+    const { dists, measures, coords } = part;
+    let i = 0;
+    while (i < dists.length - 2 && dists[i + 1] < location) i++;
+    const m0 = measures[i];
+    const m1 = measures[i + 1];
+    if (m0 == null || m1 == null) return null;
+    const segLen = dists[i + 1] - dists[i];
+    const t = segLen > 0 ? Math.min(1, Math.max(0, (location - dists[i]) / segLen)) : 0;
+
+    // Cross product of the segment direction and the point: positive is left of travel
+    const [x1, y1] = coords[i];
+    const [x2, y2] = coords[i + 1];
+    const cross = (x2 - x1) * (coord[1] - y1) - (y2 - y1) * (coord[0] - x1);
+    const side = best.dist === 0 || cross === 0 ? 'on' : (cross > 0 ? 'left' : 'right');
+
+    return {
+        measure: m0 + t * (m1 - m0),
+        offsetKm: side === 'left' ? -best.dist : best.dist,
+        side,
+        feature: part.feature
+    };
+}
+
+// ============================
+// Helpers
+// ============================
+
+/**
+ * Per-vertex M values for each part, or null when the feature has none.
+ * _coordMeasures (ArcGIS REST returnM) is flat for LineStrings and nested for MultiLineStrings.
+ */
+function _vertexMeasures(feature, lines) {
+    const stored = feature.properties?._coordMeasures;
+    if (Array.isArray(stored)) {
+        const nested = Array.isArray(stored[0]) ? stored : [stored];
+        if (nested.length === lines.length && nested.every((m, p) => m.length === lines[p].length)) {
+            return nested.map(m => m.map(_toNumber));
+        }
+    }
+    // XYZM coordinates — a 3rd ordinate alone is elevation, not a measure
+    if (lines.every(coords => coords.every(c => c.length >= 4))) {
+        return lines.map(coords => coords.map(c => _toNumber(c[3])));
+    }
+    return null;
+}
+
+function _cumulativeKm(coords) {
+    const dists = [0];
+    for (let i = 1; i < coords.length; i++) {
+        dists.push(dists[i - 1] + turf.distance(coords[i - 1], coords[i], { units: 'kilometers' }));
+    }
+    return dists;
+}
+
+function _routeKey(v) {
+    if (v == null) return null;
+    const s = String(v).trim();
+    return s === '' ? null : s;
+}
+
+function _toNumber(v) {
+    if (v == null || v === '') return null;
+    const n = typeof v === 'number' ? v : parseFloat(v);
+    return isNaN(n) ? null : n;
+}
+
+export default { locateEvents, buildRouteIndex, calibrateRoute, measureAlongRoute, MEASURE_SOURCES };
@@ -28,7 +28,8 @@ export function showToast(message, type = 'info', options = {}) {
     toast.innerHTML = html;
 
     container.appendChild(toast);
-    const duration = options.duration || TOAST_DURATION;
+    // duration 0 keeps the toast until it is closed
+    const duration = options.duration ?? TOAST_DURATION;
     if (duration > 0) {
         setTimeout(() => toast.remove(), duration);
     }
@@ -5,6 +5,7 @@
  */
 import { WidgetBase } from './widget-base.js';
 import logger from '../core/logger.js';
+import { recordEdit } from '../core/history.js';
 
 export class BulkUpdateWidget extends WidgetBase {
     constructor() {
@@ -755,24 +756,27 @@ export class BulkUpdateWidget extends WidgetBase {
             return;
         }
 
-        // Apply updates to each selected feature
+        // Apply updates to each selected feature (one undo step)
         let updated = 0;
-        for (const idx of this._selectedIndices) {
-            const f = layer.geojson.features[idx];
-            if (!f) continue;
-            if (!f.properties) f.properties = {};
-            for (const [key, val] of Object.entries(updates)) {
-                // Type-smart: try to preserve number types
-                if (val === '') {
-                    f.properties[key] = '';
-                } else if (!isNaN(val) && val.trim() !== '') {
-                    f.properties[key] = Number(val);
-                } else {
-                    f.properties[key] = val;
+        const indices = [...this._selectedIndices];
+        recordEdit(layer, `Bulk update (${indices.length})`, () => {
+            for (const idx of indices) {
+                const f = layer.geojson.features[idx];
+                if (!f) continue;
+                if (!f.properties) f.properties = {};
+                for (const [key, val] of Object.entries(updates)) {
+                    // Type-smart: try to preserve number types
+                    if (val === '') {
+                        f.properties[key] = '';
+                    } else if (!isNaN(val) && val.trim() !== '') {
+                        f.properties[key] = Number(val);
+                    } else {
+                        f.properties[key] = val;
+                    }
                 }
+                updated++;
             }
-            updated++;
-        }
+        }, { indices });
 
         this.showToast?.(`Updated ${fieldCount} field${fieldCount !== 1 ? 's' : ''} on ${updated} feature${updated !== 1 ? 's' : ''}`, 'success');
         logger.info('BulkUpdate', `Applied ${fieldCount} field update(s) to ${updated} feature(s)`);
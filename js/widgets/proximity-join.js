@@ -10,9 +10,11 @@
  *  - Selection-only mode (use currently selected features)
  *  - Preview panel + summary statistics
  *  - Bbox pre-filtering & chunked processing for large datasets
+ *  - Line targets: optional route ID / measure / offset / side (linear referencing)
  */
 import { WidgetBase } from './widget-base.js';
 import logger from '../core/logger.js';
+import { buildRouteIndex, calibrateRoute, measureAlongRoute } from '../tools/lrs.js';
 
 /* ── Unit conversion helpers ── */
 const UNIT_LABELS = [
@@ -36,6 +38,14 @@ function unitAbbr(unit) {
     return UNIT_LABELS.find(u => u.value === unit)?.abbr ?? unit;
 }
 
+const MEASURE_SOURCE_LABELS = [
+    { value: 'vertex', label: 'Vertex M values' },
+    { value: 'fields', label: 'From/to measure fields' },
+    { value: 'length', label: 'Length along route' },
+];
+
+const LRS_FIELDS = ['lrs_route_id', 'lrs_measure', 'lrs_offset', 'lrs_side'];
+
 /* ── Representative point helpers ── */
 
 /** Return a representative [lng, lat] for any geometry depending on method. */
@@ -143,6 +153,12 @@ export class ProximityJoinWidget extends WidgetBase {
         this._matchIdField = '';              // target field to use as ID
         this._writeMatchLayer = false;
         this._fieldMappings = [];             // [{ targetField, newFieldName }]
+        this._lrsEnabled = false;             // line targets: write route/measure/offset/side
+        this._lrsRouteIdField = '';
+        this._lrsMeasureSource = 'vertex';
+        this._lrsFromField = '';
+        this._lrsToField = '';
+        this._lrsMeasureUnits = 'miles';
         this._results = null;                 // after run
         this._running = false;
         this._preview = null;
@@ -180,6 +196,12 @@ export class ProximityJoinWidget extends WidgetBase {
         this._matchIdField = '';
         this._writeMatchLayer = false;
         this._fieldMappings = [];
+        this._lrsEnabled = false;
+        this._lrsRouteIdField = '';
+        this._lrsMeasureSource = 'vertex';
+        this._lrsFromField = '';
+        this._lrsToField = '';
+        this._lrsMeasureUnits = 'miles';
         this._results = null;
         this._running = false;
         this._preview = null;
@@ -324,12 +346,13 @@ export class ProximityJoinWidget extends WidgetBase {
                 <label style="display:flex;align-items:center;gap:6px;font-size:11px;color:var(--text);cursor:pointer;">
                     <input type="checkbox" id="pj-write-layer" ${this._writeMatchLayer ? 'checked' : ''}> matched_target_layer
                 </label>
+                ${tgtGeom === 'LineString' ? this._renderLrsSettings(tgtFields) : ''}
             </div>
             ` : ''}
 
             <!-- Action buttons -->
             <div style="display:flex;gap:6px;">
-                ${srcLayer && tgtLayer && this._fieldMappings.length > 0 ? `
+                ${srcLayer && tgtLayer && (this._fieldMappings.length > 0 || this._lrsActive()) ? `
                     <button id="pj-preview" class="btn btn-sm btn-secondary" style="flex:1;">Preview</button>
                     <button id="pj-run" class="btn btn-sm btn-primary" style="flex:2;">▶ Run Proximity Join</button>
                 ` : `
@@ -339,6 +362,48 @@ export class ProximityJoinWidget extends WidgetBase {
         </div>`;
     }
 
+    /* ---------- Linear referencing (line targets) ---------- */
+    _renderLrsSettings(tgtFields) {
+        const selStyle = 'flex:1;padding:4px 6px;border-radius:var(--radius-sm);border:1px solid var(--border);background:var(--bg);color:var(--text);font-size:11px;';
+        const fieldOpts = (selected) => '<option value="">— field —</option>' +
+            tgtFields.filter(f => !f.startsWith('_')).map(f => `<option value="${f}" ${f === selected ? 'selected' : ''}>${f}</option>`).join('');
+        const sourceOpts = MEASURE_SOURCE_LABELS.map(o =>
+            `<option value="${o.value}" ${o.value === this._lrsMeasureSource ? 'selected' : ''}>${o.label}</option>`
+        ).join('');
+        const unitOpts = UNIT_LABELS.map(u =>
+            `<option value="${u.value}" ${u.value === this._lrsMeasureUnits ? 'selected' : ''}>${u.label}</option>`
+        ).join('');
+
+        return `
+                <div style="border-top:1px solid var(--border);margin-top:8px;padding-top:8px;">
+                    <label style="display:flex;align-items:center;gap:6px;font-size:11px;color:var(--text);cursor:pointer;margin-bottom:4px;">
+                        <input type="checkbox" id="pj-lrs" ${this._lrsEnabled ? 'checked' : ''}> Route &amp; measure (${LRS_FIELDS.join(', ')})
+                    </label>
+                    ${this._lrsEnabled ? `
+                    <div style="display:flex;gap:6px;align-items:center;margin-bottom:4px;">
+                        <label style="font-size:11px;color:var(--text-muted);min-width:70px;">Route ID</label>
+                        <select id="pj-lrs-id" style="${selStyle}">${fieldOpts(this._lrsRouteIdField)}</select>
+                    </div>
+                    <div style="display:flex;gap:6px;align-items:center;margin-bottom:4px;">
+                        <label style="font-size:11px;color:var(--text-muted);min-width:70px;">Measures</label>
+                        <select id="pj-lrs-source" style="${selStyle}">${sourceOpts}</select>
+                    </div>
+                    ${this._lrsMeasureSource === 'fields' ? `
+                    <div style="display:flex;gap:6px;align-items:center;margin-bottom:4px;">
+                        <label style="font-size:11px;color:var(--text-muted);min-width:70px;">From / To</label>
+                        <select id="pj-lrs-from" style="${selStyle}">${fieldOpts(this._lrsFromField)}</select>
+                        <select id="pj-lrs-to" style="${selStyle}">${fieldOpts(this._lrsToField)}</select>
+                    </div>` : ''}
+                    ${this._lrsMeasureSource === 'length' ? `
+                    <div style="display:flex;gap:6px;align-items:center;margin-bottom:4px;">
+                        <label style="font-size:11px;color:var(--text-muted);min-width:70px;">Measure units</label>
+                        <select id="pj-lrs-units" style="${selStyle}">${unitOpts}</select>
+                    </div>` : ''}
+                    <div style="font-size:10px;color:var(--text-muted);">Offset is in ${unitAbbr(this._units)}, positive to the right of the route direction.</div>
+                    ` : ''}
+                </div>`;
+    }
+
     /* ---------- Mapping row ---------- */
     _renderMappingRow(m, idx, tgtFields, srcFields) {
         const tgtFieldOpts = tgtFields.map(f => `<option value="${f}" ${f === m.targetField ? 'selected' : ''}>${f}</option>`).join('');
@@ -519,6 +584,12 @@ export class ProximityJoinWidget extends WidgetBase {
             else if (t.id === 'pj-id-field')    this._matchIdField = t.value;
             else if (t.id === 'pj-write-layer') this._writeMatchLayer = t.checked;
             else if (t.name === 'pj-rep')       this._repMethod = t.value;
+            else if (t.id === 'pj-lrs')         { this._lrsEnabled = t.checked; this._guessLrsSettings(); this._refreshBody(); this._bindEvents(); }
+            else if (t.id === 'pj-lrs-id')      this._lrsRouteIdField = t.value;
+            else if (t.id === 'pj-lrs-source')  { this._lrsMeasureSource = t.value; this._refreshBody(); this._bindEvents(); }
+            else if (t.id === 'pj-lrs-from')    this._lrsFromField = t.value;
+            else if (t.id === 'pj-lrs-to')      this._lrsToField = t.value;
+            else if (t.id === 'pj-lrs-units')   this._lrsMeasureUnits = t.value;
 
             // Mapping selects
             if (t.classList.contains('pj-map-tgt')) {
@@ -567,7 +638,12 @@ export class ProximityJoinWidget extends WidgetBase {
 
         // Validate field mappings
         const validMappings = this._fieldMappings.filter(m => m.targetField && m.newFieldName);
-        if (validMappings.length === 0) errors.push('Add at least one field mapping (target field → new field name).');
+        const lrs = this._lrsActive();
+        if (validMappings.length === 0 && !lrs) errors.push('Add at least one field mapping (target field → new field name).');
+        if (lrs && !this._lrsRouteIdField) errors.push('Choose the route ID field for route & measure.');
+        if (lrs && this._lrsMeasureSource === 'fields' && (!this._lrsFromField || !this._lrsToField)) {
+            errors.push('Choose the route from/to measure fields.');
+        }
 
         // Check duplicate new field names
         const names = validMappings.map(m => m.newFieldName);
@@ -604,6 +680,9 @@ export class ProximityJoinWidget extends WidgetBase {
         const sample = srcFeatures.slice(0, 10);
         const columns = ['#', ...validMappings.map(m => m.newFieldName)];
         if (this._writeDistance) columns.push('nearest_distance');
+        const lrs = this._lrsActive();
+        if (lrs) columns.push(...LRS_FIELDS);
+        const routeCache = lrs ? this._calibrateRoutes(tgtLayer) : new Map();
 
         const rows = [];
         for (let i = 0; i < sample.length; i++) {
@@ -616,6 +695,7 @@ export class ProximityJoinWidget extends WidgetBase {
             if (this._writeDistance) {
                 row['nearest_distance'] = match ? parseFloat(metersTo(match.distance, this._units).toFixed(2)) : null;
             }
+            if (lrs) this._writeLrsFields(row, sf, match, routeCache);
             rows.push(row);
         }
 
@@ -642,6 +722,9 @@ export class ProximityJoinWidget extends WidgetBase {
         const tgtFeatures = tgtLayer.geojson.features;
         const validMappings = this._fieldMappings.filter(m => m.targetField && m.newFieldName);
         const maxRadiusM = this._maxRadiusMeters();
+        const lrs = this._lrsActive();
+        const routeCache = lrs ? this._calibrateRoutes(tgtLayer) : new Map();   // route feature → calibrated parts
+        let unmeasured = 0;
 
         // Build a set of actual indices we're processing (for selection-only mode)
         let featureIndices;
@@ -717,6 +800,7 @@ export class ProximityJoinWidget extends WidgetBase {
                             if (this._writeMatchLayer) {
                                 sf.properties['matched_target_layer'] = tgtLayer.name;
                             }
+                            if (lrs && !this._writeLrsFields(sf.properties, sf, match, routeCache)) unmeasured++;
                         } else {
                             unmatched++;
                             // Write nulls for mapped fields
@@ -726,6 +810,7 @@ export class ProximityJoinWidget extends WidgetBase {
                             if (this._writeDistance) sf.properties['nearest_distance'] = null;
                             if (this._writeMatchId && this._matchIdField) sf.properties['matched_target_id'] = null;
                             if (this._writeMatchLayer) sf.properties['matched_target_layer'] = null;
+                            if (lrs) this._writeLrsFields(sf.properties, sf, null, routeCache);
                         }
                     }
 
@@ -749,6 +834,7 @@ export class ProximityJoinWidget extends WidgetBase {
 
         // Warnings
         if (invalidGeom > 0) warnings.push(`${invalidGeom} feature(s) had invalid/missing geometry.`);
+        if (unmeasured > 0) warnings.push(`${unmeasured} matched route(s) had no usable measures — lrs_measure left empty.`);
         if (unmatched > 0 && maxRadiusM < Infinity) {
             warnings.push(`${unmatched} feature(s) had no target within the max search radius.`);
         }
@@ -843,6 +929,79 @@ export class ProximityJoinWidget extends WidgetBase {
         }
     }
 
+    /* ================================================================
+       LINEAR REFERENCING
+       ================================================================ */
+
+    /** Pre-fill the route ID field and measure source the first time LRS output is enabled. */
+    _guessLrsSettings() {
+        const tgtLayer = this._getLayer(this._targetLayerId);
+        if (!this._lrsEnabled || !tgtLayer) return;
+        if (!this._lrsRouteIdField) {
+            this._lrsRouteIdField = this._getFields(tgtLayer).find(f => /route|rt_?id|lrs/i.test(f)) || '';
+        }
+        const hasM = tgtLayer.geojson.features.some(f => f.properties?._coordMeasures);
+        if (!hasM && this._lrsMeasureSource === 'vertex') this._lrsMeasureSource = 'length';
+    }
+
+    _lrsActive() {
+        return this._lrsEnabled && this._dominantGeometry(this._getLayer(this._targetLayerId)) === 'LineString';
+    }
+
+    _lrsOptions() {
+        return {
+            routeIdField: this._lrsRouteIdField,
+            measureSource: this._lrsMeasureSource,
+            routeFromField: this._lrsFromField,
+            routeToField: this._lrsToField,
+            measureUnits: this._lrsMeasureUnits
+        };
+    }
+
+    /**
+     * Calibrated parts of every route feature with a route ID, as route feature → parts.
+     * Calibrating whole routes keeps 'length' measures running on across the features
+     * a route is split into, instead of each feature starting again at 0.
+     */
+    _calibrateRoutes(tgtLayer) {
+        const byFeature = new Map();
+        if (!this._lrsRouteIdField) return byFeature;
+        for (const parts of buildRouteIndex(tgtLayer, this._lrsOptions()).values()) {
+            for (const part of parts) {
+                if (!byFeature.has(part.feature)) byFeature.set(part.feature, []);
+                byFeature.get(part.feature).push(part);
+            }
+        }
+        return byFeature;
+    }
+
+    /**
+     * Write lrs_* fields for a matched route. Measures come from the route's calibration
+     * (see _calibrateRoutes); features without a route ID are calibrated on their own.
+     * Returns false when the route has no usable measures.
+     */
+    _writeLrsFields(props, srcFeature, match, routeCache) {
+        props['lrs_route_id'] = match ? (match.feature.properties?.[this._lrsRouteIdField] ?? null) : null;
+        props['lrs_measure'] = null;
+        props['lrs_offset'] = null;
+        props['lrs_side'] = null;
+        if (!match) return true;
+
+        let parts = routeCache.get(match.feature);
+        if (parts === undefined) {
+            parts = calibrateRoute(match.feature, this._lrsOptions());
+            routeCache.set(match.feature, parts);
+        }
+        const coord = representativePoint(srcFeature, this._repMethod);
+        const located = parts?.length && coord ? measureAlongRoute(parts, coord) : null;
+        if (!located) return false;
+
+        props['lrs_measure'] = parseFloat(located.measure.toFixed(4));
+        props['lrs_offset'] = parseFloat(metersTo(located.offsetKm * 1000, this._units).toFixed(4));
+        props['lrs_side'] = located.side;
+        return true;
+    }
+
     /* ================================================================
        HELPERS
        ================================================================ */
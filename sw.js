@@ -2,7 +2,7 @@
 // GIS Toolbox — Service Worker
 // Bump CACHE_VERSION to push updates
 // ============================================
-const CACHE_VERSION = '1.19.17';
+const CACHE_VERSION = '1.19.42';
 const CACHE_NAME = `gis-toolbox-v${CACHE_VERSION}`;
 
 const APP_FILES = [
@@ -25,17 +25,31 @@ const APP_FILES = [
     './js/app.js',
 
     // Core
+    './js/core/attachments.js',
+    './js/core/crs.js',
     './js/core/data-model.js',
     './js/core/error-handler.js',
     './js/core/event-bus.js',
+    './js/core/geopackage.js',
+    './js/core/history.js',
     './js/core/logger.js',
+    './js/core/project-file.js',
     './js/core/session-store.js',
     './js/core/state.js',
+    './js/core/tab-sync.js',
     './js/core/task-runner.js',
 
     // Map
     './js/map/map-manager.js',
     './js/map/draw-manager.js',
+    './js/map/geometry-editor.js',
+    './js/map/renderers.js',
+    './js/map/labels.js',
+    './js/map/canvas-layer.js',
+    './js/map/point-display.js',
+    './js/map/snapping.js',
+    './js/map/gps-tracker.js',
+    './js/map/photo-placer.js',
 
     // UI
     './js/ui/modals.js',
@@ -46,6 +60,8 @@ const APP_FILES = [
     './js/import/csv-importer.js',
     './js/import/excel-importer.js',
     './js/import/geojson-importer.js',
+    './js/import/gpkg-importer.js',
+    './js/import/gpx-importer.js',
     './js/import/json-importer.js',
     './js/import/kml-importer.js',
     './js/import/kmz-importer.js',
@@ -56,6 +72,8 @@ const APP_FILES = [
     './js/export/csv-exporter.js',
     './js/export/excel-exporter.js',
     './js/export/geojson-exporter.js',
+    './js/export/gpkg-exporter.js',
+    './js/export/gpx-exporter.js',
     './js/export/json-exporter.js',
     './js/export/kml-exporter.js',
     './js/export/kmz-exporter.js',
@@ -63,11 +81,16 @@ const APP_FILES = [
 
     // Data prep
     './js/dataprep/template-builder.js',
-    './js/dataprep/transform-history.js',
+    './js/dataprep/expressions.js',
     './js/dataprep/transforms.js',
+    './js/dataprep/recipes.js',
+    './js/dataprep/form-schema.js',
 
     // Tools
+    './js/tools/cogo.js',
+    './js/tools/feature-edit.js',
     './js/tools/gis-tools.js',
+    './js/tools/lrs.js',
 
     // Widgets
     './js/widgets/widget-base.js',
@@ -83,20 +106,28 @@ const APP_FILES = [
     './js/agol/compatibility.js',
 
     // Photo
-    './js/photo/photo-mapper.js'
+    './js/photo/photo-mapper.js',
+    './js/photo/geotag.js',
+    './js/photo/view-direction.js'
 ];
 
 // CDN libraries — versioned, rarely change
 const CDN_FILES = [
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
     'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://unpkg.com/leaflet.heat@0.2.0/dist/leaflet-heat.js',
     'https://unpkg.com/papaparse@5.4.1/papaparse.min.js',
     'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
     'https://unpkg.com/jszip@3.10.1/dist/jszip.min.js',
     'https://unpkg.com/@mapbox/togeojson@0.16.2/togeojson.js',
     'https://unpkg.com/@turf/turf@7.1.0/turf.min.js',
     'https://unpkg.com/shpjs@4.0.4/dist/shp.js',
-    'https://unpkg.com/exifr@7.1.3/dist/full.umd.js'
+    'https://unpkg.com/exifr@7.1.3/dist/full.umd.js',
+    'https://unpkg.com/proj4@2.11.0/dist/proj4.js',
+    'https://unpkg.com/sql.js@1.10.3/dist/sql-wasm.js',
+    'https://unpkg.com/sql.js@1.10.3/dist/sql-wasm.wasm'
 ];
 
 // Install: cache all app + CDN files